@@ -32,10 +32,13 @@ export function base58checkDecode(str) {
     if (idx === -1) throw new Error('Invalid base58');
     num = num * 58n + BigInt(idx);
   }
-  const byteLen = Math.ceil(str.length * Math.log(58) / Math.log(256));
-  let bytes = bigIntToBytes(num, byteLen);
+  // Exact byte length of the number: estimating it from the string length
+  // over-counts for some lengths and prepends a spurious 0x00 byte.
+  const byteLen = num === 0n ? 0 : Math.ceil(num.toString(16).length / 2);
+  let bytes = byteLen ? bigIntToBytes(num, byteLen) : new Uint8Array(0);
   let zeroCount = str.match(/^1*/)[0].length;
   bytes = concat(new Uint8Array(zeroCount), bytes);
+  if (bytes.length < 5) throw new Error('Base58Check string too short');
   const data = bytes.slice(0, -4);
   const checksum = bytes.slice(-4);
   const computed = sha256(sha256(data)).slice(0, 4);
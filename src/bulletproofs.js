@@ -0,0 +1,465 @@
+// src/bulletproofs.js
+// -----------------------------------------------------------------------------
+// Aggregated logarithmic-size range proof (Bulletproofs, Bünz et al. 2018)
+// over secp256k1.
+// - Same commitment convention as zk.js: V = v*H + gamma*G
+//   (H from pedersen.js getH(), G = secp256k1 base point)
+// - opts.generatorVersion (pedersen.js) picks H, the G_i / H_i vectors and U;
+//   prover and verifier must use the same version
+// - m values of n bits each are proven together (n*m must be a power of two)
+// - Deterministic prover using seeded randomness, like the Sigma64 prover,
+//   with the same nonce modes (nonces.js)
+// - Verifier folds every check into a single multi-scalar multiplication
+//
+// Serialization (all points compressed 33B, scalars 32B big-endian):
+//   bits(1) || m(1) || V_j(33)*m || A || S || T1 || T2 || taux || mu || tHat
+//   || rounds(1) || [ L_k(33) || R_k(33) ] * rounds || a(32) || b(32)
+//
+// For one 64-bit value this is 1+1+33+4*33+3*32+1+12*33+64 = 724 bytes, versus
+// ~14.7 KB for the per-bit Sigma64 proof.
+// -----------------------------------------------------------------------------
+
+import { secp256k1 } from '@noble/curves/secp256k1.js';
+import { pippenger } from '@noble/curves/abstract/curve.js';
+import { sha256 } from '@noble/hashes/sha2.js';
+import { randomBytes } from 'crypto';
+import { bytesToBigInt, bigIntToBytes, concat, uint64le } from './utils.js';
+import { getH, getGeneratorVector, GENERATOR_VERSION_LEGACY } from './pedersen.js';
+import { resolveNonceSeed } from './nonces.js';
+
+/* ========================================================================== */
+/* Curve constants & generators                                               */
+/* ========================================================================== */
+
+const Point = secp256k1.Point;
+const Fn = Point.Fn;
+const G = Point.BASE;
+const n = Point.CURVE().n;
+
+const te = new TextEncoder();
+const BP_DOMAIN = te.encode('BCH-CT/BP-v1');
+
+export const BP_ALLOWED_BITS = [8, 16, 32, 64];
+export const BP_MAX_AGGREGATION = 16;
+
+// Generators of one version: H, the vectors for N = bits * m, and the
+// proof-independent base U of the inner-product term.
+function generators(version, N) {
+  return {
+    H: getH(version),
+    Gs: getGeneratorVector('BP/G', N, version),
+    Hs: getGeneratorVector('BP/H', N, version),
+    U: getGeneratorVector('BP/U', 1, version)[0],
+  };
+}
+
+/* ========================================================================== */
+/* Scalar / vector helpers                                                    */
+/* ========================================================================== */
+
+const mod = (a) => ((a % n) + n) % n;
+const inv = (a) => Fn.inv(mod(a));
+
+function powers(x, len) {
+  const out = new Array(len);
+  let acc = 1n;
+  for (let i = 0; i < len; i++) {
+    out[i] = acc;
+    acc = mod(acc * x);
+  }
+  return out;
+}
+
+function inner(a, b) {
+  let acc = 0n;
+  for (let i = 0; i < a.length; i++) acc = mod(acc + a[i] * b[i]);
+  return acc;
+}
+
+// Multi-scalar multiplication; zero scalars are allowed.
+function msm(points, scalars) {
+  return pippenger(Point, points, scalars.map(mod));
+}
+
+function isPowerOfTwo(x) {
+  return x > 0 && (x & (x - 1)) === 0;
+}
+
+function log2(x) {
+  let k = 0;
+  while ((1 << k) < x) k++;
+  return k;
+}
+
+function checkShape(bits, m) {
+  if (!BP_ALLOWED_BITS.includes(bits)) {
+    throw new Error(`bulletproofs: bits must be one of ${BP_ALLOWED_BITS.join(', ')}`);
+  }
+  if (!isPowerOfTwo(m) || m > BP_MAX_AGGREGATION) {
+    throw new Error(`bulletproofs: value count must be a power of two <= ${BP_MAX_AGGREGATION}`);
+  }
+}
+
+/* ========================================================================== */
+/* Fiat–Shamir                                                                */
+/* ========================================================================== */
+
+// Running hash chain seeded with the statement (bits, m, V_j). Every prover
+// message is absorbed before the next challenge is squeezed.
+// When a Transcript (transcript.js) is supplied, the statement and messages
+// are absorbed into it instead, so the challenges also bind whatever the
+// caller absorbed beforehand (e.g. the CTv2 envelope header).
+// H is part of the statement when it is not the legacy one.
+function createChallenger(bits, m, commitments, transcript, H) {
+  const generator = H.equals(getH()) ? [] : [H.toBytes(true)];
+  if (transcript) {
+    transcript.appendMessage('bp/dom-sep', BP_DOMAIN);
+    if (generator.length) transcript.appendPoint('bp/generator', H);
+    transcript.appendMessage('bp/shape', Uint8Array.of(bits, m));
+    for (const V of commitments) transcript.appendPoint('bp/V', V);
+    return (...parts) => {
+      for (const part of parts) transcript.appendMessage('bp/msg', part);
+      return transcript.challengeScalar('bp/e');
+    };
+  }
+  let state = sha256(concat(BP_DOMAIN, ...generator, Uint8Array.of(bits, m), ...commitments.map((V) => V.toBytes(true))));
+  return (...parts) => {
+    state = sha256(concat(state, ...parts));
+    const e = Fn.fromBytes(state);
+    if (e === 0n) throw new Error('bulletproofs: zero challenge');
+    return e;
+  };
+}
+
+/* ========================================================================== */
+/* Prover                                                                     */
+/* ========================================================================== */
+/**
+ * Generate an aggregated range proof that every value is in [0, 2^bits).
+ * Deterministic via `seedBytes`, unless explicit `blindings` are supplied
+ * (the remaining nonces are still seed-derived). `opts.nonceMode` and
+ * `opts.zkSeed` behave as for generateSigmaRangeProof() in zk.js;
+ * `opts.generatorVersion` selects the generators (default legacy).
+ *
+ * @param {(number|bigint)[]} values - m values, m a power of two
+ * @param {Uint8Array} seedBytes - seed for deterministic randomness
+ * @param {{
+ *   bits?: number,
+ *   blindings?: bigint[],
+ *   transcript?: import('./transcript.js').Transcript,
+ *   nonceMode?: 'deterministic'|'hedged'|'recoverable',
+ *   zkSeed?: Uint8Array,
+ *   generatorVersion?: string,
+ * }} [opts]
+ * @returns {{
+ *   bits: number,
+ *   commitments: secp256k1.Point[],
+ *   blindings: bigint[],
+ *   A: secp256k1.Point, S: secp256k1.Point, T1: secp256k1.Point, T2: secp256k1.Point,
+ *   taux: bigint, mu: bigint, tHat: bigint,
+ *   L: secp256k1.Point[], R: secp256k1.Point[], a: bigint, b: bigint
+ * }}
+ */
+export function generateBulletproofRangeProof(values, seedBytes, opts = {}) {
+  const {
+    bits = 64,
+    blindings = null,
+    transcript = null,
+    nonceMode,
+    zkSeed,
+    generatorVersion = GENERATOR_VERSION_LEGACY,
+  } = opts;
+  const m = values.length;
+  checkShape(bits, m);
+  if (!(seedBytes instanceof Uint8Array)) throw new Error('bulletproofs: seedBytes must be Uint8Array');
+  const base = resolveNonceSeed('generateBulletproofRangeProof', seedBytes, {
+    nonceMode,
+    zkSeed,
+    blindings: blindings ?? [],
+  });
+  // Bind nonces to the transcript so one seed never answers two different challenges.
+  const seed = transcript ? transcript.witnessBytes('bp/seed', base) : base;
+
+  const vs = values.map((v) => BigInt(v));
+  for (const v of vs) {
+    if (v < 0n || v >= (1n << BigInt(bits))) throw new Error(`bulletproofs: value out of ${bits}-bit range`);
+  }
+
+  const rand = (label, i = 0) =>
+    Fn.fromBytes(sha256(concat(seed, te.encode(label), uint64le(i))));
+
+  const N = bits * m;
+  const { H, Gs, Hs, U: uBase } = generators(generatorVersion, N);
+
+  // Commitments V_j = v_j*H + gamma_j*G
+  const gammas = vs.map((_, j) => (blindings ? mod(BigInt(blindings[j])) : rand('gamma', j)));
+  const commitments = vs.map((v, j) => msm([H, G], [v, gammas[j]]));
+
+  // Bit decomposition: aL in {0,1}^N, aR = aL - 1
+  const aL = new Array(N);
+  const aR = new Array(N);
+  for (let j = 0; j < m; j++) {
+    for (let i = 0; i < bits; i++) {
+      const bit = (vs[j] >> BigInt(i)) & 1n;
+      aL[j * bits + i] = bit;
+      aR[j * bits + i] = mod(bit - 1n);
+    }
+  }
+
+  const challenge = createChallenger(bits, m, commitments, transcript, H);
+
+  const alpha = rand('alpha');
+  const rho = rand('rho');
+  const sL = Array.from({ length: N }, (_, i) => rand('sL', i));
+  const sR = Array.from({ length: N }, (_, i) => rand('sR', i));
+
+  const A = msm([G, ...Gs, ...Hs], [alpha, ...aL, ...aR]);
+  const S = msm([G, ...Gs, ...Hs], [rho, ...sL, ...sR]);
+
+  const y = challenge(A.toBytes(true), S.toBytes(true));
+  const z = challenge(te.encode('z'));
+
+  const yPow = powers(y, N);
+  const twoPow = powers(2n, bits);
+  const zPow = powers(z, m + 3);
+
+  // l(X) = (aL - z) + sL*X
+  // r(X) = y^N o (aR + z + sR*X) + sum_j z^(2+j) * (0..0 || 2^n || 0..0)
+  const l0 = aL.map((x) => mod(x - z));
+  const l1 = sL;
+  const r0 = new Array(N);
+  const r1 = new Array(N);
+  for (let k = 0; k < N; k++) {
+    const j = Math.floor(k / bits);
+    const i = k % bits;
+    r0[k] = mod(yPow[k] * (aR[k] + z) + zPow[2 + j] * twoPow[i]);
+    r1[k] = mod(yPow[k] * sR[k]);
+  }
+
+  const t1 = mod(inner(l0, r1) + inner(l1, r0));
+  const t2 = inner(l1, r1);
+
+  const tau1 = rand('tau1');
+  const tau2 = rand('tau2');
+  const T1 = msm([H, G], [t1, tau1]);
+  const T2 = msm([H, G], [t2, tau2]);
+
+  const x = challenge(T1.toBytes(true), T2.toBytes(true));
+
+  let taux = mod(tau2 * x * x + tau1 * x);
+  for (let j = 0; j < m; j++) taux = mod(taux + zPow[2 + j] * gammas[j]);
+  const mu = mod(alpha + rho * x);
+
+  const l = l0.map((v, k) => mod(v + l1[k] * x));
+  const r = r0.map((v, k) => mod(v + r1[k] * x));
+  const tHat = inner(l, r);
+
+  const w = challenge(bigIntToBytes(taux, 32), bigIntToBytes(mu, 32), bigIntToBytes(tHat, 32));
+  const U = uBase.multiply(w);
+
+  // Inner-product argument over (Gs, H' = y^-i * Hs)
+  const yInv = inv(y);
+  const yInvPow = powers(yInv, N);
+  let gVec = Gs.slice();
+  let hVec = Hs.map((P, k) => (yInvPow[k] === 1n ? P : P.multiply(yInvPow[k])));
+  let aVec = l;
+  let bVec = r;
+
+  const Ls = [];
+  const Rs = [];
+  while (aVec.length > 1) {
+    const half = aVec.length / 2;
+    const aLo = aVec.slice(0, half), aHi = aVec.slice(half);
+    const bLo = bVec.slice(0, half), bHi = bVec.slice(half);
+    const gLo = gVec.slice(0, half), gHi = gVec.slice(half);
+    const hLo = hVec.slice(0, half), hHi = hVec.slice(half);
+
+    const Lk = msm([...gHi, ...hLo, U], [...aLo, ...bHi, inner(aLo, bHi)]);
+    const Rk = msm([...gLo, ...hHi, U], [...aHi, ...bLo, inner(aHi, bLo)]);
+    Ls.push(Lk);
+    Rs.push(Rk);
+
+    const u = challenge(Lk.toBytes(true), Rk.toBytes(true));
+    const uInv = inv(u);
+
+    aVec = aLo.map((v, i) => mod(v * u + aHi[i] * uInv));
+    bVec = bLo.map((v, i) => mod(v * uInv + bHi[i] * u));
+    gVec = gLo.map((P, i) => msm([P, gHi[i]], [uInv, u]));
+    hVec = hLo.map((P, i) => msm([P, hHi[i]], [u, uInv]));
+  }
+
+  return {
+    bits,
+    commitments,
+    blindings: gammas,
+    A, S, T1, T2,
+    taux, mu, tHat,
+    L: Ls,
+    R: Rs,
+    a: aVec[0],
+    b: bVec[0],
+  };
+}
+
+/* ========================================================================== */
+/* Proof (de)serialization                                                    */
+/* ========================================================================== */
+
+/**
+ * Serialize an aggregated range proof (layout in the file header).
+ * @param {*} proof
+ * @returns {Uint8Array}
+ */
+export function serializeBulletproof(proof) {
+  const m = proof.commitments.length;
+  const parts = [Uint8Array.of(proof.bits, m)];
+  for (const V of proof.commitments) parts.push(V.toBytes(true));
+  parts.push(proof.A.toBytes(true), proof.S.toBytes(true), proof.T1.toBytes(true), proof.T2.toBytes(true));
+  parts.push(bigIntToBytes(proof.taux, 32), bigIntToBytes(proof.mu, 32), bigIntToBytes(proof.tHat, 32));
+  parts.push(Uint8Array.of(proof.L.length));
+  for (let k = 0; k < proof.L.length; k++) parts.push(proof.L[k].toBytes(true), proof.R[k].toBytes(true));
+  parts.push(bigIntToBytes(proof.a, 32), bigIntToBytes(proof.b, 32));
+  return concat(...parts);
+}
+
+/**
+ * Inverse of serializeBulletproof(). Throws on malformed input.
+ * @param {Uint8Array} bytes
+ */
+export function deserializeBulletproof(bytes) {
+  if (!(bytes instanceof Uint8Array) || bytes.length < 2) {
+    throw new Error('deserializeBulletproof: bytes too short');
+  }
+  let pos = 0;
+  const bits = bytes[pos++];
+  const m = bytes[pos++];
+  checkShape(bits, m);
+
+  const rounds = log2(bits * m);
+  const expected = 2 + 33 * m + 4 * 33 + 3 * 32 + 1 + rounds * 66 + 64;
+  if (bytes.length !== expected) {
+    throw new Error(`deserializeBulletproof: expected ${expected} bytes, got ${bytes.length}`);
+  }
+
+  const point = () => { const P = Point.fromBytes(bytes.slice(pos, pos + 33)); pos += 33; return P; };
+  const scalar = () => { const s = bytesToBigInt(bytes.slice(pos, pos + 32)); pos += 32; return s; };
+
+  const commitments = [];
+  for (let j = 0; j < m; j++) commitments.push(point());
+  const A = point(), S = point(), T1 = point(), T2 = point();
+  const taux = scalar(), mu = scalar(), tHat = scalar();
+
+  if (bytes[pos++] !== rounds) throw new Error('deserializeBulletproof: bad round count');
+  const L = [];
+  const R = [];
+  for (let k = 0; k < rounds; k++) {
+    L.push(point());
+    R.push(point());
+  }
+  const a = scalar(), b = scalar();
+
+  return { bits, commitments, A, S, T1, T2, taux, mu, tHat, L, R, a, b };
+}
+
+/* ========================================================================== */
+/* Verifier                                                                   */
+/* ========================================================================== */
+/**
+ * Verify an aggregated range proof.
+ * Checks (combined with a random weight c into one MSM == identity):
+ *  - Polynomial identity: tHat*H + taux*G == sum_j z^(2+j)*V_j + delta(y,z)*H + x*T1 + x^2*T2
+ *  - Inner-product argument for <l, r> == tHat against (Gs, y^-i * Hs, U)
+ *
+ * @param {*} proof - as returned by generateBulletproofRangeProof / deserializeBulletproof
+ * @param {{ transcript?: import('./transcript.js').Transcript, generatorVersion?: string }} [opts]
+ *   - must match the prover's
+ * @returns {boolean}
+ */
+export function verifyBulletproofRangeProof(proof, opts = {}) {
+  const { transcript = null, generatorVersion = GENERATOR_VERSION_LEGACY } = opts;
+  const { bits, commitments } = proof;
+  const m = commitments.length;
+  try {
+    checkShape(bits, m);
+  } catch {
+    return false;
+  }
+  const N = bits * m;
+  const rounds = log2(N);
+  if (proof.L.length !== rounds || proof.R.length !== rounds) return false;
+  for (const s of [proof.taux, proof.mu, proof.tHat, proof.a, proof.b]) {
+    if (typeof s !== 'bigint' || s < 0n || s >= n) return false;
+  }
+
+  const { H, Gs, Hs, U } = generators(generatorVersion, N);
+
+  const challenge = createChallenger(bits, m, commitments, transcript, H);
+  const y = challenge(proof.A.toBytes(true), proof.S.toBytes(true));
+  const z = challenge(te.encode('z'));
+  const x = challenge(proof.T1.toBytes(true), proof.T2.toBytes(true));
+  const w = challenge(bigIntToBytes(proof.taux, 32), bigIntToBytes(proof.mu, 32), bigIntToBytes(proof.tHat, 32));
+  const us = [];
+  for (let k = 0; k < rounds; k++) {
+    us.push(challenge(proof.L[k].toBytes(true), proof.R[k].toBytes(true)));
+  }
+  const usInv = us.map(inv);
+
+  const yPow = powers(y, N);
+  const yInvPow = powers(inv(y), N);
+  const twoPow = powers(2n, bits);
+  const zPow = powers(z, m + 3);
+
+  // delta(y,z) = (z - z^2)*<1, y^N> - sum_j z^(3+j) * <1, 2^n>
+  const sumY = yPow.reduce((acc, v) => mod(acc + v), 0n);
+  const sumTwo = mod((1n << BigInt(bits)) - 1n);
+  let delta = mod((z - zPow[2]) * sumY);
+  for (let j = 0; j < m; j++) delta = mod(delta - zPow[3 + j] * sumTwo);
+
+  // s_i = prod_k u_k^(+1 if bit (rounds-1-k) of i is set, else -1);
+  // flipping every bit inverts it, so s_i^-1 = s_(N-1-i).
+  const s = new Array(N);
+  for (let i = 0; i < N; i++) {
+    let acc = 1n;
+    for (let k = 0; k < rounds; k++) {
+      const bit = (i >> (rounds - 1 - k)) & 1;
+      acc = mod(acc * (bit ? us[k] : usInv[k]));
+    }
+    s[i] = acc;
+  }
+
+  const c = mod(bytesToBigInt(randomBytes(32)));
+  const { a, b, tHat, taux, mu } = proof;
+
+  const points = [G, H, U, proof.A, proof.S, proof.T1, proof.T2];
+  const scalars = [
+    mu + c * taux,              // G
+    c * (tHat - delta),         // H
+    w * (a * b - tHat),         // U
+    -1n,                        // A
+    -x,                         // S
+    -c * x,                     // T1
+    -c * x * x,                 // T2
+  ];
+
+  for (let j = 0; j < m; j++) {
+    points.push(commitments[j]);
+    scalars.push(-c * zPow[2 + j]);
+  }
+
+  for (let k = 0; k < N; k++) {
+    const j = Math.floor(k / bits);
+    const i = k % bits;
+    const dk = mod(zPow[2 + j] * twoPow[i]);
+    points.push(Gs[k]);
+    scalars.push(a * s[k] + z);
+    points.push(Hs[k]);
+    scalars.push(yInvPow[k] * (b * s[N - 1 - k] - dk) - z);
+  }
+
+  for (let k = 0; k < rounds; k++) {
+    points.push(proof.L[k], proof.R[k]);
+    scalars.push(-us[k] * us[k], -usInv[k] * usInv[k]);
+  }
+
+  return msm(points, scalars).equals(Point.ZERO);
+}
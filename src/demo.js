@@ -19,9 +19,10 @@
 
 import { Command } from 'commander';
 import { randomBytes } from 'crypto';
+import fs from 'fs';
 import { consolidateUtxos, splitTokenPrefix } from './tx.js';
 import { encodeCashAddr } from './cashaddr.js';
-import { getTipHeader, connectElectrum, getTxDetails } from './electrum.js';
+import { getTipHeader, connectElectrum, getTxDetails, getUtxos } from './electrum.js';
 import {
   _hash160,
   hexToBytes,
@@ -33,11 +34,11 @@ import {
   decodeVarInt,
   uint64le,
   arraysEqual,
-  extractPubKeyFromPaycode,
 } from './utils.js';
 import { NETWORK, DUST } from './config.js';
-import { getWallets } from './wallets.js';
-import { setupPaycodesAndDerivation } from './paycodes.js';
+import { getWallets, walletCli } from './wallets.js';
+import { openIdentityStore, identityCli } from './identities.js';
+import { setupPaycodesAndDerivation, derivePaycodeKeys, parsePaycode } from './paycodes.js';
 import { createToken, validateTokenCategory } from './tokens.js';
 import { createCovenant } from './covenants.js';
 import {
@@ -54,15 +55,20 @@ import {
   RPA_MODE_CONF_ASSET,
   RPA_MODE_STEALTH_P2PKH,
   RPA_MODE_PQ_VAULT,
+  RPA_COVENANT_INDEX,
 } from './derivation.js';
 import { deriveEphemeralKeypair } from './ephemeral.js';
+import { scanTransaction } from './scanner.js';
 import { secp256k1 } from '@noble/curves/secp256k1.js';
 import {
   buildAmountProofEnvelope,
-  generateSigmaRangeProof,
-  serializeProof,
-  computeProofHash,
+  verifyAmountProofEnvelope,
+  generateOpeningProof,
+  serializeOpeningProof,
+  deserializeOpeningProof,
+  verifyOpeningProof,
   BITS,
+  NONCE_MODE_RECOVERABLE,
 } from './zk.js';
 import {
   makeRpaContextV1FromHex,
@@ -71,7 +77,10 @@ import {
   attachZkSeedToPsbtOutput,
   RpaModeId,
 } from './psbt_rpa.js';
+import { encryptNote } from './notes.js';
+import { buildNoteOpReturnScript, recoverNoteFromFundingTx } from './note_channel.js';
 import { promptFundAddress } from './prompts.js';
+import { loadPaymentRequest, verifyPaymentRequest, sendPaymentRequest, paymentRequestCli } from './payment_requests.js';
 import { demoPoolHashFold } from './pool_hash_fold_demo.js';
 import { POOL_HASH_FOLD_VERSION } from './pool_hash_fold_script.js';
 
@@ -391,6 +400,7 @@ async function getCovenantUtxoFromTxId(txId, network) {
 function computeFundingEnvelope(
   ephemPub33,
   amount,
+  sessionZkSeed,
   tokenCategory32 = null,
   outIndex = 1,
   extraCtx = new Uint8Array(0),
@@ -406,7 +416,8 @@ function computeFundingEnvelope(
     throw new Error('amount must be non-negative');
   }
 
-  // Phase-1 CTv1 spec: seed = sha256(ephemPub33 || uint64le(amount))
+  // Phase-1 spec (CTv1 and CTv2): seed = sha256(ephemPub33 || uint64le(amount)),
+  // keyed with the RPA session zkSeed so only Alice and Bob can rebuild it
   const seed = sha256(concat(ephemPub33, uint64le(amountBig)));
 
   const {
@@ -414,9 +425,12 @@ function computeFundingEnvelope(
     proofHash,
     coreHashBytes,
     commitmentC33,
+    blinding,
   } = buildAmountProofEnvelope({
     value: amountBig,
     zkSeed: seed,
+    nonceMode: NONCE_MODE_RECOVERABLE,
+    sessionZkSeed,
     ephemPub33,
     assetId32: tokenCategory32,
     outIndex,
@@ -442,6 +456,7 @@ function computeFundingEnvelope(
     proofHashBytes,
     coreHashBytes,
     commitment33: commitmentC33, // used for NFT commitment
+    blinding,                    // r in C = v*H + r*G (sent to Bob in the note)
   };
 }
 
@@ -562,6 +577,17 @@ export async function demoPqVaultStub() {
 /* Main demo: Alice → covenant → Bob → Alice (RPA), then Alice spends RPA UTXO */
 /* --------------------------------------------------------------------------- */
 
+// Sender ("Alice") and receiver ("Bob") of the main demo: the built-in
+// wallets, or any two identities of the wallet file (identities.js)
+async function getDemoParties({ sender = null, receiver = null }) {
+  if (!sender && !receiver) return getWallets();
+  const store = await openIdentityStore();
+  const parties = { alice: store.get(sender ?? 'alice'), bob: store.get(receiver ?? 'bob') };
+  if (parties.alice.address === parties.bob.address) throw new Error('demo: sender and receiver must be different identities');
+  console.log(`[CLI] Sender: ${parties.alice.name}, receiver: ${parties.bob.name}`);
+  return parties;
+}
+
 export async function demoSilentTransfer(options = {}) {
   const { exportPsbt = false } = options;
   // Optional: key generation helper
@@ -576,16 +602,18 @@ export async function demoSilentTransfer(options = {}) {
     return;
   }
 
-  const { alice, bob } = await getWallets();
+  const { alice, bob } = await getDemoParties(options);
 
   let aliceRpaAddress = null;  // will be set when we parse Bob→Alice vout[0]
 
-  // For this demo, use single-key paycodes: scan == spend == base key
-  // RPA helper expects separate scan/spend privs, so we alias them.
-  alice.scanPrivBytes = alice.scanPrivBytes ?? alice.privBytes;
-  alice.spendPrivBytes = alice.spendPrivBytes ?? alice.privBytes;
-  bob.scanPrivBytes    = bob.scanPrivBytes ?? bob.privBytes;
-  bob.spendPrivBytes   = bob.spendPrivBytes ?? bob.privBytes;
+  // v2 paycodes: distinct scan and spend keys. Seed-backed wallets derive
+  // them from the seed (hd.js); raw-key wallets split them off the base key
+  // (spend = base key, scan = tagged hash of it; see derivePaycodeKeys).
+  for (const w of [alice, bob]) {
+    const { scanPrivBytes, spendPrivBytes } = derivePaycodeKeys(w.privBytes);
+    w.scanPrivBytes = w.scanPrivBytes ?? scanPrivBytes;
+    w.spendPrivBytes = w.spendPrivBytes ?? spendPrivBytes;
+  }
 
   const { bobPaycode, alicePaycode, derivedAddr } = setupPaycodesAndDerivation(
     alice,
@@ -602,12 +630,10 @@ export async function demoSilentTransfer(options = {}) {
 
   const derivedHash160 = getHash160FromAddress(derivedAddr);
 
-  // Extract Bob pubkey from paycode for encryption
-  const bobPubBytes = extractPubKeyFromPaycode(bobPaycode);
-  console.log(
-    '✅ Extracted Bob Public Key from Paycode (hex):',
-    bytesToHex(bobPubBytes),
-  );
+  // Bob's scan/spend pubkeys from his paycode
+  const { scanPub33: bobScanPubBytes, spendPub33: bobSpendPubBytes, labeled: bobLabeled } = parsePaycode(bobPaycode);
+  console.log('✅ Parsed Bob paycode scan pubkey  (hex):', bytesToHex(bobScanPubBytes));
+  console.log('✅ Parsed Bob paycode spend pubkey (hex):', bytesToHex(bobSpendPubBytes));
 
   /* ---------------------------------------------------------------------- */
   /* 1) Alice consolidates & prepares funding                               */
@@ -631,10 +657,9 @@ export async function demoSilentTransfer(options = {}) {
   // 1) Phase-1 ephemeral key for amount encryption, derived via shared helper.
   //    NOTE: no domainTag → bit-for-bit identical to the original inline derivation.
   const {
-    ephemPriv: aliceEphemPriv,
     ephemPub: aliceEphemPubBytes,
   } = deriveEphemeralKeypair({
-    basePub33: bobPubBytes,
+    basePub33: bobScanPubBytes,
     amount: sendAmount,
     txidHex: aliceUtxo.txid,
     vout: aliceUtxo.vout,
@@ -655,17 +680,19 @@ export async function demoSilentTransfer(options = {}) {
   // Outpoint for RPA shared secret: the UTXO Alice is spending into the covenant.
   const rpaPrevoutHashHex = aliceUtxo.txid;
   const rpaPrevoutN = aliceUtxo.vout;
-  const COVENANT_INDEX = 0; // reserved RPA index for covenant guard
+  const COVENANT_INDEX = RPA_COVENANT_INDEX; // reserved RPA index for covenant guard
 
   // Phase-1: treat this as a confidential-asset RPA lock intent.
   // - mode:     covenant + ZK + NFT
   // - sender:   Alice funding key (priv)
-  // - receiver: Bob paycode pub (scan/spend folded)
+  // - receiver: Bob paycode scan/spend pubs
   // - context:  funding input outpoint + index
   const sendIntent = deriveRpaLockIntent({
     mode: RPA_MODE_CONF_ASSET,
     senderPrivBytes: aliceSenderPriv,
-    receiverPub33: bobPubBytes,
+    receiverScanPub33: bobScanPubBytes,
+    receiverSpendPub33: bobSpendPubBytes,
+    labeled: bobLabeled,
     prevoutTxidHex: rpaPrevoutHashHex,
     prevoutN: rpaPrevoutN,
     index: COVENANT_INDEX,
@@ -681,7 +708,7 @@ export async function demoSilentTransfer(options = {}) {
 
   console.log('\n[2A] Alice derives Bob-only covenant guard key using RPA:');
   console.log('  - Sender priv e (Alice funding key)');
-  console.log('  - Receiver scan/spend Q/R (Bob’s paycode pubkey)');
+  console.log('  - Receiver scan/spend Q/R (Bob’s paycode pubkeys)');
   console.log('  - Outpoint = Alice funding input (txid:vout)');
   console.log('  - Index   =', COVENANT_INDEX);
   console.log('  => child pubkey (Bob covenant guard):', bytesToHex(bobCovGuardPub));
@@ -719,9 +746,6 @@ export async function demoSilentTransfer(options = {}) {
   }
   console.log('  ✅ Bob’s receiver-side RPA derivation matches Alice’s covenant guard key.');
 
-  // Encrypt amount to Bob (ephemeral + Bob static pub)
-  const encryptedAmount = encryptAmount(aliceEphemPriv, bobPubBytes, sendAmount);
-
   /* ---------------------------------------------------------------------- */
   /* 2) Build funding envelope and token                                     */
   /* ---------------------------------------------------------------------- */
@@ -731,9 +755,11 @@ export async function demoSilentTransfer(options = {}) {
     proofHashBytes,
     coreHashBytes,
     commitment33,
+    blinding: fundingBlinding,
   } = computeFundingEnvelope(
     aliceEphemPubBytes,
     sendAmount,
+    rpaSession.zkSeed, // keys the proof nonces and the commitment blinding
     categoryBytes, // tokenCategory32 / assetId32
     1,             // outIndex for the covenant output
   );  
@@ -746,6 +772,20 @@ export async function demoSilentTransfer(options = {}) {
   const { covenantBytecode, covenantScript } =
     createCovenant(bobCovGuardHash160, proofHashBytes);
 
+  // On-chain note for Bob (vout0): amount + blinding + category + ephemPub33,
+  // encrypted under the RPA session keys and bound to the RPA outpoint and vout1.
+  const fundingNote = encryptNote(
+    rpaSession,
+    { value: sendAmount, blinding: fundingBlinding, assetId: categoryBytes, ephemPub33: aliceEphemPubBytes },
+    { txid: rpaPrevoutHashHex, vout: rpaPrevoutN, outIndex: 1 },
+  );
+  const noteScript = buildNoteOpReturnScript({
+    outIndex: 1,
+    proofHash: proofHashBytes,
+    note: fundingNote,
+  });
+  console.log('CTN1 note output script:', noteScript.length, 'bytes');
+
   // Sanity check for Schnorr activation
   const tip = await getTipHeader(NETWORK);
   console.log('Tip Height:', tip.height, 'Timestamp:', tip.timestamp);
@@ -776,13 +816,14 @@ export async function demoSilentTransfer(options = {}) {
     alice.hash160,
     alice.privBytes,
     NETWORK,
+    { noteScript },
   );
 
   const fundingTxId = sendTxId; // for clarity in the final report
 
   console.log('\n[2B] Alice → covenant funding transaction');
   console.log('✅ Alice funded covenant TX:', sendTxId);
-  console.log('  vout[0]: dust → Bob base address (explorer-friendly marker)');
+  console.log('  vout[0]: OP_RETURN CTN1 note → proofHash + encrypted amount and ephemPub for Bob');
   console.log('  vout[1]: 100000 sats → covenant P2SH + CashToken NFT');
   console.log('  vout[2]: change → Alice base wallet address (no RPA self-change yet)');
   console.log('  (In next phases, solution to shield change address will be developed.)');
@@ -802,7 +843,7 @@ export async function demoSilentTransfer(options = {}) {
     });
 
     // Minimal PSBT-like structure: we only care about outputs + unknownKeyVals.
-    //  - outputs[0] = marker to Bob
+    //  - outputs[0] = CTN1 note to Bob
     //  - outputs[1] = covenant P2SH + NFT (our RPA/conf-asset focus)
     //  - outputs[2] = Alice change
     const psbtLike = {
@@ -849,30 +890,22 @@ export async function demoSilentTransfer(options = {}) {
   const txDetails = await getTxDetails(sendTxId, NETWORK);
 
   /* ---------------------------------------------------------------------- */
-  /* 4) Off-chain: Bob receives ephemPub + ciphertext & decrypts amount     */
+  /* 4) Bob recovers ephemPub + amount from the funding tx alone            */
   /* ---------------------------------------------------------------------- */
 
-  const ephemPubReceived = aliceEphemPubBytes;
-  const encryptedAmountReceived = encryptedAmount;
-
-  let decryptedAmountStr;
-  let decryptedAmount;
-  try {
-    decryptedAmountStr = decryptAmount(
-      bob.privBytes,
-      ephemPubReceived,
-      encryptedAmountReceived,
-    );
-    console.log('Decrypted raw string:', decryptedAmountStr);
-    const parsed = JSON.parse(decryptedAmountStr);
-    if (typeof parsed.v !== 'number') {
-      throw new Error('Invalid decrypted format (expected {"v": <number>})');
-    }
-    decryptedAmount = parsed.v;
-    console.log('Decrypted amount:', decryptedAmount);
-  } catch (err) {
-    console.error('Decryption failed:', err);
-    throw err;
+  const recoveredNote = recoverNoteFromFundingTx(txDetails, {
+    scanPrivBytes: bob.scanPrivBytes,
+    spendPrivBytes: bob.spendPrivBytes,
+    index: COVENANT_INDEX,
+  });
+  const ephemPubReceived = recoveredNote.ephemPub33;
+  const decryptedAmount = Number(recoveredNote.value);
+  console.log('Recovered CTN1 note from funding vout', recoveredNote.vout);
+  console.log('  amount (sats):', decryptedAmount);
+  console.log('  ephemPub33   :', bytesToHex(ephemPubReceived));
+  console.log('  proofHash    :', bytesToHex(recoveredNote.proofHash));
+  if (!arraysEqual(recoveredNote.proofHash, proofHashBytes)) {
+    throw new Error('Funding note proofHash does not match the covenant anchor');
   }
 
   // Bob consolidates his UTXOs (for fees)
@@ -899,23 +932,33 @@ export async function demoSilentTransfer(options = {}) {
   /* 6) Bob re-generates proof off-chain for his own verification           */
   /* ---------------------------------------------------------------------- */
 
-  // Same deterministic seed as funding phase:
+  // Same seed as funding phase, keyed with the session zkSeed Bob recovered
+  // with the note:
   //   seed = sha256(ephemPub33 || uint64le(amount))
   const seed = sha256(concat(ephemPubReceived, uint64le(decryptedAmount)));
 
-  // Rebuild the *core* Sigma proof (no envelope)
-  const regeneratedProof = generateSigmaRangeProof(decryptedAmount, seed);
-  const regeneratedProofBytes = serializeProof(regeneratedProof);
-
-  // Hash of regenerated core proof
-  const regeneratedCoreHashBytes = computeProofHash(regeneratedProofBytes);
+  // Rebuild the whole envelope: in CTv2 the core proof's challenges bind the
+  // header, so Bob must use the same assetId32 / outIndex as the funding side.
+  const {
+    coreHashBytes: regeneratedCoreHashBytes,
+    proofHash: regeneratedProofHash,
+    commitmentC33: regeneratedCommitment,
+    blinding: regeneratedBlinding,
+  } = buildAmountProofEnvelope({
+    value: BigInt(decryptedAmount),
+    zkSeed: seed,
+    nonceMode: NONCE_MODE_RECOVERABLE,
+    sessionZkSeed: recoveredNote.session.zkSeed,
+    ephemPub33: ephemPubReceived,
+    assetId32: categoryBytes,
+    outIndex: 1,
+  });
   const regeneratedCoreHashHex   = bytesToHex(regeneratedCoreHashBytes);
 
   // Original hashes from funding step
   const originalCoreHashHex   = bytesToHex(coreHashBytes);   // hash256(coreProofBytes)
   const originalProofHashHex  = bytesToHex(proofHashBytes);  // hash256(envelope)
 
-  const regeneratedCommitment = regeneratedProof.C_bytes;
   const nftCommitment         = covenantUtxo.token_data.nft.commitment;
 
   console.log('--- Bob verification of confidential asset ---');
@@ -923,18 +966,37 @@ export async function demoSilentTransfer(options = {}) {
   console.log('  regenerated coreHash (hash256(regenProofBytes)):', regeneratedCoreHashHex);
   console.log('  original proofHash (hash256(envelope)):        ', originalProofHashHex);
 
+  if (!verifyAmountProofEnvelope(fundingEnvelope)) {
+    throw new Error('Funding envelope range proof does not verify');
+  }
+
   if (!arraysEqual(regeneratedCommitment, nftCommitment)) {
     throw new Error('Regenerated commitment does not match NFT commitment');
   }
+  if (regeneratedBlinding !== recoveredNote.blinding) {
+    throw new Error('Regenerated blinding does not match the blinding in the funding note');
+  }
   console.log('✅ Regenerated commitment matches NFT commitment in token prefix');
 
   // This is the *intended* binding: Bob must see the same core proof hash
-  // that Alice committed to when minting the NFT.
-  if (regeneratedCoreHashHex !== originalCoreHashHex) {
+  // (and envelope hash) that Alice committed to when minting the NFT.
+  if (regeneratedCoreHashHex !== originalCoreHashHex ||
+      bytesToHex(regeneratedProofHash) !== originalProofHashHex) {
     throw new Error('Regenerated core proofHash does not match original funding coreHash');
   }
   console.log('✅ Regenerated core proofHash matches original funding coreHash');
 
+  // Compact ownership proof for signers / auditors: knowledge of (v, r) for the
+  // NFT commitment, bound to the covenant outpoint (no range proof needed).
+  const ownershipCtx = { txid: covenantUtxo.tx_hash, vout: covenantUtxo.tx_pos, outIndex: 0 };
+  const ownershipProof = serializeOpeningProof(
+    generateOpeningProof({ value: decryptedAmount, blinding: regeneratedBlinding, ...ownershipCtx }),
+  );
+  if (!verifyOpeningProof(nftCommitment, deserializeOpeningProof(ownershipProof), ownershipCtx)) {
+    throw new Error('Opening proof for the NFT commitment does not verify');
+  }
+  console.log('✅ Opening proof for NFT commitment (', ownershipProof.length, 'bytes):', bytesToHex(ownershipProof));
+
   /* ---------------------------------------------------------------------- */
   /* 7) Bob spends covenant → Alice (RPA/paycode-derived address)          */
   /* ---------------------------------------------------------------------- */
@@ -943,8 +1005,6 @@ export async function demoSilentTransfer(options = {}) {
     bob,
     covenantUtxo,
     alicePaycode,
-    ephemPubReceived,
-    encryptedAmountReceived,
     NETWORK,
   );
   
@@ -991,26 +1051,24 @@ export async function demoSilentTransfer(options = {}) {
     aliceRpaAddress,
   );
   
-  // RPA receiver side:
-  // In a full wallet, Alice would parse Bob's sender pubkey from the input
-  // scriptSig and use its outpoint. In this demo, we reuse the known context
-  // that Bob returned from buildBobReturnTx.
-  const { senderPrivBytes, prevoutHashHex, prevoutN } = rpaSenderContext;
-
-  // Sender pub P from Bob's input (recomputed from priv for the demo)
-  const senderPub33 = secp256k1.getPublicKey(senderPrivBytes, true);
-
-  // Use RPA helper to derive Alice's one-time private key
-  const { oneTimePriv } = deriveRpaOneTimePrivReceiver(
-    alice.scanPrivBytes,
-    alice.spendPrivBytes,
-    senderPub33,
-    prevoutHashHex,
-    prevoutN,
-    0
-  );
+  // RPA receiver side: Alice scans Bob's return tx like any other incoming
+  // tx (scanner.js): sender pubkey from each P2PKH input scriptSig, its
+  // outpoint, and a window of derivation indices.
+  const aliceMatch = scanTransaction(
+    returnDetails,
+    { scanPrivBytes: alice.scanPrivBytes, spendPrivBytes: alice.spendPrivBytes },
+    { txid: returnTxId },
+  ).find((m) => m.vout === 0);
+  if (!aliceMatch) {
+    throw new Error('Scanner did not find Alice’s RPA output in Bob’s return tx');
+  }
+  // Cross-check against the context Bob used when deriving the address
+  if (aliceMatch.prevoutTxidHex !== rpaSenderContext.prevoutHashHex ||
+      aliceMatch.prevoutN !== rpaSenderContext.prevoutN) {
+    throw new Error('Scanner matched a different RPA context than Bob used');
+  }
 
-  const aliceDerivedPriv = oneTimePriv;
+  const aliceDerivedPriv = aliceMatch.oneTimePriv;
   const aliceDerivedPubCheck = secp256k1.getPublicKey(aliceDerivedPriv, true);
   const hash160AliceDerived = _hash160(aliceDerivedPubCheck);
 
@@ -1090,6 +1148,50 @@ export async function demoSilentTransfer(options = {}) {
   });
 }
 
+/* -------------------------------------------------------------------------- */
+/* Paying a payment request                                                   */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Pay a payment request (URI or JSON file, payment_requests.js) from a funded
+ * wallet: the same covenant funding as step 1 of the main demo, sent to the
+ * request's paycode and matched to its terms. Writes the payment proof the
+ * payee checks with verifyPaymentProof().
+ */
+// A UTXO holding a minting or mutable NFT of `category`, to pay a request
+// that names it (payment_requests.js)
+async function findCategoryUtxo(address, category) {
+  const utxos = await getUtxos(address, NETWORK);
+  const utxo = utxos.find(
+    (u) => u.token_data?.category === category && ['minting', 'mutable'].includes(u.token_data.nft?.capability),
+  );
+  if (!utxo) {
+    throw new Error(`No UTXO at ${address} holds a minting or mutable NFT of category ${category}; the request asks for that category.`);
+  }
+  return utxo;
+}
+
+export async function demoPayRequest(source, options = {}) {
+  const { sender: senderName = null, amount = null } = options;
+  const request = loadPaymentRequest(source);
+  const sender = senderName ? (await openIdentityStore()).get(senderName) : (await getWallets()).alice;
+
+  logSection(`Paying payment request from ${senderName ?? 'alice'}`);
+  const { category } = verifyPaymentRequest(request);
+  const utxo = category
+    ? await findCategoryUtxo(sender.address, category)
+    : await ensureFundedUtxo(sender.address, sender.privBytes, senderName ?? 'Alice');
+  const { txid, proof, prepared } = await sendPaymentRequest(request, { sender, utxo, amount });
+
+  const proofFile = `payment-proof-${proof.requestId}.json`;
+  fs.writeFileSync(proofFile, JSON.stringify(proof, null, 2));
+  console.log(`\n✅ Paid request ${proof.requestId}: ${prepared.value} sats in ${txid}`);
+  if (prepared.terms.amountMin !== null) {
+    console.log(`  amount proven in [${prepared.terms.amountMin}, ${prepared.terms.amountMax}] (interval proof)`);
+  }
+  console.log(`  payment proof for the payee: ${proofFile}`);
+}
+
 /* -------------------------------------------------------------------------- */
 /* CLI entrypoint                                                             */
 /* -------------------------------------------------------------------------- */
@@ -1117,6 +1219,33 @@ async function mainCli(argv) {
     return;
   }
 
+  // Wallet file commands: `node demo.js wallet <unlock|lock|passwd|migrate|status>`
+  if (argv[2] === 'wallet') {
+    await walletCli(argv.slice(3));
+    return;
+  }
+
+  // Identity store: `node demo.js identity <list|show|create|import|export|delete> ...`
+  if (argv[2] === 'identity') {
+    await identityCli(argv.slice(3));
+    return;
+  }
+
+  // Payment requests: `node demo.js request <create|show|pay> ...`
+  if (argv[2] === 'request') {
+    const args = argv.slice(3);
+    if (args[0] !== 'pay') {
+      await paymentRequestCli(args);
+      return;
+    }
+    const at = args.indexOf('--sender');
+    const sender = at < 0 ? null : args[at + 1];
+    const [source, amount = null] = args.filter((_, i) => i > 0 && (at < 0 || (i !== at && i !== at + 1)));
+    if (!source) throw new Error('usage: request pay <uri | file> [sats] [--sender <name>]');
+    await demoPayRequest(source, { sender, amount });
+    return;
+  }
+
   const program = new Command();
   program
     .name('pz-sqh-demo')
@@ -1128,6 +1257,8 @@ async function mainCli(argv) {
       'RPA mode: conf-asset | stealth-p2pkh | pq-vault',
       RPA_MODE_CONF_ASSET,
     )
+    .option('--sender <name>', 'identity that funds the covenant (default: alice)')
+    .option('--receiver <name>', 'identity the covenant pays (default: bob)')
     .option(
       '--export-psbt',
       'Export a PSBT-like structure (with RPA metadata) instead of just running the on-chain demo',
@@ -1152,7 +1283,7 @@ async function mainCli(argv) {
     await demoPqVaultStub();
   } else {
     // Default / full confidential-asset demo
-    await demoSilentTransfer({ exportPsbt });
+    await demoSilentTransfer({ exportPsbt, sender: opts.sender, receiver: opts.receiver });
   }
 }
 
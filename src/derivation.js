@@ -21,7 +21,8 @@
  *   - The chain only sees the child pubkey / hash160; paycodes never appear on-chain.
  *
  * Phase-1 notes:
- *   - For the demo, scan/spend are folded together; production should keep them distinct.
+ *   - v2 paycodes (paycodes.js) carry distinct scan/spend pubkeys; v1 paycodes
+ *     fold both into one key, which deriveRpaLockIntent still accepts.
  *   - deriveRpaLockIntent is the unified entry point used by all higher-level flows:
  *       • conf-asset: covenant-guarded confidential transfers,
  *       • stealth-p2pkh: simple stealth sends without a covenant,
@@ -74,6 +75,19 @@ export const RPA_MODE_CONF_ASSET = 'confidential-asset';
 export const RPA_MODE_STEALTH_P2PKH = 'stealth-p2pkh';
 export const RPA_MODE_PQ_VAULT = 'pq-vault';
 
+// Which sender key + outpoint a payment's shared secret is derived from:
+// - 'input':     one designated P2PKH input (EC-compatible; default input 0)
+// - 'aggregate': the sum of every P2PKH input key and the smallest outpoint
+//                among those inputs (silent-payments style); needs the private
+//                keys of all P2PKH inputs in one place.
+// With a single P2PKH input both give the same secret.
+export const RPA_CONTEXT_INPUT = 'input';
+export const RPA_CONTEXT_AGGREGATE = 'aggregate';
+
+// Index reserved for the covenant guard key of a confidential-asset funding
+// (send_return.js / demo.js); further outputs to the same paycode use 1, 2, ...
+export const RPA_COVENANT_INDEX = 0;
+
 /**
  * RPA derivation metadata — PSBT-friendly (Phase-1 helper).
  *
@@ -121,10 +135,14 @@ export function buildRpaContext({
  * @param {{
  *   mode: 'confidential-asset'|'stealth-p2pkh'|'pq-vault',
  *   senderPrivBytes: Uint8Array,      // sender secret scalar e
- *   receiverPub33: Uint8Array,       // 33-byte pub from paycode (scan/spend folded for demo)
+ *   receiverScanPub33?: Uint8Array,  // scan pub Q from the paycode (parsePaycode)
+ *   receiverSpendPub33?: Uint8Array, // spend pub R from the paycode
+ *   receiverPub33?: Uint8Array,      // single-key (v1) paycode: used as both Q and R
  *   prevoutTxidHex: string,          // BE hex txid of RPA context input
  *   prevoutN: number,                // vout of RPA context input
  *   index?: number,                  // derivation index for multiple outputs
+ *   labeled?: boolean,               // receiverSpendPub33 is from a labeled paycode
+ *   labelTweak?: Uint8Array,         // or: pay this label (rpaLabelTweak) of a plain spend pub
  *   extraCtx?: Uint8Array            // optional extra domain separation for PQ/asset IDs
  * }} params
  */
@@ -132,12 +150,19 @@ export function deriveRpaLockIntent(params) {
   const {
     mode,
     senderPrivBytes,
-    receiverPub33,
+    receiverPub33 = null,
+    receiverScanPub33 = receiverPub33,
+    receiverSpendPub33 = receiverPub33,
     prevoutTxidHex,
     prevoutN,
     index = 0,
+    labeled = false,
+    labelTweak = null,
     extraCtx = new Uint8Array(0),
   } = params;
+  if (!receiverScanPub33 || !receiverSpendPub33) {
+    throw new Error('deriveRpaLockIntent: need receiverScanPub33 + receiverSpendPub33 (or receiverPub33)');
+  }
 
   // Sender pubkey P for the RPA context (derived from senderPrivBytes).
   const senderPub33 = secp256k1.getPublicKey(senderPrivBytes, true);
@@ -149,11 +174,12 @@ export function deriveRpaLockIntent(params) {
     sharedSecret,
   } = deriveRpaOneTimeAddressSender(
     senderPrivBytes,
-    receiverPub33, // scan Q (demo: paycode pub used as both scan & spend)
-    receiverPub33, // spend R
+    receiverScanPub33,  // scan Q
+    receiverSpendPub33, // spend R
     prevoutTxidHex,
     prevoutN,
     index,
+    { labeled, labelTweak },
   );
 
   const { amountKey, memoKey, zkSeed } = deriveRpaSessionKeys(
@@ -187,6 +213,180 @@ export function deriveRpaLockIntent(params) {
   };
 }
 
+/* -------------------------------------------------------------------------- */
+/* Multi-input / multi-output payments                                        */
+/* -------------------------------------------------------------------------- */
+
+// Outpoint as serialized on-chain: txid (LE) || vout (uint32 LE)
+function serializeOutpoint(txidHex, vout) {
+  const b = new Uint8Array(36);
+  b.set(hexToBytes(txidHex).reverse(), 0);
+  new DataView(b.buffer).setUint32(32, vout, true);
+  return b;
+}
+
+/**
+ * Smallest outpoint of a set, comparing the serialized outpoints bytewise (as
+ * BIP352 does). It names the aggregate RPA context, so both sides must pick
+ * the same one regardless of input order.
+ *
+ * @param {{ txid: string, vout: number }[]} outpoints
+ * @returns {{ txid: string, vout: number }}
+ */
+export function smallestOutpoint(outpoints) {
+  if (!outpoints.length) throw new Error('smallestOutpoint: no outpoints');
+  let best = null;
+  let bestBytes = null;
+  for (const op of outpoints) {
+    const bytes = serializeOutpoint(op.txid, Number(op.vout));
+    let cmp = 0;
+    for (let i = 0; bestBytes && i < 36 && cmp === 0; i++) cmp = bytes[i] - bestBytes[i];
+    if (!bestBytes || cmp < 0) {
+      best = { txid: op.txid, vout: Number(op.vout) };
+      bestBytes = bytes;
+    }
+  }
+  return best;
+}
+
+/**
+ * Sender side of the aggregate context: sum the private keys of all P2PKH
+ * inputs. Keys are used as-is: the receiver sums the pubkeys found in the
+ * scriptSigs, which are the pubkeys of exactly these keys.
+ *
+ * @param {{ privBytes: Uint8Array, txid: string, vout: number }[]} inputs
+ * @returns {{ privBytes: Uint8Array, pub33: Uint8Array, prevoutTxidHex: string, prevoutN: number }}
+ */
+export function aggregateRpaInputKeys(inputs) {
+  if (!inputs.length) throw new Error('aggregateRpaInputKeys: no inputs');
+  const n = curveOrder();
+  let sum = 0n;
+  for (const { privBytes } of inputs) {
+    if (!(privBytes instanceof Uint8Array) || privBytes.length !== 32) {
+      throw new Error('aggregateRpaInputKeys: every input needs privBytes (32 bytes)');
+    }
+    sum = (sum + bytesToBigInt(privBytes)) % n;
+  }
+  if (sum === 0n) throw new Error('aggregateRpaInputKeys: input keys sum to zero; use a designated input');
+  const privBytes = bigIntToBytes(sum, 32);
+  const { txid, vout } = smallestOutpoint(inputs);
+  return { privBytes, pub33: secp256k1.getPublicKey(privBytes, true), prevoutTxidHex: txid, prevoutN: vout };
+}
+
+/**
+ * Receiver side of the aggregate context: sum the sender pubkeys of all
+ * P2PKH inputs. Returns null when they cancel out (no aggregate context).
+ *
+ * @param {{ pub33: Uint8Array, txid: string, vout: number }[]} inputs
+ * @returns {{ pub33: Uint8Array, prevoutTxidHex: string, prevoutN: number }|null}
+ */
+export function aggregateRpaInputPubs(inputs) {
+  if (!inputs.length) throw new Error('aggregateRpaInputPubs: no inputs');
+  let sum = secp256k1.Point.ZERO;
+  for (const { pub33 } of inputs) sum = sum.add(secp256k1.Point.fromHex(bytesToHex(pub33)));
+  if (sum.equals(secp256k1.Point.ZERO)) return null;
+  const { txid, vout } = smallestOutpoint(inputs);
+  return { pub33: sum.toBytes(true), prevoutTxidHex: txid, prevoutN: vout };
+}
+
+/**
+ * Derive the outputs of one payment to several recipients (the same paycode
+ * more than once, or different paycodes) from several sender inputs.
+ *
+ * Indexes increment per receiver: the k-th output to the same scan/spend key
+ * pair uses indexStart + k. Receivers scan a window of indexes past every
+ * match (scanner.js), so any number of outputs to them is found.
+ *
+ * @param {{
+ *   mode: string,                      // RPA_MODE_*
+ *   inputs: { privBytes: Uint8Array, txid: string, vout: number }[],
+ *                                      // all P2PKH inputs of the tx
+ *   recipients: {
+ *     scanPub33?: Uint8Array, spendPub33?: Uint8Array,
+ *     receiverPub33?: Uint8Array,      // single-key (v1) paycode
+ *     labeled?: boolean,               // labeled paycode (PAYCODE_FLAG_LABELED)
+ *     paycodeId?: string,
+ *     value?: number|bigint,
+ *   }[],
+ *   context?: 'input'|'aggregate',     // default RPA_CONTEXT_AGGREGATE
+ *   designatedInput?: number,          // RPA_CONTEXT_INPUT: which input (default 0)
+ *   indexStart?: number,               // first index per receiver (default 0)
+ * }} params
+ * @returns {{
+ *   context: { kind: string, inputIndex: number|null, senderPub33: Uint8Array,
+ *              prevoutTxidHex: string, prevoutN: number },
+ *   outputs: { recipient: number, value: number|bigint|undefined, index: number,
+ *              childHash160: Uint8Array, intent: ReturnType<typeof deriveRpaLockIntent> }[],
+ * }}
+ */
+export function deriveRpaPayments(params) {
+  const {
+    mode,
+    inputs,
+    recipients,
+    context = RPA_CONTEXT_AGGREGATE,
+    designatedInput = 0,
+    indexStart = 0,
+  } = params;
+  if (!Array.isArray(inputs) || inputs.length === 0) throw new Error('deriveRpaPayments: need at least one input');
+  if (!Array.isArray(recipients) || recipients.length === 0) throw new Error('deriveRpaPayments: need at least one recipient');
+
+  let sender;
+  if (context === RPA_CONTEXT_AGGREGATE) {
+    const agg = aggregateRpaInputKeys(inputs);
+    sender = { kind: context, inputIndex: null, ...agg };
+  } else if (context === RPA_CONTEXT_INPUT) {
+    const input = inputs[designatedInput];
+    if (!input) throw new Error(`deriveRpaPayments: no designated input ${designatedInput}`);
+    sender = {
+      kind: context,
+      inputIndex: designatedInput,
+      privBytes: input.privBytes,
+      pub33: secp256k1.getPublicKey(input.privBytes, true),
+      prevoutTxidHex: input.txid,
+      prevoutN: Number(input.vout),
+    };
+  } else {
+    throw new Error(`deriveRpaPayments: unknown context ${context}`);
+  }
+
+  const nextIndex = new Map();
+  const outputs = recipients.map((r, recipient) => {
+    const scanPub33 = r.scanPub33 ?? r.receiverPub33;
+    const spendPub33 = r.spendPub33 ?? r.receiverPub33;
+    if (!scanPub33 || !spendPub33) {
+      throw new Error(`deriveRpaPayments: recipient ${recipient} needs scanPub33 + spendPub33 (or receiverPub33)`);
+    }
+    const receiverKey = bytesToHex(scanPub33) + bytesToHex(spendPub33);
+    const index = nextIndex.get(receiverKey) ?? indexStart;
+    nextIndex.set(receiverKey, index + 1);
+
+    const intent = deriveRpaLockIntent({
+      mode,
+      senderPrivBytes: sender.privBytes,
+      receiverScanPub33: scanPub33,
+      receiverSpendPub33: spendPub33,
+      prevoutTxidHex: sender.prevoutTxidHex,
+      prevoutN: sender.prevoutN,
+      index,
+      labeled: !!r.labeled,
+      paycodeId: r.paycodeId ?? null,
+    });
+    return { recipient, value: r.value, index, childHash160: intent.childHash160, intent };
+  });
+
+  return {
+    context: {
+      kind: sender.kind,
+      inputIndex: sender.inputIndex,
+      senderPub33: sender.pub33,
+      prevoutTxidHex: sender.prevoutTxidHex,
+      prevoutN: sender.prevoutN,
+    },
+    outputs,
+  };
+}
+
 /**
  * JS port of EC's _calculate_paycode_shared_secret:
  *
@@ -288,12 +488,52 @@ export function ckdPrivFromSecret(parentPriv, chainCode, index = 0) {
   return bigIntToBytes(childPrivBig, 32);
 }
 
+/**
+ * The additive tweak behind ckdPubFromSecret / ckdPrivFromSecret:
+ *   child pub  = parent pub + tweak·G
+ *   child priv = parent priv + tweak (mod n)
+ * It needs only the parent *public* key, so a watch-only wallet (scan key +
+ * spend pubkey) can hand it to the spend-key holder without ever being able
+ * to spend.
+ *
+ * Returns Uint8Array(32) tweak scalar.
+ */
+export function ckdTweakFromSecret(parentPub33, chainCode, index = 0) {
+  if (!(parentPub33 instanceof Uint8Array) || parentPub33.length !== 33) {
+    throw new Error('parentPub33 must be 33-byte compressed pubkey');
+  }
+  if (!(chainCode instanceof Uint8Array) || chainCode.length !== 32) {
+    throw new Error('chainCode must be 32-byte Uint8Array');
+  }
+  const I = hmacSHA512(chainCode, concat(parentPub33, uint32be(index)));
+  return bigIntToBytes(bytesToBigInt(I.slice(0, 32)) % curveOrder(), 32);
+}
+
+/**
+ * Child private key from a ckdTweakFromSecret() tweak: parent priv + tweak mod n.
+ */
+export function applyCkdTweak(parentPriv, tweak32) {
+  if (!(parentPriv instanceof Uint8Array) || parentPriv.length !== 32) {
+    throw new Error('parentPriv must be 32-byte Uint8Array');
+  }
+  if (!(tweak32 instanceof Uint8Array) || tweak32.length !== 32) {
+    throw new Error('tweak must be 32-byte Uint8Array');
+  }
+  const n = curveOrder();
+  return bigIntToBytes((bytesToBigInt(parentPriv) + bytesToBigInt(tweak32)) % n, 32);
+}
+
 /**
  * Sender-side: derive one-time P2PKH address from:
  *  - sender input priv (e),
  *  - receiver scan/spend pubkeys (Q,R),
  *  - outpoint (prevout_hash, prevout_n),
- *  - index (usually 0).
+ *  - index (usually 0),
+ *  - opts.labeled: R is a labeled paycode's spend pub (PAYCODE_FLAG_LABELED),
+ *    which already has the label point m·G added,
+ *  - opts.labelTweak: label scalar m (rpaLabelTweak) when paying a label of
+ *    an unlabeled spend pub, e.g. a wallet's own labeled change.
+ * Labeled children are R + t·G with t = rpaLabeledChildTweak() (see below).
  *
  * Returns { address, childPubkey, childHash160, sharedSecret }.
  */
@@ -303,12 +543,19 @@ export function deriveRpaOneTimeAddressSender(
   spendPub33,
   prevoutHashHex,
   prevoutN,
-  index = 0
+  index = 0,
+  opts = {}
 ) {
   const outpointStr = `${prevoutHashHex}${String(prevoutN)}`;
   const sharedSecret = calculatePaycodeSharedSecret(senderPrivBytes, scanPub33, outpointStr);
 
-  const childPubkey = ckdPubFromSecret(spendPub33, sharedSecret, index);
+  let childPubkey;
+  if (opts.labeled || opts.labelTweak) {
+    const labeledPub33 = opts.labelTweak ? labelSpendPub(spendPub33, opts.labelTweak) : spendPub33;
+    childPubkey = tweakPub(labeledPub33, rpaLabeledChildTweak(scanPub33, sharedSecret, index));
+  } else {
+    childPubkey = ckdPubFromSecret(spendPub33, sharedSecret, index);
+  }
   const childHash160 = _hash160(childPubkey);
 
   const prefix = NETWORK === 'mainnet' ? 'bitcoincash' : 'bchtest';
@@ -323,7 +570,8 @@ export function deriveRpaOneTimeAddressSender(
  *  - spendPriv (f),
  *  - senderPub33 (P from scriptsig),
  *  - outpoint,
- *  - index (0).
+ *  - index (0),
+ *  - opts.label: the label the payment was sent to (null = unlabeled paycode).
  *
  * Returns { oneTimePriv, sharedSecret }.
  */
@@ -333,12 +581,74 @@ export function deriveRpaOneTimePrivReceiver(
   senderPub33,
   prevoutHashHex,
   prevoutN,
-  index = 0
+  index = 0,
+  opts = {}
 ) {
   const outpointStr = `${prevoutHashHex}${String(prevoutN)}`;
   const sharedSecret = calculatePaycodeSharedSecret(scanPrivBytes, senderPub33, outpointStr);
-  const oneTimePriv = ckdPrivFromSecret(spendPrivBytes, sharedSecret, index);
-  return { oneTimePriv, sharedSecret };
+  if (opts.label == null) return { oneTimePriv: ckdPrivFromSecret(spendPrivBytes, sharedSecret, index), sharedSecret };
+  const labeledPriv = labelSpendPriv(spendPrivBytes, rpaLabelTweak(scanPrivBytes, opts.label));
+  const tweak = rpaLabeledChildTweak(secp256k1.getPublicKey(scanPrivBytes, true), sharedSecret, index);
+  return { oneTimePriv: applyCkdTweak(labeledPriv, tweak), sharedSecret };
+}
+
+/* ------------------------------------------------------------------------ */
+/* Paycode labels (silent-payments style)                                    */
+/* ------------------------------------------------------------------------ */
+
+// A label is a number 1..2^32-1 picked by the receiver (0 / null = no label).
+// Its scalar m = SHA256(tag || scanPriv || uint32be(label)) mod n needs the
+// scan key, so only the receiver can compute it. The labeled paycode keeps
+// the scan pub, swaps the spend pub for spend pub + m·G and sets
+// PAYCODE_FLAG_LABELED. Its children add the label after the CKD tweak:
+//   child = spend pub + t·G + m·G,  t = rpaLabeledChildTweak(scan pub, secret, i)
+// t hashes the scan pub instead of the (labeled) spend pub, so it is the same
+// for every label: a scanner derives it once per index, then tries each label
+// with one point addition. Labeled paycodes share the scan pub, so they are
+// visibly related to each other; they attribute payments, not hide the payee.
+export const RPA_LABEL_TAG = 'BCH-CT/paycode/label';
+export const RPA_LABEL_MAX = 0xffffffff;
+
+export function assertRpaLabel(where, label) {
+  if (!Number.isInteger(label) || label < 1 || label > RPA_LABEL_MAX) {
+    throw new Error(`${where}: label must be an integer in [1, 2^32), got ${label}`);
+  }
+}
+
+/** Label scalar m (32 bytes) of `label` under a paycode's scan key. */
+export function rpaLabelTweak(scanPrivBytes, label) {
+  if (!(scanPrivBytes instanceof Uint8Array) || scanPrivBytes.length !== 32) {
+    throw new Error('rpaLabelTweak: scanPrivBytes must be 32-byte Uint8Array');
+  }
+  assertRpaLabel('rpaLabelTweak', label);
+  const m = bytesToBigInt(sha256(concat(new TextEncoder().encode(RPA_LABEL_TAG), scanPrivBytes, uint32be(label)))) % curveOrder();
+  if (m === 0n) throw new Error('rpaLabelTweak: zero label scalar');
+  return bigIntToBytes(m, 32);
+}
+
+// pub + tweak·G
+function tweakPub(pub33, tweak32) {
+  const t = bytesToBigInt(tweak32) % curveOrder();
+  return secp256k1.Point.fromHex(bytesToHex(pub33)).add(secp256k1.Point.BASE.multiply(t)).toBytes(true);
+}
+
+/** Labeled spend pubkey: spendPub + m·G. */
+export function labelSpendPub(spendPub33, labelTweak) {
+  return tweakPub(spendPub33, labelTweak);
+}
+
+/** Labeled spend private key: spendPriv + m (mod n). */
+export function labelSpendPriv(spendPrivBytes, labelTweak) {
+  return applyCkdTweak(spendPrivBytes, labelTweak);
+}
+
+/**
+ * CKD tweak t of a labeled child (child = labeled spend pub + t·G). Same
+ * HMAC as ckdTweakFromSecret, keyed on the scan pub so it does not depend on
+ * the label.
+ */
+export function rpaLabeledChildTweak(scanPub33, sharedSecret, index = 0) {
+  return ckdTweakFromSecret(scanPub33, sharedSecret, index);
 }
 
 /**
@@ -360,6 +670,9 @@ export function deriveRpaSessionKeys(sharedSecret, txidHex = '', vout = 0) {
 }
 
 // ------------ Legacy ephem-based helpers (Phase 1 demo) ------------
+// AES-CTR without authentication: a tampered ciphertext decrypts to garbage
+// instead of failing. New code should encrypt notes with notes.js under the
+// session keys above.
 
 export function encryptAmount(ephemPrivBytes, receiverPubBytes, amount) {
   if (typeof amount !== 'number' || amount <= 0) {
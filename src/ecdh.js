@@ -33,7 +33,8 @@ export function deriveBlindAndKey(priv32, pub33, ctx /* Uint8Array */ = new Uint
   return { r, encKey };
 }
 
-// Minimal stream cipher (counter-mode SHA-256)
+// Minimal stream cipher (counter-mode SHA-256). Confidentiality only, no MAC;
+// use notes.js (AES-GCM) for anything that must detect tampering.
 export function streamXor(key32 /* Uint8Array(32) */, nonce /* Uint8Array */, msg /* Uint8Array */) {
   const out = new Uint8Array(msg.length);
   let counter = 0, off = 0;
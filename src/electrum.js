@@ -375,4 +375,67 @@ export async function getTipHeader(network) {
   } finally {
     await client.disconnect();
   }
-}
\ No newline at end of file
+}
+/* ========================================================================== */
+/* RPA prefix queries (blockchain.rpa.*)                                      */
+/* ========================================================================== */
+// Servers with an RPA index (Fulcrum) answer "which transactions have a txid
+// starting with this prefix" for a height range or the mempool. Senders grind
+// the txid to the receiver's paycode prefix (tx.js signInputWithRpaPrefix), so
+// a receiver only downloads ~1/2^prefixBits of the chain instead of all of it.
+
+function assertRpaPrefixHex(fn, prefixHex) {
+  if (typeof prefixHex !== 'string' || !/^[0-9a-f]{1,4}$/.test(prefixHex)) {
+    throw new Error(`${fn}: prefixHex must be 1-4 lowercase hex digits`);
+  }
+}
+
+async function withElectrum(network, client, fn) {
+  const c = client ?? (await connectElectrum(network));
+  try {
+    return await fn(c);
+  } finally {
+    if (!client) await c.disconnect();
+  }
+}
+
+/**
+ * Confirmed transactions whose txid starts with `prefixHex`, heights
+ * fromHeight..toHeight inclusive (the server range is end-exclusive).
+ *
+ * @param {string} prefixHex - paycodes.js rpaPrefixFromPaycode()
+ * @param {number} fromHeight
+ * @param {number} toHeight
+ * @param {{ network?: string, client?: object }} [opts]
+ *   - client: connected client to reuse (left connected); otherwise one is
+ *     opened and closed for this call
+ * @returns {Promise<{ txid: string, height: number }[]>} sorted by height
+ */
+export async function getRpaPrefixHistory(prefixHex, fromHeight, toHeight, opts = {}) {
+  const { network = NETWORK, client = null } = opts;
+  assertRpaPrefixHex('getRpaPrefixHistory', prefixHex);
+  if (!Number.isInteger(fromHeight) || !Number.isInteger(toHeight) || fromHeight < 0 || toHeight < fromHeight) {
+    throw new Error(`getRpaPrefixHistory: bad height range ${fromHeight}..${toHeight}`);
+  }
+  return withElectrum(network, client, async (c) => {
+    const history = await c.request('blockchain.rpa.get_history', prefixHex, fromHeight, toHeight + 1);
+    if (history instanceof Error) throw new Error(`getRpaPrefixHistory: ${history.message}`);
+    return history
+      .map(({ tx_hash: txid, height }) => ({ txid, height }))
+      .sort((a, b) => a.height - b.height);
+  });
+}
+
+/**
+ * Unconfirmed transactions whose txid starts with `prefixHex`.
+ * @returns {Promise<{ txid: string, height: number }[]>} height 0 or -1 (unconfirmed parents)
+ */
+export async function getRpaPrefixMempool(prefixHex, opts = {}) {
+  const { network = NETWORK, client = null } = opts;
+  assertRpaPrefixHex('getRpaPrefixMempool', prefixHex);
+  return withElectrum(network, client, async (c) => {
+    const mempool = await c.request('blockchain.rpa.get_mempool', prefixHex);
+    if (mempool instanceof Error) throw new Error(`getRpaPrefixMempool: ${mempool.message}`);
+    return mempool.map(({ tx_hash: txid, height }) => ({ txid, height }));
+  });
+}
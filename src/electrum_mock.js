@@ -0,0 +1,119 @@
+// src/electrum_mock.js
+// -----------------------------------------------------------------------------
+// Local in-process Electrum server stand-in, for tests and offline runs of the
+// scanner / RPA prefix code. It holds a toy chain (raw txs at heights plus a
+// mempool) and hands out clients with the same surface the code uses from
+// @electrum-cash/network: `await client.request(method, ...params)` and
+// `await client.disconnect()`. Server-side errors resolve to an Error object,
+// as the real client does.
+//
+// Methods:
+//   blockchain.headers.subscribe            -> { height, hex }
+//   blockchain.transaction.get(txid)        -> raw hex
+//   blockchain.transaction.broadcast(hex)   -> txid (added to the mempool)
+//   blockchain.scripthash.get_history(sh)   -> [{ tx_hash, height }]
+//   blockchain.rpa.get_history(prefix, from, to)  (to exclusive)
+//   blockchain.rpa.get_mempool(prefix)      -> [{ tx_hash, height: 0 }]
+// -----------------------------------------------------------------------------
+
+import { bytesToHex } from './utils.js';
+import { parseTx, scriptToScripthash } from './electrum.js';
+import { splitTokenPrefix } from './tx.js';
+import { txidFromRaw } from './scanner.js';
+
+/**
+ * @param {{ tipHeight?: number, txs?: { hex: string|Uint8Array, height?: number }[] }} [opts]
+ *   - tipHeight: reported chain tip; grows to cover any confirmed tx added
+ *   - txs:       initial transactions (height 0 / missing = mempool)
+ */
+export function createMockElectrumServer(opts = {}) {
+  const txs = new Map(); // txid -> { hex, height }
+  let tipHeight = opts.tipHeight ?? 0;
+  let openClients = 0;
+  const calls = [];
+
+  const server = {
+    /** Add a raw tx at `height` (0 = mempool). Returns the txid. */
+    addTransaction(raw, height = 0) {
+      const hex = typeof raw === 'string' ? raw : bytesToHex(raw);
+      const txid = txidFromRaw(hex);
+      txs.set(txid, { hex, height });
+      if (height > tipHeight) tipHeight = height;
+      return txid;
+    },
+    /** Confirm every mempool tx at a new block. */
+    mineBlock() {
+      tipHeight++;
+      for (const entry of txs.values()) if (entry.height <= 0) entry.height = tipHeight;
+      return tipHeight;
+    },
+    get tipHeight() {
+      return tipHeight;
+    },
+    /** Number of clients not yet disconnected. */
+    get openClients() {
+      return openClients;
+    },
+    /** Every request seen so far: [{ method, params }]. */
+    calls,
+    client() {
+      let connected = true;
+      openClients++;
+      return {
+        async request(method, ...params) {
+          if (!connected) throw new Error('mock electrum: client is disconnected');
+          calls.push({ method, params });
+          return handle(method, params);
+        },
+        async disconnect() {
+          if (connected) openClients--;
+          connected = false;
+          return true;
+        },
+      };
+    },
+  };
+
+  function history(filter) {
+    const out = [];
+    for (const [txid, { height }] of txs) if (filter(txid, height)) out.push({ tx_hash: txid, height });
+    return out.sort((a, b) => a.height - b.height || (a.tx_hash < b.tx_hash ? -1 : 1));
+  }
+
+  function paysScripthash(hex, scripthash) {
+    return parseTx(hex).outputs.some(({ scriptPubKey }) => {
+      const { locking } = splitTokenPrefix(scriptPubKey);
+      return scriptToScripthash(locking) === scripthash;
+    });
+  }
+
+  function handle(method, params) {
+    switch (method) {
+      case 'blockchain.headers.subscribe':
+        return { height: tipHeight, hex: '00'.repeat(80) };
+      case 'blockchain.transaction.get': {
+        const entry = txs.get(params[0]);
+        return entry ? entry.hex : new Error(`No such mempool or blockchain transaction: ${params[0]}`);
+      }
+      case 'blockchain.transaction.broadcast':
+        return server.addTransaction(params[0], 0);
+      case 'blockchain.scripthash.get_history':
+        return history((txid, height) => height > 0 && paysScripthash(txs.get(txid).hex, params[0]));
+      case 'blockchain.rpa.get_history': {
+        const [prefix, from, to] = params;
+        if (!/^[0-9a-f]{1,4}$/.test(prefix)) return new Error(`invalid rpa prefix: ${prefix}`);
+        return history((txid, height) => height > 0 && height >= from && height < to && txid.startsWith(prefix));
+      }
+      case 'blockchain.rpa.get_mempool': {
+        const [prefix] = params;
+        if (!/^[0-9a-f]{1,4}$/.test(prefix)) return new Error(`invalid rpa prefix: ${prefix}`);
+        return history((txid, height) => height <= 0 && txid.startsWith(prefix));
+      }
+      default:
+        return new Error(`unknown method ${method}`);
+    }
+  }
+
+  for (const { hex, height = 0 } of opts.txs ?? []) server.addTransaction(hex, height);
+  return server;
+}
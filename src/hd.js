@@ -0,0 +1,150 @@
+// src/hd.js
+// -----------------------------------------------------------------------------
+// HD key hierarchy: one BIP39 mnemonic backs every wallet and paycode key.
+//
+// Paths (coin type 145 = BCH, one account per wallet: Alice 0, Bob 1):
+//   m/44'/145'/account'/0/i     base receive keys
+//   m/44'/145'/account'/1/i     base change keys
+//   m/47'/145'/account'/0'      paycode scan key
+//   m/47'/145'/account'/1'      paycode spend key (parent of every RPA child)
+//
+// Base keys get the same even-y normalization createWallet() has always
+// applied (ensureEvenYPriv). Paycode keys are used as derived; the paycode
+// chain code still comes from the spend key (paycodes.js).
+//
+// At rest the mnemonic entropy is sealed in a passphrase keystore
+// (keystore.js: scrypt + AES-256-GCM) as the payload { kind: 'hd-seed', entropy }.
+// -----------------------------------------------------------------------------
+
+import {
+  generateMnemonic as bip39Generate,
+  mnemonicToEntropy,
+  entropyToMnemonic,
+  validateMnemonic as bip39Validate,
+  mnemonicToSeedSync,
+} from '@scure/bip39';
+import { wordlist as english } from '@scure/bip39/wordlists/english.js';
+import { HDKey } from '@scure/bip32';
+import { secp256k1 } from '@noble/curves/secp256k1.js';
+import { bytesToHex, hexToBytes, ensureEvenYPriv } from './utils.js';
+import { sealKeystore, openKeystore } from './keystore.js';
+
+export const BCH_COIN_TYPE = 145;
+export const HD_PURPOSE_BASE = 44;
+export const HD_PURPOSE_PAYCODE = 47;
+export const HD_CHAIN_RECEIVE = 0;
+export const HD_CHAIN_CHANGE = 1;
+
+export const HD_ACCOUNT_ALICE = 0;
+export const HD_ACCOUNT_BOB = 1;
+
+export const SEED_PAYLOAD_KIND = 'hd-seed';
+
+function assertAccount(account) {
+  if (!Number.isInteger(account) || account < 0 || account >= 0x80000000) {
+    throw new Error(`hd: account must be an integer in [0, 2^31), got ${account}`);
+  }
+}
+
+/* ========================================================================== */
+/* Mnemonic + root                                                            */
+/* ========================================================================== */
+
+/** New English BIP39 mnemonic (128 bits = 12 words, 256 bits = 24 words). */
+export function generateMnemonic(strength = 128) {
+  return bip39Generate(english, strength);
+}
+
+export function validateMnemonic(mnemonic) {
+  return typeof mnemonic === 'string' && bip39Validate(normalizeMnemonic(mnemonic), english);
+}
+
+function normalizeMnemonic(mnemonic) {
+  return mnemonic.trim().toLowerCase().split(/\s+/).join(' ');
+}
+
+/**
+ * BIP32 root from a mnemonic (and optional BIP39 passphrase).
+ * @returns {HDKey}
+ */
+export function hdRootFromMnemonic(mnemonic, passphrase = '') {
+  if (!validateMnemonic(mnemonic)) throw new Error('hdRootFromMnemonic: invalid BIP39 mnemonic');
+  return HDKey.fromMasterSeed(mnemonicToSeedSync(normalizeMnemonic(mnemonic), passphrase));
+}
+
+/* ========================================================================== */
+/* Paths + keys                                                               */
+/* ========================================================================== */
+
+export function baseKeyPath(account, chain = HD_CHAIN_RECEIVE, index = 0) {
+  assertAccount(account);
+  if (chain !== HD_CHAIN_RECEIVE && chain !== HD_CHAIN_CHANGE) throw new Error(`baseKeyPath: bad chain ${chain}`);
+  if (!Number.isInteger(index) || index < 0 || index >= 0x80000000) throw new Error(`baseKeyPath: bad index ${index}`);
+  return `m/${HD_PURPOSE_BASE}'/${BCH_COIN_TYPE}'/${account}'/${chain}/${index}`;
+}
+
+export function paycodeKeyPath(account) {
+  assertAccount(account);
+  return `m/${HD_PURPOSE_PAYCODE}'/${BCH_COIN_TYPE}'/${account}'`;
+}
+
+/**
+ * Base P2PKH key (even-y normalized, as createWallet() uses it).
+ * @param {HDKey} root
+ * @returns {{ path: string, privBytes: Uint8Array, pubBytes: Uint8Array }}
+ */
+export function deriveBaseKey(root, account, chain = HD_CHAIN_RECEIVE, index = 0) {
+  const path = baseKeyPath(account, chain, index);
+  const privBytes = ensureEvenYPriv(root.derive(path).privateKey);
+  return { path, privBytes, pubBytes: secp256k1.getPublicKey(privBytes, true) };
+}
+
+/**
+ * Paycode scan / spend keys of an account.
+ * @param {HDKey} root
+ * @returns {{ path: string, scanPrivBytes: Uint8Array, spendPrivBytes: Uint8Array }}
+ */
+export function deriveHdPaycodeKeys(root, account) {
+  const path = paycodeKeyPath(account);
+  const node = root.derive(path);
+  return {
+    path,
+    scanPrivBytes: node.deriveChild(0x80000000).privateKey,
+    spendPrivBytes: node.deriveChild(0x80000001).privateKey,
+  };
+}
+
+/* ========================================================================== */
+/* Encrypted seed                                                             */
+/* ========================================================================== */
+
+/** Keystore payload for a mnemonic (its entropy, not the words). */
+export function mnemonicToSeedPayload(mnemonic) {
+  if (!validateMnemonic(mnemonic)) throw new Error('mnemonicToSeedPayload: invalid BIP39 mnemonic');
+  return { kind: SEED_PAYLOAD_KIND, entropy: bytesToHex(mnemonicToEntropy(normalizeMnemonic(mnemonic), english)) };
+}
+
+export function mnemonicFromSeedPayload(payload) {
+  if (payload?.kind !== SEED_PAYLOAD_KIND || typeof payload.entropy !== 'string') {
+    throw new Error(`mnemonicFromSeedPayload: not an HD seed payload (kind ${payload?.kind})`);
+  }
+  return entropyToMnemonic(hexToBytes(payload.entropy), english);
+}
+
+/**
+ * Encrypt a mnemonic under a password.
+ * @param {{ N?: number, r?: number, p?: number }} [kdfParams] - scrypt cost (keystore.js)
+ * @returns {object} keystore container
+ */
+export function encryptSeed(mnemonic, password, kdfParams = {}) {
+  return sealKeystore(mnemonicToSeedPayload(mnemonic), password, kdfParams);
+}
+
+/**
+ * Decrypt an encryptSeed() container. Throws on a wrong password or any change
+ * to the container.
+ * @returns {string} mnemonic
+ */
+export function decryptSeed(keystore, password) {
+  return mnemonicFromSeedPayload(openKeystore(keystore, { passphrase: password }).payload);
+}
@@ -0,0 +1,431 @@
+// src/identities.js
+// -----------------------------------------------------------------------------
+// Named identities in the wallet file: any number of parties, each with its own
+// base key, paycode and RPA scan state, next to the demo's Alice and Bob.
+//
+// Sources:
+//   builtin   'alice' / 'bob': the wallets getWallets() has always returned
+//   hd        a fresh account of the wallet seed (hd.js), from account 2 up;
+//             the mnemonic restores it, the index only remembers the number.
+//             Accounts are never reused, even after deleteIdentity(): funds
+//             sent to a forgotten identity stay with that identity's keys
+//   imported  keys brought in from elsewhere (raw key hex or an identity
+//             export), kept in the encrypted payload
+//
+// Wallet file additions (wallets.js version 2):
+//   identities: { [name]: { source, account?, paycode, address, createdAt } }  public index
+//   labels: { [name]: { [label]: { purpose, paycode, createdAt } } }           label registry
+//   nextAccount: number                                                        next hd account
+//   keystore payload .identities: { [name]: { priv, scanPriv?, spendPriv? } }  imported keys
+//
+// Labels (derivation.js rpaLabelTweak) give an identity one labeled paycode
+// per purpose (an invoice, a customer); scans attribute each payment to its
+// label. Labels are numbered 1, 2, ... per identity and never reused, and the
+// registry only stores what can be recomputed from the keys.
+//
+// Scan state: one resumable JSON scan store per identity (scanner.js), under
+// `<wallet file>.scan/<name>.json`. It is not encrypted, so it holds each
+// match's tweak but no one-time key; matches() rebuilds the keys from the
+// identity's spend key once the wallet is open.
+//
+// Exports are passphrase keystores (keystore.js) of one identity's keys, never
+// the seed: handing out one identity does not hand out the others.
+// -----------------------------------------------------------------------------
+
+import fs from 'fs';
+import path from 'path';
+import { bytesToHex, hexToBytes } from './utils.js';
+import { mnemonicFromSeedPayload, hdRootFromMnemonic, SEED_PAYLOAD_KIND } from './hd.js';
+import { derivePaycodeKeys, paycodeFromBackup, selfTestPaycodeBackup } from './paycodes.js';
+import { sealKeystore, openKeystore } from './keystore.js';
+import { createJsonScanStore, scanForRpaPayments, matchOneTimePriv } from './scanner.js';
+import { promptPassword } from './prompts.js';
+import { exportWatchOnly } from './watch_only.js';
+import {
+  WALLET_FILE,
+  loadWalletFile,
+  openWalletFile,
+  updateWalletFile,
+  walletsFromPayload,
+  createWallet,
+} from './wallets.js';
+
+export const IDENTITY_SOURCE_BUILTIN = 'builtin';
+export const IDENTITY_SOURCE_HD = 'hd';
+export const IDENTITY_SOURCE_IMPORTED = 'imported';
+
+export const BUILTIN_IDENTITIES = Object.freeze(['alice', 'bob']);
+// Accounts 0 / 1 belong to Alice and Bob (hd.js HD_ACCOUNT_ALICE / _BOB)
+const FIRST_IDENTITY_ACCOUNT = 2;
+
+export const IDENTITY_EXPORT_FORMAT = 'bch-ct-identity';
+export const IDENTITY_EXPORT_VERSION = 1;
+const IDENTITY_KEYS_PAYLOAD_KIND = 'identity-keys';
+
+const NAME_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+function assertName(where, name) {
+  if (typeof name !== 'string' || !NAME_RE.test(name)) {
+    throw new Error(`${where}: identity names are 1-32 of [a-z0-9_-], starting with a letter or digit (got ${name})`);
+  }
+}
+
+export function isIdentityExport(obj) {
+  return obj?.format === IDENTITY_EXPORT_FORMAT;
+}
+
+export function identityScanStorePath(walletFile, name) {
+  assertName('identityScanStorePath', name);
+  return `${walletFile}.scan${path.sep}${name}.json`;
+}
+
+const PURPOSE_MAX_LENGTH = 64;
+
+// Name-keyed records from the wallet file, without a prototype: NAME_RE allows
+// `constructor`, which a plain object would already "have"
+const byName = (record) => Object.assign(Object.create(null), record);
+
+function builtinEntries(local) {
+  return BUILTIN_IDENTITIES.map((name) => ({ name, source: IDENTITY_SOURCE_BUILTIN, paycode: local?.paycodes?.[name] ?? null }));
+}
+
+/**
+ * Identities in a wallet file, from its public index (no password needed).
+ * @returns {{ name: string, source: string, account?: number, paycode: string|null, address?: string }[]}
+ */
+export function listIdentities(opts = {}) {
+  const local = loadWalletFile(opts.walletFile ?? WALLET_FILE);
+  const index = local?.identities ?? {};
+  return [...builtinEntries(local), ...Object.entries(index).map(([name, entry]) => ({ name, ...entry }))];
+}
+
+/**
+ * Labels registered for one identity (no password needed), by label number.
+ * @returns {{ label: number, purpose: string, paycode: string, createdAt: string }[]}
+ */
+export function listIdentityLabels(name, opts = {}) {
+  const local = loadWalletFile(opts.walletFile ?? WALLET_FILE);
+  return labelEntries(byName(local?.labels)[name]);
+}
+
+function labelEntries(registry = {}) {
+  return Object.entries(registry)
+    .map(([label, entry]) => ({ label: Number(label), ...entry }))
+    .sort((a, b) => a.label - b.label);
+}
+
+// A wallet object with paycode keys and paycode, whatever its source
+function withPaycode(name, wallet) {
+  const keys = wallet.scanPrivBytes ? wallet : derivePaycodeKeys(wallet.privBytes);
+  const { scanPrivBytes, spendPrivBytes } = keys;
+  return { ...wallet, name, scanPrivBytes, spendPrivBytes, paycode: paycodeFromBackup({ scanPrivBytes, spendPrivBytes }) };
+}
+
+function walletFromKeys(name, keys) {
+  const wallet = createWallet(name, keys.priv);
+  if (!keys.scanPriv) return wallet;
+  return { ...wallet, scanPrivBytes: hexToBytes32(keys.scanPriv), spendPrivBytes: hexToBytes32(keys.spendPriv) };
+}
+
+function hexToBytes32(hex) {
+  if (typeof hex !== 'string' || !/^[0-9a-f]{64}$/i.test(hex)) throw new Error('identity: keys must be 32-byte hex');
+  return hexToBytes(hex);
+}
+
+// Normalize what importIdentity() accepts into { priv, scanPriv?, spendPriv? } hex
+function importedKeys(source, passphrase) {
+  if (typeof source === 'string') return { priv: source };
+  if (isIdentityExport(source)) {
+    if (source.version !== IDENTITY_EXPORT_VERSION) {
+      throw new Error(`importIdentity: unsupported identity export version ${source.version}`);
+    }
+    const { payload } = openKeystore(source.keystore, { passphrase });
+    if (payload.kind !== IDENTITY_KEYS_PAYLOAD_KIND) throw new Error(`importIdentity: unexpected export payload ${payload.kind}`);
+    const { priv, scanPriv, spendPriv } = payload;
+    return { priv, scanPriv, spendPriv };
+  }
+  if (typeof source?.priv === 'string') {
+    const { priv, scanPriv, spendPriv } = source;
+    if (!scanPriv !== !spendPriv) throw new Error('importIdentity: give both scanPriv and spendPriv, or neither');
+    return scanPriv ? { priv, scanPriv, spendPriv } : { priv };
+  }
+  throw new Error('importIdentity: expected a private key hex, { priv, scanPriv?, spendPriv? } or an identity export');
+}
+
+/**
+ * Open the identity store of a wallet file (password order as getWallets();
+ * an unlocked session works too). The file must be at the current version.
+ *
+ * @param {{ walletFile?: string, password?: string }} [opts]
+ */
+export async function openIdentityStore(opts = {}) {
+  const opened = await openWalletFile(opts);
+  const { walletFile } = opened;
+  let { local, payload } = opened;
+  const index = () => byName(local.identities);
+  const labelRegistry = () => byName(local.labels);
+  const imported = () => byName(payload.identities);
+
+  const seedRoot = () => {
+    if (payload.kind !== SEED_PAYLOAD_KIND) return null;
+    return hdRootFromMnemonic(mnemonicFromSeedPayload(payload));
+  };
+
+  // fields: public wallet file fields (identities, labels) to replace
+  function commit(fields, nextImported) {
+    const nextPayload = nextImported === undefined ? undefined : { ...payload, identities: nextImported };
+    local = updateWalletFile({ ...opened, local }, { ...fields, payload: nextPayload });
+    if (nextPayload) payload = nextPayload;
+  }
+
+  function assertFree(where, name) {
+    assertName(where, name);
+    if (BUILTIN_IDENTITIES.includes(name) || index()[name]) throw new Error(`${where}: identity ${name} already exists`);
+  }
+
+  function entryFor(wallet, extra) {
+    return { ...extra, paycode: wallet.paycode, address: wallet.address, createdAt: new Date().toISOString() };
+  }
+
+  const store = {
+    walletFile,
+
+    list: () => listIdentities({ walletFile }),
+
+    /**
+     * Full identity: base key / address, paycode and its scan / spend keys.
+     * The paycode is regenerated and checked against the stored one.
+     */
+    get(name) {
+      let wallet;
+      if (BUILTIN_IDENTITIES.includes(name)) {
+        wallet = walletsFromPayload(payload)[name];
+      } else {
+        const entry = index()[name];
+        if (!entry) throw new Error(`identity: no identity named ${name}`);
+        if (entry.source === IDENTITY_SOURCE_HD) {
+          const root = seedRoot();
+          if (!root) throw new Error(`identity: ${name} needs the wallet seed, but this wallet has none`);
+          wallet = createWallet(name, { root, account: entry.account });
+        } else {
+          const keys = imported()[name];
+          if (!keys) throw new Error(`identity: keys for ${name} are missing from the wallet keystore`);
+          wallet = walletFromKeys(name, keys);
+        }
+      }
+      const identity = withPaycode(name, wallet);
+      const stored = BUILTIN_IDENTITIES.includes(name) ? local.paycodes?.[name] : index()[name].paycode;
+      if (stored) {
+        const { scanPrivBytes, spendPrivBytes } = identity;
+        if (!selfTestPaycodeBackup({ scanPrivBytes, spendPrivBytes }, stored).ok) {
+          throw new Error(`identity: stored paycode of ${name} does not match its keys in ${walletFile}`);
+        }
+      }
+      return identity;
+    },
+
+    /** New identity on the next seed account no identity has ever used. */
+    create(name) {
+      assertFree('createIdentity', name);
+      const root = seedRoot();
+      if (!root) throw new Error('createIdentity: this wallet has no seed (migrated raw keys); import keys instead');
+      const used = Object.values(index()).filter((e) => e.source === IDENTITY_SOURCE_HD).map((e) => e.account + 1);
+      const account = Math.max(local.nextAccount ?? FIRST_IDENTITY_ACCOUNT, ...used);
+      const identity = withPaycode(name, createWallet(name, { root, account }));
+      commit({
+        identities: { ...index(), [name]: entryFor(identity, { source: IDENTITY_SOURCE_HD, account }) },
+        nextAccount: account + 1,
+      });
+      return identity;
+    },
+
+    /**
+     * Add an identity from outside keys:
+     *   - private key hex (paycode keys split off it, as for raw-key wallets)
+     *   - { priv, scanPriv?, spendPriv? } hex
+     *   - an exportIdentity() object, opened with `passphrase`
+     */
+    importIdentity(name, source, { passphrase } = {}) {
+      assertFree('importIdentity', name);
+      const keys = importedKeys(source, passphrase);
+      const identity = withPaycode(name, walletFromKeys(name, keys));
+      commit(
+        { identities: { ...index(), [name]: entryFor(identity, { source: IDENTITY_SOURCE_IMPORTED }) } },
+        { ...imported(), [name]: keys },
+      );
+      return identity;
+    },
+
+    /**
+     * One identity's keys, sealed under an export passphrase. HD identities
+     * export their derived keys, not the seed.
+     */
+    exportIdentity(name, passphrase, kdfParams) {
+      const identity = store.get(name);
+      const keys = {
+        kind: IDENTITY_KEYS_PAYLOAD_KIND,
+        priv: identity.priv,
+        scanPriv: bytesToHex(identity.scanPrivBytes),
+        spendPriv: bytesToHex(identity.spendPrivBytes),
+      };
+      return {
+        format: IDENTITY_EXPORT_FORMAT,
+        version: IDENTITY_EXPORT_VERSION,
+        name,
+        paycode: identity.paycode,
+        keystore: sealKeystore(keys, passphrase, kdfParams),
+      };
+    },
+
+    /**
+     * Forget an identity, its labels and its scan state. A seed account stays
+     * derivable and is not handed to a later identity.
+     */
+    deleteIdentity(name) {
+      if (BUILTIN_IDENTITIES.includes(name)) throw new Error(`deleteIdentity: ${name} is built in`);
+      if (!index()[name]) throw new Error(`deleteIdentity: no identity named ${name}`);
+      const { [name]: _gone, ...rest } = index();
+      const { [name]: _labels, ...restLabels } = labelRegistry();
+      const { [name]: _keys, ...restKeys } = imported();
+      commit({ identities: rest, labels: restLabels }, name in imported() ? restKeys : undefined);
+      fs.rmSync(identityScanStorePath(walletFile, name), { force: true });
+    },
+
+    /** The identity's resumable scan store (scanner.js). */
+    scanStore(name) {
+      store.get(name); // must exist
+      const file = identityScanStorePath(walletFile, name);
+      fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+      return createJsonScanStore(file);
+    },
+
+    /** Stored scan matches, with their one-time keys rebuilt from the spend key. */
+    matches(name) {
+      const { spendPrivBytes } = store.get(name);
+      return store.scanStore(name).getMatches().map((m) => ({ ...m, oneTimePriv: matchOneTimePriv(m, spendPrivBytes) }));
+    },
+
+    labels: (name) => labelEntries(labelRegistry()[name]),
+
+    /**
+     * Register a label for `purpose` under the next free number and return its
+     * labeled paycode, to be handed to whoever pays for that purpose.
+     * @returns {{ label: number, purpose: string, paycode: string, createdAt: string }}
+     */
+    addLabel(name, purpose) {
+      if (typeof purpose !== 'string' || !purpose.trim() || purpose.length > PURPOSE_MAX_LENGTH) {
+        throw new Error(`addLabel: purpose must be a non-empty string of at most ${PURPOSE_MAX_LENGTH} characters`);
+      }
+      const { scanPrivBytes, spendPrivBytes } = store.get(name);
+      const existing = store.labels(name);
+      if (existing.some((e) => e.purpose === purpose)) throw new Error(`addLabel: ${name} already has a label for "${purpose}"`);
+      const label = Math.max(0, ...existing.map((e) => e.label)) + 1;
+      const entry = {
+        purpose,
+        paycode: paycodeFromBackup({ scanPrivBytes, spendPrivBytes }, { label }),
+        createdAt: new Date().toISOString(),
+      };
+      commit({ labels: { ...labelRegistry(), [name]: { ...labelRegistry()[name], [label]: entry } } });
+      return { label, ...entry };
+    },
+
+    /**
+     * Scan `source` for payments to one identity and its labels, resuming its
+     * own scan state. Returned matches carry `purpose` (null when unlabeled).
+     */
+    async scan(name, source, params = {}) {
+      const { scanPrivBytes, spendPrivBytes } = store.get(name);
+      const labels = store.labels(name);
+      const result = await scanForRpaPayments({
+        ...params,
+        source,
+        store: store.scanStore(name),
+        scanPrivBytes,
+        spendPrivBytes,
+        labels: labels.map((e) => e.label),
+      });
+      const purposeOf = (label) => labels.find((e) => e.label === label)?.purpose ?? null;
+      return { ...result, matches: result.matches.map((m) => ({ ...m, purpose: purposeOf(m.label) })) };
+    },
+  };
+  return store;
+}
+
+/**
+ * `node dist/demo.js identity <list | show <name> | create <name> |
+ *   import <name> <key-hex | export-file> | export <name> <file> |
+ *   export-watch <name> <file> | delete <name> | label <name> <purpose> |
+ *   labels <name>>`
+ * Export files are sealed with IDENTITY_EXPORT_PASSWORD or a prompted passphrase.
+ */
+export async function identityCli(args) {
+  const [command, name, arg] = args;
+  const exportPassphrase = async () => process.env.IDENTITY_EXPORT_PASSWORD ?? (await promptPassword('identity export passphrase'));
+
+  if (command === 'list') {
+    for (const id of listIdentities()) {
+      const where = id.source === IDENTITY_SOURCE_HD ? `${id.source} account ${id.account}` : id.source;
+      console.log(`${id.name.padEnd(16)} ${where.padEnd(16)} ${id.paycode ?? '<paycode not stored yet>'}`);
+    }
+    return;
+  }
+  const usage = 'usage: identity <list | show | create | import | export | export-watch | delete | label | labels> <name> [...]';
+  if (!name) throw new Error(usage);
+  if (command === 'labels') {
+    for (const { label, purpose, paycode } of listIdentityLabels(name)) {
+      console.log(`${String(label).padEnd(6)} ${purpose.padEnd(24)} ${paycode}`);
+    }
+    return;
+  }
+
+  const store = await openIdentityStore();
+  switch (command) {
+    case 'show':
+    case 'create': {
+      const id = command === 'create' ? store.create(name) : store.get(name);
+      console.log(`${command === 'create' ? '✅ Created' : 'Identity'} ${name}`);
+      console.log(`  address: ${id.address}`);
+      console.log(`  paycode: ${id.paycode}`);
+      return;
+    }
+    case 'import': {
+      if (!arg) throw new Error('identity import: give a private key hex or an export file');
+      let source = arg;
+      if (fs.existsSync(arg)) {
+        source = JSON.parse(fs.readFileSync(arg, 'utf8'));
+      } else if (!/^[0-9a-f]{64}$/i.test(arg)) {
+        throw new Error(`identity import: ${arg} is neither a file nor a 32-byte hex key`);
+      }
+      const passphrase = isIdentityExport(source) ? await exportPassphrase() : undefined;
+      const id = store.importIdentity(name, source, { passphrase });
+      console.log(`✅ Imported ${name}: ${id.paycode}`);
+      return;
+    }
+    case 'export': {
+      if (!arg) throw new Error('identity export: give an output file');
+      const exported = store.exportIdentity(name, await exportPassphrase());
+      fs.writeFileSync(arg, JSON.stringify(exported, null, 2), { mode: 0o600 });
+      console.log(`✅ Exported ${name} to ${arg}`);
+      return;
+    }
+    case 'export-watch': {
+      if (!arg) throw new Error('identity export-watch: give an output file');
+      const labels = store.labels(name).map((e) => e.label);
+      fs.writeFileSync(arg, JSON.stringify(exportWatchOnly({ ...store.get(name), labels }), null, 2), { mode: 0o600 });
+      console.log(`✅ Exported watch-only keys of ${name} to ${arg} (scan key + paycode; cannot spend)`);
+      return;
+    }
+    case 'delete':
+      store.deleteIdentity(name);
+      console.log(`🗑️ Deleted ${name}`);
+      return;
+    case 'label': {
+      if (!arg) throw new Error('identity label: give a purpose');
+      const { label, paycode } = store.addLabel(name, arg);
+      console.log(`✅ Label ${label} of ${name} (${arg}): ${paycode}`);
+      return;
+    }
+    default:
+      throw new Error(usage);
+  }
+}
@@ -5,6 +5,9 @@ import { encodeCashAddr } from './cashaddr.js';
 import { _hash160 } from './utils.js';
 import { NETWORK } from './config.js';
 import { randomBytes } from 'crypto';
+import { generateMnemonic, validateMnemonic, hdRootFromMnemonic, HD_ACCOUNT_ALICE, HD_ACCOUNT_BOB } from './hd.js';
+import { createWallet } from './wallets.js';
+import { paycodeFromBackup } from './paycodes.js';
 
 // Generate or adjust privkey for even-y, output details
 export function generateOrAdjustPrivKey(originalPrivHex = null, name = 'Key') {
@@ -42,11 +45,40 @@ export function generateOrAdjustPrivKey(originalPrivHex = null, name = 'Key') {
   };
 }
 
-// Example usage: Run with existing or generate new
+// Generate (or restore) the seed behind both demo wallets and print what it
+// derives: Alice is account 0, Bob account 1 (see hd.js for the paths).
+export function generateHdWallets(mnemonic = null) {
+  if (mnemonic && !validateMnemonic(mnemonic)) throw new Error('generateHdWallets: invalid BIP39 mnemonic');
+  const words = mnemonic || generateMnemonic();
+  const root = hdRootFromMnemonic(words);
+
+  console.log('--- Wallet Seed ---');
+  console.log(`Mnemonic: ${words}`);
+  console.log('Keep it offline; it restores both wallets, their paycodes and every RPA child key.');
+
+  const wallets = {};
+  for (const [name, account] of [['Alice', HD_ACCOUNT_ALICE], ['Bob', HD_ACCOUNT_BOB]]) {
+    const w = createWallet(name, { root, account });
+    const paycode = paycodeFromBackup({ scanPrivBytes: w.scanPrivBytes, spendPrivBytes: w.spendPrivBytes });
+    console.log(`--- ${name} (account ${account}) ---`);
+    console.log(`Receive (${w.hd.receivePath}): ${w.address}`);
+    console.log(`Change  (${w.hd.changePath}): ${w.change.address}`);
+    console.log(`Paycode (${w.hd.paycodePath}): ${paycode}`);
+    wallets[name.toLowerCase()] = { address: w.address, changeAddress: w.change.address, paycode };
+  }
+  console.log('------------------------');
+  return { mnemonic: words, ...wallets };
+}
+
+// Example usage: adjust raw keys from the environment, or generate a seed
 if (require.main === module) {
   const alicePriv = process.env.ALICE_PRIV_KEY || null;
   const bobPriv = process.env.BOB_PRIV_KEY || null;
 
-  generateOrAdjustPrivKey(alicePriv, 'Alice');
-  generateOrAdjustPrivKey(bobPriv, 'Bob');
+  if (alicePriv || bobPriv) {
+    generateOrAdjustPrivKey(alicePriv, 'Alice');
+    generateOrAdjustPrivKey(bobPriv, 'Bob');
+  } else {
+    generateHdWallets(process.env.WALLET_MNEMONIC || null);
+  }
 }
\ No newline at end of file
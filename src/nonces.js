@@ -0,0 +1,65 @@
+// src/nonces.js
+// -----------------------------------------------------------------------------
+// Prover nonce modes, shared by every range-proof backend (zk.js Sigma64,
+// borromean.js, bulletproofs.js) and the amount envelope builder.
+//
+// A prover derives all of its randomness (per-bit / per-digit blindings,
+// commitment nonces, and hence the commitment blinding) from one seed. How
+// that seed is obtained from the caller's `seedBytes` (opts.nonceMode):
+//  - deterministic: seedBytes as given (reproducible by anyone who can rebuild
+//    seedBytes; test vectors and legacy behaviour)
+//  - hedged:        seedBytes, the secret blinding(s) and fresh system entropy
+//    are mixed together, so a proof can never be regenerated
+//  - recoverable:   seedBytes is keyed with a secret 32-byte zkSeed (the RPA
+//    session's), so only holders of that secret can regenerate the proof
+//
+// The flows' seedBytes is sha256(ephemPub33 || uint64le(amount)) with
+// ephemPub33 public, so deterministic proofs over it reveal the amount to
+// anyone who tries candidate values; they use the recoverable mode.
+// -----------------------------------------------------------------------------
+
+import { randomBytes } from 'crypto';
+import { sha256 } from '@noble/hashes/sha2.js';
+import { secp256k1 } from '@noble/curves/secp256k1.js';
+import { bigIntToBytes, concat, hmacSha256 } from './utils.js';
+
+export const NONCE_MODE_DETERMINISTIC = 'deterministic';
+export const NONCE_MODE_HEDGED = 'hedged';
+export const NONCE_MODE_RECOVERABLE = 'recoverable';
+
+const n = secp256k1.Point.CURVE().n;
+const te = new TextEncoder();
+const HEDGED_DOMAIN = te.encode('BCH-CT/sigma-nonce/hedged');
+const RECOVERABLE_DOMAIN = te.encode('BCH-CT/sigma-nonce/recoverable');
+
+/**
+ * Resolve the seed a prover derives its nonces and blindings from.
+ * @param {string} where - caller name for error messages
+ * @param {Uint8Array} seedBytes
+ * @param {{
+ *   nonceMode?: 'deterministic'|'hedged'|'recoverable',
+ *   zkSeed?: Uint8Array,              // recoverable: the secret key
+ *   blindings?: (bigint|Uint8Array)[], // hedged: requested blindings, if any
+ * }} [opts]
+ * @returns {Uint8Array}
+ */
+export function resolveNonceSeed(where, seedBytes, { nonceMode = NONCE_MODE_DETERMINISTIC, zkSeed, blindings = [] } = {}) {
+  switch (nonceMode) {
+    case NONCE_MODE_DETERMINISTIC:
+      return seedBytes;
+    case NONCE_MODE_HEDGED: {
+      const secret = concat(
+        ...blindings.map((b) =>
+          b instanceof Uint8Array ? b : bigIntToBytes(((BigInt(b) % n) + n) % n, 32)),
+      );
+      return sha256(concat(HEDGED_DOMAIN, sha256(seedBytes), sha256(secret), randomBytes(32)));
+    }
+    case NONCE_MODE_RECOVERABLE:
+      if (!(zkSeed instanceof Uint8Array) || zkSeed.length !== 32) {
+        throw new Error(`${where}: recoverable nonce mode needs zkSeed Uint8Array(32)`);
+      }
+      return hmacSha256(zkSeed, concat(RECOVERABLE_DOMAIN, seedBytes));
+    default:
+      throw new Error(`${where}: unknown nonce mode '${nonceMode}'`);
+  }
+}
@@ -0,0 +1,181 @@
+// src/note_channel.js
+// -----------------------------------------------------------------------------
+// On-chain delivery of a confidential note (notes.js) in the funding tx itself,
+// so the receiver needs nothing but the transaction and their paycode secrets.
+//
+// Output layout (null-data, value 0):
+//   OP_RETURN <'CTN1'> <outIndex(1) || proofHash32 || note>
+// - outIndex:    the output the note describes (e.g. the covenant NFT, vout 1)
+// - proofHash32: the covenant's proofHash anchor, for matching the output
+// - note:        a version 2 encryptNote() under the RPA session keys of the
+//   tx's RPA context input (default input 0), bound to that outpoint and
+//   outIndex. It carries the ephemPub33 the receiver needs to rebuild the
+//   amount envelope, so that key never appears in the clear
+//
+// The whole script must stay within the 223-byte standard OP_RETURN limit,
+// which leaves room for a memo of a few dozen bytes.
+// -----------------------------------------------------------------------------
+
+import { concat, hexToBytes } from './utils.js';
+import { getOpReturnScript, extractPubKeyFromP2PKHScriptSig } from './tx.js';
+import { deriveRpaOneTimePrivReceiver, deriveRpaSessionKeys } from './derivation.js';
+import { decryptNote, parseNote, NOTE_VERSION_2 } from './notes.js';
+
+export const NOTE_CHANNEL_MAGIC = new TextEncoder().encode('CTN1');
+export const NOTE_CHANNEL_MAX_SCRIPT_BYTES = 223;
+
+const OP_RETURN = 0x6a;
+
+// Read one data push at `pos`; returns { data, next } or null if not a push.
+function readPush(script, pos) {
+  if (pos >= script.length) return null;
+  const op = script[pos];
+  let len;
+  let off;
+  if (op < 0x4c) {
+    len = op;
+    off = pos + 1;
+  } else if (op === 0x4c && pos + 1 < script.length) {
+    len = script[pos + 1];
+    off = pos + 2;
+  } else if (op === 0x4d && pos + 2 < script.length) {
+    len = script[pos + 1] | (script[pos + 2] << 8);
+    off = pos + 3;
+  } else {
+    return null;
+  }
+  if (off + len > script.length) return null;
+  return { data: script.slice(off, off + len), next: off + len };
+}
+
+/**
+ * Build the CTN1 OP_RETURN locking script.
+ * @param {{ outIndex: number, proofHash: Uint8Array, note: Uint8Array }} params
+ *   - note: encryptNote() output made with note.ephemPub33 (version 2)
+ * @returns {Uint8Array}
+ */
+export function buildNoteOpReturnScript({ outIndex, proofHash, note }) {
+  if (!Number.isInteger(outIndex) || outIndex < 0 || outIndex > 0xff) {
+    throw new Error('buildNoteOpReturnScript: outIndex must be in [0, 255]');
+  }
+  if (!(proofHash instanceof Uint8Array) || proofHash.length !== 32) {
+    throw new Error('buildNoteOpReturnScript: proofHash must be Uint8Array(32)');
+  }
+  if (parseNote(note).version !== NOTE_VERSION_2) {
+    throw new Error('buildNoteOpReturnScript: note must carry the ephemPub33 (encryptNote with note.ephemPub33)');
+  }
+  const body = concat(Uint8Array.of(outIndex), proofHash, note);
+  const script = getOpReturnScript(NOTE_CHANNEL_MAGIC, body);
+  if (script.length > NOTE_CHANNEL_MAX_SCRIPT_BYTES) {
+    throw new Error(
+      `buildNoteOpReturnScript: ${script.length}-byte script exceeds the ` +
+      `${NOTE_CHANNEL_MAX_SCRIPT_BYTES}-byte OP_RETURN limit (shorten the memo)`,
+    );
+  }
+  return script;
+}
+
+/**
+ * Parse a CTN1 OP_RETURN script. Returns null for any other script.
+ * @param {Uint8Array} script
+ * @returns {{ outIndex: number, proofHash: Uint8Array, note: Uint8Array }|null}
+ */
+export function parseNoteOpReturnScript(script) {
+  if (!(script instanceof Uint8Array) || script[0] !== OP_RETURN) return null;
+  const magic = readPush(script, 1);
+  if (!magic || magic.data.length !== 4 || !magic.data.every((b, i) => b === NOTE_CHANNEL_MAGIC[i])) {
+    return null;
+  }
+  const body = readPush(script, magic.next);
+  if (!body || body.next !== script.length || body.data.length < 1 + 32 + 1) return null;
+  const d = body.data;
+  return {
+    outIndex: d[0],
+    proofHash: d.slice(1, 33),
+    note: d.slice(33),
+  };
+}
+
+/**
+ * Locate the CTN1 output of a parsed transaction (electrum.js parseTx shape).
+ * @returns {({ vout: number } & ReturnType<typeof parseNoteOpReturnScript>)|null}
+ */
+export function findNoteOutput(tx) {
+  for (let vout = 0; vout < tx.outputs.length; vout++) {
+    const script = tx.outputs[vout].scriptPubKey;
+    const parsed = parseNoteOpReturnScript(typeof script === 'string' ? hexToBytes(script) : script);
+    if (parsed) return { vout, ...parsed };
+  }
+  return null;
+}
+
+/**
+ * Receiver side: recover the note (and the RPA material behind it) from a
+ * funding transaction alone.
+ *
+ *  1) find the CTN1 output
+ *  2) read the sender pubkey from the RPA context input's P2PKH scriptSig
+ *  3) redo the RPA derivation for that outpoint -> shared secret, one-time key
+ *  4) derive the session keys and decrypt + authenticate the note, which
+ *     also yields the sender's ephemPub33
+ *
+ * @param {{ inputs: object[], outputs: object[] }} tx - parsed funding tx
+ * @param {{
+ *   scanPrivBytes: Uint8Array,
+ *   spendPrivBytes: Uint8Array,
+ *   index?: number,       // RPA derivation index used by the sender (default 0)
+ *   inputIndex?: number,  // RPA context input (default 0)
+ * }} keys
+ * @returns {{
+ *   vout: number, outIndex: number, ephemPub33: Uint8Array, proofHash: Uint8Array,
+ *   value: bigint, blinding: bigint, assetId: Uint8Array|null,
+ *   memo: Uint8Array, memoText: string,
+ *   senderPub33: Uint8Array, prevoutTxidHex: string, prevoutN: number,
+ *   oneTimePriv: Uint8Array, session: { amountKey: Uint8Array, memoKey: Uint8Array, zkSeed: Uint8Array },
+ * }}
+ */
+export function recoverNoteFromFundingTx(tx, keys) {
+  const { scanPrivBytes, spendPrivBytes, index = 0, inputIndex = 0 } = keys;
+  const found = findNoteOutput(tx);
+  if (!found) throw new Error('recoverNoteFromFundingTx: no CTN1 note output in transaction');
+
+  const input = tx.inputs?.[inputIndex];
+  if (!input) throw new Error(`recoverNoteFromFundingTx: transaction has no input ${inputIndex}`);
+  const senderPub33 = extractPubKeyFromP2PKHScriptSig(input.scriptSig);
+  const prevoutTxidHex = input.txid;
+  const prevoutN = Number(input.vout);
+
+  const { oneTimePriv, sharedSecret } = deriveRpaOneTimePrivReceiver(
+    scanPrivBytes,
+    spendPrivBytes,
+    senderPub33,
+    prevoutTxidHex,
+    prevoutN,
+    index,
+  );
+  const { amountKey, memoKey, zkSeed } = deriveRpaSessionKeys(sharedSecret, prevoutTxidHex, prevoutN);
+
+  const opened = decryptNote({ amountKey, memoKey }, found.note, {
+    txid: prevoutTxidHex,
+    vout: prevoutN,
+    outIndex: found.outIndex,
+  });
+  if (!opened.ephemPub33) throw new Error('recoverNoteFromFundingTx: note does not carry the ephemPub33');
+
+  return {
+    vout: found.vout,
+    outIndex: found.outIndex,
+    ephemPub33: opened.ephemPub33,
+    proofHash: found.proofHash,
+    value: opened.value,
+    blinding: opened.blinding,
+    assetId: opened.assetId,
+    memo: opened.memo,
+    memoText: opened.memoText,
+    senderPub33,
+    prevoutTxidHex,
+    prevoutN,
+    oneTimePriv,
+    session: { amountKey, memoKey, zkSeed },
+  };
+}
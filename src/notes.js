@@ -0,0 +1,240 @@
+// src/notes.js
+// -----------------------------------------------------------------------------
+// Confidential notes: the opening of an output's amount commitment (value,
+// blinding, asset id) plus a free-form memo, encrypted to the receiver under
+// the RPA session keys from deriveRpaSessionKeys() (derivation.js).
+//
+// - AEAD: AES-128-GCM (node:crypto); amountKey and memoKey are 16 bytes
+// - Two independently authenticated segments, one per key, so a memo can be
+//   shared (memoKey) without revealing the amount (amountKey)
+// - One random 12-byte nonce per note; the two segments use different keys,
+//   so sharing the nonce between them is safe
+// - Associated data binds every segment to the note version, the outpoint the
+//   session keys were derived from (txid, vout), the output index carrying the
+//   commitment, and the segment's role
+//
+// Binary format (version 1 / 2):
+//   version(1) || nonce(12)
+//   || amountCt(73 / 106) || amountTag(16)
+//   || varInt(memoLen) || memoCt(memoLen) || memoTag(16)
+//
+// Amount segment plaintext (73 bytes, version 1):
+//   flags(1, bit0 = has asset id) || value(u64 LE) || blinding(32 BE) || assetId(32, zero if none)
+// Version 2 (note.ephemPub33 given) appends the sender's ephemPub33 (33
+// bytes), so an on-chain note (note_channel.js) keeps it out of the clear.
+// -----------------------------------------------------------------------------
+
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto';
+import {
+  concat,
+  uint64le,
+  varInt,
+  decodeVarInt,
+  bigIntToBytes,
+  bytesToBigInt,
+  hexToBytes,
+} from './utils.js';
+
+export const NOTE_VERSION_1 = 0x01;
+export const NOTE_VERSION_2 = 0x02;
+
+const NONCE_BYTES = 12;
+const TAG_BYTES = 16;
+const AMOUNT_PLAIN_BYTES = { [NOTE_VERSION_1]: 1 + 8 + 32 + 32, [NOTE_VERSION_2]: 1 + 8 + 32 + 32 + 33 };
+const FLAG_HAS_ASSET = 0x01;
+const ORDER_N = 0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141n;
+
+const te = new TextEncoder();
+const AAD_DOMAIN = te.encode('BCH-CT/note');
+
+function assertKey(key, name) {
+  if (!(key instanceof Uint8Array) || key.length !== 16) {
+    throw new Error(`notes: ${name} must be Uint8Array(16)`);
+  }
+}
+
+function txidBytes(txid) {
+  const b = typeof txid === 'string' ? hexToBytes(txid) : txid;
+  if (!(b instanceof Uint8Array) || b.length !== 32) {
+    throw new Error('notes: txid must be 32 bytes or 64 hex chars');
+  }
+  return b;
+}
+
+function u32le(x) {
+  if (!Number.isInteger(x) || x < 0 || x > 0xffffffff) throw new Error('notes: index must be a uint32');
+  return Uint8Array.of(x & 0xff, (x >>> 8) & 0xff, (x >>> 16) & 0xff, (x >>> 24) & 0xff);
+}
+
+function noteAad(version, ctx, role) {
+  const { txid, vout = 0, outIndex = 0 } = ctx;
+  return concat(
+    AAD_DOMAIN,
+    Uint8Array.of(version),
+    txidBytes(txid),
+    u32le(vout),
+    u32le(outIndex),
+    te.encode(role),
+  );
+}
+
+function seal(key, nonce, plaintext, aad) {
+  const cipher = createCipheriv('aes-128-gcm', key, nonce);
+  cipher.setAAD(aad);
+  const ct = concat(new Uint8Array(cipher.update(plaintext)), new Uint8Array(cipher.final()));
+  return concat(ct, new Uint8Array(cipher.getAuthTag()));
+}
+
+function open(key, nonce, sealed, aad) {
+  const decipher = createDecipheriv('aes-128-gcm', key, nonce);
+  decipher.setAAD(aad);
+  decipher.setAuthTag(sealed.slice(sealed.length - TAG_BYTES));
+  try {
+    return concat(
+      new Uint8Array(decipher.update(sealed.slice(0, sealed.length - TAG_BYTES))),
+      new Uint8Array(decipher.final()),
+    );
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Encrypt a confidential note.
+ *
+ * @param {{ amountKey: Uint8Array, memoKey: Uint8Array }} keys - e.g. deriveRpaSessionKeys() output
+ * @param {{
+ *   value: number|bigint,           // 0 <= value < 2^64
+ *   blinding: bigint,               // r in C = value*H + r*G
+ *   assetId?: Uint8Array|null,      // 32-byte CashToken category, or null
+ *   ephemPub33?: Uint8Array|null,   // sender's ephemeral pubkey (version 2 note)
+ *   memo?: string|Uint8Array,
+ * }} note
+ * @param {{ txid: string|Uint8Array, vout?: number, outIndex?: number }} ctx
+ *   - the outpoint the session keys were derived from and the output index
+ *     the commitment lives at; decryptNote() needs the same values
+ * @returns {Uint8Array}
+ */
+export function encryptNote(keys, note, ctx) {
+  const { amountKey, memoKey } = keys;
+  assertKey(amountKey, 'amountKey');
+  assertKey(memoKey, 'memoKey');
+  const { value, blinding, assetId = null, ephemPub33 = null, memo = '' } = note;
+
+  const v = BigInt(value);
+  if (v < 0n || v >= (1n << 64n)) throw new Error('encryptNote: value must be in [0, 2^64)');
+  const r = ((BigInt(blinding) % ORDER_N) + ORDER_N) % ORDER_N;
+  if (assetId !== null && (!(assetId instanceof Uint8Array) || assetId.length !== 32)) {
+    throw new Error('encryptNote: assetId must be Uint8Array(32) or null');
+  }
+  if (ephemPub33 !== null && (!(ephemPub33 instanceof Uint8Array) || ephemPub33.length !== 33)) {
+    throw new Error('encryptNote: ephemPub33 must be Uint8Array(33) or null');
+  }
+  const version = ephemPub33 ? NOTE_VERSION_2 : NOTE_VERSION_1;
+  const memoBytes = typeof memo === 'string' ? te.encode(memo) : memo;
+  if (!(memoBytes instanceof Uint8Array)) throw new Error('encryptNote: memo must be a string or Uint8Array');
+
+  const amountPlain = concat(
+    Uint8Array.of(assetId ? FLAG_HAS_ASSET : 0),
+    uint64le(v),
+    bigIntToBytes(r, 32),
+    assetId ?? new Uint8Array(32),
+    ephemPub33 ?? new Uint8Array(0),
+  );
+
+  const nonce = new Uint8Array(randomBytes(NONCE_BYTES));
+  const amountSealed = seal(amountKey, nonce, amountPlain, noteAad(version, ctx, 'amount'));
+  const memoSealed = seal(memoKey, nonce, memoBytes, noteAad(version, ctx, 'memo'));
+
+  return concat(
+    Uint8Array.of(version),
+    nonce,
+    amountSealed,
+    varInt(memoBytes.length),
+    memoSealed,
+  );
+}
+
+/**
+ * Split a note into its segments without decrypting. Throws on bad framing.
+ * @param {Uint8Array} bytes
+ * @returns {{ version: number, nonce: Uint8Array, amountSealed: Uint8Array, memoSealed: Uint8Array }}
+ */
+export function parseNote(bytes) {
+  if (!(bytes instanceof Uint8Array) || bytes.length < 1) {
+    throw new Error('parseNote: note must be a non-empty Uint8Array');
+  }
+  const version = bytes[0];
+  if (!AMOUNT_PLAIN_BYTES[version]) throw new Error(`parseNote: unsupported note version ${version}`);
+
+  let off = 1;
+  const amountEnd = off + NONCE_BYTES + AMOUNT_PLAIN_BYTES[version] + TAG_BYTES;
+  if (bytes.length < amountEnd + 1) throw new Error('parseNote: note truncated');
+  const nonce = bytes.slice(off, off + NONCE_BYTES);
+  off += NONCE_BYTES;
+  const amountSealed = bytes.slice(off, amountEnd);
+  off = amountEnd;
+
+  const { value: memoLen, length } = decodeVarInt(bytes, off);
+  off += length;
+  if (bytes.length !== off + Number(memoLen) + TAG_BYTES) {
+    throw new Error('parseNote: bad memo length');
+  }
+  const memoSealed = bytes.slice(off);
+  return { version, nonce, amountSealed, memoSealed };
+}
+
+/**
+ * Decrypt and authenticate a note made by encryptNote().
+ * Throws if the note, the keys, or any bound context (txid, vout, outIndex)
+ * does not match what it was encrypted with.
+ *
+ * @param {{ amountKey: Uint8Array, memoKey?: Uint8Array }} keys
+ *   - without memoKey only the amount segment is opened (memo = null)
+ * @param {Uint8Array} bytes
+ * @param {{ txid: string|Uint8Array, vout?: number, outIndex?: number }} ctx
+ * @returns {{
+ *   version: number,
+ *   value: bigint,
+ *   blinding: bigint,
+ *   assetId: Uint8Array|null,
+ *   ephemPub33: Uint8Array|null,   // version 2 notes only
+ *   memo: Uint8Array|null,
+ *   memoText: string|null,
+ * }}
+ */
+export function decryptNote(keys, bytes, ctx) {
+  const { amountKey, memoKey = null } = keys;
+  assertKey(amountKey, 'amountKey');
+  const { version, nonce, amountSealed, memoSealed } = parseNote(bytes);
+
+  const amountPlain = open(amountKey, nonce, amountSealed, noteAad(version, ctx, 'amount'));
+  if (!amountPlain) {
+    throw new Error('decryptNote: amount authentication failed (wrong key, or note / outpoint / outIndex tampered)');
+  }
+  const flags = amountPlain[0];
+  if (flags & ~FLAG_HAS_ASSET) throw new Error(`decryptNote: unknown flags 0x${flags.toString(16)}`);
+  const value = bytesToBigInt(amountPlain.slice(1, 9).reverse());
+  const blinding = bytesToBigInt(amountPlain.slice(9, 41));
+  const assetId = flags & FLAG_HAS_ASSET ? amountPlain.slice(41, 73) : null;
+  const ephemPub33 = version === NOTE_VERSION_2 ? amountPlain.slice(73, 106) : null;
+
+  let memo = null;
+  if (memoKey !== null) {
+    assertKey(memoKey, 'memoKey');
+    memo = open(memoKey, nonce, memoSealed, noteAad(version, ctx, 'memo'));
+    if (!memo) {
+      throw new Error('decryptNote: memo authentication failed (wrong key, or note / outpoint / outIndex tampered)');
+    }
+  }
+
+  return {
+    version,
+    value,
+    blinding,
+    assetId,
+    ephemPub33,
+    memo,
+    memoText: memo ? new TextDecoder().decode(memo) : null,
+  };
+}
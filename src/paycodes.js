@@ -1,11 +1,156 @@
 // src/paycodes.js
+// -----------------------------------------------------------------------------
+// Paycodes: static, shareable receive identifiers for RPA payments.
+//
+// Version 1 (legacy, Base58Check prefix 0x47 on every network, "PM..."):
+//   version(1)=0x01 || flags(1)=0x00 || pub33 || chainCode(32) || pad(13)
+//   A single key is used as both scan and spend key.
+//
+// Version 2 (Base58Check prefix = network byte, see PAYCODE_NETWORK_BYTES):
+//   version(1)=0x02 || flags(1) || scanPub33 || spendPub33 || chainCode(32)
+//     || prefixBits(1) || reserved(3)
+//   - scan key:   ECDH with the sender's input key; enough to *detect* payments
+//   - spend key:  parent of every one-time child key; needed to *spend* them
+//   - flags:      receiver capabilities (PAYCODE_FLAG_*), plus PAYCODE_FLAG_LABELED
+//                 on labeled paycodes; unknown bits are rejected
+//   - prefixBits: RPA grinding prefix length (0 = none, else 4/8/12/16); senders
+//                 grind the txid to start with rpaPrefixFromPaycode() so the
+//                 receiver can query servers by prefix (electrum.js)
+//   - reserved:   must be zero in this version
+//
+// Paycodes generated from private keys are deterministic: the chain code is
+// derived from the spend key (derivePaycodeChainCode), so the same wallet key
+// always prints the same paycode and paycodeFromBackup() can regenerate it.
+//
+// Layout details, prefixes and derivations are documented in doc/paycodes.md.
+// -----------------------------------------------------------------------------
 
 import { base58checkDecode, base58checkEncode } from './base58.js';
-import { concat, bytesToHex, getXOnlyPub, ensureEvenYPriv } from './utils.js';
+import { concat, bytesToHex, hexToBytes, getXOnlyPub, ensureEvenYPriv, sha256, bytesToBigInt, bigIntToBytes } from './utils.js';
+import { NETWORK } from './config.js';
 import { secp256k1 } from '@noble/curves/secp256k1.js';
-import { randomBytes } from 'crypto';
+import { rpaLabelTweak, labelSpendPub } from './derivation.js';
 
-export function generatePaycode(privBytes) {
+export const PAYCODE_VERSION_1 = 0x01;
+export const PAYCODE_VERSION_2 = 0x02;
+
+// Base58Check prefix of v1 paycodes (all networks)
+export const PAYCODE_V1_PREFIX = 0x47;
+
+// Base58Check prefix of v2 paycodes, per network family. Chosen so the
+// encoded string starts with 'P' (mainnet), 'T' (testnet/chipnet), 'R' (regtest).
+export const PAYCODE_NETWORK_BYTES = Object.freeze({
+  mainnet: 0xb0,
+  testnet: 0xd0,
+  regtest: 0xc0,
+});
+
+// v2 flag bits: what the receiver's wallet can handle
+export const PAYCODE_FLAG_STEALTH_P2PKH = 0x01; // plain RPA P2PKH outputs
+export const PAYCODE_FLAG_CONF_ASSET    = 0x02; // covenant-guarded confidential assets
+export const PAYCODE_FLAG_NOTE_CHANNEL  = 0x04; // CTN1 on-chain notes (note_channel.js)
+// Not a capability: the spend pub carries a label, and senders derive its
+// children the labeled way (derivation.js rpaLabeledChildTweak)
+export const PAYCODE_FLAG_LABELED       = 0x08;
+// RPA prefix lengths, in whole hex digits of the txid (the granularity of the
+// servers' blockchain.rpa.* prefix index)
+export const RPA_PREFIX_BITS_ALLOWED = Object.freeze([4, 8, 12, 16]);
+export const RPA_PREFIX_BITS_NONE = 0;
+
+// BIP21-style URI scheme per network family (the cashaddr prefixes)
+export const PAYCODE_URI_SCHEMES = Object.freeze({
+  mainnet: 'bitcoincash',
+  testnet: 'bchtest',
+  regtest: 'bchreg',
+});
+
+const PAYCODE_FLAGS_CAPABILITIES = PAYCODE_FLAG_STEALTH_P2PKH | PAYCODE_FLAG_CONF_ASSET | PAYCODE_FLAG_NOTE_CHANNEL;
+const PAYCODE_FLAGS_KNOWN = PAYCODE_FLAGS_CAPABILITIES | PAYCODE_FLAG_LABELED;
+export const PAYCODE_FLAGS_DEFAULT = PAYCODE_FLAGS_CAPABILITIES;
+
+const V1_PAYLOAD_BYTES = 1 + 1 + 33 + 32 + 13;
+const V2_PAYLOAD_BYTES = 1 + 1 + 33 + 33 + 32 + 1 + 3;
+const ORDER_N = secp256k1.Point.CURVE().n;
+const SCAN_KEY_TAG = new TextEncoder().encode('BCH-CT/paycode/scan');
+const CHAIN_CODE_TAG = new TextEncoder().encode('BCH-CT/paycode/chaincode');
+
+/**
+ * Map a network name (config.js NETWORK style) to its paycode network family.
+ * chipnet and the testnets share one prefix, like cashaddr's 'bchtest'.
+ * @param {string} network
+ * @returns {'mainnet'|'testnet'|'regtest'}
+ */
+export function paycodeNetworkFamily(network) {
+  switch (network) {
+    case 'mainnet':
+      return 'mainnet';
+    case 'testnet':
+    case 'testnet3':
+    case 'testnet4':
+    case 'chipnet':
+      return 'testnet';
+    case 'regtest':
+      return 'regtest';
+    default:
+      throw new Error(`paycode: unknown network "${network}"`);
+  }
+}
+
+function assertPrefixBits(where, bits) {
+  if (bits !== RPA_PREFIX_BITS_NONE && !RPA_PREFIX_BITS_ALLOWED.includes(bits)) {
+    throw new Error(`${where}: prefixBits must be 0 or one of ${RPA_PREFIX_BITS_ALLOWED.join('/')}, got ${bits}`);
+  }
+}
+
+function assertPub33(name, pub) {
+  if (!(pub instanceof Uint8Array) || pub.length !== 33) {
+    throw new Error(`paycode: ${name} must be a 33-byte compressed pubkey`);
+  }
+  try {
+    secp256k1.Point.fromBytes(pub);
+  } catch (e) {
+    throw new Error(`paycode: ${name} is not a valid secp256k1 point (${e.message})`);
+  }
+}
+
+/**
+ * Split a wallet's base key into distinct paycode scan and spend keys.
+ *   spend = base key (funds stay under the wallet's existing key)
+ *   scan  = SHA256("BCH-CT/paycode/scan" || base) mod n
+ * The scan key can be handed to a watch-only service without giving it spend
+ * authority: it detects payments but cannot derive the one-time private keys.
+ *
+ * @param {Uint8Array} basePrivBytes - 32-byte wallet private key
+ * @returns {{ scanPrivBytes: Uint8Array, spendPrivBytes: Uint8Array }}
+ */
+export function derivePaycodeKeys(basePrivBytes) {
+  if (!(basePrivBytes instanceof Uint8Array) || basePrivBytes.length !== 32) {
+    throw new Error('derivePaycodeKeys: basePrivBytes must be Uint8Array(32)');
+  }
+  const scan = bytesToBigInt(sha256(concat(SCAN_KEY_TAG, basePrivBytes))) % ORDER_N;
+  if (scan === 0n) throw new Error('derivePaycodeKeys: derived scan key is zero');
+  return {
+    scanPrivBytes: bigIntToBytes(scan, 32),
+    spendPrivBytes: basePrivBytes,
+  };
+}
+
+/**
+ * Deterministic paycode chain code:
+ *   chainCode = SHA256("BCH-CT/paycode/chaincode" || spendPriv)
+ * (for v1 paycodes the single, even-y adjusted key is the spend key).
+ *
+ * @param {Uint8Array} spendPrivBytes
+ * @returns {Uint8Array} 32 bytes
+ */
+export function derivePaycodeChainCode(spendPrivBytes) {
+  if (!(spendPrivBytes instanceof Uint8Array) || spendPrivBytes.length !== 32) {
+    throw new Error('derivePaycodeChainCode: spendPrivBytes must be Uint8Array(32)');
+  }
+  return sha256(concat(CHAIN_CODE_TAG, spendPrivBytes));
+}
+
+function generatePaycodeV1(privBytes) {
   privBytes = ensureEvenYPriv(privBytes);
   let pubKey = secp256k1.getPublicKey(privBytes, true); // 33 bytes (even y)
   try {
@@ -14,12 +159,301 @@ export function generatePaycode(privBytes) {
   } catch (e) {
     throw new Error(`Invalid private key for paycode generation: ${e.message}`);
   }
-  const chainCode = randomBytes(32);
+  const chainCode = derivePaycodeChainCode(privBytes);
   const flags = 0x00;
-  const version = 0x01;
+  const version = PAYCODE_VERSION_1;
   const pad = new Uint8Array(13);
   const payload = concat(new Uint8Array([version, flags]), pubKey, chainCode, pad);
-  return base58checkEncode(0x47, payload);
+  return base58checkEncode(PAYCODE_V1_PREFIX, payload);
+}
+
+/**
+ * Encode a paycode.
+ *
+ * - `generatePaycode(privBytes)` keeps the legacy single-key v1 format.
+ * - `generatePaycode({ scanPrivBytes|scanPub33, spendPrivBytes|spendPub33 }, opts)`
+ *   produces a v2 paycode with separate scan and spend keys. Public keys are
+ *   enough, so a paycode can be printed from watch-only key material.
+ *
+ * @param {Uint8Array|{
+ *   scanPrivBytes?: Uint8Array, scanPub33?: Uint8Array,
+ *   spendPrivBytes?: Uint8Array, spendPub33?: Uint8Array,
+ * }} keys
+ * @param {{ network?: string, flags?: number, chainCode?: Uint8Array, prefixBits?: number, label?: number|null }} [opts]
+ *   - network:    defaults to config.js NETWORK
+ *   - flags:      PAYCODE_FLAG_* bits (default: all known capabilities)
+ *   - chainCode:  32 bytes; defaults to derivePaycodeChainCode(spendPrivBytes).
+ *                 Required when encoding from public keys only (take it from
+ *                 parsePaycode() of the original paycode).
+ *   - prefixBits: RPA grinding prefix length, 0 (default, no grinding) or one
+ *                 of RPA_PREFIX_BITS_ALLOWED
+ *   - label:      labeled variant (derivation.js rpaLabelTweak): same scan pub
+ *                 and chain code, spend pub + m·G, PAYCODE_FLAG_LABELED set.
+ *                 Needs scanPrivBytes.
+ * @returns {string}
+ */
+export function generatePaycode(keys, opts = {}) {
+  if (keys instanceof Uint8Array) return generatePaycodeV1(keys);
+
+  const {
+    network = NETWORK,
+    chainCode = keys?.spendPrivBytes ? derivePaycodeChainCode(keys.spendPrivBytes) : null,
+    prefixBits = RPA_PREFIX_BITS_NONE,
+    label = null,
+  } = opts;
+
+  const scanPub33 = keys?.scanPub33 ?? (keys?.scanPrivBytes && secp256k1.getPublicKey(keys.scanPrivBytes, true));
+  let spendPub33 = keys?.spendPub33 ?? (keys?.spendPrivBytes && secp256k1.getPublicKey(keys.spendPrivBytes, true));
+  assertPub33('scanPub33', scanPub33);
+  assertPub33('spendPub33', spendPub33);
+  let { flags = PAYCODE_FLAGS_DEFAULT } = opts;
+  if (label != null) {
+    if (!(keys.scanPrivBytes instanceof Uint8Array)) throw new Error('generatePaycode: a labeled paycode needs scanPrivBytes');
+    spendPub33 = labelSpendPub(spendPub33, rpaLabelTweak(keys.scanPrivBytes, label));
+    flags |= PAYCODE_FLAG_LABELED;
+  } else if (keys.spendPrivBytes && flags & PAYCODE_FLAG_LABELED) {
+    throw new Error('generatePaycode: PAYCODE_FLAG_LABELED needs opts.label');
+  }
+  if (!Number.isInteger(flags) || flags < 0 || flags > 0xff || (flags & ~PAYCODE_FLAGS_KNOWN)) {
+    throw new Error(`generatePaycode: unknown flag bits 0x${Number(flags).toString(16)}`);
+  }
+  assertPrefixBits('generatePaycode', prefixBits);
+  if (chainCode === null) {
+    throw new Error('generatePaycode: without spendPrivBytes, pass opts.chainCode (from the original paycode)');
+  }
+  if (!(chainCode instanceof Uint8Array) || chainCode.length !== 32) {
+    throw new Error('generatePaycode: chainCode must be Uint8Array(32)');
+  }
+
+  const payload = concat(
+    Uint8Array.of(PAYCODE_VERSION_2, flags),
+    scanPub33,
+    spendPub33,
+    chainCode,
+    Uint8Array.of(prefixBits),
+    new Uint8Array(3),
+  );
+  return base58checkEncode(PAYCODE_NETWORK_BYTES[paycodeNetworkFamily(network)], payload);
+}
+
+/**
+ * Decode and validate a paycode (v1 or v2).
+ *
+ * @param {string} paycode
+ * @param {{ network?: string|null }} [opts]
+ *   - network: expected network (default config.js NETWORK); pass null to
+ *     accept any. v1 paycodes carry no network and are accepted everywhere.
+ * @returns {{
+ *   version: 1|2,
+ *   network: 'mainnet'|'testnet'|'regtest'|null,
+ *   flags: number,
+ *   scanPub33: Uint8Array,
+ *   spendPub33: Uint8Array,   // same key as scanPub33 for v1
+ *   chainCode: Uint8Array,
+ *   prefixBits: number,       // 0 = no RPA grinding prefix (always 0 for v1)
+ *   labeled: boolean,         // PAYCODE_FLAG_LABELED (always false for v1)
+ * }}
+ */
+export function parsePaycode(paycode, opts = {}) {
+  const { network = NETWORK } = opts;
+  if (typeof paycode !== 'string' || paycode.length === 0) {
+    throw new Error('parsePaycode: paycode must be a non-empty string');
+  }
+
+  let decoded;
+  try {
+    decoded = base58checkDecode(paycode);
+  } catch (e) {
+    if (/checksum/i.test(e.message)) throw new Error('parsePaycode: bad checksum (paycode mistyped or truncated)');
+    throw new Error(`parsePaycode: not a Base58Check string (${e.message})`);
+  }
+  const { version: prefix, payload } = decoded;
+  const version = payload[0];
+
+  if (prefix === PAYCODE_V1_PREFIX && version === PAYCODE_VERSION_1) {
+    if (payload.length !== V1_PAYLOAD_BYTES) {
+      throw new Error(`parsePaycode: v1 payload must be ${V1_PAYLOAD_BYTES} bytes, got ${payload.length}`);
+    }
+    const pub33 = payload.slice(2, 35);
+    assertPub33('pubkey', pub33);
+    return {
+      version: 1,
+      network: null,
+      flags: payload[1],
+      scanPub33: pub33,
+      spendPub33: pub33,
+      chainCode: payload.slice(35, 67),
+      prefixBits: RPA_PREFIX_BITS_NONE,
+      labeled: false,
+    };
+  }
+
+  const family = Object.keys(PAYCODE_NETWORK_BYTES).find((k) => PAYCODE_NETWORK_BYTES[k] === prefix);
+  if (!family) {
+    throw new Error(`parsePaycode: unknown paycode prefix byte 0x${prefix.toString(16).padStart(2, '0')}`);
+  }
+  if (version !== PAYCODE_VERSION_2) {
+    throw new Error(`parsePaycode: unsupported paycode version ${version}`);
+  }
+  if (network !== null && family !== paycodeNetworkFamily(network)) {
+    throw new Error(`parsePaycode: paycode is for ${family}, expected ${paycodeNetworkFamily(network)}`);
+  }
+  if (payload.length !== V2_PAYLOAD_BYTES) {
+    throw new Error(`parsePaycode: v2 payload must be ${V2_PAYLOAD_BYTES} bytes, got ${payload.length}`);
+  }
+
+  const flags = payload[1];
+  if (flags & ~PAYCODE_FLAGS_KNOWN) {
+    throw new Error(`parsePaycode: unknown flag bits 0x${(flags & ~PAYCODE_FLAGS_KNOWN).toString(16)}`);
+  }
+  const prefixBits = payload[100];
+  assertPrefixBits('parsePaycode', prefixBits);
+  if (payload.slice(101, 104).some((b) => b !== 0)) {
+    throw new Error('parsePaycode: reserved bytes must be zero');
+  }
+  const scanPub33 = payload.slice(2, 35);
+  const spendPub33 = payload.slice(35, 68);
+  assertPub33('scanPub33', scanPub33);
+  assertPub33('spendPub33', spendPub33);
+
+  return {
+    version: 2,
+    network: family,
+    flags,
+    scanPub33,
+    spendPub33,
+    chainCode: payload.slice(68, 100),
+    prefixBits,
+    labeled: (flags & PAYCODE_FLAG_LABELED) !== 0,
+  };
+}
+
+/**
+ * RPA grinding prefix of a paycode: the first `prefixBits` bits of the scan
+ * key's x coordinate, as lowercase hex (prefixBits / 4 digits). Senders grind
+ * the txid to start with it; receivers query blockchain.rpa.* with it.
+ *
+ * @param {string|{ scanPub33: Uint8Array, prefixBits: number }} paycode
+ *   - paycode string (any network) or a parsePaycode() result
+ * @returns {string|null} null when the paycode asks for no grinding
+ */
+export function rpaPrefixFromPaycode(paycode) {
+  const parsed = typeof paycode === 'string' ? parsePaycode(paycode, { network: null }) : paycode;
+  const { scanPub33, prefixBits = RPA_PREFIX_BITS_NONE } = parsed ?? {};
+  assertPrefixBits('rpaPrefixFromPaycode', prefixBits);
+  if (prefixBits === RPA_PREFIX_BITS_NONE) return null;
+  assertPub33('scanPub33', scanPub33);
+  return bytesToHex(scanPub33.slice(1, 3)).slice(0, prefixBits / 4);
+}
+
+/**
+ * `<scheme>:<paycode>`, the scheme following the paycode's network (v1
+ * paycodes carry none: opts.network, default config.js NETWORK). Payment
+ * requests (payment_requests.js) add their terms as query parameters.
+ * @param {string} paycode
+ * @param {{ network?: string }} [opts]
+ * @returns {string}
+ */
+export function paycodeUri(paycode, opts = {}) {
+  const { network } = parsePaycode(paycode, { network: null });
+  return `${PAYCODE_URI_SCHEMES[network ?? paycodeNetworkFamily(opts.network ?? NETWORK)]}:${paycode}`;
+}
+
+/**
+ * Receiver keys of a payment target: a paycode string, an identity / wallet
+ * object carrying `.paycode` (identities.js, wallets.js), or bare
+ * { scanPub33, spendPub33, labeled? }.
+ *
+ * @returns {{ scanPub33: Uint8Array, spendPub33: Uint8Array, labeled: boolean, paycode: string|null }}
+ */
+export function resolvePaycodeTarget(target, opts = {}) {
+  if (typeof target === 'string') {
+    const { scanPub33, spendPub33, labeled } = parsePaycode(target, opts);
+    return { scanPub33, spendPub33, labeled, paycode: target };
+  }
+  if (typeof target?.paycode === 'string') return resolvePaycodeTarget(target.paycode, opts);
+  if (target?.scanPub33 && target?.spendPub33) {
+    assertPub33('scanPub33', target.scanPub33);
+    assertPub33('spendPub33', target.spendPub33);
+    return { scanPub33: target.scanPub33, spendPub33: target.spendPub33, labeled: !!target.labeled, paycode: null };
+  }
+  throw new Error('resolvePaycodeTarget: expected a paycode, an identity with a paycode, or { scanPub33, spendPub33 }');
+}
+
+/* ========================================================================== */
+/* Backup regeneration                                                        */
+/* ========================================================================== */
+
+// HD wallets (hd.js) back up separate scan / spend keys instead of one key
+function isKeyPairBackup(backup) {
+  return backup?.scanPrivBytes instanceof Uint8Array && backup?.spendPrivBytes instanceof Uint8Array;
+}
+
+function backupKeyBytes(backup) {
+  const key = backup instanceof Uint8Array || typeof backup === 'string' ? backup : backup?.privBytes ?? backup?.privHex;
+  const bytes = typeof key === 'string' ? hexToBytes(key) : key;
+  if (!(bytes instanceof Uint8Array) || bytes.length !== 32) {
+    throw new Error('paycodeFromBackup: backup must hold a 32-byte wallet key (bytes or hex)');
+  }
+  // Same normalization createWallet() (wallets.js) applies to loaded keys
+  return ensureEvenYPriv(bytes);
+}
+
+/**
+ * Regenerate a wallet's paycode from its key backup. Everything in the
+ * paycode is derived from the wallet key (scan/spend split, chain code), so
+ * the only other inputs are the format choices.
+ *
+ * @param {Uint8Array|string|{ privBytes?: Uint8Array, privHex?: string }
+ *   |{ scanPrivBytes: Uint8Array, spendPrivBytes: Uint8Array }} backup
+ *   - the wallet private key as stored (e.g. a legacy wallets.local.json), or
+ *     the scan / spend keys re-derived from an HD seed (hd.js)
+ * @param {{ version?: 1|2, network?: string, flags?: number, prefixBits?: number, label?: number|null }} [opts]
+ *   - label: regenerate a labeled v2 paycode (see generatePaycode)
+ * @returns {string}
+ */
+export function paycodeFromBackup(backup, opts = {}) {
+  const {
+    version = PAYCODE_VERSION_2,
+    network = NETWORK,
+    flags = PAYCODE_FLAGS_DEFAULT,
+    prefixBits = RPA_PREFIX_BITS_NONE,
+    label = null,
+  } = opts;
+  if (label != null && version !== PAYCODE_VERSION_2) throw new Error('paycodeFromBackup: labels need a v2 paycode');
+  if (version !== PAYCODE_VERSION_1 && version !== PAYCODE_VERSION_2) {
+    throw new Error(`paycodeFromBackup: unsupported paycode version ${version}`);
+  }
+  if (isKeyPairBackup(backup)) {
+    if (version === PAYCODE_VERSION_1) return generatePaycodeV1(backup.spendPrivBytes);
+    const { scanPrivBytes, spendPrivBytes } = backup;
+    return generatePaycode({ scanPrivBytes, spendPrivBytes }, { network, flags, prefixBits, label });
+  }
+  const priv = backupKeyBytes(backup);
+  if (version === PAYCODE_VERSION_1) return generatePaycodeV1(priv);
+  return generatePaycode(derivePaycodeKeys(priv), { network, flags, prefixBits, label });
+}
+
+/**
+ * Backup self-test: regenerate each stored paycode from the backup, using the
+ * version / network / flags / prefixBits read from the stored paycode itself, and compare.
+ *
+ * @param {Uint8Array|string|object} backup - see paycodeFromBackup
+ * @param {string|string[]} storedPaycodes
+ * @returns {{ ok: boolean, results: { stored: string, regenerated: string|null, ok: boolean, error?: string }[] }}
+ */
+export function selfTestPaycodeBackup(backup, storedPaycodes) {
+  const list = Array.isArray(storedPaycodes) ? storedPaycodes : [storedPaycodes];
+  const results = list.map((stored) => {
+    try {
+      const { version, network, flags, prefixBits } = parsePaycode(stored, { network: null });
+      const regenerated = paycodeFromBackup(backup, { version, network: network ?? NETWORK, flags, prefixBits });
+      return { stored, regenerated, ok: regenerated === stored };
+    } catch (e) {
+      return { stored, regenerated: null, ok: false, error: e.message };
+    }
+  });
+  return { ok: results.length > 0 && results.every((r) => r.ok), results };
 }
 
 export function setupPaycodesAndDerivation(alice, bob, sendAmount = 100000) {
@@ -28,21 +462,23 @@ export function setupPaycodesAndDerivation(alice, bob, sendAmount = 100000) {
   console.log('  Bob   base pubkey:', bytesToHex(bob.pubBytes));
 
   console.log('\n[1A] Bob’s static paycode (for Alice → Bob)');
-  const bobPaycode = generatePaycode(bob.privBytes);
+  const bobPaycode = generatePaycode({ scanPrivBytes: bob.scanPrivBytes, spendPrivBytes: bob.spendPrivBytes });
   console.log('  Bob paycode:', bobPaycode);
+  console.log('  Bob paycode URI:', paycodeUri(bobPaycode));
 
   console.log('\n[1B] Alice’s static paycode (for Bob → Alice)');
-  const alicePaycode = generatePaycode(alice.privBytes);
+  const alicePaycode = generatePaycode({ scanPrivBytes: alice.scanPrivBytes, spendPrivBytes: alice.spendPrivBytes });
   console.log('  Alice paycode:', alicePaycode);
+  console.log('  Alice paycode URI:', paycodeUri(alicePaycode));
 
-  console.log('\n[1C] Parsing Bob’s paycode to get his static paycode pubkey Q/R');
-  const bobPaycodeData = base58checkDecode(bobPaycode);
-  const bobPubBytes = bobPaycodeData.payload.slice(2, 35);
-  console.log('  Bob paycode pubkey (33 bytes):', bytesToHex(bobPubBytes));
-  console.log('  (Note: this key is never used directly on-chain; RPA derives fresh children from it.)');
+  console.log('\n[1C] Parsing Bob’s paycode to get his scan/spend pubkeys Q/R');
+  const { scanPub33: bobScanPub33, spendPub33: bobSpendPub33 } = parsePaycode(bobPaycode);
+  console.log('  Bob scan pubkey  Q (33 bytes):', bytesToHex(bobScanPub33));
+  console.log('  Bob spend pubkey R (33 bytes):', bytesToHex(bobSpendPub33));
+  console.log('  (Note: these keys are never used directly on-chain; RPA derives fresh children from them.)');
 
-  const bobXOnly = getXOnlyPub(bobPubBytes);
-  console.log('  Bob paycode x-only (demo only):', bytesToHex(bobXOnly));
+  const bobXOnly = getXOnlyPub(bobSpendPub33);
+  console.log('  Bob spend x-only (demo only):', bytesToHex(bobXOnly));
 
   // For the Phase 1 covenant demo, we just send a tiny dust output to Bob’s
   // base address so it’s easy to see on the explorer.
@@ -56,4 +492,4 @@ export function setupPaycodesAndDerivation(alice, bob, sendAmount = 100000) {
     bobPaycode,
     derivedAddr,
   };
-}
\ No newline at end of file
+}
@@ -0,0 +1,644 @@
+// src/payment_requests.js
+// -----------------------------------------------------------------------------
+// Payment requests: a payee asks for a confidential payment to its paycode.
+//
+// JSON form (amounts in satoshis, as decimal strings):
+//   {
+//     format: 'bch-ct-payment-request', version: 1,
+//     paycode,                      // v1 / v2, labeled paycodes included
+//     category,                     // CashToken category (txid byte order hex) or null
+//     amount,                       // exact amount, or null
+//     amountMin, amountMax,         // inclusive range, or both null
+//     expires,                      // unix seconds
+//     memo,                         // shown to the payer, at most 64 UTF-8 bytes
+//     signature,                    // BCH Schnorr, hex
+//   }
+//
+// URI form (BIP21 style, amounts in BCH, scheme from paycodes.js paycodeUri):
+//   bitcoincash:<paycode>?amount=0.001&category=<hex>&expires=<unix>&message=<memo>&sig=<hex>
+//   a range uses min= / max= instead of amount=; unknown req-* parameters are
+//   rejected, other unknown parameters ignored
+//
+// The signature is made with the paycode's spend key (the labeled spend key
+// for a labeled paycode) over
+//   SHA256("BCH-CT/payment-request/v1" || JSON [version, paycode, category,
+//          amount, amountMin, amountMax, expires, memo])
+// so JSON and URI carry the same signature. Watch-only services hold the scan
+// key (watch_only.js), so it does not sign: only the spend-key holder can ask
+// for payments in the paycode's name. The first 16 bytes of that hash are the
+// request id.
+//
+// Paying a request (preparePaymentRequestSend / sendPaymentRequest) is the
+// demo's confidential send (Alice -> covenant, demo.js) to the request's
+// paycode:
+//   - the amount commitment's envelope proves amount in [amountMin, amountMax]
+//     for a range (zk.js interval proof), or the usual 64-bit range otherwise
+//   - a requested category is paid from a funding input holding a minting or
+//     mutable NFT of it: a mutable NFT moves into the covenant and takes the
+//     amount commitment, a minting NFT stays with the payer (change) and mints
+//     the covenant's NFT; fungible tokens on the input go back to the change.
+//     Without a category the funding input mints a new one (and holds no tokens)
+//   - the CTN1 note memo is the request id, so the payee can match payments
+// The payer hands back a payment proof (the envelope) that the payee checks
+// against the funding tx (verifyPaymentProof). The check needs the paycode's
+// scan key (the payee's, or a watch-only service's): the CTN1 note must open
+// under it, and the covenant guard must be the child key it derives for the
+// paycode, so a tx paying someone else cannot pass as the payment.
+// -----------------------------------------------------------------------------
+
+import fs from 'fs';
+import { secp256k1 } from '@noble/curves/secp256k1.js';
+import {
+  bytesToHex,
+  hexToBytes,
+  reverseBytes,
+  arraysEqual,
+  concat,
+  sha256,
+  uint64le,
+  bytesToBigInt,
+  _hash160,
+  bchSchnorrSign,
+  bchSchnorrVerify,
+} from './utils.js';
+import {
+  parsePaycode,
+  paycodeUri,
+  PAYCODE_URI_SCHEMES,
+  PAYCODE_FLAG_CONF_ASSET,
+  PAYCODE_FLAG_NOTE_CHANNEL,
+} from './paycodes.js';
+import {
+  deriveRpaLockIntent,
+  calculatePaycodeSharedSecret,
+  rpaLabelTweak,
+  rpaLabeledChildTweak,
+  labelSpendPriv,
+  RPA_MODE_CONF_ASSET,
+  RPA_COVENANT_INDEX,
+} from './derivation.js';
+import { deriveEphemeralKeypair } from './ephemeral.js';
+import {
+  buildAmountProofEnvelope,
+  verifyAmountProofEnvelope,
+  readAmountProofEnvelope,
+  computeProofHash,
+  NONCE_MODE_RECOVERABLE,
+} from './zk.js';
+import { createToken, tokenFromTokenData } from './tokens.js';
+import { createCovenant } from './covenants.js';
+import { addTokenToScript, splitTokenPrefix } from './tx.js';
+import { encryptNote } from './notes.js';
+import { buildNoteOpReturnScript, findNoteOutput } from './note_channel.js';
+import { parseTx } from './electrum.js';
+import { txidFromRaw, scanTransaction, MATCH_KIND_NOTE } from './scanner.js';
+import { buildAliceSendTx } from './send_return.js';
+import { openIdentityStore } from './identities.js';
+import { NETWORK, DUST } from './config.js';
+
+export const PAYMENT_REQUEST_FORMAT = 'bch-ct-payment-request';
+export const PAYMENT_REQUEST_VERSION = 1;
+export const PAYMENT_REQUEST_TAG = 'BCH-CT/payment-request/v1';
+export const PAYMENT_REQUEST_MEMO_MAX_BYTES = 64;
+export const PAYMENT_REQUEST_DEFAULT_TTL_SECONDS = 60 * 60;
+export const PAYMENT_PROOF_FORMAT = 'bch-ct-payment-proof';
+export const PAYMENT_PROOF_VERSION = 1;
+
+// The covenant NFT's place in the funding tx (buildAliceSendTx: note, covenant, change)
+const COVENANT_OUT_INDEX = 1;
+const SATS_PER_BCH = 100_000_000n;
+const MAX_U64 = (1n << 64n) - 1n;
+
+const te = new TextEncoder();
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+/* ========================================================================== */
+/* Request terms + signature                                                  */
+/* ========================================================================== */
+
+function requestHash(request) {
+  const { version, paycode, category, amount, amountMin, amountMax, expires, memo } = request;
+  return sha256(
+    concat(te.encode(PAYMENT_REQUEST_TAG), te.encode(JSON.stringify([version, paycode, category, amount, amountMin, amountMax, expires, memo]))),
+  );
+}
+
+/** Request id: the first 16 bytes of the signed hash, as hex. */
+export function paymentRequestId(request) {
+  return bytesToHex(requestHash(request).slice(0, 16));
+}
+
+function parseSats(where, name, value) {
+  if (value === null) return null;
+  if (typeof value !== 'string' || !/^[0-9]{1,20}$/.test(value) || BigInt(value) > MAX_U64) {
+    throw new Error(`${where}: ${name} must be a decimal string of satoshis below 2^64, got ${value}`);
+  }
+  return BigInt(value);
+}
+
+// Shape of the signed fields; returns the amounts as bigints
+function checkTerms(where, request) {
+  const { category, expires, memo } = request;
+  const amount = parseSats(where, 'amount', request.amount ?? null);
+  const amountMin = parseSats(where, 'amountMin', request.amountMin ?? null);
+  const amountMax = parseSats(where, 'amountMax', request.amountMax ?? null);
+  if ((amountMin === null) !== (amountMax === null)) throw new Error(`${where}: amountMin and amountMax go together`);
+  if (amount !== null && amountMin !== null) throw new Error(`${where}: give an amount or a range, not both`);
+  if (amount === 0n) throw new Error(`${where}: amount must be positive`);
+  if (amountMin !== null && amountMin > amountMax) throw new Error(`${where}: amountMin exceeds amountMax`);
+  if (category !== null && (typeof category !== 'string' || !/^[0-9a-f]{64}$/.test(category))) {
+    throw new Error(`${where}: category must be 32-byte lowercase hex or null`);
+  }
+  if (!Number.isSafeInteger(expires) || expires <= 0) throw new Error(`${where}: expires must be unix seconds`);
+  if (typeof memo !== 'string' || te.encode(memo).length > PAYMENT_REQUEST_MEMO_MAX_BYTES) {
+    throw new Error(`${where}: memo must be a string of at most ${PAYMENT_REQUEST_MEMO_MAX_BYTES} UTF-8 bytes`);
+  }
+  return { amount, amountMin, amountMax };
+}
+
+const satsOrNull = (v) => (v == null ? null : BigInt(v).toString());
+
+/**
+ * Signed payment request for a paycode.
+ *
+ * @param {{ paycode: string, spendPrivBytes: Uint8Array, scanPrivBytes?: Uint8Array, label?: number }} payee
+ *   an identity or wallet; a labeled paycode also needs its label and the scan
+ *   key (derivation.js rpaLabelTweak) to sign with the labeled spend key
+ * @param {{
+ *   amount?: number|bigint,                            // exact amount (sats)
+ *   amountMin?: number|bigint, amountMax?: number|bigint, // or an inclusive range
+ *   category?: string|null,                            // requested CashToken category (txid order hex)
+ *   expires?: number,                                  // unix seconds
+ *   ttlSeconds?: number,                               // or: valid this long from now (default 1 hour)
+ *   memo?: string,
+ * }} [terms] - neither amount nor range leaves the amount to the payer
+ * @returns {object} JSON form
+ */
+export function createPaymentRequest(payee, terms = {}) {
+  const { spendPub33, labeled } = parsePaycode(payee?.paycode, { network: null });
+  if (!(payee.spendPrivBytes instanceof Uint8Array)) throw new Error('createPaymentRequest: payee.spendPrivBytes is required');
+  if (labeled && payee.label == null) throw new Error('createPaymentRequest: a labeled paycode needs payee.label');
+  const signingKey = labeled ? labelSpendPriv(payee.spendPrivBytes, rpaLabelTweak(payee.scanPrivBytes, payee.label)) : payee.spendPrivBytes;
+  if (!arraysEqual(secp256k1.getPublicKey(signingKey, true), spendPub33)) {
+    throw new Error('createPaymentRequest: spend key does not belong to this paycode');
+  }
+  const request = {
+    format: PAYMENT_REQUEST_FORMAT,
+    version: PAYMENT_REQUEST_VERSION,
+    paycode: payee.paycode,
+    category: terms.category == null ? null : String(terms.category).toLowerCase(),
+    amount: satsOrNull(terms.amount),
+    amountMin: satsOrNull(terms.amountMin),
+    amountMax: satsOrNull(terms.amountMax),
+    expires: terms.expires ?? nowSeconds() + (terms.ttlSeconds ?? PAYMENT_REQUEST_DEFAULT_TTL_SECONDS),
+    memo: terms.memo ?? '',
+  };
+  checkTerms('createPaymentRequest', request);
+  const signature = bchSchnorrSign(requestHash(request), signingKey, spendPub33);
+  return { ...request, signature: bytesToHex(signature) };
+}
+
+/**
+ * Check a request (JSON form or URI): format, terms, paycode network,
+ * signature by the paycode's spend key, and expiry.
+ *
+ * @param {object|string} request
+ * @param {{ network?: string|null, now?: number, allowExpired?: boolean }} [opts]
+ *   - network: expected paycode network (parsePaycode; null = any)
+ *   - now: unix seconds (default: the clock)
+ * @returns {{
+ *   id: string, request: object, paycode: string, scanPub33: Uint8Array, spendPub33: Uint8Array, labeled: boolean,
+ *   paycodeVersion: 1|2, flags: number, category: string|null, categoryBytes: Uint8Array|null,
+ *   amount: bigint|null, amountMin: bigint|null, amountMax: bigint|null, expires: number, memo: string,
+ * }} categoryBytes are in token prefix (internal) byte order
+ */
+export function verifyPaymentRequest(request, opts = {}) {
+  const { network = NETWORK, now = nowSeconds(), allowExpired = false } = opts;
+  if (typeof request === 'string') request = parsePaymentRequestUri(request);
+  if (request?.format !== PAYMENT_REQUEST_FORMAT || request.version !== PAYMENT_REQUEST_VERSION) {
+    throw new Error(`verifyPaymentRequest: not a version ${PAYMENT_REQUEST_VERSION} payment request`);
+  }
+  const parsed = parsePaycode(request.paycode, { network });
+  const { amount, amountMin, amountMax } = checkTerms('verifyPaymentRequest', request);
+  if (typeof request.signature !== 'string' || !/^[0-9a-f]{128}$/.test(request.signature)) {
+    throw new Error('verifyPaymentRequest: missing or malformed signature');
+  }
+  if (!bchSchnorrVerify(hexToBytes(request.signature), requestHash(request), parsed.spendPub33)) {
+    throw new Error('verifyPaymentRequest: signature does not match the paycode');
+  }
+  if (!allowExpired && now >= request.expires) {
+    throw new Error(`verifyPaymentRequest: request expired at ${new Date(request.expires * 1000).toISOString()}`);
+  }
+  return {
+    id: paymentRequestId(request),
+    request,
+    paycode: request.paycode,
+    scanPub33: parsed.scanPub33,
+    spendPub33: parsed.spendPub33,
+    labeled: parsed.labeled,
+    paycodeVersion: parsed.version,
+    flags: parsed.flags,
+    category: request.category,
+    categoryBytes: request.category && reverseBytes(hexToBytes(request.category)),
+    amount,
+    amountMin,
+    amountMax,
+    expires: request.expires,
+    memo: request.memo,
+  };
+}
+
+/* ========================================================================== */
+/* URI form                                                                   */
+/* ========================================================================== */
+
+function satsToBch(sats) {
+  const v = BigInt(sats);
+  const frac = (v % SATS_PER_BCH).toString().padStart(8, '0').replace(/0+$/, '');
+  return frac ? `${v / SATS_PER_BCH}.${frac}` : `${v / SATS_PER_BCH}`;
+}
+
+function bchToSats(name, bch) {
+  const m = /^([0-9]{1,12})(?:\.([0-9]{1,8}))?$/.exec(bch);
+  if (!m) throw new Error(`parsePaymentRequestUri: ${name} must be BCH with at most 8 decimals, got ${bch}`);
+  return (BigInt(m[1]) * SATS_PER_BCH + BigInt((m[2] ?? '').padEnd(8, '0'))).toString();
+}
+
+/** URI form of a signed request (same signature as the JSON form). */
+export function paymentRequestToUri(request) {
+  checkTerms('paymentRequestToUri', request);
+  const params = [];
+  if (request.amount !== null) params.push(['amount', satsToBch(request.amount)]);
+  if (request.amountMin !== null) params.push(['min', satsToBch(request.amountMin)], ['max', satsToBch(request.amountMax)]);
+  if (request.category !== null) params.push(['category', request.category]);
+  params.push(['expires', String(request.expires)]);
+  if (request.memo) params.push(['message', request.memo]);
+  params.push(['sig', request.signature]);
+  return `${paycodeUri(request.paycode)}?${params.map(([k, v]) => `${k}=${encodeURIComponent(v)}`).join('&')}`;
+}
+
+/**
+ * JSON form of a payment request URI. Parses only; see verifyPaymentRequest().
+ * @param {string} uri
+ * @returns {object}
+ */
+export function parsePaymentRequestUri(uri) {
+  const m = typeof uri === 'string' && /^([a-z]+):([1-9A-HJ-NP-Za-km-z]+)(?:\?(.*))?$/.exec(uri.trim());
+  if (!m) throw new Error('parsePaymentRequestUri: expected <scheme>:<paycode>?<params>');
+  const [, scheme, paycode, query = ''] = m;
+  if (!Object.values(PAYCODE_URI_SCHEMES).includes(scheme)) throw new Error(`parsePaymentRequestUri: unknown scheme ${scheme}`);
+  if (paycodeUri(paycode) !== `${scheme}:${paycode}`) {
+    throw new Error(`parsePaymentRequestUri: ${scheme}: does not match the paycode's network`);
+  }
+
+  const params = new Map();
+  for (const pair of query ? query.split('&') : []) {
+    const eq = pair.indexOf('=');
+    const key = decodeURIComponent(eq < 0 ? pair : pair.slice(0, eq));
+    if (params.has(key)) throw new Error(`parsePaymentRequestUri: duplicate parameter ${key}`);
+    params.set(key, eq < 0 ? '' : decodeURIComponent(pair.slice(eq + 1)));
+  }
+  const known = ['amount', 'min', 'max', 'category', 'expires', 'message', 'sig'];
+  for (const key of params.keys()) {
+    // BIP21: a req- parameter the wallet does not understand makes the URI invalid
+    if (key.startsWith('req-') && !known.includes(key)) throw new Error(`parsePaymentRequestUri: unsupported parameter ${key}`);
+  }
+  if (!params.has('sig') || !params.has('expires')) {
+    throw new Error('parsePaymentRequestUri: not a signed payment request (no sig / expires)');
+  }
+  const sats = (key) => (params.has(key) ? bchToSats(key, params.get(key)) : null);
+  return {
+    format: PAYMENT_REQUEST_FORMAT,
+    version: PAYMENT_REQUEST_VERSION,
+    paycode,
+    category: params.get('category') ?? null,
+    amount: sats('amount'),
+    amountMin: sats('min'),
+    amountMax: sats('max'),
+    expires: /^[0-9]{1,15}$/.test(params.get('expires')) ? Number(params.get('expires')) : NaN,
+    memo: params.get('message') ?? '',
+    signature: params.get('sig'),
+  };
+}
+
+/**
+ * A request from the command line: a URI, or a file holding the JSON form
+ * (or a URI).
+ */
+export function loadPaymentRequest(source) {
+  if (/^[a-z]+:/.test(source) && !fs.existsSync(source)) return parsePaymentRequestUri(source);
+  const text = fs.readFileSync(source, 'utf8').trim();
+  return text.startsWith('{') ? JSON.parse(text) : parsePaymentRequestUri(text);
+}
+
+/* ========================================================================== */
+/* Paying a request                                                           */
+/* ========================================================================== */
+
+// The covenant NFT's category and what the funding input's tokens become.
+// A requested category needs a minting or mutable NFT of it on the input
+// (CashTokens: only those may create an NFT with a new commitment); otherwise
+// the input mints a new category (tokens.js validateTokenCategory) and must
+// hold no tokens, which the send would burn.
+function paymentTokens(terms, utxo) {
+  const where = 'preparePaymentRequestSend';
+  const fundingToken = tokenFromTokenData(utxo.token_data);
+  if (!terms.categoryBytes) {
+    if (fundingToken) {
+      throw new Error(`${where}: the request names no category, so the funding input mints one; fund it from an input without tokens`);
+    }
+    return { categoryBytes: reverseBytes(hexToBytes(utxo.txid)), changeToken: null, fundingToken };
+  }
+  if (!fundingToken || !arraysEqual(fundingToken.category, terms.categoryBytes)) {
+    const held = fundingToken ? `category ${bytesToHex(reverseBytes(fundingToken.category))}` : 'no token';
+    throw new Error(`${where}: the request asks for category ${terms.category}; the funding input holds ${held}`);
+  }
+  const capability = fundingToken.nft?.capability;
+  if (capability !== 'minting' && capability !== 'mutable') {
+    throw new Error(`${where}: paying category ${terms.category} needs a minting or mutable NFT of it on the funding input`);
+  }
+  // A minting NFT stays with the payer; a mutable one moves into the covenant
+  const keep = {
+    category: fundingToken.category,
+    ...(capability === 'minting' && { nft: fundingToken.nft }),
+    ...(fundingToken.amount && { amount: fundingToken.amount }),
+  };
+  return {
+    categoryBytes: terms.categoryBytes,
+    changeToken: keep.nft || keep.amount ? keep : null,
+    fundingToken,
+  };
+}
+
+/**
+ * Everything the confidential send needs to satisfy a request, computed
+ * offline: the RPA covenant guard to the request's paycode, the amount
+ * envelope (interval proof for a range), the NFT and the CTN1 note carrying
+ * the request id. Funding tx layout as buildAliceSendTx: `outputs` are
+ * vout 0 (note) and vout 1 (covenant + NFT); change follows, carrying
+ * `changeToken` if set. Sign the funding input with `fundingTokenPrefix`
+ * (tx.js signInput opts.prevTokenPrefix).
+ *
+ * @param {object|string} request - JSON form or URI
+ * @param {{
+ *   sender: { privBytes: Uint8Array },                  // funds the payment
+ *   utxo: { txid: string, vout: number, value: number, token_data?: object }, // its funding input
+ *     // (RPA context; token genesis, or the requested category's NFT in token_data)
+ *   amount?: number|bigint,   // required unless the request fixes the amount
+ *   network?: string|null, now?: number,                // verifyPaymentRequest
+ * }} params
+ */
+export function preparePaymentRequestSend(request, params) {
+  const { sender, utxo, network, now } = params;
+  const terms = verifyPaymentRequest(request, { network, now });
+  if (terms.paycodeVersion === 2 && (~terms.flags & (PAYCODE_FLAG_CONF_ASSET | PAYCODE_FLAG_NOTE_CHANNEL))) {
+    throw new Error('preparePaymentRequestSend: the paycode does not accept confidential assets with on-chain notes');
+  }
+  if (!(sender?.privBytes instanceof Uint8Array)) throw new Error('preparePaymentRequestSend: sender.privBytes is required');
+
+  // The amount: fixed by the request, or the payer's choice within its range
+  const value = params.amount != null ? BigInt(params.amount) : terms.amount;
+  if (value === null) throw new Error('preparePaymentRequestSend: the request leaves the amount open; give one');
+  if (terms.amount !== null && value !== terms.amount) {
+    throw new Error(`preparePaymentRequestSend: the request asks for exactly ${terms.amount} sats, not ${value}`);
+  }
+  if (terms.amountMin !== null && (value < terms.amountMin || value > terms.amountMax)) {
+    throw new Error(`preparePaymentRequestSend: ${value} sats is outside the requested [${terms.amountMin}, ${terms.amountMax}]`);
+  }
+  if (value < BigInt(DUST) || value > BigInt(Number.MAX_SAFE_INTEGER)) {
+    throw new Error(`preparePaymentRequestSend: ${value} sats cannot be an output value`);
+  }
+
+  const { categoryBytes, changeToken, fundingToken } = paymentTokens(terms, utxo);
+
+  const { ephemPub: ephemPub33 } = deriveEphemeralKeypair({
+    basePub33: terms.scanPub33,
+    amount: value,
+    txidHex: utxo.txid,
+    vout: utxo.vout,
+  });
+  const intent = deriveRpaLockIntent({
+    mode: RPA_MODE_CONF_ASSET,
+    senderPrivBytes: sender.privBytes,
+    receiverScanPub33: terms.scanPub33,
+    receiverSpendPub33: terms.spendPub33,
+    labeled: terms.labeled,
+    prevoutTxidHex: utxo.txid,
+    prevoutN: utxo.vout,
+    index: RPA_COVENANT_INDEX,
+  });
+
+  // Same seed as the demo's funding envelope: sha256(ephemPub33 || uint64le(amount)),
+  // keyed with the session zkSeed
+  const { envelope, proofHash, commitmentC33, blinding } = buildAmountProofEnvelope({
+    value,
+    zkSeed: sha256(concat(ephemPub33, uint64le(value))),
+    nonceMode: NONCE_MODE_RECOVERABLE,
+    sessionZkSeed: intent.session.zkSeed,
+    ephemPub33,
+    assetId32: categoryBytes,
+    outIndex: COVENANT_OUT_INDEX,
+    ...(terms.amountMin !== null && { rangeMin: terms.amountMin, rangeMax: terms.amountMax }),
+  });
+
+  const token = createToken(categoryBytes, commitmentC33);
+  const { covenantBytecode, covenantScript } = createCovenant(intent.childHash160, proofHash);
+  const note = encryptNote(
+    intent.session,
+    { value, blinding, assetId: categoryBytes, ephemPub33, memo: hexToBytes(terms.id) },
+    { txid: utxo.txid, vout: utxo.vout, outIndex: COVENANT_OUT_INDEX },
+  );
+  const noteScript = buildNoteOpReturnScript({ outIndex: COVENANT_OUT_INDEX, proofHash, note });
+
+  return {
+    terms,
+    value: Number(value),
+    categoryBytes,
+    ephemPub33,
+    intent,
+    envelope,
+    proofHash,
+    commitmentC33,
+    blinding,
+    token,
+    changeToken,
+    fundingTokenPrefix: fundingToken && addTokenToScript(fundingToken, new Uint8Array(0)),
+    covenantBytecode,
+    covenantScript,
+    noteScript,
+    outputs: [
+      { value: 0, scriptPubKey: noteScript },
+      { value: Number(value), scriptPubKey: addTokenToScript(token, covenantScript) },
+    ],
+  };
+}
+
+/**
+ * What the payer hands back to the payee: enough to check, with the paycode's
+ * scan key, that funding tx `txid` pays the request (verifyPaymentProof).
+ */
+export function paymentProof(prepared, txid) {
+  return {
+    format: PAYMENT_PROOF_FORMAT,
+    version: PAYMENT_PROOF_VERSION,
+    requestId: prepared.terms.id,
+    txid,
+    outIndex: COVENANT_OUT_INDEX,
+    envelope: bytesToHex(prepared.envelope),
+  };
+}
+
+/**
+ * Pay a request: check it, build the matching confidential send and fund it
+ * from `utxo` (buildAliceSendTx: fee rate lookup and broadcast on `network`).
+ *
+ * @param {object|string} request
+ * @param {{ sender: { privBytes: Uint8Array, hash160: Uint8Array }, utxo: object, amount?: number|bigint,
+ *   network?: string, now?: number }} params
+ * @returns {Promise<{ txid: string, proof: object, prepared: object }>}
+ */
+export async function sendPaymentRequest(request, params) {
+  const { sender, utxo, network = NETWORK } = params;
+  const prepared = preparePaymentRequestSend(request, { ...params, network });
+  const txid = await buildAliceSendTx(
+    sender,
+    utxo,
+    prepared.intent.childHash160,
+    prepared.covenantScript,
+    prepared.token,
+    prepared.value,
+    DUST,
+    sender.hash160,
+    sender.privBytes,
+    network,
+    { noteScript: prepared.noteScript, changeToken: prepared.changeToken, fundingTokenPrefix: prepared.fundingTokenPrefix },
+  );
+  return { txid, proof: paymentProof(prepared, txid), prepared };
+}
+
+// hash160 of the covenant guard key a payment to the request's paycode uses,
+// from the scanner's note match (its RPA context): the unlabeled child, or
+// labeled spend pub + t·G for a labeled paycode (derivation.js)
+function covenantGuardHash160(terms, scanPrivBytes, match) {
+  if (!terms.labeled) return match.childHash160;
+  const { senderPub33, prevoutTxidHex, prevoutN } = match;
+  const sharedSecret = calculatePaycodeSharedSecret(scanPrivBytes, senderPub33, `${prevoutTxidHex}${prevoutN}`);
+  const t = rpaLabeledChildTweak(terms.scanPub33, sharedSecret, RPA_COVENANT_INDEX);
+  const spendPoint = secp256k1.Point.fromHex(bytesToHex(terms.spendPub33));
+  return _hash160(spendPoint.add(secp256k1.Point.BASE.multiply(bytesToBigInt(t))).toBytes(true));
+}
+
+/**
+ * Payee check of a payment proof against the request and the raw funding tx:
+ * the envelope verifies, proves the requested range (or carries the exact
+ * amount as the covenant output value), is bound to the NFT's category (the
+ * requested one, if any) and the covenant output, its commitment is the NFT commitment, and its hash is
+ * the one in the tx's CTN1 note. The note must open under the paycode's scan
+ * key and the covenant must be guarded by the paycode's child key for that
+ * RPA context (scanner.js scanTransaction), which ties the tx to the
+ * request's paycode. Expiry is not checked: the tx may confirm after the
+ * request expired.
+ *
+ * @param {object|string} request
+ * @param {object} proof - paymentProof()
+ * @param {string} fundingTxHex
+ * @param {{ scanPrivBytes: Uint8Array }} payee - the paycode's scan key (identity, wallet or watch-only wallet)
+ * @param {{ network?: string|null }} [opts]
+ * @returns {{ requestId: string, txid: string, outIndex: number, rangeMin: bigint|null, rangeMax: bigint|null }}
+ */
+export function verifyPaymentProof(request, proof, fundingTxHex, payee, opts = {}) {
+  const terms = verifyPaymentRequest(request, { ...opts, allowExpired: true });
+  const fail = (why) => {
+    throw new Error(`verifyPaymentProof: ${why}`);
+  };
+  if (proof?.format !== PAYMENT_PROOF_FORMAT || proof.version !== PAYMENT_PROOF_VERSION) fail('not a payment proof');
+  if (proof.requestId !== terms.id) fail('proof is for another request');
+  if (
+    !(payee?.scanPrivBytes instanceof Uint8Array) ||
+    !arraysEqual(secp256k1.getPublicKey(payee.scanPrivBytes, true), terms.scanPub33)
+  ) {
+    fail("payee.scanPrivBytes is not the paycode's scan key");
+  }
+  if (txidFromRaw(fundingTxHex) !== proof.txid) fail('funding tx is not the proof txid');
+
+  const envelope = hexToBytes(proof.envelope);
+  if (!verifyAmountProofEnvelope(envelope)) fail('amount proof does not verify');
+  const env = readAmountProofEnvelope(envelope);
+  if (env.outIndex !== proof.outIndex) fail('amount proof is bound to another output');
+  if (terms.amountMin !== null && (env.rangeMin !== terms.amountMin || env.rangeMax !== terms.amountMax)) {
+    fail(`amount proof covers [${env.rangeMin}, ${env.rangeMax}], not the requested range`);
+  }
+  if (terms.categoryBytes && !(env.assetId32 && arraysEqual(env.assetId32, terms.categoryBytes))) {
+    fail('amount proof is bound to another category');
+  }
+
+  const tx = parseTx(fundingTxHex);
+  const out = tx.outputs[proof.outIndex];
+  if (!out?.token_data?.nft) fail(`funding tx has no NFT at output ${proof.outIndex}`);
+  if (!arraysEqual(out.token_data.nft.commitment, env.commitmentC33)) fail('NFT commitment is not the proven amount commitment');
+  if (env.assetId32 && !arraysEqual(out.token_data.category, env.assetId32)) fail('NFT category differs from the proven one');
+  if (terms.amount !== null && BigInt(out.value) !== terms.amount) fail(`covenant output holds ${out.value} sats, not ${terms.amount}`);
+  const note = findNoteOutput(tx);
+  if (!note || note.outIndex !== proof.outIndex || !arraysEqual(note.proofHash, computeProofHash(envelope))) {
+    fail('the funding tx note does not anchor this amount proof');
+  }
+
+  // The note opens under the paycode's scan key and the covenant is guarded by its child
+  const match = scanTransaction(
+    tx,
+    { scanPrivBytes: payee.scanPrivBytes, spendPub33: terms.spendPub33 },
+    { indexStart: RPA_COVENANT_INDEX, indexWindow: 1, txid: proof.txid },
+  ).find((m) => m.kind === MATCH_KIND_NOTE && m.vout === proof.outIndex);
+  if (!match) fail("the funding tx note is not addressed to the request's paycode");
+  const { covenantScript } = createCovenant(covenantGuardHash160(terms, payee.scanPrivBytes, match), computeProofHash(envelope));
+  if (!arraysEqual(splitTokenPrefix(out.scriptPubKey).locking, covenantScript)) {
+    fail("the covenant is not guarded by the request's paycode");
+  }
+  return { requestId: terms.id, txid: proof.txid, outIndex: proof.outIndex, rangeMin: env.rangeMin, rangeMax: env.rangeMax };
+}
+
+/* ========================================================================== */
+/* CLI                                                                        */
+/* ========================================================================== */
+
+function describeAmount(terms) {
+  if (terms.amount !== null) return `${terms.amount} sats`;
+  if (terms.amountMin !== null) return `${terms.amountMin} - ${terms.amountMax} sats`;
+  return 'any amount';
+}
+
+/**
+ * `node dist/demo.js request <create <identity> <sats | min-max | any> [memo] [--category <hex>] | show <uri | file>>`
+ * (`request pay` is demo.js demoPayRequest: it needs a funded wallet).
+ */
+export async function paymentRequestCli(args) {
+  const [command, arg, amountArg, ...rest] = args;
+  const at = rest.indexOf('--category');
+  const category = at < 0 ? null : rest[at + 1];
+  const memoWords = at < 0 ? rest : [...rest.slice(0, at), ...rest.slice(at + 2)];
+  if (command === 'create' && arg && amountArg) {
+    if (at >= 0 && !category) throw new Error('request create: --category needs a category (txid order hex)');
+    const range = /^([0-9]+)-([0-9]+)$/.exec(amountArg);
+    if (!range && amountArg !== 'any' && !/^[0-9]+$/.test(amountArg)) {
+      throw new Error(`request create: amount must be sats, min-max or any, got ${amountArg}`);
+    }
+    const terms = range ? { amountMin: range[1], amountMax: range[2] } : amountArg === 'any' ? {} : { amount: amountArg };
+    const store = await openIdentityStore();
+    const request = createPaymentRequest(store.get(arg), { ...terms, category, memo: memoWords.join(' ') });
+    console.log(`✅ Payment request ${paymentRequestId(request)} (${describeAmount(verifyPaymentRequest(request))}, expires ${new Date(request.expires * 1000).toISOString()})`);
+    console.log(`\n${paymentRequestToUri(request)}\n`);
+    console.log(JSON.stringify(request, null, 2));
+    return;
+  }
+  if (command === 'show' && arg) {
+    const terms = verifyPaymentRequest(loadPaymentRequest(arg));
+    console.log(`Payment request ${terms.id} (signature ok)`);
+    console.log(`  paycode:  ${terms.paycode}`);
+    console.log(`  amount:   ${describeAmount(terms)}`);
+    console.log(`  category: ${terms.category ?? '<minted by the payer>'}`);
+    console.log(`  expires:  ${new Date(terms.expires * 1000).toISOString()}`);
+    if (terms.memo) console.log(`  memo:     ${terms.memo}`);
+    return;
+  }
+  throw new Error('usage: request <create <identity> <sats | min-max | any> [memo] [--category <hex>] | show <uri | file> | pay <uri | file> [sats] [--sender <name>]>');
+}
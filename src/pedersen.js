@@ -1,7 +1,7 @@
 // src/pedersen.js
 // Noble v2-compatible: ESM .js paths, ProjectivePoint->Point, toBytes/fromBytes
 import { sha256 } from '@noble/hashes/sha2.js';
-import { secp256k1 } from '@noble/curves/secp256k1.js';
+import { secp256k1, secp256k1_hasher } from '@noble/curves/secp256k1.js';
 import { concat, bytesToHex } from './utils.js';
 
 // Field order for secp256k1 (Fn); avoids relying on removed CURVE export in v2.
@@ -9,6 +9,40 @@ const ORDER_N = 0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD03641
 
 const TAG_H = new TextEncoder().encode('BCH-CT/H');
 const TAG_ASSET = new TextEncoder().encode('BCH-CT/ASSET');
+const TAG_VEC = new TextEncoder().encode('BCH-CT/VEC');
+
+// Generator derivation versions:
+//  - legacy: try-and-increment over SHA-256 (hashToPoint below). Default, so
+//    the original BCH-CT/H and every proof made against it stay reproducible.
+//  - sswu:   RFC 9380 hash_to_curve, suite secp256k1_XMD:SHA-256_SSWU_RO_,
+//    with one domain-separation tag per generator family. Constant-time and
+//    reproducible by any RFC 9380 implementation; see doc/generators.md.
+export const GENERATOR_VERSION_LEGACY = 'legacy';
+export const GENERATOR_VERSION_SSWU = 'sswu';
+export const GENERATOR_VERSIONS = Object.freeze([GENERATOR_VERSION_LEGACY, GENERATOR_VERSION_SSWU]);
+
+export const DST_H = 'BCH-CT-V2-H_secp256k1_XMD:SHA-256_SSWU_RO_';
+export const DST_ASSET = 'BCH-CT-V2-ASSET_secp256k1_XMD:SHA-256_SSWU_RO_';
+export const DST_VEC = 'BCH-CT-V2-VEC_secp256k1_XMD:SHA-256_SSWU_RO_';
+
+// Generator families: legacy tag and RFC 9380 DST side by side.
+const FAMILY_H = { tag: TAG_H, dst: DST_H };
+const FAMILY_ASSET = { tag: TAG_ASSET, dst: DST_ASSET };
+const FAMILY_VEC = { tag: TAG_VEC, dst: DST_VEC };
+
+function assertGeneratorVersion(version) {
+  if (!GENERATOR_VERSIONS.includes(version)) {
+    throw new Error(`pedersen: unknown generator version '${version}'`);
+  }
+}
+
+// Map data to a generator of `family` under the given version.
+function deriveGenerator(family, dataBytes, version) {
+  if (version === GENERATOR_VERSION_SSWU) {
+    return secp256k1_hasher.hashToCurve(dataBytes, { DST: family.dst });
+  }
+  return hashToPoint(family.tag, dataBytes);
+}
 
 // Try-and-increment: map (tag || data || ctr) -> valid compressed point
 function hashToPoint(tagBytes, dataBytes) {
@@ -25,37 +59,281 @@ function hashToPoint(tagBytes, dataBytes) {
   throw new Error('hashToPoint: failed to find curve point');
 }
 
-// Cache H and asset-scoped generators
-let _H = null;
+// Cache H and asset-scoped generators (keyed by version)
+const _H = new Map();
 const _assetH = new Map();
 
-export function getH() {
-  if (_H) return _H;
-  _H = hashToPoint(TAG_H, new Uint8Array(0));
-  return _H;
+export function getH(version = GENERATOR_VERSION_LEGACY) {
+  assertGeneratorVersion(version);
+  let H = _H.get(version);
+  if (!H) {
+    H = deriveGenerator(FAMILY_H, new Uint8Array(0), version);
+    _H.set(version, H);
+  }
+  return H;
 }
 
-export function getAssetH(assetId /* Uint8Array(32) or null */) {
-  if (!assetId) return getH();
-  const key = bytesToHex(assetId);
+export function getAssetH(assetId /* Uint8Array(32) or null */, version = GENERATOR_VERSION_LEGACY) {
+  if (!assetId) return getH(version);
+  assertGeneratorVersion(version);
+  const key = `${version}:${bytesToHex(assetId)}`;
   const cached = _assetH.get(key);
   if (cached) return cached;
-  const H = hashToPoint(TAG_ASSET, assetId);
+  const H = deriveGenerator(FAMILY_ASSET, assetId, version);
   _assetH.set(key, H);
   return H;
 }
 
-// Commit to v (<= 2^64-1) with blinding r mod n using generator set (G, H*)
-export function pedersenCommit64(value /* number|bigint */, r /* bigint */, assetId = null) {
+/**
+ * Generator version whose H compresses to `H33` (e.g. an envelope header's
+ * H33), or null when it is no known version's H.
+ */
+export function generatorVersionOf(H33) {
+  const hex = bytesToHex(H33);
+  return GENERATOR_VERSIONS.find((version) => bytesToHex(getH(version).toBytes(true)) === hex) ?? null;
+}
+
+// Indexed generator vectors (e.g. Bulletproofs G_i / H_i), derived the same way
+// as H so nobody knows a discrete log between any pair of them.
+const _vectors = new Map();
+
+export function getGeneratorVector(label /* string */, count /* number */, version = GENERATOR_VERSION_LEGACY) {
+  assertGeneratorVersion(version);
+  const key = `${version}:${label}`;
+  let vec = _vectors.get(key);
+  if (!vec) {
+    vec = [];
+    _vectors.set(key, vec);
+  }
+  const labelBytes = new TextEncoder().encode(label);
+  for (let i = vec.length; i < count; i++) {
+    const idx = Uint8Array.of((i >>> 24) & 0xff, (i >>> 16) & 0xff, (i >>> 8) & 0xff, i & 0xff);
+    vec.push(deriveGenerator(FAMILY_VEC, concat(labelBytes, idx), version));
+  }
+  return vec.slice(0, count);
+}
+
+// noble v2 refuses multiply(0n); zero values / blindings are legitimate here.
+function mulSafe(P, k) {
+  return k === 0n ? secp256k1.Point.ZERO : P.multiply(k);
+}
+
+function commitArgs(who, value, r) {
   const v = BigInt(value);
-  if (v < 0n || v > 0xffff_ffff_ffff_ffffn) throw new Error('pedersenCommit64: value must be 0..2^64-1');
-  const blind = ((r % ORDER_N) + ORDER_N) % ORDER_N;
+  if (v < 0n || v > 0xffff_ffff_ffff_ffffn) throw new Error(`${who}: value must be 0..2^64-1`);
+  const blind = ((BigInt(r) % ORDER_N) + ORDER_N) % ORDER_N;
+  return { v, blind };
+}
 
+// Canonical commitment scheme (token creation, covenant funding and every
+// range proof in zk.js / bulletproofs.js):  C = v*H + r*G
+// where H = getAssetH(assetId, version) (getH() when no asset) and G = secp256k1 base.
+export function pedersenCommit64(value /* number|bigint */, r /* bigint */, assetId = null, version = GENERATOR_VERSION_LEGACY) {
+  const { v, blind } = commitArgs('pedersenCommit64', value, r);
   const G = secp256k1.Point.BASE;
-  const H = getAssetH(assetId);
-  return G.multiply(v).add(H.multiply(blind)); // returns Point
+  const H = getAssetH(assetId, version);
+  return mulSafe(H, v).add(mulSafe(G, blind)); // returns Point
+}
+
+// Legacy convention C = v*G + r*H, as produced by pedersenCommit64 before the
+// schemes were unified (e.g. commitments already on chipnet). Only needed to
+// link those commitments to canonical ones; see proveCommitmentEquality() in zk.js.
+export function pedersenCommit64Legacy(value /* number|bigint */, r /* bigint */, assetId = null, version = GENERATOR_VERSION_LEGACY) {
+  const { v, blind } = commitArgs('pedersenCommit64Legacy', value, r);
+  const G = secp256k1.Point.BASE;
+  const H = getAssetH(assetId, version);
+  return mulSafe(G, v).add(mulSafe(H, blind)); // returns Point
 }
 
 export function toCompressed(P /* Point */) {
   return P.toBytes(true); // 33 bytes
 }
+
+/* ========================================================================== */
+/* Commitment arithmetic                                                      */
+/* ========================================================================== */
+
+const modN = (x) => ((x % ORDER_N) + ORDER_N) % ORDER_N;
+
+// Multiply by any integer (negative or >= n allowed); 0 gives the identity.
+function mulAny(P, k) {
+  const kk = modN(BigInt(k));
+  return kk === 0n ? secp256k1.Point.ZERO : P.multiply(kk);
+}
+
+/**
+ * A Pedersen commitment C = v*H + r*G, optionally carrying its opening.
+ *
+ * Arithmetic is homomorphic: (C1 + C2) opens to (v1 + v2, r1 + r2), and so on.
+ * The opening is kept only while it stays meaningful, i.e. when every operand
+ * carries one and all share the same value generator; otherwise the result
+ * has `opening === null`. Values are plain integers (they may go negative in
+ * intermediate sums such as inputs - outputs); blindings are reduced mod n.
+ *
+ * toBytes() / fromBytes() use the 33-byte compressed point that createToken()
+ * stores as the NFT commitment.
+ */
+export class Commitment {
+  /**
+   * @param {secp256k1.Point} point
+   * @param {{ value: bigint, blinding: bigint }|null} [opening]
+   * @param {secp256k1.Point|null} [generator] - value generator H (null = unknown)
+   */
+  constructor(point, opening = null, generator = null) {
+    this.point = point;
+    this.opening = opening
+      ? { value: BigInt(opening.value), blinding: modN(BigInt(opening.blinding)) }
+      : null;
+    this.generator = generator;
+  }
+
+  /** Commit to a 64-bit value: v*H_asset + r*G (same as pedersenCommit64). */
+  static commit(value, blinding, assetId = null, version = GENERATOR_VERSION_LEGACY) {
+    const point = pedersenCommit64(value, blinding, assetId, version);
+    return new Commitment(point, { value, blinding }, getAssetH(assetId, version));
+  }
+
+  /** The identity commitment (opens to (0, 0) under any generator). */
+  static zero(generator = getH()) {
+    return new Commitment(secp256k1.Point.ZERO, { value: 0n, blinding: 0n }, generator);
+  }
+
+  /** Parse a 33-byte compressed commitment (e.g. an NFT commitment); no opening. */
+  static fromBytes(bytes33, generator = null) {
+    if (!(bytes33 instanceof Uint8Array) || bytes33.length !== 33) {
+      throw new Error('Commitment.fromBytes: expected 33-byte compressed point');
+    }
+    return new Commitment(secp256k1.Point.fromBytes(bytes33), null, generator);
+  }
+
+  /** Sum of a list of commitments (zero for an empty list). */
+  static sum(list, generator = getH()) {
+    return list.reduce((acc, c) => acc.add(c), Commitment.zero(generator));
+  }
+
+  get hasOpening() {
+    return this.opening !== null;
+  }
+
+  // Generator and opening of a binary operation's result.
+  _combine(other, point, combine) {
+    const generator = this.generator && other.generator && this.generator.equals(other.generator)
+      ? this.generator
+      : null;
+    const opening = generator && this.opening && other.opening
+      ? combine(this.opening, other.opening)
+      : null;
+    return new Commitment(point, opening, generator);
+  }
+
+  add(other) {
+    return this._combine(other, this.point.add(other.point), (a, b) => ({
+      value: a.value + b.value,
+      blinding: a.blinding + b.blinding,
+    }));
+  }
+
+  sub(other) {
+    return this._combine(other, this.point.subtract(other.point), (a, b) => ({
+      value: a.value - b.value,
+      blinding: a.blinding - b.blinding,
+    }));
+  }
+
+  /** k*C, opening (k*v, k*r). */
+  scale(k) {
+    const kk = BigInt(k);
+    const opening = this.opening
+      ? { value: this.opening.value * kk, blinding: this.opening.blinding * kk }
+      : null;
+    return new Commitment(mulAny(this.point, kk), opening, this.generator);
+  }
+
+  negate() {
+    const opening = this.opening
+      ? { value: -this.opening.value, blinding: -this.opening.blinding }
+      : null;
+    return new Commitment(this.point.negate(), opening, this.generator);
+  }
+
+  isZero() {
+    return this.point.equals(secp256k1.Point.ZERO);
+  }
+
+  equals(other) {
+    return this.point.equals(other.point);
+  }
+
+  /** True if the carried opening reproduces the point. */
+  verifyOpening() {
+    if (!this.opening || !this.generator) return false;
+    const { value, blinding } = this.opening;
+    return mulAny(this.generator, value).add(mulAny(secp256k1.Point.BASE, blinding)).equals(this.point);
+  }
+
+  /** 33-byte compressed point, as stored in the CashToken NFT commitment. */
+  toBytes() {
+    if (this.isZero()) throw new Error('Commitment.toBytes: the zero commitment has no encoding');
+    return toCompressed(this.point);
+  }
+}
+
+/**
+ * Blinding for the last output so that
+ *   sum r_in - sum r_out - r_last == excessBlinding   (mod n).
+ * With excessBlinding = 0 the commitments balance exactly; a balance
+ * envelope (zk.js) instead needs a non-zero excess to sign with.
+ *
+ * @param {(bigint|Commitment)[]} inputs  - blindings, or commitments with openings
+ * @param {(bigint|Commitment)[]} outputs - the other outputs, same forms
+ * @param {bigint} [excessBlinding]
+ * @returns {bigint}
+ */
+export function balancingBlinding(inputs, outputs, excessBlinding = 0n) {
+  const blindingOf = (x) => {
+    if (typeof x === 'bigint') return x;
+    if (x instanceof Commitment && x.opening) return x.opening.blinding;
+    throw new Error('balancingBlinding: need a bigint blinding or a Commitment with an opening');
+  };
+  let r = -BigInt(excessBlinding);
+  for (const x of inputs) r += blindingOf(x);
+  for (const x of outputs) r -= blindingOf(x);
+  return modN(r);
+}
+
+/**
+ * Commit to the last output of a transfer (e.g. confidential change) so that
+ *   sum C_in - sum C_out - C_last - fee*H == excessBlinding*G.
+ * Its value is whatever the inputs leave after the other outputs and the fee.
+ *
+ * @param {{
+ *   inputs: Commitment[],   // with openings
+ *   outputs: Commitment[],  // the other outputs, with openings
+ *   fee?: bigint,
+ *   excessBlinding?: bigint,
+ *   assetId?: Uint8Array|null,
+ *   generatorVersion?: string, // of the other commitments (default legacy)
+ * }} params
+ * @returns {Commitment}
+ */
+export function commitBalancingOutput({
+  inputs,
+  outputs,
+  fee = 0n,
+  excessBlinding = 0n,
+  assetId = null,
+  generatorVersion = GENERATOR_VERSION_LEGACY,
+}) {
+  for (const c of [...inputs, ...outputs]) {
+    if (!(c instanceof Commitment) || !c.opening) {
+      throw new Error('commitBalancingOutput: every input and output needs an opening');
+    }
+  }
+  let value = -BigInt(fee);
+  for (const c of inputs) value += c.opening.value;
+  for (const c of outputs) value -= c.opening.value;
+  if (value < 0n) {
+    throw new Error(`commitBalancingOutput: outputs and fee exceed inputs by ${-value}`);
+  }
+  return Commitment.commit(value, balancingBlinding(inputs, outputs, excessBlinding), assetId, generatorVersion);
+}
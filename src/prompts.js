@@ -21,4 +21,75 @@ export async function promptPrivKey(role) {
       resolve(privHex || bytesToHex(secp256k1.utils.randomSecretKey()));
     });
   });
-}
\ No newline at end of file
+}
+export async function promptMnemonic() {
+  console.log('Enter a BIP39 mnemonic to restore, or press Enter to generate a new one:');
+  return new Promise(resolve => {
+    process.stdin.once('data', input => resolve(input.toString().trim()));
+  });
+}
+
+// Piped input can hold several lines in one chunk (e.g. a password and its
+// repetition); keep what one prompt does not use for the next.
+let pipedRest = '';
+function readPipedLine() {
+  const stdin = process.stdin;
+  return new Promise(resolve => {
+    const take = (force) => {
+      const i = pipedRest.indexOf('\n');
+      if (i < 0 && !force) return false;
+      const line = i < 0 ? pipedRest : pipedRest.slice(0, i);
+      pipedRest = i < 0 ? '' : pipedRest.slice(i + 1);
+      stdin.removeListener('data', onData);
+      stdin.removeListener('end', onEnd);
+      resolve(line.replace(/\r$/, ''));
+      return true;
+    };
+    const onData = (chunk) => {
+      pipedRest += chunk.toString('utf8');
+      take(false);
+    };
+    const onEnd = () => take(true);
+    if (take(false)) return;
+    stdin.on('data', onData);
+    stdin.on('end', onEnd);
+  });
+}
+
+// On a terminal the password is read in raw mode, so it is not echoed; piped
+// input is read as one line. Use WALLET_PASSWORD for scripted runs.
+export async function promptPassword(purpose) {
+  console.log(`Enter wallet password (${purpose}):`);
+  const stdin = process.stdin;
+  if (!stdin.isTTY) return readPipedLine();
+  return new Promise((resolve, reject) => {
+    let password = '';
+    const done = (err) => {
+      stdin.setRawMode(false);
+      stdin.removeListener('data', onData);
+      process.stdout.write('\n');
+      if (err) reject(err);
+      else resolve(password);
+    };
+    const onData = (chunk) => {
+      for (const ch of chunk.toString('utf8')) {
+        if (ch === '\r' || ch === '\n' || ch === '\u0004') return done();
+        if (ch === '\u0003') return done(new Error('promptPassword: cancelled'));
+        if (ch === '\u007f' || ch === '\b') password = [...password].slice(0, -1).join('');
+        else if (ch >= ' ') password += ch;
+      }
+    };
+    stdin.setRawMode(true);
+    stdin.resume();
+    stdin.on('data', onData);
+  });
+}
+
+// A password that will encrypt something new: asked twice, so a typo cannot
+// lock the secret away.
+export async function promptNewPassword(purpose) {
+  const first = await promptPassword(purpose);
+  const again = await promptPassword(`repeat: ${purpose}`);
+  if (first !== again) throw new Error('promptNewPassword: passwords do not match');
+  return first;
+}
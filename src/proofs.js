@@ -8,7 +8,13 @@
 
 import { sha256 } from '@noble/hashes/sha2.js';
 import { concat, varInt, decodeVarInt, uint64le, bytesToHex } from './utils.js';
-import { generateSigmaRangeProof, serializeProof, verifySigmaRangeProof } from './zk.js';
+import {
+  generateSigmaRangeProof,
+  serializeProof,
+  verifySigmaRangeProof,
+  NONCE_MODE_HEDGED,
+  NONCE_MODE_RECOVERABLE,
+} from './zk.js';
 
 // -- CompactSize helpers ------------------------------------------------------
 
@@ -55,7 +61,18 @@ function parseEnvelope(bytes) {
 }
 
 /**
- * Generate + locally verify a 64-bit Sigma range proof deterministically.
+ * Generate + locally verify a 64-bit Sigma range proof.
+ *
+ * The seed sha256(ephemPub || amount) is public-ish: anyone who knows the
+ * ephemeral pubkey could regenerate a deterministic proof for each candidate
+ * amount and compare hashes. So nonces are never derived from it alone:
+ *  - opts.zkSeed given (receiver's RPA session seed): 'recoverable' mode,
+ *    reproducible by sender and receiver only
+ *  - otherwise: 'hedged' mode (blinding + fresh entropy), not reproducible
+ *
+ * @param {Uint8Array} ephemPubBytes
+ * @param {number|bigint} amount
+ * @param {{ zkSeed?: Uint8Array, nonceMode?: string }} [opts]
  * Returns:
  *  - proofHashBytes: hash256(envelope)  (for covenant binding)
  *  - commitment:     C (33B) to embed into the NFT commitment
@@ -63,14 +80,16 @@ function parseEnvelope(bytes) {
  *  - envelope:       CompactSize-framed bytes for on-chain push
  *  - proofBytes:     raw serialized proof (fixed layout from zk.js)
  */
-export function generateAndVerifyProofs(ephemPubBytes, amount) {
-  console.log('--- Generating Sigma Range ZKP (64-bit) for Shielded Send Deterministically ---');
+export function generateAndVerifyProofs(ephemPubBytes, amount, opts = {}) {
+  const { zkSeed = null } = opts;
+  const nonceMode = opts.nonceMode ?? (zkSeed ? NONCE_MODE_RECOVERABLE : NONCE_MODE_HEDGED);
+  console.log(`--- Generating Sigma Range ZKP (64-bit) for Shielded Send (${nonceMode} nonces) ---`);
 
-  // Seed: must match Bob's regeneration path (ephemPub || uint64le(amount))
+  // Seed: must match Bob's regeneration path (ephemPub || uint64le(amount));
+  // in recoverable mode Bob also needs the session zkSeed.
   const seed = sha256(concat(ephemPubBytes, uint64le(amount)));
 
-  // Create proof with deterministic seed
-  const proof = generateSigmaRangeProof(amount, seed);
+  const proof = generateSigmaRangeProof(amount, seed, { nonceMode, zkSeed });
   const proofBytes = serializeProof(proof);
 
   // CompactSize envelope to avoid "bad point length" issues
@@ -0,0 +1,637 @@
+// src/scanner.js
+// -----------------------------------------------------------------------------
+// Receiver-side RPA scanner: walks transactions and finds the outputs paid to
+// a paycode, so the receiver no longer needs the sender to hand over context.
+//
+// For every transaction:
+//   1) every input whose scriptSig is P2PKH (<sig> <pubkey>) is a candidate RPA
+//      context: sender pubkey P + the outpoint it spends. With two or more
+//      such inputs, their pubkey sum + smallest outpoint is one more candidate
+//      (RPA_CONTEXT_AGGREGATE, derivation.js)
+//   2) shared secret = calculatePaycodeSharedSecret(scanPriv, P, outpoint)
+//      (one ECDH per candidate, same as deriveRpaOneTimePrivReceiver)
+//   3) child pubkeys ckdPubFromSecret(spendPub, secret, i) are matched against
+//      the tx's P2PKH outputs (token prefix ok) for i in the index window; every
+//      match extends the window past it, so a gap of `indexWindow` unused
+//      indexes ends the search
+//   4) a CTN1 note output (note_channel.js) that opens under the session keys
+//      of that secret marks a covenant-funded payment to us
+// Matches carry their one-time private key; scan stores keep only its `tweak`
+// (matchOneTimePriv rebuilds the key from the spend key).
+//
+// Watch-only: with { scanPrivBytes, spendPub33 } instead of the spend private
+// key, steps 1-4 run unchanged (amounts in notes still decrypt), but matches
+// carry oneTimePriv: null. Their `tweak` (derivation.js ckdTweakFromSecret)
+// is what the spend-key holder adds to the spend key to sign (watch_only.js).
+//
+// Labels: keys.labels lists the label numbers to look for (derivation.js
+// rpaLabelTweak). Labeled children are spend pub + t·G + m·G with one tweak t
+// for all labels (rpaLabeledChildTweak), so step 3 derives spend pub + t·G
+// once per index and adds each label point m·G to it; the labels share one
+// index window. Matches carry `label` (null = unlabeled). Covenant note
+// matches are always attributed to the unlabeled paycode.
+//
+// Transaction sources (all async, heights inclusive):
+//   { name, getTipHeight(), getTransactions(fromHeight, toHeight) -> [{ txid, height, hex }] }
+//   - createMemoryTxSource:   local stand-in (tests, demo, mempool-fed txs)
+//   - createFileTxSource:     raw tx hex files
+//   - createElectrumTxSource: confirmed history of watched scripthashes
+//   - createRpaPrefixTxSource: server RPA prefix index (blockchain.rpa.*), for
+//     paycodes with a grinding prefix
+//
+// Scan stores:
+//   { getLastHeight(), setLastHeight(h), addMatch(m) -> bool, getMatches(), save() }
+//   - createMemoryScanStore, createJsonScanStore (resumable, no one-time keys)
+// -----------------------------------------------------------------------------
+
+import fs from 'fs';
+import path from 'path';
+import { secp256k1 } from '@noble/curves/secp256k1.js';
+import { bytesToHex, hexToBytes, reverseBytes, bytesToBigInt, _hash160 } from './utils.js';
+import { hash256 } from './transcript.js';
+import { parseTx, connectElectrum, addressToScripthash, getRpaPrefixHistory } from './electrum.js';
+import { rpaPrefixFromPaycode } from './paycodes.js';
+import { NETWORK } from './config.js';
+import { splitTokenPrefix, extractPubKeyFromP2PKHScriptSig } from './tx.js';
+import {
+  calculatePaycodeSharedSecret,
+  ckdPubFromSecret,
+  ckdPrivFromSecret,
+  ckdTweakFromSecret,
+  applyCkdTweak,
+  rpaLabelTweak,
+  rpaLabeledChildTweak,
+  deriveRpaSessionKeys,
+  aggregateRpaInputPubs,
+  RPA_CONTEXT_INPUT,
+  RPA_CONTEXT_AGGREGATE,
+  RPA_COVENANT_INDEX,
+} from './derivation.js';
+import { findNoteOutput } from './note_channel.js';
+import { decryptNote } from './notes.js';
+
+export const DEFAULT_INDEX_WINDOW = 8;
+export const SCAN_STORE_VERSION = 1;
+
+export const MATCH_KIND_P2PKH = 'p2pkh';
+export const MATCH_KIND_NOTE = 'note';
+
+/** txid (BE hex) of a raw transaction. */
+export function txidFromRaw(raw) {
+  const bytes = typeof raw === 'string' ? hexToBytes(raw) : raw;
+  return bytesToHex(reverseBytes(hash256(bytes)));
+}
+
+function p2pkhHash160(scriptPubKey) {
+  const { prefix, locking } = splitTokenPrefix(scriptPubKey);
+  if (
+    locking.length !== 25 ||
+    locking[0] !== 0x76 ||
+    locking[1] !== 0xa9 ||
+    locking[2] !== 0x14 ||
+    locking[23] !== 0x88 ||
+    locking[24] !== 0xac
+  ) {
+    return null;
+  }
+  return { hash160: locking.slice(3, 23), tokenPrefix: prefix };
+}
+
+function senderPubOrNull(scriptSig) {
+  try {
+    return extractPubKeyFromP2PKHScriptSig(scriptSig);
+  } catch {
+    return null; // not P2PKH (covenant / P2SH input, coinbase, ...)
+  }
+}
+
+/* ========================================================================== */
+/* Single-transaction scan                                                    */
+/* ========================================================================== */
+
+/**
+ * Scan one transaction for outputs paid to a paycode.
+ *
+ * @param {string|Uint8Array|{ inputs: object[], outputs: object[], txid?: string }} tx
+ *   raw tx (hex / bytes) or a parseTx() result; a parsed tx needs `txid` set
+ *   (or pass opts.txid) for the matches to carry it
+ * @param {{ scanPrivBytes: Uint8Array, spendPrivBytes?: Uint8Array, spendPub33?: Uint8Array, labels?: number[] }} keys
+ *   spend private key, or only its pubkey for a watch-only scan (oneTimePriv: null);
+ *   labels to attribute payments to
+ * @param {{
+ *   indexStart?: number,   // first derivation index tried (default 0)
+ *   indexWindow?: number,  // indices tried past indexStart and past every
+ *                          // match (gap limit, default 8)
+ *   txid?: string,
+ *   height?: number|null,
+ * }} [opts]
+ * @returns {object[]} matches, see the MATCH_KIND_* records below
+ */
+export function scanTransaction(tx, keys, opts = {}) {
+  const { scanPrivBytes, spendPrivBytes = null } = keys;
+  const { indexStart = 0, indexWindow = DEFAULT_INDEX_WINDOW, height = null } = opts;
+  if (!Number.isInteger(indexStart) || indexStart < 0 || !Number.isInteger(indexWindow) || indexWindow < 1) {
+    throw new Error('scanTransaction: indexStart must be >= 0 and indexWindow >= 1');
+  }
+
+  let parsed = tx;
+  let txid = opts.txid ?? tx?.txid ?? null;
+  if (typeof tx === 'string' || tx instanceof Uint8Array) {
+    const hex = typeof tx === 'string' ? tx : bytesToHex(tx);
+    parsed = parseTx(hex);
+    txid = txid ?? txidFromRaw(hex);
+  }
+
+  if (!spendPrivBytes && !keys.spendPub33) throw new Error('scanTransaction: spendPrivBytes or spendPub33 is required');
+  const spendPub33 = keys.spendPub33 ?? secp256k1.getPublicKey(spendPrivBytes, true);
+  const spendPoint = secp256k1.Point.fromHex(bytesToHex(spendPub33));
+  const scanPub33 = secp256k1.getPublicKey(scanPrivBytes, true);
+  // Label points m·G, added to each index's labeled base key
+  const labels = (keys.labels ?? []).map((label) => {
+    const labelTweak = rpaLabelTweak(scanPrivBytes, label);
+    return { label, labelTweak, point: secp256k1.Point.fromHex(bytesToHex(secp256k1.getPublicKey(labelTweak, true))) };
+  });
+  const childPriv = (secret, index) => (spendPrivBytes ? ckdPrivFromSecret(spendPrivBytes, secret, index) : null);
+
+  // hash160 -> vouts of P2PKH outputs (with or without a token prefix)
+  const p2pkhOutputs = new Map();
+  parsed.outputs.forEach((out, vout) => {
+    const hit = p2pkhHash160(out.scriptPubKey);
+    if (!hit) return;
+    const key = bytesToHex(hit.hash160);
+    if (!p2pkhOutputs.has(key)) p2pkhOutputs.set(key, []);
+    p2pkhOutputs.get(key).push({ vout, tokenPrefix: hit.tokenPrefix });
+  });
+  const noteOutput = findNoteOutput(parsed);
+  if (p2pkhOutputs.size === 0 && !noteOutput) return [];
+
+  // Candidate RPA contexts: each P2PKH input, plus their aggregate
+  const contexts = [];
+  const p2pkhInputs = [];
+  parsed.inputs.forEach((input, inputIndex) => {
+    const senderPub33 = senderPubOrNull(input.scriptSig);
+    if (!senderPub33) return;
+    const prevoutN = Number(input.vout);
+    p2pkhInputs.push({ pub33: senderPub33, txid: input.txid, vout: prevoutN });
+    contexts.push({ rpaContext: RPA_CONTEXT_INPUT, inputIndex, senderPub33, prevoutTxidHex: input.txid, prevoutN });
+  });
+  if (p2pkhInputs.length > 1) {
+    const agg = aggregateRpaInputPubs(p2pkhInputs);
+    if (agg) {
+      contexts.push({
+        rpaContext: RPA_CONTEXT_AGGREGATE,
+        inputIndex: null,
+        senderPub33: agg.pub33,
+        prevoutTxidHex: agg.prevoutTxidHex,
+        prevoutN: agg.prevoutN,
+      });
+    }
+  }
+
+  const matches = [];
+  const claimed = new Set();
+  for (const rpa of contexts) {
+    const { senderPub33, prevoutTxidHex, prevoutN } = rpa;
+
+    // Same outpoint string as deriveRpaOneTimePrivReceiver
+    const sharedSecret = calculatePaycodeSharedSecret(scanPrivBytes, senderPub33, `${prevoutTxidHex}${prevoutN}`);
+
+    // Records every unclaimed P2PKH output paying childPub33. `tweak` is
+    // relative to the unlabeled spend key (watch_only.js templates).
+    const claimOutputs = (childPub33, index, label, tweak) => {
+      const childHash160 = _hash160(childPub33);
+      let found = false;
+      for (const { vout, tokenPrefix } of p2pkhOutputs.get(bytesToHex(childHash160)) ?? []) {
+        if (claimed.has(vout)) continue;
+        claimed.add(vout);
+        found = true;
+        const t = tweak();
+        matches.push({
+          kind: MATCH_KIND_P2PKH,
+          txid,
+          vout,
+          height,
+          value: BigInt(parsed.outputs[vout].value),
+          tokenPrefix,
+          index,
+          label,
+          ...rpa,
+          childPub33,
+          childHash160,
+          tweak: t,
+          oneTimePriv: spendPrivBytes ? applyCkdTweak(spendPrivBytes, t) : null,
+        });
+      }
+      return found;
+    };
+
+    let indexEnd = indexStart + indexWindow;
+    for (let index = indexStart; index < indexEnd; index++) {
+      const childPub33 = ckdPubFromSecret(spendPub33, sharedSecret, index);
+      if (claimOutputs(childPub33, index, null, () => ckdTweakFromSecret(spendPub33, sharedSecret, index))) {
+        indexEnd = Math.max(indexEnd, index + 1 + indexWindow);
+      }
+    }
+
+    // Labeled: child = (spend pub + t·G) + m·G, t shared by every label
+    let labeledEnd = labels.length ? indexStart + indexWindow : indexStart;
+    for (let index = indexStart; index < labeledEnd; index++) {
+      const t = rpaLabeledChildTweak(scanPub33, sharedSecret, index);
+      const base = spendPoint.add(secp256k1.Point.BASE.multiply(bytesToBigInt(t)));
+      for (const { label, labelTweak, point } of labels) {
+        if (claimOutputs(base.add(point).toBytes(true), index, label, () => applyCkdTweak(labelTweak, t))) {
+          labeledEnd = Math.max(labeledEnd, index + 1 + indexWindow);
+        }
+      }
+    }
+
+    // Covenant-funded payment: the CTN1 note only opens under our session keys
+    if (noteOutput && !claimed.has(noteOutput.outIndex)) {
+      const { amountKey, memoKey } = deriveRpaSessionKeys(sharedSecret, prevoutTxidHex, prevoutN);
+      let opened = null;
+      try {
+        opened = decryptNote({ amountKey, memoKey }, noteOutput.note, {
+          txid: prevoutTxidHex,
+          vout: prevoutN,
+          outIndex: noteOutput.outIndex,
+        });
+      } catch {
+        opened = null; // not ours (or not from this context)
+      }
+      if (opened) {
+        claimed.add(noteOutput.outIndex);
+        // Senders lock the covenant guard key at RPA_COVENANT_INDEX, whatever
+        // window this scan covers
+        const childPub33 = ckdPubFromSecret(spendPub33, sharedSecret, RPA_COVENANT_INDEX);
+        matches.push({
+          kind: MATCH_KIND_NOTE,
+          txid,
+          vout: noteOutput.outIndex,
+          height,
+          value: opened.value,
+          tokenPrefix: null,
+          index: RPA_COVENANT_INDEX,
+          label: null,
+          ...rpa,
+          childPub33,
+          childHash160: _hash160(childPub33),
+          tweak: ckdTweakFromSecret(spendPub33, sharedSecret, RPA_COVENANT_INDEX),
+          oneTimePriv: childPriv(sharedSecret, RPA_COVENANT_INDEX),
+          note: {
+            noteVout: noteOutput.vout,
+            blinding: opened.blinding,
+            assetId: opened.assetId,
+            memoText: opened.memoText,
+            ephemPub33: opened.ephemPub33,
+            proofHash: noteOutput.proofHash,
+          },
+        });
+      }
+    }
+  }
+  return matches;
+}
+
+/* ========================================================================== */
+/* Transaction sources                                                        */
+/* ========================================================================== */
+
+function inRange(h, from, to) {
+  return Number.isInteger(h) && h > 0 && h >= from && h <= to;
+}
+
+/**
+ * In-memory source. Entries without a positive height (mempool) are kept but
+ * never returned by height range; scan those with scanTransaction().
+ * @param {{ hex: string|Uint8Array, height: number|null }[]} [entries]
+ */
+export function createMemoryTxSource(entries = []) {
+  const txs = [];
+  const source = {
+    name: 'memory',
+    addTransaction(raw, height = null) {
+      const hex = typeof raw === 'string' ? raw : bytesToHex(raw);
+      txs.push({ txid: txidFromRaw(hex), height, hex });
+      return source;
+    },
+    async getTipHeight() {
+      return txs.reduce((tip, t) => (Number.isInteger(t.height) && t.height > tip ? t.height : tip), 0);
+    },
+    async getTransactions(fromHeight, toHeight) {
+      return txs.filter((t) => inRange(t.height, fromHeight, toHeight)).sort((a, b) => a.height - b.height);
+    },
+  };
+  for (const e of entries) source.addTransaction(e.hex, e.height ?? null);
+  return source;
+}
+
+/**
+ * Raw transaction files. Each path is a file or a directory of *.hex / *.tx
+ * files; every non-empty line not starting with '#' is `[height] <rawtxhex>`.
+ * Lines without a height get `defaultHeight`. Files are re-read on each call.
+ *
+ * @param {string|string[]} paths
+ * @param {{ defaultHeight?: number }} [opts]
+ */
+export function createFileTxSource(paths, opts = {}) {
+  const { defaultHeight = 1 } = opts;
+  const list = Array.isArray(paths) ? paths : [paths];
+
+  function files() {
+    const out = [];
+    for (const p of list) {
+      if (fs.statSync(p).isDirectory()) {
+        for (const f of fs.readdirSync(p).sort()) {
+          if (/\.(hex|tx)$/i.test(f)) out.push(path.join(p, f));
+        }
+      } else {
+        out.push(p);
+      }
+    }
+    return out;
+  }
+
+  function readAll() {
+    const txs = [];
+    for (const file of files()) {
+      const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+      lines.forEach((line, i) => {
+        const l = line.trim();
+        if (!l || l.startsWith('#')) return;
+        const parts = l.split(/\s+/);
+        if (parts.length > 2 || (parts.length === 2 && !/^\d+$/.test(parts[0]))) {
+          throw new Error(`createFileTxSource: ${file}:${i + 1}: expected "[height] <rawtxhex>"`);
+        }
+        const hex = parts[parts.length - 1];
+        if (!/^([0-9a-fA-F]{2})+$/.test(hex)) {
+          throw new Error(`createFileTxSource: ${file}:${i + 1}: not a raw tx hex string`);
+        }
+        const height = parts.length === 2 ? Number(parts[0]) : defaultHeight;
+        txs.push({ txid: txidFromRaw(hex), height, hex: hex.toLowerCase() });
+      });
+    }
+    return txs;
+  }
+
+  return {
+    name: 'files',
+    async getTipHeight() {
+      return readAll().reduce((tip, t) => Math.max(tip, t.height), 0);
+    },
+    async getTransactions(fromHeight, toHeight) {
+      return readAll().filter((t) => inRange(t.height, fromHeight, toHeight)).sort((a, b) => a.height - b.height);
+    },
+  };
+}
+
+/**
+ * Electrum backend: confirmed history of a set of watched scripthashes /
+ * addresses (e.g. the covenant template, or addresses known senders pay
+ * from). Plain Electrum has no "all transactions in block N" call, so the
+ * candidate set has to come from somewhere.
+ *
+ * @param {{
+ *   network?: string,
+ *   scripthashes?: string[],
+ *   addresses?: string[],
+ *   client?: object,   // connected ElectrumClient-like { request, disconnect }; not disconnected here
+ * }} params
+ */
+export function createElectrumTxSource({ network = NETWORK, scripthashes = [], addresses = [], client = null } = {}) {
+  const watched = [...scripthashes, ...addresses.map((a) => addressToScripthash(a))];
+
+  async function withClient(fn) {
+    const c = client ?? (await connectElectrum(network));
+    try {
+      return await fn(c);
+    } finally {
+      if (!client) await c.disconnect();
+    }
+  }
+
+  return {
+    name: 'electrum',
+    async getTipHeight() {
+      return withClient(async (c) => (await c.request('blockchain.headers.subscribe')).height);
+    },
+    async getTransactions(fromHeight, toHeight) {
+      return withClient(async (c) => {
+        const heights = new Map();
+        for (const sh of watched) {
+          const history = await c.request('blockchain.scripthash.get_history', sh);
+          for (const { tx_hash: txid, height } of history) {
+            if (inRange(height, fromHeight, toHeight)) heights.set(txid, height);
+          }
+        }
+        const txs = [];
+        for (const [txid, height] of heights) {
+          const hex = await c.request('blockchain.transaction.get', txid);
+          txs.push({ txid, height, hex });
+        }
+        return txs.sort((a, b) => a.height - b.height);
+      });
+    },
+  };
+}
+
+/**
+ * Candidates from the server's RPA prefix index: only transactions whose txid
+ * starts with the paycode's grinding prefix are downloaded. Payments from
+ * senders that did not grind are missed; use another source for those.
+ *
+ * @param {{
+ *   paycode?: string|object,  // paycode string or parsePaycode() result
+ *   prefixHex?: string,       // or the prefix itself
+ *   network?: string,
+ *   client?: object,          // connected client to reuse (left connected)
+ * }} params
+ */
+export function createRpaPrefixTxSource({ paycode = null, prefixHex = null, network = NETWORK, client = null } = {}) {
+  const prefix = prefixHex ?? (paycode ? rpaPrefixFromPaycode(paycode) : null);
+  if (!prefix) throw new Error('createRpaPrefixTxSource: paycode has no RPA prefix (prefixBits = 0)');
+
+  async function withClient(fn) {
+    const c = client ?? (await connectElectrum(network));
+    try {
+      return await fn(c);
+    } finally {
+      if (!client) await c.disconnect();
+    }
+  }
+
+  return {
+    name: 'electrum-rpa',
+    prefixHex: prefix,
+    async getTipHeight() {
+      return withClient(async (c) => (await c.request('blockchain.headers.subscribe')).height);
+    },
+    async getTransactions(fromHeight, toHeight) {
+      return withClient(async (c) => {
+        const history = await getRpaPrefixHistory(prefix, fromHeight, toHeight, { client: c });
+        const txs = [];
+        for (const { txid, height } of history) {
+          if (!inRange(height, fromHeight, toHeight)) continue;
+          const hex = await c.request('blockchain.transaction.get', txid);
+          txs.push({ txid, height, hex });
+        }
+        return txs;
+      });
+    },
+  };
+}
+
+/* ========================================================================== */
+/* Scan stores                                                                */
+/* ========================================================================== */
+
+const matchKey = (m) => `${m.txid}:${m.vout}`;
+
+function matchToJson(m) {
+  const out = {};
+  for (const [k, v] of Object.entries(m)) {
+    if (v instanceof Uint8Array) out[k] = bytesToHex(v);
+    else if (typeof v === 'bigint') out[k] = v.toString();
+    else if (v && typeof v === 'object') out[k] = matchToJson(v);
+    else out[k] = v;
+  }
+  return out;
+}
+
+/**
+ * In-memory scan store.
+ * @param {{ lastHeight?: number|null, matches?: object[] }} [initial]
+ */
+export function createMemoryScanStore(initial = {}) {
+  let lastHeight = initial.lastHeight ?? null;
+  const matches = new Map((initial.matches ?? []).map((m) => [matchKey(m), m]));
+  return {
+    getLastHeight: () => lastHeight,
+    setLastHeight(h) {
+      lastHeight = h;
+    },
+    addMatch(m) {
+      const key = matchKey(m);
+      if (matches.has(key)) return false;
+      matches.set(key, m);
+      return true;
+    },
+    getMatches: () => [...matches.values()],
+    save() {},
+  };
+}
+
+/**
+ * One-time private key of a match: spend priv + its tweak, so a stored match
+ * (tweak as hex) opens again once the spend key is at hand.
+ * @returns {Uint8Array}
+ */
+export function matchOneTimePriv(match, spendPrivBytes) {
+  if (!match.tweak) throw new Error(`matchOneTimePriv: ${match.txid}:${match.vout} has no tweak (found by an older scanner); rescan it`);
+  return applyCkdTweak(spendPrivBytes, typeof match.tweak === 'string' ? hexToBytes(match.tweak) : match.tweak);
+}
+
+const withoutOneTimePriv = (m) => ({ ...m, oneTimePriv: null });
+
+/**
+ * JSON file scan store, written with mode 0600. Matches are kept without their
+ * one-time private key (oneTimePriv: null, as in a watch-only scan): the file
+ * lies next to the wallet unencrypted, and the key is spend priv + `tweak`.
+ * A store written with keys by an older scanner is rewritten without them on
+ * open. Loaded matches keep their JSON form: byte fields as hex strings,
+ * values as decimal strings.
+ * @param {string} filePath
+ */
+export function createJsonScanStore(filePath) {
+  let initial = {};
+  let holdsKeys = false;
+  if (fs.existsSync(filePath)) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (data.version !== SCAN_STORE_VERSION) {
+      throw new Error(`createJsonScanStore: unsupported store version ${data.version} in ${filePath}`);
+    }
+    holdsKeys = (data.matches ?? []).some((m) => m.oneTimePriv);
+    initial = { ...data, matches: (data.matches ?? []).map(withoutOneTimePriv) };
+  }
+  const mem = createMemoryScanStore(initial);
+  const store = {
+    ...mem,
+    addMatch: (m) => mem.addMatch(withoutOneTimePriv(m)),
+    save() {
+      const data = {
+        version: SCAN_STORE_VERSION,
+        lastHeight: mem.getLastHeight(),
+        matches: mem.getMatches().map(matchToJson),
+      };
+      const tmp = `${filePath}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+      fs.renameSync(tmp, filePath);
+    },
+  };
+  if (holdsKeys) store.save();
+  return store;
+}
+
+/* ========================================================================== */
+/* Scanner                                                                    */
+/* ========================================================================== */
+
+/**
+ * Scan a source for payments to a paycode, resuming after the store's last
+ * processed height. Progress is saved after every batch of heights, so an
+ * interrupted scan picks up where it stopped.
+ *
+ * @param {{
+ *   source: object,
+ *   store: object,
+ *   scanPrivBytes: Uint8Array,
+ *   spendPrivBytes?: Uint8Array,
+ *   spendPub33?: Uint8Array, // instead of spendPrivBytes: watch-only scan
+ *   labels?: number[],      // labels to attribute payments to (scanTransaction)
+ *   indexStart?: number,
+ *   indexWindow?: number,
+ *   fromHeight?: number,    // overrides the resume height
+ *   toHeight?: number,      // default: source tip
+ *   batchSize?: number,     // heights per getTransactions() call (default 1000)
+ *   onMatch?: (match) => void,
+ * }} params
+ * @returns {Promise<{ fromHeight: number, toHeight: number, txCount: number, matches: object[] }>}
+ *   `matches` holds the matches new to the store
+ */
+export async function scanForRpaPayments(params) {
+  const {
+    source,
+    store,
+    scanPrivBytes,
+    spendPrivBytes,
+    spendPub33,
+    labels,
+    indexStart = 0,
+    indexWindow = DEFAULT_INDEX_WINDOW,
+    batchSize = 1000,
+    onMatch = null,
+  } = params;
+  if (!source || !store) throw new Error('scanForRpaPayments: source and store are required');
+
+  const last = store.getLastHeight();
+  const fromHeight = params.fromHeight ?? (last === null ? 1 : last + 1);
+  const toHeight = params.toHeight ?? (await source.getTipHeight());
+
+  const found = [];
+  let txCount = 0;
+  for (let lo = fromHeight; lo <= toHeight; lo += batchSize) {
+    const hi = Math.min(lo + batchSize - 1, toHeight);
+    const txs = await source.getTransactions(lo, hi);
+    for (const { txid, height, hex } of txs) {
+      txCount++;
+      const matches = scanTransaction(hex, { scanPrivBytes, spendPrivBytes, spendPub33, labels }, { indexStart, indexWindow, txid, height });
+      for (const m of matches) {
+        if (!store.addMatch(m)) continue;
+        found.push(m);
+        if (onMatch) onMatch(m);
+      }
+    }
+    store.setLastHeight(hi);
+    store.save();
+  }
+  return { fromHeight, toHeight, txCount, matches: found };
+}
@@ -12,16 +12,18 @@
  *   - Covenant (covenants.js)       = on-chain guard enforcing equality constraints
  *   - ZK proofs (transcript.js +
  *                pedersen.js)       = off-chain confidential amount proof
- *   - Ephemeral encrypt/decrypt     = Phase-1 deterministic encryption helper
- *                                     (used to hide the amount from everyone
- *                                      except the intended receiver).
+ *   - Note channel (notes.js +
+ *                   note_channel.js) = encrypted amount / blinding note and the
+ *                                     ephemeral key, carried in a CTN1 OP_RETURN
+ *                                     of the funding tx so the receiver can
+ *                                     recover everything from the chain alone.
  *
  * In Phase-2 / PQ vaults, the covenant + ZK layer can be replaced with a
  * Quantumroot-style vault script, while RPA and paycodes remain the front-end
  * interface for discovering which outputs belong to which wallet.
  */
 
-import { consolidateUtxos, getP2PKHScript, estimateTxSize, buildRawTx, signInput, signCovenantInput, addTokenToScript, getP2SHScript, getPreimage } from './tx.js';
+import { consolidateUtxos, getP2PKHScript, estimateTxSize, buildRawTx, signInput, signInputWithRpaPrefix, signCovenantInput, addTokenToScript, getP2SHScript, getPreimage, extractPubKeyFromP2PKHScriptSig } from './tx.js';
 import { getFeeRate, broadcastTx, connectElectrum, parseTx, getTxDetails } from './electrum.js';
 import { decodeCashAddress } from './cashaddr.js';
 import {
@@ -33,7 +35,6 @@ import {
   arraysEqual,
   pushDataPrefix,
   minimalScriptNumber,
-  extractPubKeyFromPaycode,
   hexToBytes,
   bchSchnorrSign,
   bchSchnorrVerify,
@@ -41,16 +42,17 @@ import {
 } from './utils.js';
 import { createCovenant } from './covenants.js';
 import {
-  decryptAmount,
-  deriveRpaOneTimePrivReceiver,  // Bob’s covenant guard one-time priv
   deriveRpaLockIntent,
-  RPA_MODE_STEALTH_P2PKH
+  deriveRpaPayments,
+  RPA_MODE_STEALTH_P2PKH,
+  RPA_CONTEXT_AGGREGATE,
+  RPA_COVENANT_INDEX,
 } from './derivation.js';
+import { recoverNoteFromFundingTx } from './note_channel.js';
+import { parsePaycode, resolvePaycodeTarget } from './paycodes.js';
 import { secp256k1 } from '@noble/curves/secp256k1.js';
-import { buildProofEnvelope, hash256 as dhash } from './transcript.js';
-import { getH, toCompressed } from './pedersen.js';
 import { DUST } from './config.js';
-import { generateSigmaRangeProof, serializeProof } from './zk.js';
+import { buildAmountProofEnvelope, NONCE_MODE_RECOVERABLE } from './zk.js';
 
 const VERBOSE = false; // flip to true when you want full cryptographic tracing
 
@@ -76,8 +78,8 @@ function deriveSelfPaycodeChange(paycode, amount, txid, vout) {
     throw new Error('Missing paycode for paycode-based self-change');
   }
 
-  // 33-byte compressed pubkey from paycode (already validated elsewhere)
-  const selfPub33 = extractPubKeyFromPaycode(paycode);
+  // 33-byte compressed spend pubkey from paycode (already validated elsewhere)
+  const selfPub33 = parsePaycode(paycode).spendPub33;
 
   // Deterministic ephemeral for this self-change output
   const ephemPriv = sha256(
@@ -190,54 +192,6 @@ function assertCovenantWillPassEqVerifies({
   }
 }
 
-function extractPubKeyFromP2PKHScriptSig(rawScriptSig /* string | Uint8Array | number[] */) {
-  let scriptSig;
-
-  if (rawScriptSig instanceof Uint8Array) {
-    scriptSig = rawScriptSig;
-  } else if (typeof rawScriptSig === 'string') {
-    // hex string -> bytes
-    scriptSig = hexToBytes(rawScriptSig);
-  } else if (Array.isArray(rawScriptSig)) {
-    // in case parseTx gives a plain array of numbers
-    scriptSig = Uint8Array.from(rawScriptSig);
-  } else {
-    throw new Error('Unsupported scriptSig type for P2PKH pubkey extraction');
-  }
-
-  if (scriptSig.length < 2) {
-    throw new Error('scriptSig too short to contain sig and pubkey');
-  }
-
-  let i = 0;
-
-  // First push: signature
-  const sigLen = scriptSig[i];
-  i += 1;
-  if (i + sigLen > scriptSig.length) {
-    throw new Error('Invalid sig length in scriptSig');
-  }
-  i += sigLen;
-
-  if (i >= scriptSig.length) {
-    throw new Error('Missing pubkey push in scriptSig');
-  }
-
-  // Second push: pubkey
-  const pubLen = scriptSig[i];
-  i += 1;
-  if (i + pubLen > scriptSig.length) {
-    throw new Error('Invalid pubkey length in scriptSig');
-  }
-
-  const pubkey = scriptSig.slice(i, i + pubLen);
-  if (pubkey.length !== 33) {
-    throw new Error(`Unexpected pubkey length in scriptSig: ${pubkey.length}`);
-  }
-
-  return pubkey; // 33-byte compressed pubkey
-}
-
 function extractLeadingPush20(bytecode /* Uint8Array */) {
   if (!(bytecode instanceof Uint8Array)) return null;
 
@@ -264,8 +218,14 @@ export async function buildAliceSendTx(
   dust,
   aliceHash160,
   alicePrivBytes,
-  network
+  network,
+  options = {}
 ) {
+  // options.noteScript: CTN1 OP_RETURN (note_channel.js) that takes vout0's
+  // place, so Bob can recover the encrypted note from this tx alone.
+  // options.fundingTokenPrefix / changeToken: the funding UTXO holds tokens
+  // (payment_requests.js, a requested category); what it keeps goes to change.
+  const { noteScript = null, fundingTokenPrefix = null, changeToken = null } = options;
   if (!(alicePrivBytes instanceof Uint8Array)) {
     throw new Error('alicePrivBytes must be Uint8Array');
   }
@@ -292,31 +252,35 @@ export async function buildAliceSendTx(
 
   const covenantWithToken = addTokenToScript(token, covenantScript);
 
-  // vout0: RPA-derived address (already computed outside -> derivedHash160)
-  const derivedScript     = getP2PKHScript(derivedHash160);
+  // vout0: CTN1 note (OP_RETURN, 0 sats) or, without a note, a dust P2PKH
+  //        to the RPA-derived address (already computed outside -> derivedHash160)
+  const vout0Script = noteScript ?? getP2PKHScript(derivedHash160);
+  const vout0Value  = noteScript ? 0 : dust;
 
   // vout2: Alice’s base wallet change (P2PKH)
   const baseChangeScript  = getP2PKHScript(aliceHash160);
+  const changeWithToken   = addTokenToScript(changeToken, baseChangeScript);
 
   // Size estimate – values in estOutputs aren't used by estimateTxSize,
   // but we keep the structure realistic.
   const dummyScriptSig = new Uint8Array(7515); // big cushion for covenant flow
   const estInputs  = [{ scriptSig: dummyScriptSig }]; // 1 input (Alice)
   const estOutputs = [
-    { value: dust,       script: derivedScript },
+    { value: vout0Value, script: vout0Script },
     { value: sendAmount, script: covenantWithToken },
-    { value: 0,          script: baseChangeScript },
+    { value: 0,          script: changeWithToken },
   ];
 
-  const estSize = estimateTxSize(estInputs.length, estOutputs.length) + dummyScriptSig.length;
+  const estSize = estimateTxSize(estInputs.length, estOutputs.length) + dummyScriptSig.length
+    + (noteScript ? noteScript.length : 0);
   const fee     = Math.ceil(estSize * rate) + 10; // small buffer
-  const change  = aliceUtxo.value - sendAmount - dust - fee;
+  const change  = aliceUtxo.value - sendAmount - vout0Value - fee;
 
   if (change < DUST) {
     throw new Error('Insufficient funds for fee');
   }
 
-  let finalChangeScript = baseChangeScript;
+  let finalChangeScript = changeWithToken;
 
   // --- NOTE: Mode B (self-RPA change) left for a later phase ---
   // if (alice.paycode) {
@@ -344,8 +308,8 @@ export async function buildAliceSendTx(
       },
     ],
     outputs: [
-      // vout0: tiny P2PKH to RPA-derived one-time address (placeholder for encrypted amount)
-      { value: dust,       scriptPubKey: derivedScript },
+      // vout0: CTN1 encrypted note, or tiny P2PKH to the RPA-derived one-time address
+      { value: vout0Value, scriptPubKey: vout0Script },
 
       // vout1: covenant-locked NFT output (P2SH + token prefix)
       { value: sendAmount, scriptPubKey: covenantWithToken },
@@ -358,13 +322,15 @@ export async function buildAliceSendTx(
 
   console.log('\n[1A] Alice funding transaction layout:');
   console.log('  input[0]: Alice base P2PKH (source wallet)');
-  console.log('  output[0]: small P2PKH to paycode/RPA-derived address (dust marker)');
+  console.log(noteScript
+    ? '  output[0]: OP_RETURN CTN1 note (ephemPub, proofHash, encrypted amount/blinding)'
+    : '  output[0]: small P2PKH to paycode/RPA-derived address (dust marker)');
   console.log('  output[1]: covenant-locked NFT (guarded by RPA-derived child key)');
   console.log('  output[2]: change back to Alice base wallet P2PKH');
   console.log('  change value:', change, 'sats');
 
   const inputScriptCode = getP2PKHScript(aliceHash160);
-  signInput(tx, 0, alicePrivBytes, inputScriptCode, aliceUtxo.value);
+  signInput(tx, 0, alicePrivBytes, inputScriptCode, aliceUtxo.value, { prevTokenPrefix: fundingTokenPrefix });
 
   const txHex = buildRawTx(tx);
   const txId  = await broadcastTx(txHex, network);
@@ -391,9 +357,18 @@ async function getPrevoutDetails(txId, vout, network) {
 /**
  * Build Bob's return transaction spending the covenant UTXO back to Alice.
  *
+ * `bob` is the covenant's receiver: any identity with scan / spend keys and a
+ * funded base address (wallets.js, identities.js). `alicePaycode` is where
+ * the asset returns to: a paycode string or an identity carrying one.
+ * `options.amountRange` ({ rangeMin, rangeMax }) is needed when the funding
+ * envelope was an interval proof, as for a ranged payment request
+ * (payment_requests.js); it is part of the envelope the covenant anchors.
+ *
  * Flow:
- *  1) Decrypt amount from (ephemeral pubkey, ciphertext) passed into this function
- *  2) Reconstruct the RPA covenant-guard key and verify redeemScript ↔ UTXO P2SH hash
+ *  1) Fetch the funding tx and recover the CTN1 note from it (note_channel.js):
+ *     RPA re-derivation from input 0 -> session keys -> decrypted amount,
+ *     blinding and Alice's ephemeral pubkey, plus the covenant guard key
+ *  2) Verify redeemScript ↔ UTXO P2SH hash
  *  3) Build outputs (tokenized to Alice + optional Bob change)
  *  4) Run pre-broadcast covenant guards (output value, pk-hash) mirroring covenant introspection
  *  5) Sign covenant input (RPA-derived key) + fee input (Bob base key)
@@ -403,72 +378,49 @@ export async function buildBobReturnTx(
   bob,
   covenantUtxo,
   alicePaycode,
-  ephemPubReceived,
-  encryptedAmountReceived,
   network,
+  options = {},
 ) {
+  const { amountRange = null } = options;
   console.log('--- [3] Bob builds return TX from covenant → Alice (RPA) ---');
 
   /* ------------------------------------------------------------------------ */
-  /* 1) Decrypt amount (using Alice’s ephemeral pub + Bob’s static key)       */
+  /* 1) Recover the note + covenant guard key from the funding tx alone       */
   /* ------------------------------------------------------------------------ */
-  let decryptedAmountStr;
-  try {
-    decryptedAmountStr = decryptAmount(
-      bob.privBytes,
-      ephemPubReceived,
-      encryptedAmountReceived
-    );
-    console.log('\n[3A] Bob decrypts the encrypted amount:');
-    console.log('  - using: Alice’s ephemeral pubkey + Bob’s static secret');
-    console.log('  - raw decrypted JSON:', decryptedAmountStr);
-  } catch (err) {
-    console.error('Decryption failed:', err);
-    throw err;
-  }
-
-  const parsed = JSON.parse(decryptedAmountStr);
-  if (typeof parsed.v !== 'number') {
-    throw new Error('Invalid decrypted format: expected {"v": <number>}');
-  }
-  const decryptedAmount = parsed.v;
-  console.log('  decrypted amount (sats):', decryptedAmount);
-  console.log('  (This is the value Bob will enforce on vout[0].)');
-
-  /* ------------------------------------------------------------------------ */
-  /* 2) Reconstruct covenant guard key via RPA (receiver side)                */
-  /* ------------------------------------------------------------------------ */
-
-  // The covenant UTXO comes from Alice's funding transaction.
-  // We use the *funding input 0* as the RPA outpoint for the covenant guard.
 
+  // The covenant UTXO comes from Alice's funding transaction; its input 0 is
+  // the RPA outpoint and its CTN1 output carries the encrypted note.
   const fundingTxId = covenantUtxo.tx_hash;
   const fundingTx   = await getTxDetails(fundingTxId, network);
 
-  if (!fundingTx.inputs || fundingTx.inputs.length === 0) {
-    throw new Error('Funding tx has no inputs; cannot derive RPA covenant key');
-  }
-
-  const fundingInput = fundingTx.inputs[0];
-
-  const rpaPrevoutHashHex = fundingInput.txid; // Alice’s previous txid
-  const rpaPrevoutN       = fundingInput.vout;
-
-  // Alice's pubkey from P2PKH scriptSig <sig> <pubkey>
-  const senderPub33 = extractPubKeyFromP2PKHScriptSig(fundingInput.scriptSig);
-
   const bobScanPriv  = bob.scanPrivBytes  ?? bob.privBytes;
   const bobSpendPriv = bob.spendPrivBytes ?? bob.privBytes;
-  const COVENANT_INDEX = 0; // must match funding side
-
-  const { oneTimePriv } = deriveRpaOneTimePrivReceiver(
-    bobScanPriv,
-    bobSpendPriv,
-    senderPub33,
-    rpaPrevoutHashHex,
-    rpaPrevoutN,
-    COVENANT_INDEX,
-  );
+  const COVENANT_INDEX = RPA_COVENANT_INDEX; // must match funding side
+
+  const recovered = recoverNoteFromFundingTx(fundingTx, {
+    scanPrivBytes: bobScanPriv,
+    spendPrivBytes: bobSpendPriv,
+    index: COVENANT_INDEX,
+  });
+
+  if (recovered.outIndex !== Number(covenantUtxo.tx_pos)) {
+    throw new Error(
+      `Funding note describes output ${recovered.outIndex}, covenant is at ${covenantUtxo.tx_pos}`
+    );
+  }
+  if (recovered.value > BigInt(Number.MAX_SAFE_INTEGER)) {
+    throw new Error('Note amount exceeds the safe integer range');
+  }
+  const decryptedAmount  = Number(recovered.value);
+  const ephemPubReceived = recovered.ephemPub33;
+  const { oneTimePriv, senderPub33 } = recovered;
+
+  console.log('\n[3A] Bob recovers the confidential note from funding tx vout', recovered.vout);
+  console.log('  - RPA outpoint (input 0):', `${recovered.prevoutTxidHex}:${recovered.prevoutN}`);
+  console.log('  - Alice funding pubkey (from scriptSig):', bytesToHex(senderPub33));
+  console.log('  - Alice ephemeral pubkey:', bytesToHex(ephemPubReceived));
+  console.log('  decrypted amount (sats):', decryptedAmount);
+  console.log('  (This is the value Bob will enforce on vout[0].)');
 
   const oneTimePub33 = secp256k1.getPublicKey(oneTimePriv, true);
 
@@ -497,17 +449,10 @@ export async function buildBobReturnTx(
   /* 2.5) Rebuild ZK envelope and proofHash for covenant anchoring            */
   /* ------------------------------------------------------------------------ */
 
-  // Same deterministic seed as funding side:
+  // Same seed as funding side, keyed with the note's session zkSeed:
   //   seed = sha256(ephemPub33 || uint64le(amount))
   const regenSeed = sha256(concat(ephemPubReceived, uint64le(decryptedAmount)));
 
-  // Rebuild the *core* Sigma proof
-  const regenProof = generateSigmaRangeProof(decryptedAmount, regenSeed);
-  const regenCoreProofBytes = serializeProof(regenProof);
-
-  const rangeBits = 64;
-  const H33 = toCompressed(getH());
-
   // MUST match funding side:
   const outIndex = Number(covenantUtxo.tx_pos); // MUST match funding side (vout=1)
   const assetId32 = normalizeCategory32(initial_token_data?.category);
@@ -517,24 +462,24 @@ export async function buildBobReturnTx(
   
   console.log('envelope bind outIndex=', outIndex, 'assetId32.len=', assetId32?.length);
 
-  const extraCtx = new Uint8Array(0);
-
-  const regenEnvelope = buildProofEnvelope({
-    protocolTag: 'BCH-CT/Sigma64-v1',
-    rangeBits,
+  // Same builder as the funding side, so header and transcript match exactly.
+  const { proofHash: regenProofHash } = buildAmountProofEnvelope({
+    value: BigInt(decryptedAmount),
+    zkSeed: regenSeed,
+    nonceMode: NONCE_MODE_RECOVERABLE,
+    sessionZkSeed: recovered.session.zkSeed,
     ephemPub33: ephemPubReceived,
-    H33,
     assetId32,
     outIndex,
-    extraCtx,
-    coreProofBytes: regenCoreProofBytes,
+    ...(amountRange && { rangeMin: amountRange.rangeMin, rangeMax: amountRange.rangeMax }),
   });
-
-  const regenProofHash = dhash(regenEnvelope);
   console.log('Rebuilt ZK proofHash for covenant script (hash256(envelope)):',
     bytesToHex(regenProofHash),
   );
   console.log('regenProofHash:', bytesToHex(regenProofHash));
+  if (!arraysEqual(regenProofHash, recovered.proofHash)) {
+    throw new Error('Rebuilt proofHash does not match the proofHash in the funding note');
+  }
   console.log('prevTokenPrefix:', prevTokenPrefix ? bytesToHex(prevTokenPrefix.slice(0, 1 + 32)) : '<none>');
 
   /* ------------------------------------------------------------------------ */
@@ -589,7 +534,7 @@ export async function buildBobReturnTx(
   console.log('  - value:', bobUtxo.value, 'sats');
 
   // RPA sender: use Bob's base priv + his P2PKH fee input outpoint
-  const alicePayPub = extractPubKeyFromPaycode(alicePaycode); // 33-byte pub from Alice paycode
+  const { scanPub33: aliceScanPub, spendPub33: aliceSpendPub, labeled: aliceLabeled } = resolvePaycodeTarget(alicePaycode);
   const bobInputPrivBytes = bob.privBytes;                     // sender secret e
   const rpaReturnPrevoutHashHex = bobUtxo.txid;                // prevout txid
   const rpaReturnPrevoutN       = bobUtxo.vout;                // prevout index
@@ -600,7 +545,9 @@ export async function buildBobReturnTx(
   const rpaIntent = deriveRpaLockIntent({
     mode: RPA_MODE_STEALTH_P2PKH,
     senderPrivBytes: bobInputPrivBytes,
-    receiverPub33: alicePayPub,
+    receiverScanPub33: aliceScanPub,
+    receiverSpendPub33: aliceSpendPub,
+    labeled: aliceLabeled,
     prevoutTxidHex: rpaReturnPrevoutHashHex,
     prevoutN: rpaReturnPrevoutN,
     index: 0,
@@ -610,7 +557,7 @@ export async function buildBobReturnTx(
 
   console.log('  RPA sender context:');
   console.log('    - sender priv e (Bob’s fee input key)');
-  console.log('    - receiver scan/spend Q/R (Alice paycode pubkey)');
+  console.log('    - receiver scan/spend Q/R (Alice paycode pubkeys)');
   console.log('    - outpoint = Bob fee UTXO (txid:vout)');
   console.log('    - index   = 0');
   console.log('  => RPA-derived one-time address for Alice: ', rpaAddr);
@@ -618,7 +565,7 @@ export async function buildBobReturnTx(
   console.log('  (This address is unlinkable from Alice’s base wallet or static paycode.)');
   console.log('  RPA sender context:');
   console.log('    - sender priv e (Bob’s fee input key)');
-  console.log('    - receiver scan/spend Q/R (Alice paycode pubkey)');
+  console.log('    - receiver scan/spend Q/R (Alice paycode pubkeys)');
   console.log('    - outpoint = Bob fee UTXO (txid:vout)');
   console.log('    - index   = 0');
   console.log('  => RPA-derived one-time address for Alice: ', rpaAddr);
@@ -998,4 +945,109 @@ export async function buildAliceRpaSpendTx(
   const txId = await broadcastTx(txHex, network);
   console.log('✅ Broadcast Alice paycode-derived → source TX:', txId);
   return txId;
-}
\ No newline at end of file
+}
+
+/* -------------------------------------------------------------------------- */
+/* Multi-input / multi-output RPA payment (offline builder)                   */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Build and sign a plain RPA payment: several P2PKH inputs, one or more
+ * outputs to the same or different paycodes, optional change. Nothing is
+ * fetched or broadcast; the caller does both.
+ *
+ * Outputs are derived by deriveRpaPayments() (derivation.js): by default from
+ * the sum of all input keys and the smallest outpoint (RPA_CONTEXT_AGGREGATE),
+ * or from one designated input (RPA_CONTEXT_INPUT, EC-compatible). Outputs to
+ * the same paycode get consecutive indexes; receivers find all of them with
+ * scanner.js.
+ *
+ * Recipients are given as `to` (a paycode string or an identity with a
+ * paycode, paycodes.js resolvePaycodeTarget) or by their paycode / pubkeys
+ * directly. A `from` identity signs every input without its own privBytes
+ * and, unless changeScript is given, takes the change at its base address.
+ *
+ * @param {{
+ *   inputs: { txid: string, vout: number, value: number, privBytes?: Uint8Array }[],
+ *   recipients: { to?: string|object, paycode?: string, scanPub33?: Uint8Array, spendPub33?: Uint8Array, value: number }[],
+ *   from?: { privBytes: Uint8Array, hash160: Uint8Array },  // sender identity
+ *   changeScript?: Uint8Array|null,  // receives inputs - outputs - fee (dropped if dust); null = no change
+ *   feeRate?: number,                // sat/byte over estimateTxSize (default 1)
+ *   context?: 'input'|'aggregate',
+ *   designatedInput?: number,
+ *   indexStart?: number,
+ *   rpaPrefixHex?: string|null,      // grind the txid (tx.js signInputWithRpaPrefix)
+ *   network?: string,                // for parsing paycode strings
+ * }} params
+ * @returns {{ tx: object, hex: string, txid: string, fee: number, payments: ReturnType<typeof deriveRpaPayments> }}
+ */
+export function buildRpaPaymentTx(params) {
+  const {
+    recipients,
+    from = null,
+    changeScript = from ? getP2PKHScript(from.hash160) : null,
+    feeRate = 1,
+    context = RPA_CONTEXT_AGGREGATE,
+    designatedInput = 0,
+    indexStart = 0,
+    rpaPrefixHex = null,
+    network,
+  } = params;
+
+  const inputs = params.inputs.map((i) => {
+    const privBytes = i.privBytes ?? from?.privBytes;
+    if (!(privBytes instanceof Uint8Array)) {
+      throw new Error(`buildRpaPaymentTx: input ${i.txid}:${i.vout} has no privBytes and no \`from\` identity`);
+    }
+    return { ...i, privBytes };
+  });
+
+  const resolved = recipients.map((r) => {
+    if (!Number.isInteger(r.value) || r.value < DUST) {
+      throw new Error(`buildRpaPaymentTx: recipient value must be an integer >= ${DUST} sats`);
+    }
+    const { scanPub33, spendPub33, labeled, paycode } = resolvePaycodeTarget(r.to ?? r, { network });
+    return { ...r, scanPub33, spendPub33, labeled, paycodeId: paycode };
+  });
+
+  const payments = deriveRpaPayments({
+    mode: RPA_MODE_STEALTH_P2PKH,
+    inputs,
+    recipients: resolved,
+    context,
+    designatedInput,
+    indexStart,
+  });
+
+  const outputs = payments.outputs.map((o) => ({ value: o.value, scriptPubKey: getP2PKHScript(o.childHash160) }));
+  const totalIn = inputs.reduce((a, i) => a + i.value, 0);
+  const totalOut = outputs.reduce((a, o) => a + o.value, 0);
+  const feeWithChange = Math.ceil(estimateTxSize(inputs.length, outputs.length + 1) * feeRate);
+  const feeNoChange = Math.ceil(estimateTxSize(inputs.length, outputs.length) * feeRate);
+
+  if (totalIn - totalOut < feeNoChange) {
+    throw new Error(`buildRpaPaymentTx: inputs ${totalIn} sats do not cover outputs ${totalOut} + fee ${feeNoChange}`);
+  }
+  let fee = totalIn - totalOut; // without change, the leftover goes to the miner
+  if (changeScript && totalIn - totalOut - feeWithChange >= DUST) {
+    fee = feeWithChange;
+    outputs.push({ value: totalIn - totalOut - fee, scriptPubKey: changeScript });
+  }
+
+  const tx = {
+    version: 2,
+    inputs: inputs.map((i) => ({ txid: i.txid, vout: i.vout, sequence: 0xffffffff, scriptSig: new Uint8Array() })),
+    outputs,
+    locktime: 0,
+  };
+
+  // Sign every input; the last one grinds the txid prefix if asked to
+  const p2pkhOf = (priv) => getP2PKHScript(_hash160(secp256k1.getPublicKey(priv, true)));
+  const last = inputs.length - 1;
+  for (let i = 0; i < last; i++) signInput(tx, i, inputs[i].privBytes, p2pkhOf(inputs[i].privBytes), inputs[i].value);
+  const { txid } = signInputWithRpaPrefix(tx, last, inputs[last].privBytes, p2pkhOf(inputs[last].privBytes), inputs[last].value, {
+    prefixHex: rpaPrefixHex,
+  });
+
+  return { tx, hex: buildRawTx(tx), txid, fee, payments };
+}
@@ -0,0 +1,189 @@
+// src/surjection.js
+// -----------------------------------------------------------------------------
+// Blinded asset tags and asset surjection proofs (multi-asset CT).
+// - Asset tag of a CashToken category:   H_asset = getAssetH(category, version)
+// - Blinded tag on an output:            A = H_asset + r'*G
+// - Output amount commitment:            C = v*A + r*G
+//   (generateSigmaRangeProof(v, seed, { generator: A }) proves v's range)
+// - Surjection proof: the output tag A_out commits to the same asset as one
+//   of the input tags A_in_j, without revealing which. Since
+//     A_out - A_in_j = (r'_out - r'_in_j)*G   for the matching j,
+//   this is a 1-of-k OR-proof of knowledge of a discrete log w.r.t. G,
+//   the same construction the per-bit range proof uses for k = 2.
+//
+// Serialization (points compressed 33B, scalars 32B big-endian):
+//   k(1) || R_j(33)*k || e_j(32)*k || z_j(32)*k
+// -----------------------------------------------------------------------------
+
+import { secp256k1 } from '@noble/curves/secp256k1.js';
+import { randomBytes } from 'crypto';
+import { bytesToBigInt, bigIntToBytes, concat } from './utils.js';
+import { getAssetH, GENERATOR_VERSION_LEGACY } from './pedersen.js';
+import { Transcript } from './transcript.js';
+
+const Point = secp256k1.Point;
+const G = Point.BASE;
+const n = Point.CURVE().n;
+
+export const SURJECTION_MAX_INPUTS = 255;
+
+const mod = (a) => ((a % n) + n) % n;
+const mulSafe = (P, k) => (mod(k) === 0n ? Point.ZERO : P.multiply(mod(k)));
+
+function randomScalar() {
+  let k = 0n;
+  while (k === 0n) k = bytesToBigInt(randomBytes(32)) % n;
+  return k;
+}
+
+/* ========================================================================== */
+/* Blinded asset tags                                                         */
+/* ========================================================================== */
+
+/**
+ * Blind an asset tag: A = H_asset + r'*G.
+ * @param {Uint8Array|null} assetId32 - CashToken category (null = plain BCH, H)
+ * @param {bigint|null} [tagBlinding] - r'; fresh random scalar when omitted.
+ *   Pass 0n for an unblinded tag (e.g. inputs whose category is public).
+ * @param {string} [generatorVersion] - pedersen.js generator version (default legacy)
+ * @returns {{ tag: secp256k1.Point, tag33: Uint8Array, tagBlinding: bigint }}
+ */
+export function blindAssetTag(assetId32, tagBlinding = null, generatorVersion = GENERATOR_VERSION_LEGACY) {
+  const r = tagBlinding === null ? randomScalar() : mod(BigInt(tagBlinding));
+  const tag = getAssetH(assetId32, generatorVersion).add(mulSafe(G, r));
+  return { tag, tag33: tag.toBytes(true), tagBlinding: r };
+}
+
+/* ========================================================================== */
+/* Surjection proof                                                           */
+/* ========================================================================== */
+
+function surjectionTranscript(inputTags, outputTag, context) {
+  const t = new Transcript('BCH-CT/asset-surjection')
+    .appendMessage('context', context)
+    .appendU64('k', inputTags.length);
+  for (const A of inputTags) t.appendPoint('input-tag', A);
+  return t.appendPoint('output-tag', outputTag);
+}
+
+/**
+ * Prove that `output`'s tag blinds the same asset as one of `inputs`.
+ *
+ * @param {{
+ *   inputs: { assetId: Uint8Array|null, tagBlinding: bigint }[],
+ *   output: { assetId: Uint8Array|null, tagBlinding: bigint },
+ *   context?: Uint8Array,   // e.g. the transaction / envelope being built
+ *   generatorVersion?: string, // of the asset generators (default legacy)
+ * }} params
+ * @returns {{ inputTags: secp256k1.Point[], outputTag: secp256k1.Point,
+ *             proof: { R: secp256k1.Point[], e: bigint[], z: bigint[] } }}
+ */
+export function generateSurjectionProof({
+  inputs,
+  output,
+  context = new Uint8Array(0),
+  generatorVersion = GENERATOR_VERSION_LEGACY,
+}) {
+  if (!Array.isArray(inputs) || inputs.length === 0 || inputs.length > SURJECTION_MAX_INPUTS) {
+    throw new Error(`generateSurjectionProof: need 1..${SURJECTION_MAX_INPUTS} inputs`);
+  }
+  const sameAsset = (a, b) =>
+    (a === null && b === null) ||
+    (a !== null && b !== null && a.length === b.length && a.every((x, i) => x === b[i]));
+
+  const real = inputs.findIndex((i) => sameAsset(i.assetId ?? null, output.assetId ?? null));
+  if (real < 0) throw new Error('generateSurjectionProof: output asset is not among the inputs');
+
+  const inputTags = inputs.map((i) => blindAssetTag(i.assetId ?? null, i.tagBlinding ?? 0n, generatorVersion).tag);
+  const outputTag = blindAssetTag(output.assetId ?? null, output.tagBlinding ?? 0n, generatorVersion).tag;
+  const D = inputTags.map((A) => outputTag.subtract(A));
+  const x = mod(BigInt(output.tagBlinding ?? 0n) - BigInt(inputs[real].tagBlinding ?? 0n));
+
+  const t = surjectionTranscript(inputTags, outputTag, context);
+  const k = inputs.length;
+
+  // Simulate every branch except the real one
+  const R = new Array(k);
+  const e = new Array(k).fill(0n);
+  const z = new Array(k).fill(0n);
+  for (let j = 0; j < k; j++) {
+    if (j === real) continue;
+    e[j] = randomScalar();
+    z[j] = randomScalar();
+    R[j] = mulSafe(G, z[j]).subtract(mulSafe(D[j], e[j]));
+  }
+  const kReal = randomScalar();
+  R[real] = G.multiply(kReal);
+
+  for (const Rj of R) t.appendPoint('R', Rj);
+  const c = t.challengeScalar('e');
+
+  let eSim = 0n;
+  for (let j = 0; j < k; j++) if (j !== real) eSim = mod(eSim + e[j]);
+  e[real] = mod(c - eSim);
+  z[real] = mod(kReal + e[real] * x);
+
+  return { inputTags, outputTag, proof: { R, e, z } };
+}
+
+/**
+ * Verify a surjection proof against the public input and output tags.
+ * @param {secp256k1.Point[]} inputTags
+ * @param {secp256k1.Point} outputTag
+ * @param {{ R: secp256k1.Point[], e: bigint[], z: bigint[] }} proof
+ * @param {{ context?: Uint8Array }} [opts] - must match the prover's
+ * @returns {boolean}
+ */
+export function verifySurjectionProof(inputTags, outputTag, proof, opts = {}) {
+  const { context = new Uint8Array(0) } = opts;
+  const k = inputTags.length;
+  if (k === 0 || k > SURJECTION_MAX_INPUTS) return false;
+  if (proof.R.length !== k || proof.e.length !== k || proof.z.length !== k) return false;
+  for (const s of [...proof.e, ...proof.z]) {
+    if (typeof s !== 'bigint' || s < 0n || s >= n) return false;
+  }
+
+  const t = surjectionTranscript(inputTags, outputTag, context);
+  for (const Rj of proof.R) t.appendPoint('R', Rj);
+  const c = t.challengeScalar('e');
+
+  let eSum = 0n;
+  for (const ej of proof.e) eSum = mod(eSum + ej);
+  if (eSum !== c) return false;
+
+  for (let j = 0; j < k; j++) {
+    const D = outputTag.subtract(inputTags[j]);
+    const lhs = mulSafe(G, proof.z[j]);
+    const rhs = proof.R[j].add(mulSafe(D, proof.e[j]));
+    if (!lhs.equals(rhs)) return false;
+  }
+  return true;
+}
+
+export function serializeSurjectionProof(proof) {
+  const k = proof.R.length;
+  return concat(
+    Uint8Array.of(k),
+    ...proof.R.map((P) => P.toBytes(true)),
+    ...proof.e.map((s) => bigIntToBytes(s, 32)),
+    ...proof.z.map((s) => bigIntToBytes(s, 32)),
+  );
+}
+
+export function deserializeSurjectionProof(bytes) {
+  if (!(bytes instanceof Uint8Array) || bytes.length < 1) {
+    throw new Error('deserializeSurjectionProof: bytes must be a non-empty Uint8Array');
+  }
+  const k = bytes[0];
+  if (k === 0 || bytes.length !== 1 + k * (33 + 32 + 32)) {
+    throw new Error(`deserializeSurjectionProof: bad length ${bytes.length} for k=${k}`);
+  }
+  let pos = 1;
+  const R = [];
+  for (let j = 0; j < k; j++, pos += 33) R.push(Point.fromBytes(bytes.slice(pos, pos + 33)));
+  const e = [];
+  for (let j = 0; j < k; j++, pos += 32) e.push(bytesToBigInt(bytes.slice(pos, pos + 32)));
+  const z = [];
+  for (let j = 0; j < k; j++, pos += 32) z.push(bytesToBigInt(bytes.slice(pos, pos + 32)));
+  return { R, e, z };
+}
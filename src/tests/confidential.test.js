@@ -10,6 +10,10 @@
 // after your usual build step.
 
 import { randomBytes } from 'crypto';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
 import { secp256k1 } from '@noble/curves/secp256k1.js';
 
 import {
@@ -17,24 +21,207 @@ import {
   deriveRpaLockIntent,
   deriveRpaOneTimePrivReceiver,
   deriveRpaSessionKeys,
+  deriveRpaPayments,
+  smallestOutpoint,
+  aggregateRpaInputKeys,
+  RPA_CONTEXT_INPUT,
+  RPA_CONTEXT_AGGREGATE,
+  RPA_MODE_STEALTH_P2PKH,
+  applyCkdTweak,
+  deriveRpaOneTimeAddressSender,
+  rpaLabelTweak,
+  rpaLabeledChildTweak,
+  RPA_COVENANT_INDEX,
 } from '../derivation.js';
 
 import {
   _hash160,
   bytesToHex,
+  hexToBytes,
+  ensureEvenYPriv,
+  reverseBytes,
+  concat,
+  sha256,
+  uint64le,
+  bchSchnorrSign,
+  bchSchnorrVerify,
 } from '../utils.js';
 
 import {
   pedersenCommit64,
+  pedersenCommit64Legacy,
+  getH,
+  getAssetH,
+  getGeneratorVector,
+  GENERATOR_VERSION_LEGACY,
+  GENERATOR_VERSION_SSWU,
+  Commitment,
+  balancingBlinding,
+  commitBalancingOutput,
 } from '../pedersen.js';
 
+import { secp256k1_hasher } from '@noble/curves/secp256k1.js';
+
 import {
   buildAmountProofEnvelope,
   verifyAmountProofEnvelope,
   BITS,
+  RANGE_BACKEND_BULLETPROOF,
+  PROTOCOL_TAG_BULLETPROOF,
+  generateSigmaRangeProof,
+  serializeProof,
+  deserializeProof,
+  verifySigmaRangeProof,
+  verifySigmaRangeProofBatch,
+  PROTOCOL_TAG_SIGMA64,
+  pedersenCommit,
+  migrateLegacyCommitment,
+  verifyCommitmentEquality,
+  deserializeCommitmentEqualityProof,
+  buildBalanceProofEnvelope,
+  verifyBalanceProofEnvelope,
+  generateOpeningProof,
+  serializeOpeningProof,
+  deserializeOpeningProof,
+  verifyOpeningProof,
+  NONCE_MODE_DETERMINISTIC,
+  NONCE_MODE_HEDGED,
+  NONCE_MODE_RECOVERABLE,
+  RANGE_BACKEND_BORROMEAN,
+  RANGE_BACKEND_SIGMA64,
+  PROTOCOL_TAG_BORROMEAN,
+  readAmountProofEnvelope,
 } from '../zk.js';
 
-import { buildProofEnvelope, parseProofEnvelope } from '../transcript.js';
+import { generateAndVerifyProofs } from '../proofs.js';
+
+import { encryptNote, decryptNote, parseNote, NOTE_VERSION_1, NOTE_VERSION_2 } from '../notes.js';
+
+import {
+  buildNoteOpReturnScript,
+  parseNoteOpReturnScript,
+  recoverNoteFromFundingTx,
+  NOTE_CHANNEL_MAX_SCRIPT_BYTES,
+} from '../note_channel.js';
+
+import {
+  generatePaycode,
+  parsePaycode,
+  derivePaycodeKeys,
+  derivePaycodeChainCode,
+  paycodeFromBackup,
+  selfTestPaycodeBackup,
+  PAYCODE_NETWORK_BYTES,
+  PAYCODE_FLAG_CONF_ASSET,
+  PAYCODE_FLAG_NOTE_CHANNEL,
+  PAYCODE_FLAG_LABELED,
+  PAYCODE_FLAGS_DEFAULT,
+  rpaPrefixFromPaycode,
+} from '../paycodes.js';
+
+import { base58checkEncode, base58checkDecode } from '../base58.js';
+
+import {
+  buildRawTx,
+  getP2PKHScript,
+  getP2SHScript,
+  signInput,
+  signInputWithRpaPrefix,
+  extractPubKeyFromP2PKHScriptSig,
+  addTokenToScript,
+} from '../tx.js';
+import { createCovenant } from '../covenants.js';
+
+import { getRpaPrefixHistory, getRpaPrefixMempool, parseTx } from '../electrum.js';
+import { createMockElectrumServer } from '../electrum_mock.js';
+import { buildRpaPaymentTx } from '../send_return.js';
+import {
+  generateMnemonic,
+  hdRootFromMnemonic,
+  encryptSeed,
+  decryptSeed,
+  deriveBaseKey,
+  deriveHdPaycodeKeys,
+  HD_CHAIN_CHANGE,
+} from '../hd.js';
+import {
+  getWallets,
+  unlockWallet,
+  lockWallet,
+  changeWalletPassphrase,
+  migrateWalletFile,
+  walletStatus,
+  WALLET_FILE_VERSION,
+} from '../wallets.js';
+import { sealKeystore, openKeystore, changeKeystorePassphrase } from '../keystore.js';
+import { openIdentityStore, listIdentities, listIdentityLabels, identityScanStorePath } from '../identities.js';
+import {
+  createWatchOnlyWallet,
+  exportWatchOnly,
+  watchOnlyFromExport,
+  buildSpendTemplate,
+  signSpendTemplate,
+} from '../watch_only.js';
+import {
+  createPaymentRequest,
+  verifyPaymentRequest,
+  paymentRequestId,
+  paymentRequestToUri,
+  parsePaymentRequestUri,
+  preparePaymentRequestSend,
+  paymentProof,
+  verifyPaymentProof,
+  PAYMENT_REQUEST_TAG,
+} from '../payment_requests.js';
+
+import {
+  scanTransaction,
+  scanForRpaPayments,
+  createMemoryTxSource,
+  createFileTxSource,
+  createElectrumTxSource,
+  createRpaPrefixTxSource,
+  createMemoryScanStore,
+  createJsonScanStore,
+  matchOneTimePriv,
+  txidFromRaw,
+  MATCH_KIND_P2PKH,
+  MATCH_KIND_NOTE,
+} from '../scanner.js';
+
+import {
+  generateBulletproofRangeProof,
+  serializeBulletproof,
+  deserializeBulletproof,
+  verifyBulletproofRangeProof,
+} from '../bulletproofs.js';
+
+import {
+  generateBorromeanRangeProof,
+  serializeBorromeanProof,
+  deserializeBorromeanProof,
+  verifyBorromeanRangeProof,
+  borromeanProofBytes,
+} from '../borromean.js';
+
+import {
+  blindAssetTag,
+  generateSurjectionProof,
+  verifySurjectionProof,
+  serializeSurjectionProof,
+  deserializeSurjectionProof,
+} from '../surjection.js';
+
+import {
+  buildProofEnvelope,
+  parseProofEnvelope,
+  parseProofEnvelopeHeader,
+  Transcript,
+  ENVELOPE_VERSION_1,
+  ENVELOPE_VERSION_2,
+  buildBalanceEnvelope,
+  parseBalanceEnvelope,
+} from '../transcript.js';
 
 /* -------------------------------------------------------------------------- */
 /* Tiny test harness                                                          */
@@ -82,6 +269,136 @@ async function main() {
     testAmountEnvelopeRoundTrip,
   );
 
+  await runTest(
+    'Amount envelope round-trip (Bulletproof backend)',
+    testBulletproofEnvelopeRoundTrip,
+  );
+
+  await runTest(
+    'Aggregated Bulletproof range proof (4 values)',
+    testAggregatedBulletproof,
+  );
+
+  await runTest(
+    'Sigma64 batch verification (single MSM + fallback)',
+    testSigmaBatchVerification,
+  );
+
+  await runTest(
+    'Configurable range width and interval envelopes',
+    testRangeWidthAndIntervals,
+  );
+
+  await runTest(
+    'CTv2 envelopes bind the header into Fiat–Shamir',
+    testEnvelopeHeaderBinding,
+  );
+
+  await runTest(
+    'Canonical commitment scheme + legacy equality proof',
+    testCommitmentConventions,
+  );
+
+  await runTest(
+    'Balance envelopes: 1→2 split and 2→1 merge',
+    testBalanceEnvelopes,
+  );
+
+  await runTest(
+    'Opening proofs (hidden and revealed value) bound to tx context',
+    testOpeningProofs,
+  );
+
+  await runTest(
+    'Blinded asset tags + surjection proofs (two categories)',
+    testAssetSurjection,
+  );
+
+  await runTest(
+    'Sigma prover nonce modes (deterministic / hedged / recoverable)',
+    testSigmaNonceModes,
+  );
+
+  await runTest(
+    'Borromean radix-4 range proofs + envelope test vectors',
+    testBorromeanRangeProofs,
+  );
+
+  await runTest(
+    'Generator derivation: legacy try-and-increment vs RFC 9380 SSWU vectors + SSWU proof round trips',
+    testGeneratorVersions,
+  );
+
+  await runTest(
+    'Commitment arithmetic + balancing change output',
+    testCommitmentArithmetic,
+  );
+
+  await runTest(
+    'AEAD confidential notes under RPA session keys',
+    testConfidentialNotes,
+  );
+
+  await runTest(
+    'CTN1 note channel: receiver recovers the note from the funding tx',
+    testNoteChannel,
+  );
+
+  await runTest(
+    'Paycode v2: separate scan/spend keys, flags, network byte, parse errors',
+    testPaycodeV2,
+  );
+
+  await runTest(
+    'Deterministic paycodes: backup regeneration + self-test',
+    testPaycodeBackup,
+  );
+
+  await runTest(
+    'RPA scanner: sources, index window, CTN1 notes, resumable JSON store',
+    testRpaScanner,
+  );
+
+  await runTest(
+    'RPA prefix grinding: paycode prefixBits, signer grinding, prefix queries on a mock server',
+    testRpaPrefixGrinding,
+  );
+
+  await runTest(
+    'Multi-input RPA payments: aggregate / designated context, index windows',
+    testRpaMultiInputPayments,
+  );
+
+  await runTest(
+    'HD seed: BIP39/BIP32 paths, encrypted seed file, mnemonic restore',
+    testHdSeedWallets,
+  );
+
+  await runTest(
+    'Encrypted wallet keystore: unlock / lock, passphrase change, migration, insecure env keys',
+    testWalletKeystore,
+  );
+
+  await runTest(
+    'Identity store: create / import / export / delete, per-identity scan state, identity-to-identity payments',
+    testIdentityStore,
+  );
+
+  await runTest(
+    'Watch-only wallets: scan key + spend pubkey detect payments, spend templates signed by the spend key',
+    testWatchOnlySpendTemplates,
+  );
+
+  await runTest(
+    'Paycode labels: labeled paycodes, label attribution in scans, watch-only labels, wallet label registry',
+    testPaycodeLabels,
+  );
+
+  await runTest(
+    'Payment requests: signed JSON / URI requests, interval-proof sends, payment proofs',
+    testPaymentRequests,
+  );
+
   if (globalThis.__phase1TestsFailed) {
     console.error('\n❌ Phase-1 tests FAILED');
     process.exit(1);
@@ -449,3 +766,2396 @@ async function testAmountEnvelopeRoundTrip() {
     throw new Error('Tampered envelope unexpectedly verified');
   }
 }
+
+/* -------------------------------------------------------------------------- */
+/* Test 5: Bulletproof backend through the CTv1 envelope                      */
+/* -------------------------------------------------------------------------- */
+async function testBulletproofEnvelopeRoundTrip() {
+  const zkSeed = new Uint8Array(randomBytes(32));
+  const ephemPub33 = secp256k1.getPublicKey(new Uint8Array(randomBytes(32)), true);
+  const value = 987654321n;
+
+  const { envelope, commitmentC33 } = buildAmountProofEnvelope({
+    value,
+    zkSeed,
+    ephemPub33,
+    outIndex: 1,
+    backend: RANGE_BACKEND_BULLETPROOF,
+  });
+
+  console.log('  [BP] envelope length =', envelope.length, 'bytes');
+  assert(envelope.length < 1024, `Bulletproof envelope unexpectedly large: ${envelope.length}`);
+
+  const { header, core } = parseProofEnvelope(envelope);
+  const fields = parseProofEnvelopeHeader(header);
+  assert(fields.protocolTag === PROTOCOL_TAG_BULLETPROOF, `unexpected protocolTag ${fields.protocolTag}`);
+  assert(fields.rangeBits === BITS, `unexpected rangeBits ${fields.rangeBits}`);
+  assert(fields.outIndex === 1, `unexpected outIndex ${fields.outIndex}`);
+  assert(bytesToHex(fields.ephemPub33) === bytesToHex(ephemPub33), 'ephemPub33 mismatch');
+
+  const proof = deserializeBulletproof(core);
+  assert(
+    bytesToHex(proof.commitments[0].toBytes(true)) === bytesToHex(commitmentC33),
+    'commitmentC33 does not match the commitment inside the proof',
+  );
+
+  assert(verifyAmountProofEnvelope(envelope), 'Bulletproof envelope failed to verify');
+
+  const tampered = envelope.slice();
+  tampered[tampered.length - 40] ^= 1;
+  assert(!verifyAmountProofEnvelope(tampered), 'Tampered Bulletproof envelope verified');
+}
+
+/* -------------------------------------------------------------------------- */
+/* Test 6: Aggregated Bulletproof (m = 4)                                     */
+/* -------------------------------------------------------------------------- */
+async function testAggregatedBulletproof() {
+  const values = [0n, 1n, 123456789n, (1n << 64n) - 1n];
+  const proof = generateBulletproofRangeProof(values, new Uint8Array(randomBytes(32)));
+  const bytes = serializeBulletproof(proof);
+  console.log('  [BP] aggregated proof length =', bytes.length, 'bytes for', values.length, 'values');
+
+  assert(verifyBulletproofRangeProof(deserializeBulletproof(bytes)), 'Aggregated proof failed');
+
+  // Swapping two commitments must break the proof
+  const swapped = deserializeBulletproof(bytes);
+  [swapped.commitments[0], swapped.commitments[1]] = [swapped.commitments[1], swapped.commitments[0]];
+  assert(!verifyBulletproofRangeProof(swapped), 'Proof verified with swapped commitments');
+
+  let threw = false;
+  try {
+    generateBulletproofRangeProof([1n << 64n], new Uint8Array(32));
+  } catch {
+    threw = true;
+  }
+  assert(threw, 'Out-of-range value did not throw');
+}
+
+/* -------------------------------------------------------------------------- */
+/* Test 7: Sigma64 batch verification                                         */
+/* -------------------------------------------------------------------------- */
+async function testSigmaBatchVerification() {
+  const values = [1n, 42n, 546n, 123456789n, (1n << 64n) - 1n];
+  const proofs = values.map((v) =>
+    deserializeProof(serializeProof(generateSigmaRangeProof(v, new Uint8Array(randomBytes(32))))),
+  );
+
+  let t0 = Date.now();
+  const res = verifySigmaRangeProofBatch(proofs);
+  const batchMs = Date.now() - t0;
+  assert(res.ok && res.failed.length === 0, `Batch of valid proofs failed: ${JSON.stringify(res)}`);
+
+  t0 = Date.now();
+  for (const p of proofs) assert(verifySigmaRangeProof(p), 'Individual verification failed');
+  console.log(`  [Batch] ${proofs.length} proofs: batch ${batchMs} ms, individual ${Date.now() - t0} ms`);
+
+  const empty = verifySigmaRangeProofBatch([]);
+  assert(empty.ok && empty.failed.length === 0, 'Empty batch should verify');
+
+  // Break an OR-proof response (keeps Fiat–Shamir intact, so only the MSM catches it)
+  proofs[1].proofs[5].z0 = (proofs[1].proofs[5].z0 + 1n) % secp256k1.Point.CURVE().n;
+  // Break the aggregate commitment of another proof
+  proofs[3].C = proofs[3].C.add(secp256k1.Point.BASE);
+
+  const bad = verifySigmaRangeProofBatch(proofs);
+  assert(!bad.ok, 'Batch with tampered proofs verified');
+  assert(
+    JSON.stringify(bad.failed) === JSON.stringify([1, 3]),
+    `Unexpected failed indices ${JSON.stringify(bad.failed)}`,
+  );
+}
+
+/* -------------------------------------------------------------------------- */
+/* Test 8: k-bit ranges and [min, max] intervals                              */
+/* -------------------------------------------------------------------------- */
+async function testRangeWidthAndIntervals() {
+  const zkSeed = new Uint8Array(randomBytes(32));
+  const ephemPub33 = secp256k1.getPublicKey(new Uint8Array(randomBytes(32)), true);
+
+  // 16-bit plain range
+  const full = buildAmountProofEnvelope({ value: 40000n, zkSeed, ephemPub33 });
+  const short = buildAmountProofEnvelope({ value: 40000n, zkSeed, ephemPub33, rangeBits: 16 });
+  console.log('  [Range] 64-bit envelope', full.envelope.length, 'bytes, 16-bit', short.envelope.length, 'bytes');
+  assert(short.envelope.length * 3 < full.envelope.length, '16-bit envelope should be much shorter');
+  assert(parseProofEnvelopeHeader(parseProofEnvelope(short.envelope).header).rangeBits === 16, 'rangeBits not 16');
+  assert(verifyAmountProofEnvelope(short.envelope), '16-bit envelope failed to verify');
+
+  let threw = false;
+  try {
+    buildAmountProofEnvelope({ value: 1n << 16n, zkSeed, ephemPub33, rangeBits: 16 });
+  } catch {
+    threw = true;
+  }
+  assert(threw, 'value >= 2^16 accepted for a 16-bit proof');
+
+  // Header claiming a wider range than the proof covers must be rejected
+  const { header, core } = parseProofEnvelope(short.envelope);
+  const fields = parseProofEnvelopeHeader(header);
+  const relabeled = buildProofEnvelope({
+    protocolTag: fields.protocolTag,
+    rangeBits: 32,
+    ephemPub33: fields.ephemPub33,
+    H33: fields.H33,
+    outIndex: fields.outIndex,
+    extraCtx: fields.extraCtx,
+    coreProofBytes: core,
+  });
+  assert(!verifyAmountProofEnvelope(relabeled), 'rangeBits mismatch accepted');
+
+  // Interval [1000, 5000] with the value on the lower edge (Sigma64)
+  const sig = buildAmountProofEnvelope({ value: 1000n, zkSeed, ephemPub33, rangeMin: 1000n, rangeMax: 5000n });
+  const sigFields = parseProofEnvelopeHeader(parseProofEnvelope(sig.envelope).header);
+  assert(sigFields.protocolTag === PROTOCOL_TAG_SIGMA64, 'interval tag mismatch');
+  assert(sigFields.rangeBits === 12, `expected 12-bit interval proof, got ${sigFields.rangeBits}`);
+  assert(sigFields.rangeMin === 1000n && sigFields.rangeMax === 5000n, 'interval bounds not carried');
+  assert(verifyAmountProofEnvelope(sig.envelope), 'Sigma interval envelope failed to verify');
+
+  // Same core under different bounds must not verify
+  const moved = buildProofEnvelope({
+    protocolTag: sigFields.protocolTag,
+    rangeBits: sigFields.rangeBits,
+    ephemPub33: sigFields.ephemPub33,
+    H33: sigFields.H33,
+    outIndex: sigFields.outIndex,
+    extraCtx: sigFields.extraCtx,
+    rangeMin: 1001n,
+    rangeMax: 5000n,
+    coreProofBytes: parseProofEnvelope(sig.envelope).core,
+  });
+  assert(!verifyAmountProofEnvelope(moved), 'interval proof replayed under different bounds');
+
+  threw = false;
+  try {
+    buildAmountProofEnvelope({ value: 5001n, zkSeed, ephemPub33, rangeMin: 1000n, rangeMax: 5000n });
+  } catch {
+    threw = true;
+  }
+  assert(threw, 'value outside interval accepted');
+
+  // Interval with the Bulletproof backend (width rounded up to 32)
+  const bp = buildAmountProofEnvelope({
+    value: 99999n,
+    zkSeed,
+    ephemPub33,
+    rangeMin: 546n,
+    rangeMax: 100000n,
+    backend: RANGE_BACKEND_BULLETPROOF,
+  });
+  assert(bp.rangeBits === 32, `expected BP interval width 32, got ${bp.rangeBits}`);
+  assert(verifyAmountProofEnvelope(bp.envelope), 'Bulletproof interval envelope failed to verify');
+  console.log('  [Range] interval envelopes: Sigma', sig.envelope.length, 'bytes, BP', bp.envelope.length, 'bytes');
+
+  // A corrupted core or a point that does not decode is an invalid proof: false, not a throw
+  const withCore = (envelope, edit) => {
+    const { version, header, core } = parseProofEnvelope(envelope);
+    return buildProofEnvelope({ version, ...parseProofEnvelopeHeader(header), coreProofBytes: edit(core.slice()) });
+  };
+  const notAPoint = new Uint8Array(33).fill(0xff);
+  notAPoint[0] = 0x02; // x >= p
+  const corruptAt = (at) => (core) => {
+    core.set(notAPoint, at);
+    return core;
+  };
+  const corrupted = [
+    ['16-bit commitment', withCore(short.envelope, corruptAt(0))],
+    ['16-bit bit commitment', withCore(short.envelope, corruptAt(33))],
+    ['truncated 16-bit core', withCore(short.envelope, (core) => core.slice(0, core.length - 2))],
+    ['interval commitment', withCore(sig.envelope, corruptAt(0))],
+    ['interval lower bit commitment', withCore(sig.envelope, corruptAt(66))],
+    ['BP interval commitment', withCore(bp.envelope, corruptAt(0))],
+    ['BP interval proof', withCore(bp.envelope, corruptAt(40))],
+    ['truncated interval core', withCore(sig.envelope, (core) => core.slice(0, core.length - 2))],
+    ['truncated envelope', sig.envelope.slice(0, 20)],
+  ];
+  for (const [what, envelope] of corrupted) {
+    let verified;
+    try {
+      verified = verifyAmountProofEnvelope(envelope);
+    } catch (e) {
+      throw new Error(`${what}: verifyAmountProofEnvelope threw (${e.message})`);
+    }
+    assert(verified === false, `${what}: corrupted envelope verified`);
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* Test 9: CTv2 transcript binding vs. legacy CTv1                            */
+/* -------------------------------------------------------------------------- */
+
+// Re-wrap an envelope's core proof under a modified header (same version).
+function liftCore(envelope, overrides) {
+  const { version, header, core } = parseProofEnvelope(envelope);
+  const f = parseProofEnvelopeHeader(header);
+  return buildProofEnvelope({
+    version,
+    protocolTag: f.protocolTag,
+    rangeBits: f.rangeBits,
+    ephemPub33: f.ephemPub33,
+    H33: f.H33,
+    assetId32: f.assetId32,
+    outIndex: f.outIndex,
+    extraCtx: f.extraCtx,
+    rangeMin: f.rangeMin,
+    rangeMax: f.rangeMax,
+    ...overrides,
+    coreProofBytes: core,
+  });
+}
+
+async function testEnvelopeHeaderBinding() {
+  // Transcript basics: same operations -> same challenge, any change -> different
+  const a = new Transcript('test').appendMessage('m', Uint8Array.of(1, 2, 3));
+  const b = new Transcript('test').appendMessage('m', Uint8Array.of(1, 2, 3));
+  const c = new Transcript('test').appendMessage('n', Uint8Array.of(1, 2, 3));
+  const ea = a.challengeScalar('e');
+  assert(ea === b.challengeScalar('e'), 'Transcript not deterministic');
+  assert(ea !== c.challengeScalar('e'), 'Transcript labels not domain separated');
+  assert(a.challengeScalar('e') !== ea, 'Transcript did not ratchet after a challenge');
+
+  const zkSeed = new Uint8Array(randomBytes(32));
+  const ephemPub33 = secp256k1.getPublicKey(new Uint8Array(randomBytes(32)), true);
+  const otherPub33 = secp256k1.getPublicKey(new Uint8Array(randomBytes(32)), true);
+  const assetId32 = new Uint8Array(randomBytes(32));
+  const common = { value: 5000n, zkSeed, ephemPub33, assetId32, outIndex: 1, rangeBits: 16 };
+
+  // Default is CTv2
+  const v2 = buildAmountProofEnvelope(common);
+  assert(new TextDecoder().decode(v2.envelope.slice(0, 4)) === 'CTv2', 'default envelope is not CTv2');
+  assert(parseProofEnvelope(v2.envelope).version === ENVELOPE_VERSION_2, 'version not parsed as 2');
+  assert(verifyAmountProofEnvelope(v2.envelope), 'CTv2 envelope failed to verify');
+
+  // Lifting the CTv2 core into any other header must fail
+  assert(!verifyAmountProofEnvelope(liftCore(v2.envelope, { outIndex: 2 })), 'CTv2 core lifted to another outIndex');
+  assert(!verifyAmountProofEnvelope(liftCore(v2.envelope, { ephemPub33: otherPub33 })), 'CTv2 core lifted to another ephemPub33');
+  assert(!verifyAmountProofEnvelope(liftCore(v2.envelope, { assetId32: null })), 'CTv2 core lifted to another asset');
+  assert(!verifyAmountProofEnvelope(liftCore(v2.envelope, { extraCtx: Uint8Array.of(1) })), 'CTv2 core lifted to another extraCtx');
+
+  // Legacy CTv1 still verifies (and, as before, does not bind the header)
+  const v1 = buildAmountProofEnvelope({ ...common, envelopeVersion: ENVELOPE_VERSION_1 });
+  assert(new TextDecoder().decode(v1.envelope.slice(0, 4)) === 'CTv1', 'legacy envelope is not CTv1');
+  assert(verifyAmountProofEnvelope(v1.envelope), 'CTv1 envelope failed to verify');
+  assert(verifyAmountProofEnvelope(liftCore(v1.envelope, { outIndex: 2 })), 'CTv1 core expected to be liftable');
+
+  // Same binding for the Bulletproof backend and for interval proofs
+  const bp = buildAmountProofEnvelope({ ...common, backend: RANGE_BACKEND_BULLETPROOF });
+  assert(verifyAmountProofEnvelope(bp.envelope), 'CTv2 Bulletproof envelope failed to verify');
+  assert(!verifyAmountProofEnvelope(liftCore(bp.envelope, { outIndex: 0 })), 'CTv2 Bulletproof core lifted');
+
+  const iv = buildAmountProofEnvelope({ ...common, rangeBits: null, rangeMin: 1000n, rangeMax: 9000n });
+  assert(verifyAmountProofEnvelope(iv.envelope), 'CTv2 interval envelope failed to verify');
+  assert(!verifyAmountProofEnvelope(liftCore(iv.envelope, { ephemPub33: otherPub33 })), 'CTv2 interval core lifted');
+}
+
+/* -------------------------------------------------------------------------- */
+/* Test 10: one commitment scheme, plus linking legacy commitments            */
+/* -------------------------------------------------------------------------- */
+async function testCommitmentConventions() {
+  const n = secp256k1.Point.CURVE().n;
+  const value = 123456n;
+  const r = BigInt('0x' + bytesToHex(new Uint8Array(randomBytes(32)))) % n;
+
+  // pedersen.js, zk.js and the range prover agree on C = v*H + r*G
+  const C = pedersenCommit64(value, r);
+  assert(C.equals(pedersenCommit(value, r)), 'pedersenCommit64 != zk pedersenCommit');
+  const proof = generateSigmaRangeProof(value, new Uint8Array(randomBytes(32)), { blinding: r });
+  assert(proof.C.equals(C), 'range proof commitment != pedersenCommit64');
+  assert(verifySigmaRangeProof(proof), 'range proof with fixed blinding failed');
+
+  const legacy = pedersenCommit64Legacy(value, r);
+  assert(!legacy.equals(C), 'legacy and canonical commitments should differ');
+
+  // Link a legacy commitment to the range proof's commitment
+  const context = new TextEncoder().encode('chipnet-outpoint:0');
+  const legacyR = 987654321n;
+  const L = pedersenCommit64Legacy(value, legacyR);
+  const mig = migrateLegacyCommitment({ value, legacyBlinding: legacyR, blinding: proof.blinding, context });
+  assert(bytesToHex(mig.legacyCommitment33) === bytesToHex(L.toBytes(true)), 'legacy commitment mismatch');
+  assert(mig.commitment.equals(proof.C), 'migrated commitment should equal the proof commitment');
+  assert(mig.equalityProof.length === 162, `unexpected equality proof length ${mig.equalityProof.length}`);
+
+  const eq = deserializeCommitmentEqualityProof(mig.equalityProof);
+  assert(verifyCommitmentEquality(L, proof.C, eq, { context }), 'equality proof failed');
+  assert(!verifyCommitmentEquality(L, proof.C, eq), 'equality proof verified without its context');
+
+  const otherL = pedersenCommit64Legacy(value + 1n, legacyR);
+  assert(!verifyCommitmentEquality(otherL, proof.C, eq, { context }), 'equality proof verified for another value');
+
+  // Fresh random blinding when none is given
+  const fresh = migrateLegacyCommitment({ value, legacyBlinding: legacyR });
+  assert(fresh.commitment.equals(pedersenCommit64(value, fresh.blinding)), 'fresh migration commitment mismatch');
+  assert(
+    verifyCommitmentEquality(L, fresh.commitment, deserializeCommitmentEqualityProof(fresh.equalityProof)),
+    'fresh migration equality proof failed',
+  );
+}
+
+/* -------------------------------------------------------------------------- */
+/* Test 11: balance (excess) proofs                                           */
+/* -------------------------------------------------------------------------- */
+async function testBalanceEnvelopes() {
+  const n = secp256k1.Point.CURVE().n;
+  const randScalar = () => BigInt('0x' + bytesToHex(new Uint8Array(randomBytes(32)))) % n;
+  const seed = () => new Uint8Array(randomBytes(32));
+
+  // 1 -> 2 split with a public fee; the input is a range-proven commitment
+  const inProof = generateSigmaRangeProof(100000n, seed(), { bits: 32 });
+  const split = buildBalanceProofEnvelope({
+    inputs: [{ value: 100000n, blinding: inProof.blinding }],
+    outputs: [{ value: 60000n }, { value: 39500n }],
+    fee: 500n,
+    zkSeed: seed(),
+    rangeBits: 32,
+  });
+  assert(split.inputCommitments[0].equals(inProof.C), 'split input commitment mismatch');
+  assert(verifyBalanceProofEnvelope(split.envelope), 'split envelope failed to verify');
+  assert(
+    split.outputCommitments[1].equals(pedersenCommit(39500n, split.outputBlindings[1])),
+    'split output blinding does not open its commitment',
+  );
+
+  // 2 -> 1 merge: spend the split outputs with their blindings, caller-chosen output blinding
+  const merge = buildBalanceProofEnvelope({
+    inputs: [
+      { value: 60000n, blinding: split.outputBlindings[0] },
+      { value: 39500n, blinding: split.outputBlindings[1] },
+    ],
+    outputs: [{ value: 99300n, blinding: randScalar() }],
+    fee: 200n,
+    zkSeed: seed(),
+    rangeBits: 32,
+  });
+  assert(merge.inputCommitments[0].equals(split.outputCommitments[0]), 'merge input 0 mismatch');
+  assert(merge.inputCommitments[1].equals(split.outputCommitments[1]), 'merge input 1 mismatch');
+  assert(verifyBalanceProofEnvelope(merge.envelope), 'merge envelope failed to verify');
+  console.log('  [Balance] split envelope', split.envelope.length, 'bytes, merge', merge.envelope.length, 'bytes');
+
+  // Unbalanced transfers cannot be built
+  let threw = false;
+  try {
+    buildBalanceProofEnvelope({
+      inputs: [{ value: 1000n, blinding: randScalar() }],
+      outputs: [{ value: 1001n }],
+      zkSeed: seed(),
+      rangeBits: 16,
+    });
+  } catch {
+    threw = true;
+  }
+  assert(threw, 'inflating transfer was accepted by the builder');
+
+  // Re-wrapping with a different fee (i.e. minting value) must not verify
+  const p = parseBalanceEnvelope(merge.envelope);
+  const forged = buildBalanceEnvelope({
+    protocolTag: p.protocolTag,
+    H33: p.H33,
+    fee: 100n,
+    extraCtx: p.extraCtx,
+    inputCommitments33: p.inputCommitments33,
+    outputCommitments33: p.outputCommitments33,
+    rangeProofs: p.rangeProofs,
+    excessSig: p.excessSig,
+  });
+  assert(!verifyBalanceProofEnvelope(forged), 'envelope with altered fee verified');
+
+  // Swapping in another output commitment must not verify
+  const swapped = buildBalanceEnvelope({
+    protocolTag: p.protocolTag,
+    H33: p.H33,
+    fee: p.fee,
+    extraCtx: p.extraCtx,
+    inputCommitments33: p.inputCommitments33,
+    outputCommitments33: [split.outputCommitments[0].toBytes(true)],
+    rangeProofs: p.rangeProofs,
+    excessSig: p.excessSig,
+  });
+  assert(!verifyBalanceProofEnvelope(swapped), 'envelope with swapped output verified');
+}
+
+/* -------------------------------------------------------------------------- */
+/* Test 12: proof of knowledge of a commitment opening                        */
+/* -------------------------------------------------------------------------- */
+async function testOpeningProofs() {
+  const value = 250000n;
+  const { commitmentC33, blinding } = buildAmountProofEnvelope({
+    value,
+    zkSeed: new Uint8Array(randomBytes(32)),
+    ephemPub33: secp256k1.getPublicKey(new Uint8Array(randomBytes(32)), true),
+    rangeBits: 32,
+  });
+  const ctx = { txid: bytesToHex(new Uint8Array(randomBytes(32))), vout: 1, outIndex: 0 };
+
+  // Hidden value: knowledge of (v, r)
+  const hidden = serializeOpeningProof(generateOpeningProof({ value, blinding, ...ctx }));
+  assert(hidden.length === 98, `unexpected hidden opening proof length ${hidden.length}`);
+  const hp = deserializeOpeningProof(hidden);
+  assert(verifyOpeningProof(commitmentC33, hp, ctx), 'hidden opening proof failed');
+  assert(!verifyOpeningProof(commitmentC33, hp, { ...ctx, vout: 2 }), 'hidden proof verified for another outpoint');
+  assert(!verifyOpeningProof(commitmentC33, hp, { ...ctx, outIndex: 1 }), 'hidden proof verified for another outIndex');
+
+  // Revealed value: C opens to the public v
+  const revealed = serializeOpeningProof(generateOpeningProof({ value, blinding, revealValue: true, ...ctx }));
+  assert(revealed.length === 74, `unexpected revealed opening proof length ${revealed.length}`);
+  const rp = deserializeOpeningProof(revealed);
+  assert(rp.value === value, 'revealed value not carried');
+  assert(verifyOpeningProof(commitmentC33, rp, { ...ctx, expectedValue: value }), 'revealed opening proof failed');
+  assert(!verifyOpeningProof(commitmentC33, rp, { ...ctx, expectedValue: value + 1n }), 'wrong expected value accepted');
+
+  // Claiming a different value in the proof must fail
+  const lie = deserializeOpeningProof(revealed);
+  lie.value = value + 1n;
+  assert(!verifyOpeningProof(commitmentC33, lie, ctx), 'revealed proof verified with a different value');
+
+  // Someone who does not know the blinding cannot produce a valid proof
+  const wrong = generateOpeningProof({ value, blinding: blinding + 1n, ...ctx });
+  assert(!verifyOpeningProof(commitmentC33, wrong, ctx), 'opening proof with wrong blinding verified');
+}
+
+/* -------------------------------------------------------------------------- */
+/* Test 13: multi-asset outputs with blinded tags                             */
+/* -------------------------------------------------------------------------- */
+async function testAssetSurjection() {
+  const catX = new Uint8Array(randomBytes(32));
+  const catY = new Uint8Array(randomBytes(32));
+  const catZ = new Uint8Array(randomBytes(32));
+  const context = new TextEncoder().encode('tx-under-construction');
+
+  // Inputs with public categories (unblinded tags)
+  const inputs = [
+    { assetId: catX, tagBlinding: 0n },
+    { assetId: catY, tagBlinding: 0n },
+  ];
+
+  // Outputs with freshly blinded tags
+  const outX = blindAssetTag(catX);
+  const outY = blindAssetTag(catY);
+
+  const sx = generateSurjectionProof({ inputs, output: { assetId: catX, tagBlinding: outX.tagBlinding }, context });
+  const sy = generateSurjectionProof({ inputs, output: { assetId: catY, tagBlinding: outY.tagBlinding }, context });
+  assert(sx.outputTag.equals(outX.tag) && sy.outputTag.equals(outY.tag), 'output tags mismatch');
+
+  const bytesX = serializeSurjectionProof(sx.proof);
+  assert(bytesX.length === 1 + 2 * 97, `unexpected surjection proof length ${bytesX.length}`);
+  const proofX = deserializeSurjectionProof(bytesX);
+  assert(verifySurjectionProof(sx.inputTags, outX.tag, proofX, { context }), 'surjection proof X failed');
+  assert(verifySurjectionProof(sy.inputTags, outY.tag, sy.proof, { context }), 'surjection proof Y failed');
+  assert(!verifySurjectionProof(sx.inputTags, outX.tag, proofX), 'surjection proof verified without its context');
+  assert(!verifySurjectionProof(sx.inputTags, outY.tag, proofX, { context }), 'surjection proof verified for another tag');
+
+  // An output of a category not among the inputs cannot be proven ...
+  let threw = false;
+  try {
+    generateSurjectionProof({ inputs, output: { assetId: catZ, tagBlinding: 1n }, context });
+  } catch {
+    threw = true;
+  }
+  assert(threw, 'surjection proof built for a foreign asset');
+  // ... and a Z tag does not verify against the X/Y input set
+  const outZ = blindAssetTag(catZ);
+  assert(!verifySurjectionProof(sx.inputTags, outZ.tag, proofX, { context }), 'foreign asset tag verified');
+
+  // Range proofs under each output's blinded tag
+  const rx = generateSigmaRangeProof(700n, new Uint8Array(randomBytes(32)), { bits: 16, generator: outX.tag });
+  const ry = generateSigmaRangeProof(42n, new Uint8Array(randomBytes(32)), { bits: 16, generator: outY.tag });
+  assert(rx.C.equals(pedersenCommit(700n, rx.blinding, outX.tag)), 'asset commitment mismatch');
+  assert(verifySigmaRangeProof(rx, { generator: outX.tag }), 'range proof under tag X failed');
+  assert(!verifySigmaRangeProof(rx), 'range proof under tag X verified against default H');
+  assert(!verifySigmaRangeProof(rx, { generator: outY.tag }), 'range proof under tag X verified against tag Y');
+
+  const batch = verifySigmaRangeProofBatch([rx, ry], { generators: [outX.tag, outY.tag] });
+  assert(batch.ok, 'batch with per-asset generators failed');
+  const swapped = verifySigmaRangeProofBatch([rx, ry], { generators: [outY.tag, outX.tag] });
+  assert(JSON.stringify(swapped.failed) === '[0,1]', `unexpected failed indices ${JSON.stringify(swapped.failed)}`);
+}
+
+/* -------------------------------------------------------------------------- */
+/* Test 14: Sigma prover nonce modes                                          */
+/* -------------------------------------------------------------------------- */
+async function testSigmaNonceModes() {
+  const ephemPub = new Uint8Array(33).fill(2);
+  const amount = 1234n;
+  const publicSeed = new Uint8Array(32).fill(9); // stands in for sha256(ephemPub || amount)
+  const sharedSecret = new Uint8Array(randomBytes(32));
+  const { zkSeed } = deriveRpaSessionKeys(sharedSecret, 'aa'.repeat(32), 1);
+  const bytes = (p) => bytesToHex(serializeProof(p));
+
+  // Deterministic: anyone holding the seed reproduces the proof byte-for-byte
+  const det = generateSigmaRangeProof(amount, publicSeed, { bits: 16 });
+  assert(bytes(det) === bytes(generateSigmaRangeProof(amount, publicSeed, { bits: 16 })), 'deterministic mode not reproducible');
+
+  // Hedged: verifies, but neither the seed holder nor the prover can reproduce it
+  const h1 = generateSigmaRangeProof(amount, publicSeed, { bits: 16, nonceMode: NONCE_MODE_HEDGED, blinding: 77n });
+  const h2 = generateSigmaRangeProof(amount, publicSeed, { bits: 16, nonceMode: NONCE_MODE_HEDGED, blinding: 77n });
+  assert(verifySigmaRangeProof(h1) && verifySigmaRangeProof(h2), 'hedged proof failed to verify');
+  assert(h1.C.equals(h2.C), 'hedged proofs with the same blinding must share C');
+  assert(bytes(h1) !== bytes(h2), 'hedged proofs repeated');
+  assert(bytes(h1) !== bytes(generateSigmaRangeProof(amount, publicSeed, { bits: 16, blinding: 77n })), 'hedged equals deterministic');
+
+  // Recoverable: reproducible only with the receiver's session zkSeed
+  const rec = (seed) => generateSigmaRangeProof(amount, publicSeed, { bits: 16, nonceMode: NONCE_MODE_RECOVERABLE, zkSeed: seed });
+  const r1 = rec(zkSeed);
+  assert(verifySigmaRangeProof(r1), 'recoverable proof failed to verify');
+  assert(bytes(r1) === bytes(rec(zkSeed)), 'recoverable mode not reproducible with zkSeed');
+  assert(bytes(r1) !== bytes(rec(new Uint8Array(randomBytes(32)))), 'recoverable proof reproduced without zkSeed');
+  assert(bytes(r1) !== bytes(det), 'recoverable equals deterministic');
+
+  for (const [opts, what] of [
+    [{ nonceMode: NONCE_MODE_RECOVERABLE }, 'recoverable without zkSeed'],
+    [{ nonceMode: 'bogus' }, 'unknown nonce mode'],
+  ]) {
+    let threw = false;
+    try {
+      generateSigmaRangeProof(amount, publicSeed, { bits: 16, ...opts });
+    } catch {
+      threw = true;
+    }
+    assert(threw, `${what} did not throw`);
+  }
+
+  // proofs.js: hedged by default, recoverable when given the session zkSeed
+  const a = generateAndVerifyProofs(ephemPub, amount);
+  const b = generateAndVerifyProofs(ephemPub, amount);
+  assert(a.verified && b.verified, 'proofs.js hedged proof failed to verify');
+  assert(bytesToHex(a.proofHashBytes) !== bytesToHex(b.proofHashBytes), 'proofs.js hedged proof hash repeated');
+  const c = generateAndVerifyProofs(ephemPub, amount, { zkSeed });
+  const d = generateAndVerifyProofs(ephemPub, amount, { zkSeed });
+  assert(c.verified, 'proofs.js recoverable proof failed to verify');
+  assert(bytesToHex(c.proofHashBytes) === bytesToHex(d.proofHashBytes), 'proofs.js recoverable proof hash not reproducible');
+
+  // Recoverable amount envelopes, for every backend and for intervals: the
+  // commitment and proofHash come back with the session zkSeed, and an
+  // observer who rebuilds the public seed for the right amount gets neither
+  const envelopeSeed = sha256(concat(ephemPub, uint64le(amount)));
+  for (const opts of [
+    {},
+    { backend: RANGE_BACKEND_BORROMEAN },
+    { backend: RANGE_BACKEND_BULLETPROOF },
+    { rangeMin: 1000n, rangeMax: 2000n },
+    { rangeMin: 1000n, rangeMax: 2000n, backend: RANGE_BACKEND_BULLETPROOF },
+  ]) {
+    const build = (extra) =>
+      buildAmountProofEnvelope({ value: amount, zkSeed: envelopeSeed, ephemPub33: ephemPub, rangeBits: opts.rangeMin ? null : 16, ...opts, ...extra });
+    const what = JSON.stringify(opts, (k, v) => (typeof v === 'bigint' ? `${v}` : v));
+    const recoverable = { nonceMode: NONCE_MODE_RECOVERABLE, sessionZkSeed: zkSeed };
+    const sent = build(recoverable);
+    assert(verifyAmountProofEnvelope(sent.envelope), `${what}: recoverable envelope failed to verify`);
+    assert(bytesToHex(build(recoverable).proofHash) === bytesToHex(sent.proofHash), `${what}: not recoverable`);
+    for (const guess of [
+      build(),
+      build({ nonceMode: NONCE_MODE_RECOVERABLE, sessionZkSeed: new Uint8Array(randomBytes(32)) }),
+      build({ nonceMode: NONCE_MODE_HEDGED }),
+    ]) {
+      assert(bytesToHex(guess.commitmentC33) !== bytesToHex(sent.commitmentC33), `${what}: commitment rebuilt without the session zkSeed`);
+      assert(bytesToHex(guess.proofHash) !== bytesToHex(sent.proofHash), `${what}: proofHash rebuilt without the session zkSeed`);
+    }
+  }
+  // Deterministic stays the default for callers without a session zkSeed
+  const legacy = buildAmountProofEnvelope({ value: amount, zkSeed: envelopeSeed, ephemPub33: ephemPub });
+  assert(
+    bytesToHex(legacy.proofHash) ===
+      bytesToHex(buildAmountProofEnvelope({ value: amount, zkSeed: envelopeSeed, ephemPub33: ephemPub, nonceMode: NONCE_MODE_DETERMINISTIC }).proofHash),
+    'default envelope nonce mode is not deterministic',
+  );
+  let threw = false;
+  try {
+    buildAmountProofEnvelope({ value: amount, zkSeed: envelopeSeed, ephemPub33: ephemPub, nonceMode: NONCE_MODE_RECOVERABLE });
+  } catch {
+    threw = true;
+  }
+  assert(threw, 'envelope built in recoverable mode without sessionZkSeed');
+}
+
+/* -------------------------------------------------------------------------- */
+/* Test 15: Borromean range proofs                                            */
+/* -------------------------------------------------------------------------- */
+
+// Fixed vectors: value 1234, zkSeed = 0x11 * 32, ephemPub33 = G, outIndex 1.
+const BORROMEAN_VECTORS = [
+  {
+    name: 'CTv2, 64-bit',
+    opts: {},
+    envelopeLength: 5300,
+    proofHash: '54814e3c6d733633ff0730a7259b54b686775458c1123529051967742359a5ff',
+    commitmentC33: '03915b0cdfc6a618d646d34a30c3b8d472ca083351ce0b8f5ba672f8f0092daac3',
+  },
+  {
+    name: 'CTv1, 64-bit',
+    opts: { envelopeVersion: ENVELOPE_VERSION_1 },
+    envelopeLength: 5300,
+    proofHash: '92c50a999ff466785c4abd0c595a12ec951a2b75da1e1c6857fcc328a24bebee',
+    commitmentC33: '033d4e20e987d7950e3c596abadeb2dd474d452d478fb37262f77508843992d05b',
+  },
+  {
+    name: 'CTv2, 13-bit',
+    opts: { rangeBits: 13 },
+    envelopeLength: 1211,
+    proofHash: '0dcfef0d3c40691575b20146c1ee6a5fa35930e63cc532fdfcf6e9c44b92f61f',
+    commitmentC33: '03a940b724ba42d75918daccbbdb1e3d491bd78012e092e1a3b1e0e07dbd2de326',
+  },
+  {
+    name: 'CTv2, interval [1000, 5000]',
+    opts: { rangeMin: 1000n, rangeMax: 5000n },
+    envelopeLength: 2161,
+    proofHash: 'b6d65dbb99b25e41f432c986c5c573310160363f7a21fba579aa27a20999ebf8',
+    commitmentC33: '03f7aa52277b90ff778d09b09f011bb57f299bca825583075b9ea200c945914406',
+  },
+];
+
+async function testBorromeanRangeProofs() {
+  // Direct prover / verifier, radix-4 digits with an odd top bit
+  const seed = new Uint8Array(randomBytes(32));
+  for (const [v, bits] of [[0n, 1], [1n, 1], [5n, 3], [0xbeefn, 16], [(1n << 64n) - 1n, 64]]) {
+    const proof = generateBorromeanRangeProof(v, seed, { bits });
+    assert(proof.C.equals(pedersenCommit(v, proof.blinding)), `C mismatch for ${v}/${bits}`);
+    const bytes = serializeBorromeanProof(proof);
+    assert(bytes.length === borromeanProofBytes(bits), `unexpected size for ${bits} bits`);
+    const back = deserializeBorromeanProof(bytes);
+    assert(back.bits === bits, `width not inferred for ${bits} bits`);
+    assert(back.commitments.at(-1).equals(proof.commitments.at(-1)), 'omitted digit commitment not recovered');
+    assert(verifyBorromeanRangeProof(back), `Borromean proof failed for ${v}/${bits}`);
+  }
+
+  // Roughly half (or less) the size of Sigma64 at the same width
+  const sigmaBytes = 33 + 64 * 227;
+  assert(borromeanProofBytes(64) * 2 < sigmaBytes, `Borromean64 not compact: ${borromeanProofBytes(64)} B`);
+  console.log(`  [Borromean] 64-bit proof: ${borromeanProofBytes(64)} B (Sigma64: ${sigmaBytes} B)`);
+
+  // Explicit blinding and a blinded asset generator
+  const tag = blindAssetTag(new Uint8Array(32).fill(7)).tag;
+  const withTag = generateBorromeanRangeProof(300n, seed, { bits: 10, blinding: 99n, generator: tag });
+  assert(withTag.blinding === 99n && withTag.C.equals(pedersenCommit(300n, 99n, tag)), 'blinding not honoured');
+  assert(verifyBorromeanRangeProof(withTag, { generator: tag }), 'asset-generator proof failed');
+  assert(!verifyBorromeanRangeProof(withTag), 'asset-generator proof verified against H');
+
+  // Tampering with any scalar or commitment breaks the ring closure
+  const good = serializeBorromeanProof(generateBorromeanRangeProof(77n, seed, { bits: 8 }));
+  for (const pos of [40, 70, good.length - 1]) {
+    const bad = good.slice();
+    bad[pos] ^= 1;
+    let ok;
+    try {
+      ok = verifyBorromeanRangeProof(deserializeBorromeanProof(bad));
+    } catch {
+      ok = false;
+    }
+    assert(!ok, `tampered byte ${pos} still verifies`);
+  }
+
+  // Envelope vectors through the verifier dispatch
+  const zkSeed = new Uint8Array(32).fill(0x11);
+  const ephemPub33 = secp256k1.Point.BASE.toBytes(true);
+  for (const vec of BORROMEAN_VECTORS) {
+    const built = buildAmountProofEnvelope({
+      value: 1234n,
+      zkSeed,
+      ephemPub33,
+      outIndex: 1,
+      backend: RANGE_BACKEND_BORROMEAN,
+      nonceMode: NONCE_MODE_DETERMINISTIC,
+      ...vec.opts,
+    });
+    assert(built.envelope.length === vec.envelopeLength, `${vec.name}: length ${built.envelope.length}`);
+    assert(bytesToHex(built.proofHash) === vec.proofHash, `${vec.name}: proofHash mismatch`);
+    assert(bytesToHex(built.commitmentC33) === vec.commitmentC33, `${vec.name}: commitment mismatch`);
+    const fields = parseProofEnvelopeHeader(parseProofEnvelope(built.envelope).header);
+    assert(fields.protocolTag === PROTOCOL_TAG_BORROMEAN, `${vec.name}: protocolTag ${fields.protocolTag}`);
+    assert(verifyAmountProofEnvelope(built.envelope), `${vec.name}: failed to verify`);
+  }
+
+  // Header binding and tag dispatch
+  const v2 = buildAmountProofEnvelope({
+    value: 1234n,
+    zkSeed,
+    ephemPub33,
+    rangeBits: 16,
+    backend: RANGE_BACKEND_BORROMEAN,
+    nonceMode: NONCE_MODE_DETERMINISTIC,
+  });
+  assert(!verifyAmountProofEnvelope(liftCore(v2.envelope, { outIndex: 2 })), 'CTv2 Borromean core lifted to outIndex 2');
+  let retagged;
+  try {
+    retagged = verifyAmountProofEnvelope(liftCore(v2.envelope, { protocolTag: PROTOCOL_TAG_SIGMA64 }));
+  } catch {
+    retagged = false;
+  }
+  assert(!retagged, 'Borromean core verified under the Sigma64 tag');
+}
+
+/* -------------------------------------------------------------------------- */
+/* Test 16: generator derivation versions (doc/generators.md)                 */
+/* -------------------------------------------------------------------------- */
+async function testGeneratorVersions() {
+  const hex = (P) => bytesToHex(P.toBytes(true));
+
+  // RFC 9380 Appendix J.8.1 (secp256k1_XMD:SHA-256_SSWU_RO_)
+  const quux = 'QUUX-V01-CS02-with-secp256k1_XMD:SHA-256_SSWU_RO_';
+  for (const [msg, x, y] of [
+    ['', 'c1cae290e291aee617ebaef1be6d73861479c48b841eaba9b7b5852ddfeb1346',
+      '64fa678e07ae116126f08b022a94af6de15985c996c3a91b64c406a960e51067'],
+    ['abc', '3377e01eab42db296b512293120c6cee72b6ecf9f9205760bd9ff11fb3cb2c4b',
+      '7f95890f33efebd1044d382a01b1bee0900fb6116f94688d487c6c7b9c8371f6'],
+  ]) {
+    const P = secp256k1_hasher.hashToCurve(new TextEncoder().encode(msg), { DST: quux }).toAffine();
+    assert(P.x.toString(16).padStart(64, '0') === x && P.y.toString(16).padStart(64, '0') === y,
+      `RFC 9380 vector for '${msg}' mismatch`);
+  }
+
+  // Legacy generators are still the default and unchanged
+  const legacyH = '0237d163a0de0d67cd1a9fabb0c74a4011b4463f3a55b4ff95fed26cd3b5e93a53';
+  assert(hex(getH()) === legacyH, 'default H changed');
+  assert(getH(GENERATOR_VERSION_LEGACY).equals(getH()), 'explicit legacy H differs from default');
+  assert(getAssetH(null, GENERATOR_VERSION_SSWU).equals(getH(GENERATOR_VERSION_SSWU)), 'null asset is not H');
+
+  // Published SSWU vectors
+  const zero = new Uint8Array(32);
+  const ones = new Uint8Array(32).fill(0xff);
+  assert(hex(getH(GENERATOR_VERSION_SSWU)) ===
+    '0359af8b37b6b5108b3c695b151cdb174b35b5f82e7e2338b5353f1e5760d992ce', 'SSWU H mismatch');
+  assert(hex(getAssetH(zero, GENERATOR_VERSION_SSWU)) ===
+    '0206c5f767fec5b3818fe408874e3afe6296e3b32a50ca42419be666a2171281fe', 'SSWU asset(00..) mismatch');
+  assert(hex(getAssetH(ones, GENERATOR_VERSION_SSWU)) ===
+    '028986eb71a1b08a96493e7a201e51eede265e8f6705967803b1e626cc7dd43fc1', 'SSWU asset(ff..) mismatch');
+  const vec = getGeneratorVector('BP/G', 2, GENERATOR_VERSION_SSWU).map(hex);
+  assert(vec[0] === '03acced137136b7323a79184415f9e56de36852d2a11d7c929355489ee6e29abe6' &&
+    vec[1] === '0358c51e74c9497f0472df813d4ce52962558fbdacfecdbd15f45485d6f34f144f', 'SSWU BP/G mismatch');
+
+  // Versions never share cache entries
+  assert(!getAssetH(zero, GENERATOR_VERSION_SSWU).equals(getAssetH(zero)), 'asset generator shared across versions');
+  assert(!getGeneratorVector('BP/G', 1)[0].equals(getGeneratorVector('BP/G', 1, GENERATOR_VERSION_SSWU)[0]),
+    'generator vector shared across versions');
+
+  let threw = false;
+  try {
+    getH('v3');
+  } catch {
+    threw = true;
+  }
+  assert(threw, 'unknown generator version accepted');
+
+  // Round trips under SSWU generators: envelopes carry H33 and verify by it
+  const sswu = { generatorVersion: GENERATOR_VERSION_SSWU };
+  const legacy = { generatorVersion: GENERATOR_VERSION_LEGACY };
+  const Hs = getH(GENERATOR_VERSION_SSWU);
+  const zkSeed = new Uint8Array(32).fill(0x16);
+  const ephemPub33 = secp256k1.Point.BASE.toBytes(true);
+  for (const backend of [RANGE_BACKEND_SIGMA64, RANGE_BACKEND_BORROMEAN, RANGE_BACKEND_BULLETPROOF]) {
+    for (const [shape, opts] of [
+      ['plain', { rangeBits: 16 }],
+      ['interval', { rangeMin: 1000n, rangeMax: 2000n }],
+      ['CTv1', { rangeBits: 16, envelopeVersion: ENVELOPE_VERSION_1 }],
+    ]) {
+      const name = `${backend} ${shape}`;
+      const built = buildAmountProofEnvelope({ value: 1234n, zkSeed, ephemPub33, backend, ...opts, ...sswu });
+      const read = readAmountProofEnvelope(built.envelope);
+      assert(bytesToHex(read.H33) === hex(Hs) && read.generatorVersion === GENERATOR_VERSION_SSWU,
+        `${name}: header does not carry the SSWU H`);
+      assert(built.commitmentC.equals(pedersenCommit64(1234n, built.blinding, null, GENERATOR_VERSION_SSWU)),
+        `${name}: commitment is not under the SSWU H`);
+      assert(verifyAmountProofEnvelope(built.envelope), `${name}: SSWU envelope failed to verify`);
+      assert(verifyAmountProofEnvelope(built.envelope, sswu), `${name}: SSWU envelope failed when pinned`);
+      assert(verifyAmountProofEnvelope(built.envelope, legacy) === false, `${name}: SSWU envelope verified as legacy`);
+      assert(verifyAmountProofEnvelope(liftCore(built.envelope, { H33: getH().toBytes(true) })) === false,
+        `${name}: SSWU proof verified under the legacy H`);
+    }
+  }
+  const legacyEnvelope = buildAmountProofEnvelope({ value: 1234n, zkSeed, ephemPub33, rangeBits: 16 });
+  assert(readAmountProofEnvelope(legacyEnvelope.envelope).generatorVersion === GENERATOR_VERSION_LEGACY &&
+    verifyAmountProofEnvelope(legacyEnvelope.envelope, legacy), 'legacy envelope no longer verifies');
+  assert(verifyAmountProofEnvelope(legacyEnvelope.envelope, sswu) === false, 'legacy envelope verified as SSWU');
+  assert(verifyAmountProofEnvelope(liftCore(legacyEnvelope.envelope, { H33: Hs.toBytes(true) })) === false,
+    'legacy proof verified under the SSWU H');
+  const unknownH = liftCore(legacyEnvelope.envelope, { H33: secp256k1.Point.BASE.toBytes(true) });
+  assert(verifyAmountProofEnvelope(unknownH) === false && readAmountProofEnvelope(unknownH).generatorVersion === null,
+    'envelope with an unknown H33 accepted');
+
+  // Direct range proofs
+  const sigma = generateSigmaRangeProof(77n, zkSeed, { bits: 8, ...sswu });
+  assert(sigma.C.equals(pedersenCommit64(77n, sigma.blinding, null, GENERATOR_VERSION_SSWU)), 'SSWU sigma commitment');
+  assert(verifySigmaRangeProof(sigma, sswu) && !verifySigmaRangeProof(sigma), 'SSWU sigma proof');
+  assert(verifySigmaRangeProofBatch([sigma], sswu).ok && !verifySigmaRangeProofBatch([sigma]).ok, 'SSWU sigma batch');
+  const borromean = generateBorromeanRangeProof(77n, zkSeed, { bits: 8, ...sswu });
+  assert(verifyBorromeanRangeProof(borromean, sswu) && !verifyBorromeanRangeProof(borromean), 'SSWU Borromean proof');
+  const bp = generateBulletproofRangeProof([77n, 78n], zkSeed, { bits: 8, ...sswu });
+  assert(bp.commitments[1].equals(pedersenCommit64(78n, bp.blindings[1], null, GENERATOR_VERSION_SSWU)),
+    'SSWU bulletproof commitment');
+  const bpBytes = serializeBulletproof(bp);
+  assert(verifyBulletproofRangeProof(deserializeBulletproof(bpBytes), sswu) &&
+    !verifyBulletproofRangeProof(deserializeBulletproof(bpBytes)), 'SSWU bulletproof');
+
+  // Opening and equality proofs
+  const ctx = { txid: new Uint8Array(32).fill(7), vout: 1 };
+  for (const revealValue of [false, true]) {
+    const opening = generateOpeningProof({ value: 77n, blinding: sigma.blinding, revealValue, ...ctx, ...sswu });
+    assert(opening.C.equals(sigma.C), 'SSWU opening commitment');
+    assert(verifyOpeningProof(sigma.C, opening, { ...ctx, ...sswu }) && !verifyOpeningProof(sigma.C, opening, ctx),
+      `SSWU opening proof (revealValue ${revealValue})`);
+  }
+  const migrated = migrateLegacyCommitment({ value: 77n, legacyBlinding: 5n, blinding: sigma.blinding, ...sswu });
+  assert(bytesToHex(migrated.commitment33) === hex(sigma.C), 'SSWU migrated commitment');
+  const eqProof = deserializeCommitmentEqualityProof(migrated.equalityProof);
+  const L = secp256k1.Point.fromBytes(migrated.legacyCommitment33);
+  assert(L.equals(pedersenCommit64Legacy(77n, 5n, null, GENERATOR_VERSION_SSWU)), 'SSWU legacy commitment');
+  assert(verifyCommitmentEquality(L, migrated.commitment, eqProof, sswu) &&
+    !verifyCommitmentEquality(L, migrated.commitment, eqProof), 'SSWU equality proof');
+
+  // Balance envelopes and asset tags
+  const balance = buildBalanceProofEnvelope({
+    inputs: [{ value: 100n, blinding: 11n }],
+    outputs: [{ value: 90n }],
+    fee: 10n,
+    zkSeed,
+    rangeBits: 8,
+    ...sswu,
+  });
+  assert(balance.inputCommitments[0].equals(pedersenCommit64(100n, 11n, null, GENERATOR_VERSION_SSWU)),
+    'SSWU balance commitment');
+  assert(verifyBalanceProofEnvelope(balance.envelope) && verifyBalanceProofEnvelope(balance.envelope, sswu),
+    'SSWU balance envelope failed to verify');
+  assert(!verifyBalanceProofEnvelope(balance.envelope, legacy), 'SSWU balance envelope verified as legacy');
+  const cat = new Uint8Array(32).fill(0x42);
+  const tag = blindAssetTag(cat, 9n, GENERATOR_VERSION_SSWU);
+  assert(tag.tag.equals(getAssetH(cat, GENERATOR_VERSION_SSWU).add(secp256k1.Point.BASE.multiply(9n))), 'SSWU asset tag');
+  const surjection = generateSurjectionProof({
+    inputs: [{ assetId: cat, tagBlinding: 0n }],
+    output: { assetId: cat, tagBlinding: 9n },
+    ...sswu,
+  });
+  assert(surjection.outputTag.equals(tag.tag) &&
+    verifySurjectionProof(surjection.inputTags, tag.tag, surjection.proof), 'SSWU surjection proof');
+}
+
+/* -------------------------------------------------------------------------- */
+/* Test 17: Commitment arithmetic and blinding bookkeeping                    */
+/* -------------------------------------------------------------------------- */
+async function testCommitmentArithmetic() {
+  const a = Commitment.commit(700n, 11n);
+  const b = Commitment.commit(300n, 22n);
+
+  const sum = a.add(b);
+  assert(sum.opening.value === 1000n && sum.opening.blinding === 33n, 'add opening mismatch');
+  assert(sum.equals(Commitment.commit(1000n, 33n)), 'add is not homomorphic');
+  assert(sum.verifyOpening(), 'sum opening does not verify');
+
+  const diff = a.sub(b);
+  assert(diff.opening.value === 400n && diff.verifyOpening(), 'sub opening mismatch');
+  assert(b.sub(a).opening.value === -400n && b.sub(a).verifyOpening(), 'negative difference does not open');
+  assert(a.scale(3n).equals(a.add(a).add(a)) && a.scale(3n).verifyOpening(), 'scale mismatch');
+  assert(a.add(a.negate()).isZero() && !a.isZero(), 'negate/isZero mismatch');
+  assert(Commitment.sum([a, b]).equals(sum), 'sum() mismatch');
+
+  // 33-byte NFT commitment compatibility
+  const bytes = a.toBytes();
+  assert(bytesToHex(bytes) === bytesToHex(pedersenCommit64(700n, 11n).toBytes(true)), 'toBytes differs from pedersenCommit64');
+  const parsed = Commitment.fromBytes(bytes);
+  assert(parsed.equals(a) && !parsed.hasOpening, 'fromBytes round-trip failed');
+  assert(!parsed.add(b).hasOpening, 'opening invented for an unopened operand');
+  let threw = false;
+  try {
+    Commitment.zero().toBytes();
+  } catch {
+    threw = true;
+  }
+  assert(threw, 'zero commitment serialized');
+
+  // Different asset generators never yield a combined opening
+  const cat = new Uint8Array(32).fill(5);
+  const tok = Commitment.commit(10n, 1n, cat);
+  assert(tok.verifyOpening() && !a.add(tok).hasOpening, 'opening kept across asset generators');
+
+  // Confidential change: 1 input -> payment + change + fee
+  const input = Commitment.commit(50_000n, 0xabcdefn);
+  const payment = Commitment.commit(30_000n, 0x1234n);
+  const fee = 500n;
+  const change = commitBalancingOutput({ inputs: [input], outputs: [payment], fee });
+  assert(change.opening.value === 19_500n, `unexpected change value ${change.opening.value}`);
+  const residual = input.sub(payment).sub(change).sub(Commitment.commit(fee, 0n));
+  assert(residual.isZero(), 'transaction does not balance');
+
+  // With a chosen excess the residual is excess*G (what a balance envelope signs)
+  const change2 = commitBalancingOutput({ inputs: [input], outputs: [payment], fee, excessBlinding: 42n });
+  const residual2 = input.sub(payment).sub(change2).sub(Commitment.commit(fee, 0n));
+  assert(residual2.point.equals(secp256k1.Point.BASE.multiply(42n)), 'excess residual mismatch');
+  assert(balancingBlinding([0xabcdefn], [0x1234n], 42n) === change2.opening.blinding, 'balancingBlinding mismatch');
+
+  threw = false;
+  try {
+    commitBalancingOutput({ inputs: [payment], outputs: [input] });
+  } catch {
+    threw = true;
+  }
+  assert(threw, 'overspend accepted');
+}
+
+/* -------------------------------------------------------------------------- */
+/* Test 18: AES-GCM confidential notes                                        */
+/* -------------------------------------------------------------------------- */
+async function testConfidentialNotes() {
+  const txid = 'ab'.repeat(32);
+  const keys = deriveRpaSessionKeys(new Uint8Array(randomBytes(32)), txid, 1);
+  const ctx = { txid, vout: 1, outIndex: 2 };
+  const category = new Uint8Array(randomBytes(32));
+  const blinding = 0x1234567890abcdefn;
+
+  const note = encryptNote(keys, { value: 123_456n, blinding, assetId: category, memo: 'rent, march' }, ctx);
+  assert(note[0] === NOTE_VERSION_1, 'note version byte missing');
+  const opened = decryptNote(keys, note, ctx);
+  assert(opened.value === 123_456n && opened.blinding === blinding, 'amount/blinding mismatch');
+  assert(bytesToHex(opened.assetId) === bytesToHex(category), 'assetId mismatch');
+  assert(opened.memoText === 'rent, march', `memo mismatch: ${opened.memoText}`);
+  assert(pedersenCommit64(opened.value, opened.blinding, opened.assetId)
+    .equals(pedersenCommit64(123_456n, blinding, category)), 'opening does not reproduce the commitment');
+
+  // Fresh nonce per note; no asset and empty memo round-trip
+  const plain = encryptNote(keys, { value: 1, blinding: 2n }, ctx);
+  assert(bytesToHex(parseNote(plain).nonce) !== bytesToHex(parseNote(note).nonce), 'nonce reused');
+  const plainOpened = decryptNote(keys, plain, ctx);
+  assert(plainOpened.assetId === null && plainOpened.memo.length === 0, 'plain note fields mismatch');
+
+  // Amount-only access: without memoKey the memo stays sealed
+  const amountOnly = decryptNote({ amountKey: keys.amountKey }, note, ctx);
+  assert(amountOnly.value === 123_456n && amountOnly.memo === null, 'amount-only decrypt mismatch');
+
+  // Version 2 carries the ephemeral pubkey in the amount segment
+  const ephemPub33 = secp256k1.getPublicKey(new Uint8Array(randomBytes(32)), true);
+  const withEphem = encryptNote(keys, { value: 5n, blinding: 6n, ephemPub33, memo: 'x' }, ctx);
+  assert(withEphem[0] === NOTE_VERSION_2 && withEphem.length === note.length - 10 + 33, 'version 2 note layout');
+  assert(bytesToHex(decryptNote(keys, withEphem, ctx).ephemPub33) === bytesToHex(ephemPub33), 'ephemPub33 round trip');
+  assert(decryptNote(keys, note, ctx).ephemPub33 === null, 'version 1 note has no ephemPub33');
+
+  const expectFail = (fn, what, pattern) => {
+    let err = null;
+    try {
+      fn();
+    } catch (e) {
+      err = e;
+    }
+    assert(err && pattern.test(err.message), `${what}: expected failure, got ${err ? err.message : 'success'}`);
+  };
+  const authFailed = /authentication failed/;
+
+  // Every byte of the note is authenticated
+  for (const pos of [13, 40, note.length - 20, note.length - 1]) {
+    const bad = note.slice();
+    bad[pos] ^= 0x01;
+    expectFail(() => decryptNote(keys, bad, ctx), `tampered byte ${pos}`, authFailed);
+  }
+  // Nonce is covered too (it feeds every segment)
+  const badNonce = note.slice();
+  badNonce[1] ^= 0x80;
+  expectFail(() => decryptNote(keys, badNonce, ctx), 'tampered nonce', authFailed);
+
+  // Bound context: outpoint and output index
+  expectFail(() => decryptNote(keys, note, { ...ctx, outIndex: 3 }), 'wrong outIndex', authFailed);
+  expectFail(() => decryptNote(keys, note, { ...ctx, vout: 0 }), 'wrong vout', authFailed);
+  expectFail(() => decryptNote(keys, note, { ...ctx, txid: 'cd'.repeat(32) }), 'wrong txid', authFailed);
+
+  // Wrong session keys
+  const other = deriveRpaSessionKeys(new Uint8Array(randomBytes(32)), txid, 1);
+  expectFail(() => decryptNote(other, note, ctx), 'wrong keys', authFailed);
+  expectFail(() => decryptNote({ amountKey: keys.amountKey, memoKey: other.memoKey }, note, ctx), 'wrong memoKey', /memo authentication failed/);
+
+  // Framing errors are reported as such
+  const badVersion = note.slice();
+  badVersion[0] = 0x03;
+  expectFail(() => decryptNote(keys, badVersion, ctx), 'unknown version', /unsupported note version/);
+  expectFail(() => decryptNote(keys, note.slice(0, 50), ctx), 'truncated note', /truncated/);
+}
+
+/* -------------------------------------------------------------------------- */
+/* Test 19: CTN1 OP_RETURN note channel                                       */
+/* -------------------------------------------------------------------------- */
+
+async function testNoteChannel() {
+  const alicePrivBytes = new Uint8Array(randomBytes(32));
+  const bobPrivBytes   = new Uint8Array(randomBytes(32));
+  const bobPaycodePub33 = secp256k1.getPublicKey(bobPrivBytes, true);
+  const prevoutTxidHex = bytesToHex(new Uint8Array(randomBytes(32)));
+  const prevoutN = 3;
+
+  const { session, context } = deriveRpaLockIntent({
+    mode: RPA_MODE_CONF_ASSET,
+    senderPrivBytes: alicePrivBytes,
+    receiverPub33: bobPaycodePub33,
+    prevoutTxidHex,
+    prevoutN,
+    index: 0,
+  });
+
+  const category = new Uint8Array(randomBytes(32));
+  const ephemPub33 = secp256k1.getPublicKey(new Uint8Array(randomBytes(32)), true);
+  const proofHash = new Uint8Array(randomBytes(32));
+  const blinding = 0xfeedfacecafebeefn;
+  const note = encryptNote(
+    session,
+    { value: 50_000n, blinding, assetId: category, ephemPub33, memo: 'invoice 42' },
+    { txid: prevoutTxidHex, vout: prevoutN, outIndex: 1 },
+  );
+  const noteScript = buildNoteOpReturnScript({ outIndex: 1, proofHash, note });
+  assert(noteScript[0] === 0x6a, 'note script must start with OP_RETURN');
+  assert(noteScript.length <= NOTE_CHANNEL_MAX_SCRIPT_BYTES, `note script too large: ${noteScript.length}`);
+  // The ephemeral key travels inside the note, never in the clear
+  assert(!bytesToHex(noteScript).includes(bytesToHex(ephemPub33)), 'ephemPub33 published in the clear');
+  let err = null;
+  try {
+    buildNoteOpReturnScript({
+      outIndex: 1,
+      proofHash,
+      note: encryptNote(session, { value: 1n, blinding: 1n }, { txid: prevoutTxidHex, vout: prevoutN, outIndex: 1 }),
+    });
+  } catch (e) {
+    err = e;
+  }
+  assert(err && /ephemPub33/.test(err.message), 'note without ephemPub33 must be rejected');
+
+  // Funding tx as parseTx() returns it: input 0 spends the RPA context
+  // outpoint with a P2PKH scriptSig (sig push || pubkey push).
+  const fakeSig = new Uint8Array(65).fill(0x11);
+  const fundingTx = {
+    inputs: [{
+      txid: prevoutTxidHex,
+      vout: prevoutN,
+      scriptSig: Uint8Array.of(fakeSig.length, ...fakeSig, 33, ...context.senderPub33),
+    }],
+    outputs: [
+      { value: 0n, scriptPubKey: noteScript },
+      { value: 50_000n, scriptPubKey: new Uint8Array(23) },
+    ],
+  };
+
+  const recovered = recoverNoteFromFundingTx(fundingTx, {
+    scanPrivBytes: bobPrivBytes,
+    spendPrivBytes: bobPrivBytes,
+  });
+  assert(recovered.vout === 0 && recovered.outIndex === 1, 'note output / outIndex mismatch');
+  assert(recovered.value === 50_000n && recovered.blinding === blinding, 'recovered amount/blinding mismatch');
+  assert(bytesToHex(recovered.assetId) === bytesToHex(category), 'recovered assetId mismatch');
+  assert(recovered.memoText === 'invoice 42', 'recovered memo mismatch');
+  assert(bytesToHex(recovered.ephemPub33) === bytesToHex(ephemPub33), 'recovered ephemPub mismatch');
+  assert(bytesToHex(recovered.proofHash) === bytesToHex(proofHash), 'recovered proofHash mismatch');
+  assert(bytesToHex(recovered.session.zkSeed) === bytesToHex(session.zkSeed), 'recovered zkSeed mismatch');
+
+  // Only Bob can open it
+  err = null;
+  try {
+    const eve = new Uint8Array(randomBytes(32));
+    recoverNoteFromFundingTx(fundingTx, { scanPrivBytes: eve, spendPrivBytes: eve });
+  } catch (e) {
+    err = e;
+  }
+  assert(err && /authentication failed/.test(err.message), 'wrong receiver key must fail');
+
+  // Other OP_RETURNs and non-null-data scripts are ignored
+  assert(parseNoteOpReturnScript(Uint8Array.of(0x6a, 4, 0x43, 0x54, 0x4e, 0x32, 1, 0)) === null, 'non-CTN1 magic parsed');
+  assert(parseNoteOpReturnScript(new Uint8Array(25)) === null, 'P2PKH script parsed as note');
+
+  // The script has to fit the standard OP_RETURN relay limit
+  err = null;
+  try {
+    const bigNote = encryptNote(
+      session,
+      { value: 1n, blinding: 1n, ephemPub33, memo: 'x'.repeat(120) },
+      { txid: prevoutTxidHex, vout: prevoutN, outIndex: 1 },
+    );
+    buildNoteOpReturnScript({ outIndex: 1, proofHash, note: bigNote });
+  } catch (e) {
+    err = e;
+  }
+  assert(err && /OP_RETURN limit/.test(err.message), 'oversized note script must be rejected');
+}
+
+/* -------------------------------------------------------------------------- */
+/* Test 20: paycode v2 (scan/spend split)                                     */
+/* -------------------------------------------------------------------------- */
+
+async function testPaycodeV2() {
+  const basePriv = new Uint8Array(randomBytes(32));
+  const keys = derivePaycodeKeys(basePriv);
+  assert(bytesToHex(keys.spendPrivBytes) === bytesToHex(basePriv), 'spend key must be the base key');
+  assert(bytesToHex(keys.scanPrivBytes) !== bytesToHex(basePriv), 'scan key must differ from spend key');
+  assert(
+    bytesToHex(derivePaycodeKeys(basePriv).scanPrivBytes) === bytesToHex(keys.scanPrivBytes),
+    'derivePaycodeKeys must be deterministic',
+  );
+
+  const chainCode = derivePaycodeChainCode(keys.spendPrivBytes);
+  const flags = PAYCODE_FLAG_CONF_ASSET | PAYCODE_FLAG_NOTE_CHANNEL;
+  const paycode = generatePaycode(keys, { network: 'mainnet', flags, chainCode });
+  assert(paycode[0] === 'P', `mainnet v2 paycode should start with P: ${paycode}`);
+  assert(generatePaycode(keys, { network: 'chipnet' })[0] === 'T', 'chipnet v2 paycode should start with T');
+  assert(generatePaycode(keys, { network: 'regtest' })[0] === 'R', 'regtest v2 paycode should start with R');
+
+  const parsed = parsePaycode(paycode, { network: 'mainnet' });
+  const scanPub33 = secp256k1.getPublicKey(keys.scanPrivBytes, true);
+  const spendPub33 = secp256k1.getPublicKey(keys.spendPrivBytes, true);
+  assert(parsed.version === 2 && parsed.network === 'mainnet' && parsed.flags === flags, 'v2 header fields mismatch');
+  assert(bytesToHex(parsed.scanPub33) === bytesToHex(scanPub33), 'scanPub33 mismatch');
+  assert(bytesToHex(parsed.spendPub33) === bytesToHex(spendPub33), 'spendPub33 mismatch');
+  assert(bytesToHex(parsed.chainCode) === bytesToHex(chainCode), 'chainCode mismatch');
+
+  // Watch-only material (public keys) encodes the same paycode
+  assert(
+    generatePaycode({ scanPub33, spendPub33 }, { network: 'mainnet', flags, chainCode }) === paycode,
+    'paycode from pubkeys differs from paycode from privkeys',
+  );
+
+  // Sender uses the parsed scan/spend pubs; receiver needs both privs
+  const senderPriv = new Uint8Array(randomBytes(32));
+  const prevoutTxidHex = bytesToHex(new Uint8Array(randomBytes(32)));
+  const intent = deriveRpaLockIntent({
+    mode: RPA_MODE_CONF_ASSET,
+    senderPrivBytes: senderPriv,
+    receiverScanPub33: parsed.scanPub33,
+    receiverSpendPub33: parsed.spendPub33,
+    prevoutTxidHex,
+    prevoutN: 0,
+    index: 0,
+  });
+  const senderPub33 = secp256k1.getPublicKey(senderPriv, true);
+  const { oneTimePriv } = deriveRpaOneTimePrivReceiver(
+    keys.scanPrivBytes, keys.spendPrivBytes, senderPub33, prevoutTxidHex, 0, 0,
+  );
+  assert(
+    bytesToHex(_hash160(secp256k1.getPublicKey(oneTimePriv, true))) === bytesToHex(intent.childHash160),
+    'receiver one-time key does not match sender child with split keys',
+  );
+  const { oneTimePriv: folded } = deriveRpaOneTimePrivReceiver(
+    keys.spendPrivBytes, keys.spendPrivBytes, senderPub33, prevoutTxidHex, 0, 0,
+  );
+  assert(bytesToHex(folded) !== bytesToHex(oneTimePriv), 'spend key alone must not act as scan key');
+
+  // Legacy v1 still parses, with scan == spend
+  const v1 = parsePaycode(generatePaycode(basePriv));
+  assert(v1.version === 1 && v1.network === null, 'v1 header fields mismatch');
+  assert(bytesToHex(v1.scanPub33) === bytesToHex(v1.spendPub33), 'v1 scan/spend must be the same key');
+
+  const expectFail = (fn, what, pattern) => {
+    let err = null;
+    try {
+      fn();
+    } catch (e) {
+      err = e;
+    }
+    assert(err && pattern.test(err.message), `${what}: expected failure, got ${err ? err.message : 'success'}`);
+  };
+
+  // Typo -> checksum
+  const typo = paycode.slice(0, 20) + (paycode[20] === 'a' ? 'b' : 'a') + paycode.slice(21);
+  expectFail(() => parsePaycode(typo, { network: null }), 'typo', /bad checksum/);
+  // Network mismatch
+  expectFail(() => parsePaycode(paycode, { network: 'chipnet' }), 'wrong network', /is for mainnet, expected testnet/);
+
+  // Hand-crafted payloads
+  const payload = base58checkDecode(paycode).payload;
+  const reencode = (mutate, prefix = PAYCODE_NETWORK_BYTES.mainnet) => {
+    const p = payload.slice();
+    mutate(p);
+    return base58checkEncode(prefix, p);
+  };
+  expectFail(() => parsePaycode(reencode((p) => { p[0] = 3; }), { network: null }), 'version 3', /unsupported paycode version 3/);
+  expectFail(() => parsePaycode(reencode((p) => { p[1] = 0x80; }), { network: null }), 'unknown flags', /unknown flag bits/);
+  expectFail(() => parsePaycode(reencode((p) => { p[103] = 1; }), { network: null }), 'reserved', /reserved bytes/);
+  expectFail(() => parsePaycode(reencode(() => {}, 0x12), { network: null }), 'unknown prefix', /unknown paycode prefix/);
+  expectFail(() => parsePaycode(reencode((p) => { p[2] = 0x05; }), { network: null }), 'bad scan pub', /scanPub33 is not a valid/);
+  expectFail(() => generatePaycode(keys, { network: 'mainnet', flags: 0x40 }), 'generate unknown flags', /unknown flag bits/);
+}
+
+/* -------------------------------------------------------------------------- */
+/* Test 21: deterministic paycodes + backup self-test                         */
+/* -------------------------------------------------------------------------- */
+
+async function testPaycodeBackup() {
+  const privHex = bytesToHex(new Uint8Array(randomBytes(32)));
+  const walletPriv = ensureEvenYPriv(hexToBytes(privHex)); // what createWallet() holds
+
+  // Same key -> same paycode, every time (v2 and legacy v1)
+  const keys = derivePaycodeKeys(walletPriv);
+  const paycode = generatePaycode(keys, { network: 'chipnet' });
+  assert(generatePaycode(derivePaycodeKeys(walletPriv), { network: 'chipnet' }) === paycode, 'v2 paycode not deterministic');
+  assert(generatePaycode(walletPriv) === generatePaycode(walletPriv), 'v1 paycode not deterministic');
+  assert(
+    bytesToHex(parsePaycode(paycode, { network: 'chipnet' }).chainCode) ===
+      bytesToHex(derivePaycodeChainCode(walletPriv)),
+    'chain code does not follow the documented derivation',
+  );
+
+  // Regenerate from the raw backup (hex as in wallets.local.json, or bytes)
+  assert(paycodeFromBackup(privHex, { network: 'chipnet' }) === paycode, 'backup (hex) did not regenerate the paycode');
+  assert(paycodeFromBackup({ privBytes: walletPriv }, { network: 'chipnet' }) === paycode, 'backup (bytes) mismatch');
+  const v1 = generatePaycode(walletPriv);
+  assert(paycodeFromBackup(privHex, { version: 1 }) === v1, 'backup did not regenerate the v1 paycode');
+
+  // Self-test reads version / network / flags from the stored paycodes
+  const mainnetNoNotes = generatePaycode(keys, { network: 'mainnet', flags: PAYCODE_FLAG_CONF_ASSET });
+  const good = selfTestPaycodeBackup(privHex, [paycode, v1, mainnetNoNotes]);
+  assert(good.ok && good.results.length === 3, `self-test should pass: ${JSON.stringify(good.results)}`);
+
+  const otherKey = bytesToHex(new Uint8Array(randomBytes(32)));
+  const wrong = selfTestPaycodeBackup(otherKey, paycode);
+  assert(!wrong.ok && wrong.results[0].regenerated !== paycode, 'self-test must fail for a different key');
+
+  const corrupted = selfTestPaycodeBackup(privHex, paycode.slice(0, -1) + (paycode.endsWith('a') ? 'b' : 'a'));
+  assert(!corrupted.ok && /bad checksum/.test(corrupted.results[0].error), 'self-test must report a corrupted paycode');
+  assert(!selfTestPaycodeBackup(privHex, []).ok, 'self-test with nothing to compare must not pass');
+
+  // Watch-only encoding needs the original chain code
+  const { scanPub33, spendPub33, chainCode } = parsePaycode(paycode, { network: 'chipnet' });
+  let err = null;
+  try {
+    generatePaycode({ scanPub33, spendPub33 }, { network: 'chipnet' });
+  } catch (e) {
+    err = e;
+  }
+  assert(err && /opts\.chainCode/.test(err.message), 'pubkey-only encoding without chainCode must throw');
+  assert(
+    generatePaycode({ scanPub33, spendPub33 }, { network: 'chipnet', chainCode }) === paycode,
+    'pubkey-only encoding with the parsed chain code must reproduce the paycode',
+  );
+}
+
+/* -------------------------------------------------------------------------- */
+/* Test 22: receiver-side RPA scanner                                         */
+/* -------------------------------------------------------------------------- */
+
+async function testRpaScanner() {
+  const bobKeys = derivePaycodeKeys(new Uint8Array(randomBytes(32)));
+  const bobPaycode = generatePaycode(bobKeys, { network: 'chipnet' });
+  const { scanPub33, spendPub33 } = parsePaycode(bobPaycode, { network: 'chipnet' });
+
+  const randomTxid = () => bytesToHex(new Uint8Array(randomBytes(32)));
+  const p2pkhScriptSig = (priv) =>
+    Uint8Array.of(65, ...new Uint8Array(65).fill(0x30), 33, ...secp256k1.getPublicKey(priv, true));
+  const junkP2PKH = () => getP2PKHScript(new Uint8Array(randomBytes(20)));
+
+  // Sender pays Bob's paycode at `index` from one P2PKH input
+  function payBob(index, { receiver = { scanPub33, spendPub33 }, extraInputs = 0 } = {}) {
+    const senderPriv = new Uint8Array(randomBytes(32));
+    const prevoutTxidHex = randomTxid();
+    const intent = deriveRpaLockIntent({
+      mode: RPA_MODE_CONF_ASSET,
+      senderPrivBytes: senderPriv,
+      receiverScanPub33: receiver.scanPub33,
+      receiverSpendPub33: receiver.spendPub33,
+      prevoutTxidHex,
+      prevoutN: 1,
+      index,
+    });
+    const inputs = [];
+    for (let i = 0; i < extraInputs; i++) inputs.push({ txid: randomTxid(), vout: 0, scriptSig: new Uint8Array(10) });
+    inputs.push({ txid: prevoutTxidHex, vout: 1, scriptSig: p2pkhScriptSig(senderPriv) });
+    const hex = buildRawTx({
+      inputs,
+      outputs: [
+        { value: 1000, scriptPubKey: junkP2PKH() },
+        { value: 54321, scriptPubKey: getP2PKHScript(intent.childHash160) },
+      ],
+    });
+    return { hex, intent };
+  }
+
+  // Covenant-style funding: CTN1 note for vout 1, no P2PKH output to Bob
+  function fundBobWithNote() {
+    const senderPriv = new Uint8Array(randomBytes(32));
+    const prevoutTxidHex = randomTxid();
+    const intent = deriveRpaLockIntent({
+      mode: RPA_MODE_CONF_ASSET,
+      senderPrivBytes: senderPriv,
+      receiverScanPub33: scanPub33,
+      receiverSpendPub33: spendPub33,
+      prevoutTxidHex,
+      prevoutN: 0,
+      index: RPA_COVENANT_INDEX,
+    });
+    const note = encryptNote(
+      intent.session,
+      { value: 777n, blinding: 42n, ephemPub33: secp256k1.getPublicKey(new Uint8Array(randomBytes(32)), true), memo: 'covenant' },
+      { txid: prevoutTxidHex, vout: 0, outIndex: 1 },
+    );
+    const noteScript = buildNoteOpReturnScript({
+      outIndex: 1,
+      proofHash: new Uint8Array(32).fill(7),
+      note,
+    });
+    const hex = buildRawTx({
+      inputs: [{ txid: prevoutTxidHex, vout: 0, scriptSig: p2pkhScriptSig(senderPriv) }],
+      outputs: [
+        { value: 0, scriptPubKey: noteScript },
+        { value: 777, scriptPubKey: getP2SHScript(new Uint8Array(20).fill(9)) },
+        { value: 5000, scriptPubKey: junkP2PKH() },
+      ],
+    });
+    return { hex, intent };
+  }
+
+  const keys = { scanPrivBytes: bobKeys.scanPrivBytes, spendPrivBytes: bobKeys.spendPrivBytes };
+  const payAt2 = payBob(2, { extraInputs: 1 });       // RPA context is input 1
+  const payAt9 = payBob(9);                            // outside the default window
+  const { hex: noteTx, intent: noteIntent } = fundBobWithNote();
+  const otherKeys = derivePaycodeKeys(new Uint8Array(randomBytes(32)));
+  const notForBob = payBob(0, {
+    receiver: {
+      scanPub33: secp256k1.getPublicKey(otherKeys.scanPrivBytes, true),
+      spendPub33: secp256k1.getPublicKey(otherKeys.spendPrivBytes, true),
+    },
+  });
+
+  // Single tx: match carries a working one-time key
+  const [m] = scanTransaction(payAt2.hex, keys);
+  assert(m && m.kind === MATCH_KIND_P2PKH && m.vout === 1 && m.index === 2 && m.inputIndex === 1, 'p2pkh match fields');
+  assert(m.txid === txidFromRaw(payAt2.hex) && m.value === 54321n, 'p2pkh match txid/value');
+  assert(
+    bytesToHex(_hash160(secp256k1.getPublicKey(m.oneTimePriv, true))) === bytesToHex(payAt2.intent.childHash160),
+    'scanner oneTimePriv does not control the output',
+  );
+  assert(scanTransaction(payAt9.hex, keys).length === 0, 'index 9 must be outside the default window');
+  assert(scanTransaction(payAt9.hex, keys, { indexStart: 8, indexWindow: 2 })[0]?.index === 9, 'window [8, 10) must find index 9');
+  assert(scanTransaction(notForBob.hex, keys).length === 0, 'payment to another paycode matched');
+
+  const [n] = scanTransaction(noteTx, keys);
+  assert(n && n.kind === MATCH_KIND_NOTE && n.vout === 1 && n.value === 777n, 'note match fields');
+  assert(n.note.blinding === 42n && n.note.memoText === 'covenant' && n.note.noteVout === 0, 'note contents');
+
+  // The covenant guard key is always at RPA_COVENANT_INDEX, whatever the window
+  for (const indexStart of [0, 8]) {
+    const [c] = scanTransaction(noteTx, keys, { indexStart });
+    assert(c?.kind === MATCH_KIND_NOTE && c.index === RPA_COVENANT_INDEX, `note index with indexStart ${indexStart}`);
+    assert(bytesToHex(c.childPub33) === bytesToHex(noteIntent.childPubkey), `note childPub33 with indexStart ${indexStart}`);
+    assert(
+      bytesToHex(secp256k1.getPublicKey(c.oneTimePriv, true)) === bytesToHex(noteIntent.childPubkey),
+      `note oneTimePriv with indexStart ${indexStart}`,
+    );
+  }
+
+  // Resumable scan over a memory source into a JSON store
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bch-ct-scan-'));
+  try {
+    const storePath = path.join(dir, 'scan.json');
+    const source = createMemoryTxSource([
+      { hex: payAt2.hex, height: 10 },
+      { hex: notForBob.hex, height: 11 },
+      { hex: noteTx, height: 15 },
+      { hex: payAt9.hex, height: 20 },
+    ]).addTransaction(payBob(0).hex, null); // mempool: never scanned by height
+
+    const first = await scanForRpaPayments({ source, store: createJsonScanStore(storePath), ...keys, toHeight: 12, batchSize: 5 });
+    assert(first.fromHeight === 1 && first.toHeight === 12 && first.matches.length === 1, 'first pass should find one payment');
+    assert((fs.statSync(storePath).mode & 0o777) === 0o600, 'scan store must be private (0600)');
+
+    const reopened = createJsonScanStore(storePath);
+    assert(reopened.getLastHeight() === 12, `resume height not persisted: ${reopened.getLastHeight()}`);
+    const seen = [];
+    const second = await scanForRpaPayments({ source, store: reopened, ...keys, onMatch: (x) => seen.push(x) });
+    assert(second.fromHeight === 13 && second.toHeight === 20, 'second pass should resume at 13 and run to the tip');
+    assert(second.matches.length === 1 && second.matches[0].kind === MATCH_KIND_NOTE && seen.length === 1, 'second pass should find the note');
+
+    // Stored matches keep the tweak, never the one-time key
+    const stored = createJsonScanStore(storePath).getMatches();
+    const found = [...first.matches, ...second.matches];
+    assert(stored.length === 2 && stored.every((x) => x.oneTimePriv === null), 'stored matches must not hold one-time keys');
+    assert(found.every((x) => !fs.readFileSync(storePath, 'utf8').includes(bytesToHex(x.oneTimePriv))), 'one-time key written to the store');
+    stored.forEach((x, i) => {
+      assert(bytesToHex(matchOneTimePriv(x, keys.spendPrivBytes)) === bytesToHex(found[i].oneTimePriv), 'one-time key rebuilt from the stored tweak');
+    });
+
+    // A store written with keys by an older scanner loses them on open
+    const legacy = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+    legacy.matches.forEach((x, i) => {
+      x.oneTimePriv = bytesToHex(found[i].oneTimePriv);
+    });
+    fs.writeFileSync(storePath, JSON.stringify(legacy));
+    assert(createJsonScanStore(storePath).getMatches().every((x) => x.oneTimePriv === null), 'legacy keys loaded');
+    assert(!JSON.parse(fs.readFileSync(storePath, 'utf8')).matches.some((x) => x.oneTimePriv), 'legacy keys left on disk');
+
+    // Rescanning old heights does not duplicate
+    const again = await scanForRpaPayments({ source, store: reopened, ...keys, fromHeight: 1 });
+    assert(again.matches.length === 0 && reopened.getMatches().length === 2, 'rescan duplicated matches');
+
+    // Raw tx files give the same results
+    fs.writeFileSync(path.join(dir, 'a.hex'), `# block 10\n10 ${payAt2.hex}\n11 ${notForBob.hex}\n`);
+    fs.writeFileSync(path.join(dir, 'b.tx'), `15 ${noteTx}\n`);
+    const fromFiles = await scanForRpaPayments({ source: createFileTxSource(dir), store: createMemoryScanStore(), ...keys });
+    assert(fromFiles.txCount === 3 && fromFiles.matches.length === 2, `file source: ${fromFiles.txCount} txs, ${fromFiles.matches.length} matches`);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  // Electrum source over an injected client (history of a watched scripthash)
+  const byTxid = new Map([payAt2.hex, noteTx].map((hex) => [txidFromRaw(hex), hex]));
+  const client = {
+    async request(method, ...args) {
+      if (method === 'blockchain.headers.subscribe') return { height: 30 };
+      if (method === 'blockchain.scripthash.get_history') {
+        return [
+          { tx_hash: txidFromRaw(payAt2.hex), height: 21 },
+          { tx_hash: txidFromRaw(noteTx), height: 0 }, // mempool
+        ];
+      }
+      if (method === 'blockchain.transaction.get') return byTxid.get(args[0]);
+      throw new Error(`unexpected ${method}`);
+    },
+  };
+  const electrum = createElectrumTxSource({ scripthashes: ['00'.repeat(32)], client });
+  const viaElectrum = await scanForRpaPayments({ source: electrum, store: createMemoryScanStore({ lastHeight: 20 }), ...keys });
+  assert(viaElectrum.fromHeight === 21 && viaElectrum.txCount === 1 && viaElectrum.matches.length === 1, 'electrum source scan');
+}
+
+/* -------------------------------------------------------------------------- */
+/* Test 23: RPA prefix grinding + server prefix queries                       */
+/* -------------------------------------------------------------------------- */
+
+async function testRpaPrefixGrinding() {
+  const bobWalletPriv = ensureEvenYPriv(new Uint8Array(randomBytes(32)));
+  const bobKeys = derivePaycodeKeys(bobWalletPriv);
+  const bobPaycode = generatePaycode(bobKeys, { network: 'chipnet', prefixBits: 8 });
+  const parsed = parsePaycode(bobPaycode, { network: 'chipnet' });
+  const prefixHex = rpaPrefixFromPaycode(bobPaycode);
+  assert(parsed.prefixBits === 8, 'prefixBits did not round-trip');
+  assert(prefixHex === bytesToHex(parsed.scanPub33.slice(1, 2)), `prefix must be the scan key x prefix, got ${prefixHex}`);
+  assert(rpaPrefixFromPaycode(generatePaycode(bobKeys, { network: 'chipnet' })) === null, 'no prefixBits -> no prefix');
+  assert(selfTestPaycodeBackup(bobWalletPriv, bobPaycode).ok, 'self-test must keep prefixBits');
+  let threw = false;
+  try {
+    generatePaycode(bobKeys, { network: 'chipnet', prefixBits: 5 });
+  } catch {
+    threw = true;
+  }
+  assert(threw, 'prefixBits 5 must be rejected');
+
+  // Extra nonce entropy: different but equally valid signatures
+  const priv = new Uint8Array(randomBytes(32));
+  const pub = secp256k1.getPublicKey(priv, true);
+  const msg = new Uint8Array(randomBytes(32));
+  const plain = bchSchnorrSign(msg, priv, pub);
+  const ground = bchSchnorrSign(msg, priv, pub, Uint8Array.of(1, 0, 0, 0));
+  assert(bytesToHex(plain) === bytesToHex(bchSchnorrSign(msg, priv, pub)), 'signing must stay deterministic');
+  assert(bytesToHex(plain) !== bytesToHex(ground), 'extra entropy must change the nonce');
+  assert(bchSchnorrVerify(ground, msg, pub), 'ground signature must verify');
+
+  // Sender pays Bob and grinds the txid to his prefix
+  const randomTxid = () => bytesToHex(new Uint8Array(randomBytes(32)));
+  function payBob(grindPrefix) {
+    const senderPriv = ensureEvenYPriv(new Uint8Array(randomBytes(32)));
+    const senderScript = getP2PKHScript(_hash160(secp256k1.getPublicKey(senderPriv, true)));
+    const prevoutTxidHex = randomTxid();
+    const intent = deriveRpaLockIntent({
+      mode: RPA_MODE_CONF_ASSET,
+      senderPrivBytes: senderPriv,
+      receiverScanPub33: parsed.scanPub33,
+      receiverSpendPub33: parsed.spendPub33,
+      prevoutTxidHex,
+      prevoutN: 0,
+      index: 0,
+    });
+    const tx = {
+      version: 2,
+      inputs: [{ txid: prevoutTxidHex, vout: 0, sequence: 0xffffffff, scriptSig: new Uint8Array() }],
+      outputs: [{ value: 40000, scriptPubKey: getP2PKHScript(intent.childHash160) }],
+      locktime: 0,
+    };
+    const res = signInputWithRpaPrefix(tx, 0, senderPriv, senderScript, 50000, { prefixHex: grindPrefix });
+    return { ...res, hex: buildRawTx(tx), tx, senderPriv, senderScript };
+  }
+
+  const paid = payBob(prefixHex);
+  assert(paid.txid.startsWith(prefixHex) && paid.txid === txidFromRaw(paid.hex), 'ground txid must carry the prefix');
+  const unground = payBob(null);
+  assert(unground.attempts === 1, 'no prefix -> single signature');
+  const resigned = signInput({ ...unground.tx, inputs: unground.tx.inputs.map((i) => ({ ...i })) }, 0, unground.senderPriv, unground.senderScript, 50000);
+  assert(txidFromRaw(buildRawTx(resigned)) === unground.txid, 'no prefix must match plain signInput');
+  threw = false;
+  try {
+    payBob('zz');
+  } catch {
+    threw = true;
+  }
+  assert(threw, 'bad prefixHex must be rejected');
+
+  // Receiver queries a local mock server by prefix
+  const server = createMockElectrumServer({ tipHeight: 100 });
+  server.addTransaction(paid.hex, 50);
+  for (let height = 40; height < 46; ) {
+    // payments from senders that did not grind (skip the 1-in-256 lucky ones)
+    const other = payBob(null);
+    if (!other.txid.startsWith(prefixHex)) server.addTransaction(other.hex, height++);
+  }
+  const pending = payBob(prefixHex);
+  const client = server.client();
+  await client.request('blockchain.transaction.broadcast', pending.hex);
+
+  const history = await getRpaPrefixHistory(prefixHex, 1, 100, { client });
+  assert(history.some((h) => h.txid === paid.txid && h.height === 50), 'prefix history must list the ground tx');
+  assert(history.every((h) => h.txid.startsWith(prefixHex)), 'prefix history returned a non-matching tx');
+  assert((await getRpaPrefixHistory(prefixHex, 51, 100, { client })).every((h) => h.txid !== paid.txid), 'height range ignored');
+  const mempool = await getRpaPrefixMempool(prefixHex, { client });
+  assert(mempool.length === 1 && mempool[0].txid === pending.txid, 'prefix mempool must list the pending tx');
+  threw = false;
+  try {
+    await getRpaPrefixHistory('XY', 1, 2, { client });
+  } catch {
+    threw = true;
+  }
+  assert(threw, 'bad prefix must be rejected before the request');
+
+  const keys = { scanPrivBytes: bobKeys.scanPrivBytes, spendPrivBytes: bobKeys.spendPrivBytes };
+  const store = createMemoryScanStore();
+  const source = createRpaPrefixTxSource({ paycode: bobPaycode, client });
+  const first = await scanForRpaPayments({ source, store, ...keys });
+  assert(first.toHeight === 100 && first.matches.length === 1 && first.matches[0].txid === paid.txid, 'prefix scan must find the ground payment');
+  assert(first.txCount === 1, `prefix scan downloaded ${first.txCount} txs`);
+
+  server.mineBlock();
+  const second = await scanForRpaPayments({ source, store, ...keys });
+  assert(second.fromHeight === 101 && second.matches.length === 1 && second.matches[0].txid === pending.txid, 'mined payment found on resume');
+  assert(server.openClients === 1, 'injected clients must be left to the caller');
+  await client.disconnect();
+}
+
+/* -------------------------------------------------------------------------- */
+/* Test 24: multi-input senders, multi-output RPA payments                    */
+/* -------------------------------------------------------------------------- */
+
+async function testRpaMultiInputPayments() {
+  const newPaycode = () => {
+    const keys = derivePaycodeKeys(ensureEvenYPriv(new Uint8Array(randomBytes(32))));
+    return { keys, paycode: generatePaycode(keys, { network: 'chipnet' }) };
+  };
+  const bob = newPaycode();
+  const carol = newPaycode();
+  const scanKeys = ({ keys }) => ({ scanPrivBytes: keys.scanPrivBytes, spendPrivBytes: keys.spendPrivBytes });
+  const inputs = [0, 1, 2].map((vout) => ({
+    txid: bytesToHex(new Uint8Array(randomBytes(32))),
+    vout,
+    value: 40000,
+    privBytes: new Uint8Array(randomBytes(32)),
+  }));
+  const change = getP2PKHScript(new Uint8Array(20).fill(3));
+
+  // The aggregate context does not depend on input order
+  const op = smallestOutpoint(inputs);
+  const rev = smallestOutpoint([...inputs].reverse());
+  assert(op.txid === rev.txid && op.vout === rev.vout, 'smallest outpoint depends on input order');
+
+  // Aggregate: three outputs to Bob, one to Carol, change back
+  const agg = buildRpaPaymentTx({
+    inputs,
+    recipients: [
+      { paycode: bob.paycode, value: 10000 },
+      { paycode: bob.paycode, value: 20000 },
+      { paycode: carol.paycode, value: 15000 },
+      { paycode: bob.paycode, value: 5000 },
+    ],
+    changeScript: change,
+    network: 'chipnet',
+  });
+  assert(agg.payments.context.kind === RPA_CONTEXT_AGGREGATE, 'default context must be aggregate');
+  assert(agg.payments.outputs.map((o) => o.index).join() === '0,1,0,2', 'indexes must increment per paycode');
+  assert(agg.tx.outputs.length === 5 && agg.tx.outputs[4].value === 120000 - 50000 - agg.fee, 'change output');
+
+  const bobMatches = scanTransaction(agg.hex, scanKeys(bob));
+  assert(bobMatches.length === 3, `Bob should find 3 outputs, found ${bobMatches.length}`);
+  assert(bobMatches.every((m) => m.rpaContext === RPA_CONTEXT_AGGREGATE && m.inputIndex === null), 'aggregate matches');
+  assert(bobMatches.map((m) => `${m.vout}:${m.index}`).sort().join() === '0:0,1:1,3:2', 'Bob vouts / indexes');
+  for (const m of bobMatches) {
+    const hash = bytesToHex(_hash160(secp256k1.getPublicKey(m.oneTimePriv, true)));
+    assert(hash === bytesToHex(agg.payments.outputs.find((o) => o.index === m.index && o.recipient !== 2).childHash160), 'one-time key');
+  }
+  const carolMatches = scanTransaction(agg.hex, scanKeys(carol));
+  assert(carolMatches.length === 1 && carolMatches[0].vout === 2 && carolMatches[0].index === 0, 'Carol match');
+
+  // Designated input (EC-compatible): secret from input 1 only
+  const designated = buildRpaPaymentTx({
+    inputs,
+    recipients: [{ paycode: bob.paycode, value: 30000 }],
+    context: RPA_CONTEXT_INPUT,
+    designatedInput: 1,
+    network: 'chipnet',
+  });
+  const [d] = scanTransaction(designated.hex, scanKeys(bob));
+  assert(d && d.rpaContext === RPA_CONTEXT_INPUT && d.inputIndex === 1 && d.prevoutTxidHex === inputs[1].txid, 'designated match');
+
+  // One input: aggregate and designated give the same output
+  const single = (context) =>
+    deriveRpaPayments({
+      mode: RPA_MODE_STEALTH_P2PKH,
+      inputs: inputs.slice(0, 1),
+      recipients: [parsePaycode(bob.paycode, { network: 'chipnet' })],
+      context,
+    }).outputs[0].childHash160;
+  assert(bytesToHex(single(RPA_CONTEXT_AGGREGATE)) === bytesToHex(single(RPA_CONTEXT_INPUT)), 'single-input contexts differ');
+
+  // Many outputs past the first window: every match extends the window
+  const many = buildRpaPaymentTx({
+    inputs,
+    recipients: Array.from({ length: 12 }, () => ({ paycode: bob.paycode, value: 5000 })),
+    indexStart: 5,
+    network: 'chipnet',
+  });
+  const found = scanTransaction(many.hex, scanKeys(bob));
+  assert(found.length === 12 && Math.max(...found.map((m) => m.index)) === 16, `gap-limit scan found ${found.length} of 12`);
+
+  // Keys that cancel out have no aggregate; the sender must designate an input
+  const n = secp256k1.Point.CURVE().n;
+  const k = 12345n;
+  let threw = false;
+  try {
+    aggregateRpaInputKeys([
+      { ...inputs[0], privBytes: hexToBytes(k.toString(16).padStart(64, '0')) },
+      { ...inputs[1], privBytes: hexToBytes((n - k).toString(16).padStart(64, '0')) },
+    ]);
+  } catch {
+    threw = true;
+  }
+  assert(threw, 'zero aggregate key must be rejected');
+}
+
+/* -------------------------------------------------------------------------- */
+/* Test 25: BIP39/BIP32 seed behind every wallet and paycode key              */
+/* -------------------------------------------------------------------------- */
+
+async function testHdSeedWallets() {
+  const mnemonic = generateMnemonic();
+  const root = hdRootFromMnemonic(mnemonic);
+  const fast = { N: 1 << 10 }; // keep scrypt cheap in tests
+
+  // Paths and key separation
+  const receive = deriveBaseKey(root, 0);
+  const change = deriveBaseKey(root, 0, HD_CHAIN_CHANGE, 0);
+  const pay0 = deriveHdPaycodeKeys(root, 0);
+  const pay1 = deriveHdPaycodeKeys(root, 1);
+  assert(receive.path === "m/44'/145'/0'/0/0" && change.path === "m/44'/145'/0'/1/0", 'base key paths');
+  assert(pay1.path === "m/47'/145'/1'", 'paycode key path');
+  const distinct = new Set([receive.privBytes, change.privBytes, pay0.scanPrivBytes, pay0.spendPrivBytes, pay1.spendPrivBytes].map(bytesToHex));
+  assert(distinct.size === 5, 'derived keys must all differ');
+  assert(bytesToHex(hdRootFromMnemonic(`  ${mnemonic.toUpperCase()} `).derive("m/0'").privateKey) === bytesToHex(root.derive("m/0'").privateKey), 'mnemonic normalization');
+
+  // Encrypted seed record
+  const record = encryptSeed(mnemonic, 'correct horse', fast);
+  assert(decryptSeed(record, 'correct horse') === mnemonic, 'seed round-trip');
+  for (const [label, rec, pw] of [
+    ['wrong password', record, 'battery staple'],
+    ['tampered cost', { ...record, kdf: { ...record.kdf, N: 1 << 11 } }, 'correct horse'],
+  ]) {
+    let threw = false;
+    try {
+      decryptSeed(rec, pw);
+    } catch {
+      threw = true;
+    }
+    assert(threw, `${label} must be rejected`);
+  }
+
+  const savedEnv = { a: process.env.ALICE_PRIV_KEY, b: process.env.BOB_PRIV_KEY };
+  delete process.env.ALICE_PRIV_KEY;
+  delete process.env.BOB_PRIV_KEY;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bch-ct-hd-'));
+  try {
+    // New wallet file from a mnemonic: only the encrypted seed + paycodes on disk
+    const file = path.join(dir, 'wallets.local.json');
+    const first = await getWallets({ walletFile: file, mnemonic, password: 'pw-1', kdfParams: fast });
+    const onDisk = fs.readFileSync(file, 'utf8');
+    const stored = JSON.parse(onDisk);
+    assert(stored.version === WALLET_FILE_VERSION && stored.keystore && !('alicePriv' in stored), 'wallet file must hold the encrypted seed only');
+    assert(!onDisk.includes(mnemonic.split(' ')[0] + ' ') && !onDisk.includes(first.alice.priv), 'secrets leaked into the wallet file');
+    assert(first.alice.hd.account === 0 && first.bob.hd.account === 1, 'Alice / Bob accounts');
+    assert(first.alice.address !== first.bob.address && first.alice.paycode !== first.bob.paycode, 'wallets must differ');
+
+    // Reload: unlock with the password, self-test the stored paycodes
+    const again = await getWallets({ walletFile: file, password: 'pw-1' });
+    assert(again.bob.address === first.bob.address && again.bob.paycode === first.bob.paycode, 'reload must give the same wallets');
+    let threw = false;
+    try {
+      await getWallets({ walletFile: file, password: 'nope' });
+    } catch {
+      threw = true;
+    }
+    assert(threw, 'wrong password must not unlock the wallet file');
+
+    // Restore elsewhere from the mnemonic alone, then find an RPA payment
+    const restored = await getWallets({ walletFile: path.join(dir, 'restored.json'), mnemonic, password: 'pw-2', kdfParams: fast });
+    assert(restored.alice.paycode === first.alice.paycode && restored.bob.change.address === first.bob.change.address, 'mnemonic restore');
+    const { scanPub33, spendPub33 } = parsePaycode(first.bob.paycode, { network: null });
+    const senderPriv = new Uint8Array(randomBytes(32));
+    const prevoutTxidHex = bytesToHex(new Uint8Array(randomBytes(32)));
+    const intent = deriveRpaLockIntent({
+      mode: RPA_MODE_STEALTH_P2PKH,
+      senderPrivBytes: senderPriv,
+      receiverScanPub33: scanPub33,
+      receiverSpendPub33: spendPub33,
+      prevoutTxidHex,
+      prevoutN: 3,
+      index: 4,
+    });
+    const { oneTimePriv } = deriveRpaOneTimePrivReceiver(
+      restored.bob.scanPrivBytes,
+      restored.bob.spendPrivBytes,
+      secp256k1.getPublicKey(senderPriv, true),
+      prevoutTxidHex,
+      3,
+      4,
+    );
+    assert(bytesToHex(_hash160(secp256k1.getPublicKey(oneTimePriv, true))) === bytesToHex(intent.childHash160), 'restored RPA child key');
+
+    // Legacy raw-key files keep loading
+    const legacy = path.join(dir, 'legacy.json');
+    const legacyPriv = bytesToHex(ensureEvenYPriv(new Uint8Array(randomBytes(32))));
+    fs.writeFileSync(legacy, JSON.stringify({ alicePriv: legacyPriv, bobPriv: legacyPriv }));
+    const old = await getWallets({ walletFile: legacy });
+    assert(old.alice.priv === legacyPriv && !old.alice.hd, 'legacy wallet file');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+    if (savedEnv.a !== undefined) process.env.ALICE_PRIV_KEY = savedEnv.a;
+    if (savedEnv.b !== undefined) process.env.BOB_PRIV_KEY = savedEnv.b;
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* Test 26: Encrypted wallet keystore, sessions and file migration            */
+/* -------------------------------------------------------------------------- */
+
+async function testWalletKeystore() {
+  const fast = { N: 1 << 10 };
+  const expectThrow = async (label, fn) => {
+    let threw = false;
+    try {
+      await fn();
+    } catch {
+      threw = true;
+    }
+    assert(threw, `${label} must be rejected`);
+  };
+
+  // Container: round-trip, wrong passphrase, any header change, passphrase change
+  const payload = { kind: 'test', secret: 'not-hex-secret' };
+  const box = sealKeystore(payload, 'pw', fast);
+  assert(box.format === 'bch-ct-keystore' && box.version === 1 && box.kdf.name === 'scrypt', 'keystore header');
+  assert(!JSON.stringify(box).includes('not-hex-secret'), 'payload must be encrypted');
+  const opened = openKeystore(box, { passphrase: 'pw' });
+  assert(opened.payload.secret === 'not-hex-secret', 'keystore round-trip');
+  assert(openKeystore(box, { key: opened.key }).payload.secret === 'not-hex-secret', 'open with a cached key');
+  await expectThrow('wrong passphrase', () => openKeystore(box, { passphrase: 'nope' }));
+  await expectThrow('changed salt', () => openKeystore({ ...box, kdf: { ...box.kdf, salt: '00'.repeat(16) } }, { key: opened.key }));
+  await expectThrow('changed iv', () => openKeystore({ ...box, cipher: { ...box.cipher, iv: '00'.repeat(12) } }, { key: opened.key }));
+  await expectThrow('unknown version', () => openKeystore({ ...box, version: 2 }, { passphrase: 'pw' }));
+  const rekeyed = changeKeystorePassphrase(box, 'pw', 'pw-new');
+  assert(rekeyed.kdf.salt !== box.kdf.salt && rekeyed.kdf.N === fast.N, 'new salt, same cost');
+  assert(openKeystore(rekeyed, { passphrase: 'pw-new' }).payload.secret === 'not-hex-secret', 'passphrase change');
+  await expectThrow('old passphrase after change', () => openKeystore(rekeyed, { passphrase: 'pw' }));
+
+  const envNames = ['ALICE_PRIV_KEY', 'BOB_PRIV_KEY', 'ALLOW_INSECURE_ENV_KEYS', 'WALLET_PASSWORD'];
+  const savedEnv = Object.fromEntries(envNames.map((k) => [k, process.env[k]]));
+  for (const k of envNames) delete process.env[k];
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bch-ct-keystore-'));
+  try {
+    // v1 plaintext keys -> encrypted raw-keys keystore, same wallets
+    const legacy = path.join(dir, 'legacy.json');
+    const alicePriv = bytesToHex(ensureEvenYPriv(new Uint8Array(randomBytes(32))));
+    const bobPriv = bytesToHex(ensureEvenYPriv(new Uint8Array(randomBytes(32))));
+    fs.writeFileSync(legacy, JSON.stringify({ alicePriv, bobPriv }));
+    const before = await getWallets({ walletFile: legacy });
+    assert((await walletStatus({ walletFile: legacy })).encrypted === false, 'plaintext file status');
+    const m1 = migrateWalletFile({ walletFile: legacy, password: 'legacy-pw', kdfParams: fast });
+    assert(m1.from === 1 && m1.to === WALLET_FILE_VERSION, 'v1 migration versions');
+    const migrated = fs.readFileSync(legacy, 'utf8');
+    assert(!migrated.includes(alicePriv) && !migrated.includes(bobPriv), 'plaintext keys left in the migrated file');
+    assert(JSON.parse(migrated).paycodes.alice === before.alice.paycode, 'paycodes kept');
+    const after = await getWallets({ walletFile: legacy, password: 'legacy-pw' });
+    assert(after.alice.priv === alicePriv && after.bob.priv === bobPriv, 'migrated keys');
+    assert(migrateWalletFile({ walletFile: legacy, password: 'legacy-pw' }).from === WALLET_FILE_VERSION, 'migration is idempotent');
+
+    // Seed-backed file: already current, reopened with its password
+    const mnemonic = generateMnemonic();
+    const seeded = path.join(dir, 'seeded.json');
+    await getWallets({ walletFile: seeded, mnemonic, password: 'seed-pw', kdfParams: fast });
+    assert(migrateWalletFile({ walletFile: seeded, password: 'seed-pw' }).from === WALLET_FILE_VERSION, 'seed file is current');
+    const fromSeed = await getWallets({ walletFile: seeded, password: 'seed-pw' });
+    const direct = await getWallets({ walletFile: path.join(dir, 'direct.json'), mnemonic, password: 'x', kdfParams: fast });
+    assert(fromSeed.bob.paycode === direct.bob.paycode && fromSeed.alice.hd, 'seed survives reopening');
+
+    // Unreadable or unknown-version files are errors, never replaced by a new seed
+    for (const [name, contents] of [
+      ['truncated.json', fs.readFileSync(seeded, 'utf8').slice(0, 40)],
+      ['future.json', JSON.stringify({ version: WALLET_FILE_VERSION + 1, keystore: {} })],
+    ]) {
+      const file = path.join(dir, name);
+      fs.writeFileSync(file, contents);
+      await expectThrow(`wallet file ${name}`, () => getWallets({ walletFile: file, mnemonic, password: 'x', kdfParams: fast }));
+      assert(fs.readFileSync(file, 'utf8') === contents, `${name} was overwritten`);
+    }
+
+    // unlock: getWallets needs no password until lock
+    await expectThrow('unlock with a wrong password', () => unlockWallet({ walletFile: seeded, password: 'nope' }));
+    await unlockWallet({ walletFile: seeded, password: 'seed-pw', minutes: 5 });
+    const sessionFile = `${seeded}.session`;
+    assert(fs.statSync(sessionFile).isSocket(), 'session must be an agent socket');
+    assert((fs.statSync(sessionFile).mode & 0o077) === 0, 'session socket must be owner-only');
+    const keyHex = bytesToHex(openKeystore(JSON.parse(fs.readFileSync(seeded, 'utf8')).keystore, { passphrase: 'seed-pw' }).key);
+    const files = fs.readdirSync(dir).map((f) => path.join(dir, f)).filter((f) => fs.statSync(f).isFile());
+    assert(!files.some((f) => fs.readFileSync(f, 'utf8').includes(keyHex)), 'session key written to disk');
+    assert((await walletStatus({ walletFile: seeded })).unlockedUntil, 'status shows the session');
+    const unlocked = await getWallets({ walletFile: seeded });
+    assert(unlocked.bob.address === fromSeed.bob.address, 'session unlock');
+    await unlockWallet({ walletFile: seeded, password: 'seed-pw', minutes: 5 });
+    assert((await getWallets({ walletFile: seeded })).bob.address === fromSeed.bob.address, 'unlock replaces the session');
+    assert((await lockWallet({ walletFile: seeded })) && !fs.existsSync(sessionFile), 'lock removes the session');
+    assert(!(await lockWallet({ walletFile: seeded })), 'lock on a locked wallet');
+    process.env.WALLET_PASSWORD = 'wrong';
+    await expectThrow('locked wallet with a wrong password', () => getWallets({ walletFile: seeded }));
+    delete process.env.WALLET_PASSWORD;
+
+    // A session left behind by a crash or reboot (no agent) is ignored and removed
+    fs.writeFileSync(sessionFile, '');
+    assert((await walletStatus({ walletFile: seeded })).unlockedUntil === null && !fs.existsSync(sessionFile), 'stale session');
+
+    // A live agent that is slow to answer keeps its socket, so unlock cannot start a second one
+    const slowClients = new Set();
+    const slowAgent = net.createServer((socket) => slowClients.add(socket)); // accepts, never answers
+    await new Promise((resolve) => slowAgent.listen(sessionFile, resolve));
+    try {
+      assert((await walletStatus({ walletFile: seeded })).unlockedUntil === null, 'slow agent reported as a session');
+      assert(fs.statSync(sessionFile).isSocket(), 'slow agent socket removed');
+      await expectThrow('unlock over a slow agent', () => unlockWallet({ walletFile: seeded, password: 'seed-pw' }));
+      await expectThrow('lock of a slow agent', () => lockWallet({ walletFile: seeded }));
+    } finally {
+      slowClients.forEach((socket) => socket.destroy());
+      await new Promise((resolve) => slowAgent.close(resolve));
+      fs.rmSync(sessionFile, { force: true });
+    }
+
+    // The agent exits at expiry even when nothing asks it
+    await unlockWallet({ walletFile: seeded, password: 'seed-pw', minutes: 0.02 });
+    const deadline = Date.now() + 15_000;
+    while (fs.existsSync(sessionFile) && Date.now() < deadline) await new Promise((r) => setTimeout(r, 250));
+    assert(!fs.existsSync(sessionFile), 'expired session left behind');
+
+    // passwd: new password works, old one and the old session do not
+    await unlockWallet({ walletFile: seeded, password: 'seed-pw' });
+    await changeWalletPassphrase({ walletFile: seeded, oldPassword: 'seed-pw', newPassword: 'new-pw' });
+    assert(!fs.existsSync(sessionFile), 'passwd must lock the wallet');
+    await expectThrow('old password after passwd', () => getWallets({ walletFile: seeded, password: 'seed-pw' }));
+    assert((await getWallets({ walletFile: seeded, password: 'new-pw' })).bob.paycode === direct.bob.paycode, 'new password');
+
+    // Raw env keys: refused without the insecure flag, honored with it
+    process.env.ALICE_PRIV_KEY = alicePriv;
+    process.env.BOB_PRIV_KEY = bobPriv;
+    const envOnly = path.join(dir, 'env-only.json');
+    await expectThrow('env keys without ALLOW_INSECURE_ENV_KEYS', () => getWallets({ walletFile: envOnly }));
+    process.env.ALLOW_INSECURE_ENV_KEYS = '1';
+    const fromEnv = await getWallets({ walletFile: envOnly });
+    assert(fromEnv.alice.priv === alicePriv && !fs.existsSync(envOnly), 'env keys are used, never saved');
+  } finally {
+    await lockWallet({ walletFile: path.join(dir, 'seeded.json') });
+    fs.rmSync(dir, { recursive: true, force: true });
+    for (const k of envNames) {
+      if (savedEnv[k] === undefined) delete process.env[k];
+      else process.env[k] = savedEnv[k];
+    }
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* Test 27: Named identities beyond Alice and Bob                             */
+/* -------------------------------------------------------------------------- */
+
+async function testIdentityStore() {
+  const fast = { N: 1 << 10 };
+  const expectThrow = (label, fn) => {
+    let threw = false;
+    try {
+      fn();
+    } catch {
+      threw = true;
+    }
+    assert(threw, `${label} must be rejected`);
+  };
+
+  const envNames = ['ALICE_PRIV_KEY', 'BOB_PRIV_KEY', 'WALLET_PASSWORD'];
+  const savedEnv = Object.fromEntries(envNames.map((k) => [k, process.env[k]]));
+  for (const k of envNames) delete process.env[k];
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bch-ct-ids-'));
+  try {
+    const file = path.join(dir, 'wallets.local.json');
+    const mnemonic = generateMnemonic();
+    const { alice, bob } = await getWallets({ walletFile: file, mnemonic, password: 'pw', kdfParams: fast });
+    const store = await openIdentityStore({ walletFile: file, password: 'pw' });
+
+    // Built-ins are the demo wallets
+    assert(store.get('alice').paycode === alice.paycode && store.get('bob').address === bob.address, 'built-in identities');
+
+    // Seed identities take the next free accounts
+    const carol = store.create('carol');
+    const dave = store.create('dave');
+    assert(carol.hd.account === 2 && dave.hd.account === 3, 'seed accounts 2, 3');
+    expectThrow('duplicate name', () => store.create('carol'));
+    expectThrow('built-in name', () => store.create('bob'));
+    expectThrow('bad name', () => store.create('Carol Smith'));
+
+    // Imported raw key: keys live in the keystore, never in the clear
+    const erinPriv = bytesToHex(ensureEvenYPriv(new Uint8Array(randomBytes(32))));
+    const erin = store.importIdentity('erin', erinPriv);
+    assert(!fs.readFileSync(file, 'utf8').includes(erinPriv), 'imported key leaked into the wallet file');
+    assert(
+      listIdentities({ walletFile: file }).map((i) => `${i.name}:${i.source}`).join() === 'alice:builtin,bob:builtin,carol:hd,dave:hd,erin:imported',
+      'list without a password',
+    );
+
+    // The file still loads as the demo wallets, and keeps the identities
+    await getWallets({ walletFile: file, password: 'pw' });
+    const reopened = await openIdentityStore({ walletFile: file, password: 'pw' });
+    assert(reopened.get('erin').paycode === erin.paycode && reopened.get('carol').priv === carol.priv, 'identities survive a reload');
+
+    // Export one identity, import it into another wallet
+    const exported = reopened.exportIdentity('carol', 'export-pw', fast);
+    assert(!JSON.stringify(exported).includes(carol.priv) && exported.paycode === carol.paycode, 'export is sealed');
+    const other = path.join(dir, 'other.json');
+    await getWallets({ walletFile: other, mnemonic: generateMnemonic(), password: 'pw2', kdfParams: fast });
+    const otherStore = await openIdentityStore({ walletFile: other, password: 'pw2' });
+    expectThrow('export with a wrong passphrase', () => otherStore.importIdentity('carol', exported, { passphrase: 'nope' }));
+    const carolCopy = otherStore.importIdentity('carol', exported, { passphrase: 'export-pw' });
+    assert(carolCopy.paycode === carol.paycode && bytesToHex(carolCopy.spendPrivBytes) === bytesToHex(carol.spendPrivBytes), 'imported export');
+
+    // Names that are also Object.prototype keys are ordinary names
+    expectThrow('unknown constructor', () => otherStore.get('constructor'));
+    assert(listIdentityLabels('constructor', { walletFile: other }).length === 0, 'constructor has no labels yet');
+    const ctor = otherStore.create('constructor');
+    assert(otherStore.get('constructor').paycode === ctor.paycode, 'constructor identity');
+    expectThrow('duplicate constructor', () => otherStore.create('constructor'));
+    otherStore.addLabel('constructor', 'rent');
+    assert(listIdentityLabels('constructor', { walletFile: other }).map((e) => e.purpose).join() === 'rent', 'constructor labels');
+    otherStore.deleteIdentity('constructor');
+    expectThrow('deleted constructor', () => otherStore.get('constructor'));
+
+    // Delete, then the freed name can be reused; seed accounts are never reused,
+    // even once getWallets() has rewritten the file
+    reopened.deleteIdentity('dave');
+    expectThrow('delete a built-in', () => reopened.deleteIdentity('alice'));
+    assert(!listIdentities({ walletFile: file }).some((i) => i.name === 'dave'), 'deleted');
+    await getWallets({ walletFile: file, password: 'pw' });
+    const afterDelete = await openIdentityStore({ walletFile: file, password: 'pw' });
+    assert(afterDelete.create('frank').hd.account === 4, 'deleted account 3 must not be reused');
+    assert(afterDelete.create('dave').hd.account === 5, 'a reused name gets a new account');
+
+    // Tampered index: the stored paycode no longer matches the account
+    const tampered = JSON.parse(fs.readFileSync(file, 'utf8'));
+    tampered.identities.frank.account = 7;
+    fs.writeFileSync(file, JSON.stringify(tampered));
+    const afterTamper = await openIdentityStore({ walletFile: file, password: 'pw' });
+    expectThrow('tampered account', () => afterTamper.get('frank'));
+
+    // Carol (identity) pays Erin (identity) and Dave's old paycode (bare string)
+    const inputs = [{ txid: bytesToHex(new Uint8Array(randomBytes(32))), vout: 0, value: 100000 }];
+    const payment = buildRpaPaymentTx({
+      inputs,
+      from: carol,
+      recipients: [{ to: erin, value: 20000 }, { to: dave.paycode, value: 30000 }],
+    });
+    assert(payment.tx.outputs.length === 3, 'two payments + change to the sender');
+    assert(bytesToHex(payment.tx.outputs[2].scriptPubKey) === bytesToHex(getP2PKHScript(carol.hash160)), 'change to the sender base address');
+
+    // Each identity has its own resumable scan state
+    const source = createMemoryTxSource([{ hex: payment.hex, height: 5 }]);
+    const first = await reopened.scan('erin', source);
+    assert(first.matches.length === 1 && first.matches[0].value === 20000n, 'erin finds her payment');
+    assert(fs.existsSync(identityScanStorePath(file, 'erin')), 'scan state saved per identity');
+    const erinKey = bytesToHex(first.matches[0].oneTimePriv);
+    assert(!fs.readFileSync(identityScanStorePath(file, 'erin'), 'utf8').includes(erinKey), 'scan state must not hold one-time keys');
+    assert(bytesToHex(reopened.matches('erin')[0].oneTimePriv) === erinKey, 'one-time key rebuilt from the spend key');
+    assert((await reopened.scan('erin', source)).txCount === 0, 'scan resumes after the saved height');
+    assert((await reopened.scan('carol', source)).matches.length === 0, 'carol has her own scan state');
+    reopened.deleteIdentity('erin');
+    assert(!fs.existsSync(identityScanStorePath(file, 'erin')), 'delete removes the scan state');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+    for (const k of envNames) {
+      if (savedEnv[k] === undefined) delete process.env[k];
+      else process.env[k] = savedEnv[k];
+    }
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* Test 28: Watch-only scanning and unsigned spend templates                  */
+/* -------------------------------------------------------------------------- */
+
+async function testWatchOnlySpendTemplates() {
+  const expectThrow = (label, fn) => {
+    let threw = false;
+    try {
+      fn();
+    } catch {
+      threw = true;
+    }
+    assert(threw, `${label} must be rejected`);
+  };
+  const randomKey = () => ensureEvenYPriv(new Uint8Array(randomBytes(32)));
+
+  const scanPrivBytes = randomKey();
+  const spendPrivBytes = randomKey();
+  const paycode = paycodeFromBackup({ scanPrivBytes, spendPrivBytes });
+
+  // The watch-only wallet: scan priv + spend pub, nothing that spends
+  const exported = exportWatchOnly({ paycode, scanPrivBytes, spendPrivBytes });
+  assert(!JSON.stringify(exported).includes(bytesToHex(spendPrivBytes)), 'watch-only export must not hold the spend key');
+  const watch = watchOnlyFromExport(JSON.parse(JSON.stringify(exported)));
+  assert(watch.watchOnly && bytesToHex(watch.spendPub33) === bytesToHex(secp256k1.getPublicKey(spendPrivBytes, true)), 'watch-only keys');
+  expectThrow('scan key of another paycode', () => createWatchOnlyWallet({ paycode, scanPrivBytes: randomKey() }));
+  expectThrow('v1 paycode', () => createWatchOnlyWallet({ paycode: paycodeFromBackup(scanPrivBytes, { version: 1 }), scanPrivBytes }));
+
+  // Two payments to the paycode from a two-input tx
+  const inputs = [0, 1].map((vout) => ({ txid: bytesToHex(new Uint8Array(randomBytes(32))), vout, value: 40000, privBytes: randomKey() }));
+  const payment = buildRpaPaymentTx({
+    inputs,
+    recipients: [{ to: paycode, value: 20000 }, { to: paycode, value: 30000 }],
+    changeScript: null,
+  });
+
+  // Watch-only scan finds both, with child pubkeys and tweaks but no private keys
+  const seen = scanTransaction(payment.hex, { scanPrivBytes: watch.scanPrivBytes, spendPub33: watch.spendPub33 });
+  const full = scanTransaction(payment.hex, { scanPrivBytes, spendPrivBytes });
+  assert(seen.length === 2 && seen.every((m) => m.oneTimePriv === null && m.tweak), 'watch-only matches');
+  seen.forEach((m, i) => {
+    assert(bytesToHex(m.childPub33) === bytesToHex(full[i].childPub33) && m.value === full[i].value, 'same matches as the full wallet');
+    assert(bytesToHex(applyCkdTweak(spendPrivBytes, m.tweak)) === bytesToHex(full[i].oneTimePriv), 'spend key + tweak = one-time key');
+  });
+  expectThrow('scan without any spend key', () => scanTransaction(payment.hex, { scanPrivBytes }));
+
+  // Resumable watch-only scan; the template is built from the stored JSON form
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bch-ct-watch-'));
+  try {
+    const storeFile = path.join(dir, 'watch.json');
+    await scanForRpaPayments({
+      source: createMemoryTxSource([{ hex: payment.hex, height: 10 }]),
+      store: createJsonScanStore(storeFile),
+      scanPrivBytes: watch.scanPrivBytes,
+      spendPub33: watch.spendPub33,
+    });
+    const stored = createJsonScanStore(storeFile).getMatches();
+    assert(stored.length === 2 && stored.every((m) => m.oneTimePriv === null), 'watch-only store holds no one-time keys');
+
+    const dest = getP2PKHScript(new Uint8Array(randomBytes(20)));
+    const template = JSON.parse(JSON.stringify(buildSpendTemplate({ paycode, matches: stored, destinationScript: dest })));
+    assert(template.tx.outputs.length === 1 && template.tx.outputs[0].value === 50000 - template.fee, 'sweep output');
+    expectThrow('template for another paycode', () =>
+      buildSpendTemplate({ paycode: paycodeFromBackup({ scanPrivBytes, spendPrivBytes: randomKey() }), matches: stored, destinationScript: dest }),
+    );
+    expectThrow('covenant note match', () =>
+      buildSpendTemplate({ paycode, matches: [{ ...stored[0], kind: MATCH_KIND_NOTE }], destinationScript: dest }),
+    );
+
+    // The spend-key holder signs offline
+    expectThrow('wrong spend key', () => signSpendTemplate(template, randomKey()));
+    expectThrow('edited template', () =>
+      signSpendTemplate({ ...template, tx: { ...template.tx, outputs: [{ ...template.tx.outputs[0], value: 1 }] } }, spendPrivBytes),
+    );
+    const signed = signSpendTemplate(template, spendPrivBytes);
+    const spent = parseTx(signed.hex);
+    assert(spent.inputs.map((i) => `${i.txid}:${i.vout}`).join() === stored.map((m) => `${payment.txid}:${m.vout}`).join(), 'spends the matches');
+    spent.inputs.forEach((input, i) => {
+      const pub = extractPubKeyFromP2PKHScriptSig(input.scriptSig);
+      assert(bytesToHex(_hash160(pub)) === template.inputs[i].childHash160, 'signed with the one-time key');
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* Test 29: Paycode labels and the wallet label registry                      */
+/* -------------------------------------------------------------------------- */
+
+async function testPaycodeLabels() {
+  const fast = { N: 1 << 10 };
+  const expectThrow = (label, fn) => {
+    let threw = false;
+    try {
+      fn();
+    } catch {
+      threw = true;
+    }
+    assert(threw, `${label} must be rejected`);
+  };
+  const randomKey = () => ensureEvenYPriv(new Uint8Array(randomBytes(32)));
+  const oneTimeHash = (m) => bytesToHex(_hash160(secp256k1.getPublicKey(m.oneTimePriv, true)));
+
+  const scanPrivBytes = randomKey();
+  const spendPrivBytes = randomKey();
+  const paycode = paycodeFromBackup({ scanPrivBytes, spendPrivBytes });
+  const invoice = generatePaycode({ scanPrivBytes, spendPrivBytes }, { label: 1 });
+  const customer = paycodeFromBackup({ scanPrivBytes, spendPrivBytes }, { label: 2 });
+
+  // Same scan pub and chain code, a different spend pub per label
+  const [plain, p1, p2] = [paycode, invoice, customer].map((pc) => parsePaycode(pc));
+  assert(bytesToHex(p1.scanPub33) === bytesToHex(plain.scanPub33) && bytesToHex(p1.chainCode) === bytesToHex(plain.chainCode), 'shared scan pub');
+  assert(new Set([plain, p1, p2].map((p) => bytesToHex(p.spendPub33))).size === 3, 'one spend pub per label');
+  assert(paycodeFromBackup({ scanPrivBytes, spendPrivBytes }, { label: 1 }) === invoice, 'labeled paycodes are deterministic');
+  expectThrow('label 0', () => generatePaycode({ scanPrivBytes, spendPrivBytes }, { label: 0 }));
+  expectThrow('label without the scan key', () => generatePaycode({ scanPub33: plain.scanPub33, spendPub33: plain.spendPub33 }, { label: 1 }));
+  expectThrow('labeled v1 paycode', () => paycodeFromBackup(scanPrivBytes, { version: 1, label: 1 }));
+
+  // Labeled paycodes carry the LABELED flag; a labelTweak on the plain spend pub is the same payment
+  assert(p1.labeled && p2.labeled && !plain.labeled && p1.flags === (plain.flags | PAYCODE_FLAG_LABELED), 'LABELED flag');
+  expectThrow('LABELED flag without a label', () => generatePaycode({ scanPrivBytes, spendPrivBytes }, { flags: PAYCODE_FLAGS_DEFAULT | PAYCODE_FLAG_LABELED }));
+  const sender = { txid: bytesToHex(new Uint8Array(randomBytes(32))), vout: 0, value: 100000, privBytes: randomKey() };
+  const viaLabeled = deriveRpaOneTimeAddressSender(sender.privBytes, p1.scanPub33, p1.spendPub33, sender.txid, 0, 0, { labeled: true });
+  const viaTweak = deriveRpaOneTimeAddressSender(sender.privBytes, plain.scanPub33, plain.spendPub33, sender.txid, 0, 0, {
+    labelTweak: rpaLabelTweak(scanPrivBytes, 1),
+  });
+  assert(bytesToHex(viaLabeled.childHash160) === bytesToHex(viaTweak.childHash160), 'sender labelTweak');
+
+  // The label is added after the CKD tweak: child = spend + t·G + m·G, t the same for every label
+  const t = rpaLabeledChildTweak(plain.scanPub33, viaLabeled.sharedSecret, 0);
+  const expectedChild = applyCkdTweak(applyCkdTweak(spendPrivBytes, t), rpaLabelTweak(scanPrivBytes, 1));
+  assert(bytesToHex(secp256k1.getPublicKey(expectedChild, true)) === bytesToHex(viaLabeled.childPubkey), 'child = spend + t·G + m·G');
+  const viaLabel2 = deriveRpaOneTimeAddressSender(sender.privBytes, p2.scanPub33, p2.spendPub33, sender.txid, 0, 0, { labeled: true });
+  const m1 = secp256k1.Point.fromHex(bytesToHex(secp256k1.getPublicKey(rpaLabelTweak(scanPrivBytes, 1), true)));
+  const m2 = secp256k1.Point.fromHex(bytesToHex(secp256k1.getPublicKey(rpaLabelTweak(scanPrivBytes, 2), true)));
+  const child1 = secp256k1.Point.fromHex(bytesToHex(viaLabeled.childPubkey));
+  const child2 = secp256k1.Point.fromHex(bytesToHex(viaLabel2.childPubkey));
+  assert(child1.subtract(m1).equals(child2.subtract(m2)), 'labels share the base key spend + t·G');
+
+  const payment = buildRpaPaymentTx({
+    inputs: [sender],
+    recipients: [{ to: paycode, value: 10000 }, { to: invoice, value: 20000 }, { to: customer, value: 30000 }],
+    changeScript: null,
+  });
+
+  // Without labels only the plain payment is found; with them each is attributed
+  const unlabeled = scanTransaction(payment.hex, { scanPrivBytes, spendPrivBytes });
+  assert(unlabeled.length === 1 && unlabeled[0].vout === 0 && unlabeled[0].label === null, 'unlabeled scan');
+  const matches = scanTransaction(payment.hex, { scanPrivBytes, spendPrivBytes, labels: [1, 2] });
+  assert(matches.map((m) => `${m.vout}:${m.label}`).join() === '0:null,1:1,2:2', 'labels attributed');
+  for (const m of matches) {
+    assert(oneTimeHash(m) === bytesToHex(m.childHash160), 'labeled one-time key');
+    assert(bytesToHex(applyCkdTweak(spendPrivBytes, m.tweak)) === bytesToHex(m.oneTimePriv), 'tweak is relative to the plain spend key');
+  }
+  const { oneTimePriv } = deriveRpaOneTimePrivReceiver(scanPrivBytes, spendPrivBytes, matches[1].senderPub33, sender.txid, 0, 0, { label: 1 });
+  assert(bytesToHex(oneTimePriv) === bytesToHex(matches[1].oneTimePriv), 'receiver derivation with a label');
+
+  // Watch-only exports carry the label numbers; templates sign unchanged
+  const watch = watchOnlyFromExport(JSON.parse(JSON.stringify(exportWatchOnly({ paycode, scanPrivBytes, labels: [1, 2] }))));
+  const seen = scanTransaction(payment.hex, { scanPrivBytes: watch.scanPrivBytes, spendPub33: watch.spendPub33, labels: watch.labels });
+  assert(seen.length === 3 && seen.every((m) => m.oneTimePriv === null), 'watch-only label scan');
+  const template = buildSpendTemplate({ paycode, matches: seen, destinationScript: getP2PKHScript(new Uint8Array(20).fill(7)) });
+  assert(parseTx(signSpendTemplate(template, spendPrivBytes).hex).inputs.length === 3, 'labeled matches sign from a template');
+
+  // Wallet label registry
+  const envNames = ['ALICE_PRIV_KEY', 'BOB_PRIV_KEY', 'WALLET_PASSWORD'];
+  const savedEnv = Object.fromEntries(envNames.map((k) => [k, process.env[k]]));
+  for (const k of envNames) delete process.env[k];
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bch-ct-labels-'));
+  try {
+    const file = path.join(dir, 'wallets.local.json');
+    await getWallets({ walletFile: file, mnemonic: generateMnemonic(), password: 'pw', kdfParams: fast });
+    const store = await openIdentityStore({ walletFile: file, password: 'pw' });
+    const carol = store.create('carol');
+    const inv = store.addLabel('carol', 'invoice 42');
+    const don = store.addLabel('carol', 'donations');
+    assert(inv.label === 1 && don.label === 2, 'labels numbered from 1');
+    assert(don.paycode === paycodeFromBackup(carol, { label: 2 }), 'registry paycode');
+    expectThrow('duplicate purpose', () => store.addLabel('carol', 'donations'));
+    expectThrow('empty purpose', () => store.addLabel('carol', ' '));
+    assert(store.addLabel('alice', 'tips').label === 1, 'labels are per identity');
+
+    // The registry survives a getWallets() save and is readable without a password
+    await getWallets({ walletFile: file, password: 'pw' });
+    assert(listIdentityLabels('carol', { walletFile: file }).map((e) => e.purpose).join() === 'invoice 42,donations', 'registry kept');
+
+    const paid = buildRpaPaymentTx({ inputs: [{ ...sender, vout: 1 }], recipients: [{ to: don.paycode, value: 25000 }], changeScript: null });
+    const reopened = await openIdentityStore({ walletFile: file, password: 'pw' });
+    const { matches: found } = await reopened.scan('carol', createMemoryTxSource([{ hex: paid.hex, height: 3 }]));
+    assert(found.length === 1 && found[0].label === 2 && found[0].purpose === 'donations', 'scan attributes the purpose');
+
+    reopened.deleteIdentity('carol');
+    assert(listIdentityLabels('carol', { walletFile: file }).length === 0, 'delete removes the labels');
+    assert(listIdentityLabels('alice', { walletFile: file }).length === 1, 'other labels kept');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+    for (const k of envNames) {
+      if (savedEnv[k] === undefined) delete process.env[k];
+      else process.env[k] = savedEnv[k];
+    }
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* Test 30: Payment requests and the sends that pay them                      */
+/* -------------------------------------------------------------------------- */
+
+async function testPaymentRequests() {
+  const expectThrow = (label, fn) => {
+    let threw = false;
+    try {
+      fn();
+    } catch {
+      threw = true;
+    }
+    assert(threw, `${label} must be rejected`);
+  };
+  const randomKey = () => ensureEvenYPriv(new Uint8Array(randomBytes(32)));
+  const randomTxid = () => bytesToHex(new Uint8Array(randomBytes(32)));
+
+  const scanPrivBytes = randomKey();
+  const spendPrivBytes = randomKey();
+  const payee = { paycode: paycodeFromBackup({ scanPrivBytes, spendPrivBytes }), scanPrivBytes, spendPrivBytes };
+
+  // Signed request, same terms and signature in JSON and URI form
+  const request = createPaymentRequest(payee, { amountMin: 50000, amountMax: 150000, memo: 'Invoice 42 & co', ttlSeconds: 600 });
+  const terms = verifyPaymentRequest(request);
+  assert(terms.id === paymentRequestId(request) && terms.amountMin === 50000n && terms.amount === null, 'request terms');
+  const uri = paymentRequestToUri(request);
+  assert(uri.startsWith(`bchtest:${payee.paycode}?min=0.0005&max=0.0015&`), `request URI: ${uri}`);
+  assert(JSON.stringify(parsePaymentRequestUri(uri)) === JSON.stringify(request), 'URI round trip');
+  assert(verifyPaymentRequest(`${uri}&label=shop`).id === terms.id, 'unknown plain parameters are ignored');
+  const exact = createPaymentRequest(payee, { amount: 120000n });
+  assert(/[?&]amount=0\.0012&/.test(paymentRequestToUri(exact)), 'BIP21 amount in BCH');
+
+  expectThrow('edited amount', () => verifyPaymentRequest({ ...request, amountMax: '200000' }));
+  expectThrow('edited URI', () => verifyPaymentRequest(uri.replace('max=0.0015', 'max=0.0016')));
+  expectThrow('unknown req- parameter', () => parsePaymentRequestUri(`${uri}&req-refund=1`));
+  expectThrow('scheme of another network', () => parsePaymentRequestUri(uri.replace('bchtest:', 'bitcoincash:')));
+  expectThrow('expired', () => verifyPaymentRequest(request, { now: request.expires }));
+  expectThrow('signed by another key', () => createPaymentRequest({ ...payee, spendPrivBytes: randomKey() }, { amount: 1000 }));
+  // The scan key (what a watch-only service holds) cannot sign requests
+  expectThrow('scan key only', () => createPaymentRequest({ paycode: payee.paycode, scanPrivBytes }, { amount: 1000 }));
+  const byScanKey = bchSchnorrSign(
+    sha256(concat(new TextEncoder().encode(PAYMENT_REQUEST_TAG), new TextEncoder().encode(JSON.stringify([request.version, request.paycode, request.category, request.amount, request.amountMin, request.amountMax, request.expires, request.memo])))),
+    scanPrivBytes,
+    secp256k1.getPublicKey(scanPrivBytes, true),
+  );
+  expectThrow('signed by the scan key', () => verifyPaymentRequest({ ...request, signature: bytesToHex(byScanKey) }));
+  expectThrow('amount and range', () => createPaymentRequest(payee, { amount: 1000, amountMin: 1, amountMax: 2 }));
+  expectThrow('long memo', () => createPaymentRequest(payee, { memo: 'x'.repeat(65) }));
+  // A labeled paycode is signed by its labeled spend key
+  const labeled = paycodeFromBackup({ scanPrivBytes, spendPrivBytes }, { label: 3 });
+  assert(verifyPaymentRequest(createPaymentRequest({ ...payee, paycode: labeled, label: 3 })).paycode === labeled, 'labeled paycode request');
+  expectThrow('labeled paycode without its label', () => createPaymentRequest({ ...payee, paycode: labeled }));
+  expectThrow('labeled paycode with another label', () => createPaymentRequest({ ...payee, paycode: labeled, label: 4 }));
+
+  // The payer's side, offline: funding input + the outputs that pay the request
+  const senderPriv = randomKey();
+  const senderHash160 = _hash160(secp256k1.getPublicKey(senderPriv, true));
+  const utxo = { txid: randomTxid(), vout: 0, value: 300000 };
+  const sender = { privBytes: senderPriv };
+  expectThrow('amount outside the range', () => preparePaymentRequestSend(request, { sender, utxo, amount: 150001 }));
+  expectThrow('no amount for a range', () => preparePaymentRequestSend(request, { sender, utxo }));
+  expectThrow('paycode without confidential assets', () =>
+    preparePaymentRequestSend(
+      createPaymentRequest({ ...payee, paycode: generatePaycode({ scanPrivBytes, spendPrivBytes }, { flags: PAYCODE_FLAG_NOTE_CHANNEL }) }, { amount: 1000 }),
+      { sender, utxo },
+    ),
+  );
+
+  const fund = (prepared, input = utxo) => {
+    const changeScript = getP2PKHScript(senderHash160);
+    const tx = {
+      version: 1,
+      inputs: [{ txid: input.txid, vout: input.vout, sequence: 0xffffffff, scriptSig: new Uint8Array() }],
+      outputs: [...prepared.outputs, { value: input.value - prepared.value - 1000, scriptPubKey: addTokenToScript(prepared.changeToken, changeScript) }],
+      locktime: 0,
+    };
+    signInput(tx, 0, senderPriv, changeScript, input.value, { prevTokenPrefix: prepared.fundingTokenPrefix });
+    return buildRawTx(tx);
+  };
+  const prepared = preparePaymentRequestSend(request, { sender, utxo, amount: 100000 });
+  assert(prepared.noteScript.length <= NOTE_CHANNEL_MAX_SCRIPT_BYTES, 'note with the request id fits');
+  const env = readAmountProofEnvelope(prepared.envelope);
+  assert(env.rangeMin === 50000n && env.rangeMax === 150000n, 'interval proof of the requested range');
+  assert(bytesToHex(env.commitmentC33) === bytesToHex(prepared.commitmentC33), 'envelope commitment');
+  const fundingHex = fund(prepared);
+
+  // The payee recovers the note and matches it to the request
+  const recovered = recoverNoteFromFundingTx(parseTx(fundingHex), { scanPrivBytes, spendPrivBytes, index: RPA_COVENANT_INDEX });
+  assert(recovered.value === 100000n && bytesToHex(recovered.memo) === terms.id, 'note carries the amount and request id');
+
+  // The payee checks the payment proof with the paycode's scan key
+  const proof = paymentProof(prepared, txidFromRaw(fundingHex));
+  const checked = verifyPaymentProof(request, JSON.parse(JSON.stringify(proof)), fundingHex, payee);
+  assert(checked.requestId === terms.id && checked.rangeMax === 150000n, 'payment proof');
+  verifyPaymentProof(request, proof, fundingHex, { scanPrivBytes }); // the scan key alone (watch-only) is enough
+  expectThrow('proof for another request', () => verifyPaymentProof(createPaymentRequest(payee, { amountMin: 50000, amountMax: 150000 }), proof, fundingHex, payee));
+  expectThrow('proof against another tx', () => verifyPaymentProof(request, proof, fund(preparePaymentRequestSend(request, { sender, utxo, amount: 90000 })), payee));
+  expectThrow('checked without the scan key', () => verifyPaymentProof(request, proof, fundingHex, { scanPrivBytes: randomKey() }));
+
+  // A tx paying another paycode does not pass as the payment
+  const other = { scanPrivBytes: randomKey(), spendPrivBytes: randomKey() };
+  const otherRequest = createPaymentRequest({ ...other, paycode: paycodeFromBackup(other) }, { amountMin: 50000, amountMax: 150000 });
+  const otherPrepared = preparePaymentRequestSend(otherRequest, { sender, utxo, amount: 100000 });
+  const otherHex = fund(otherPrepared);
+  expectThrow('tx paying another paycode', () =>
+    verifyPaymentProof(request, { ...paymentProof(otherPrepared, txidFromRaw(otherHex)), requestId: terms.id }, otherHex, payee),
+  );
+  // ... nor does a note to the payee next to a covenant guarded by another key
+  const rekeyed = {
+    ...prepared,
+    outputs: [
+      prepared.outputs[0],
+      { value: prepared.value, scriptPubKey: addTokenToScript(prepared.token, createCovenant(new Uint8Array(randomBytes(20)), prepared.proofHash).covenantScript) },
+    ],
+  };
+  const rekeyedHex = fund(rekeyed);
+  expectThrow('covenant guarded by another key', () =>
+    verifyPaymentProof(request, paymentProof(prepared, txidFromRaw(rekeyedHex)), rekeyedHex, payee),
+  );
+
+  // A labeled paycode's covenant is guarded by its labeled child
+  const labeledRequest = createPaymentRequest({ ...payee, paycode: labeled, label: 3 }, { amount: 70000 });
+  const labeledPrepared = preparePaymentRequestSend(labeledRequest, { sender, utxo });
+  const labeledHex = fund(labeledPrepared);
+  verifyPaymentProof(labeledRequest, paymentProof(labeledPrepared, txidFromRaw(labeledHex)), labeledHex, payee);
+
+  // A plain 64-bit envelope does not prove a requested range
+  const open = createPaymentRequest(payee, { memo: 'tip' });
+  const openPrepared = preparePaymentRequestSend(open, { sender, utxo, amount: 100000 });
+  const openHex = fund(openPrepared);
+  assert(readAmountProofEnvelope(openPrepared.envelope).rangeMin === null, 'open amount: 64-bit range proof');
+  verifyPaymentProof(open, paymentProof(openPrepared, txidFromRaw(openHex)), openHex, payee);
+  expectThrow('range request paid with a plain proof', () =>
+    verifyPaymentProof(request, { ...paymentProof(openPrepared, txidFromRaw(openHex)), requestId: terms.id }, openHex, payee),
+  );
+
+  // An exact request fixes the amount; without a category the NFT's is the funding input's genesis
+  const exactPrepared = preparePaymentRequestSend(exact, { sender, utxo });
+  assert(exactPrepared.value === 120000 && exactPrepared.changeToken === null, 'exact amount taken from the request');
+  assert(bytesToHex(readAmountProofEnvelope(exactPrepared.envelope).assetId32) === bytesToHex(reverseBytes(hexToBytes(utxo.txid))), 'category bound');
+  const exactHex = fund(exactPrepared);
+
+  // A requested category is signed, and paid from a minting or mutable NFT of it
+  const category = randomTxid();
+  const categoryRequest = createPaymentRequest(payee, { amount: 120000n, category });
+  const categoryUri = paymentRequestToUri(categoryRequest);
+  assert(categoryUri.includes(`&category=${category}&`), `category URI: ${categoryUri}`);
+  assert(JSON.stringify(parsePaymentRequestUri(categoryUri)) === JSON.stringify(categoryRequest), 'category URI round trip');
+  expectThrow('edited category', () => verifyPaymentRequest({ ...categoryRequest, category: randomTxid() }));
+  expectThrow('malformed category', () => createPaymentRequest(payee, { category: 'ab' }));
+
+  // Electrum listunspent token_data: hex, category in txid order
+  const holding = (capability, amount, cat = category) => ({
+    ...utxo,
+    txid: randomTxid(),
+    token_data: { category: cat, amount, ...(capability && { nft: { capability, commitment: 'c0ffee' } }) },
+  });
+  expectThrow('category request from a plain input', () => preparePaymentRequestSend(categoryRequest, { sender, utxo }));
+  expectThrow('category request from another category', () => preparePaymentRequestSend(categoryRequest, { sender, utxo: holding('minting', undefined, randomTxid()) }));
+  expectThrow('category request from an immutable NFT', () => preparePaymentRequestSend(categoryRequest, { sender, utxo: holding('none') }));
+  expectThrow('category request from fungible tokens only', () => preparePaymentRequestSend(categoryRequest, { sender, utxo: holding(null, '500') }));
+  expectThrow('new category from an input holding tokens', () => preparePaymentRequestSend(exact, { sender, utxo: holding('mutable') }));
+
+  const categoryBytes = reverseBytes(hexToBytes(category));
+  for (const [capability, amount] of [['mutable', '500'], ['minting', undefined]]) {
+    const input = holding(capability, amount);
+    const paid = preparePaymentRequestSend(categoryRequest, { sender, utxo: input });
+    assert(bytesToHex(paid.token.category) === bytesToHex(categoryBytes), `${capability}: covenant NFT category`);
+    assert(bytesToHex(readAmountProofEnvelope(paid.envelope).assetId32) === bytesToHex(categoryBytes), `${capability}: category bound`);
+    const hex = fund(paid, input);
+    const { outputs } = parseTx(hex);
+    assert(bytesToHex(outputs[1].token_data.category) === bytesToHex(categoryBytes), `${capability}: NFT moved into the covenant`);
+    const change = outputs[2].token_data;
+    if (capability === 'mutable') {
+      assert(!change.nft && change.amount === 500n, 'mutable: fungible tokens return to the change, the NFT does not');
+    } else {
+      assert(change.nft?.capability === 'minting' && bytesToHex(change.nft.commitment) === 'c0ffee', 'minting: NFT kept in the change');
+    }
+    verifyPaymentProof(categoryRequest, paymentProof(paid, txidFromRaw(hex)), hex, payee);
+  }
+  // A payment in a freshly minted category does not pay a category request
+  expectThrow('proof in another category', () =>
+    verifyPaymentProof(categoryRequest, { ...paymentProof(exactPrepared, txidFromRaw(exactHex)), requestId: paymentRequestId(categoryRequest) }, exactHex, payee),
+  );
+}
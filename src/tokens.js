@@ -14,6 +14,32 @@ export function createToken(categoryBytes, commitment) {
   return token;
 }
 
+const NFT_CAPABILITIES = ['none', 'mutable', 'minting'];
+
+/**
+ * Token held by an output, in createToken() form (category in token prefix
+ * byte order, capability as a string), from either token_data shape:
+ * parseTx() (bytes, category in prefix order) or Electrum listunspent
+ * (hex, category in txid order). null when there is no token.
+ */
+export function tokenFromTokenData(tokenData) {
+  if (!tokenData) return null;
+  const { category, nft, amount } = tokenData;
+  const categoryBytes = typeof category === 'string' ? reverseBytes(hexToBytes(category)) : category;
+  if (!(categoryBytes instanceof Uint8Array) || categoryBytes.length !== 32) {
+    throw new Error('tokenFromTokenData: category must be 32 bytes');
+  }
+  const token = { category: categoryBytes };
+  if (nft) {
+    const capability = typeof nft.capability === 'number' ? NFT_CAPABILITIES[nft.capability] : nft.capability ?? 'none';
+    if (!NFT_CAPABILITIES.includes(capability)) throw new Error(`tokenFromTokenData: unknown NFT capability ${nft.capability}`);
+    const commitment = typeof nft.commitment === 'string' ? hexToBytes(nft.commitment) : nft.commitment ?? new Uint8Array(0);
+    token.nft = { capability, commitment };
+  }
+  if (amount != null && BigInt(amount) > 0n) token.amount = BigInt(amount);
+  return token;
+}
+
 export function validateTokenCategory(inputTxHash, categoryBytes) {
   console.log('=== Token Category Validation ===');
   console.log('Input tx_hash bytes (BE):', bytesToHex(inputTxHash));
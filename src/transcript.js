@@ -1,6 +1,21 @@
 // src/transcript.js
 import { sha256 } from '@noble/hashes/sha2';
-import { concat, uint64le, varInt, decodeVarInt } from './utils.js';
+import { secp256k1 } from '@noble/curves/secp256k1.js';
+import { concat, uint64le, varInt, decodeVarInt, bytesToBigInt, bigIntToBytes } from './utils.js';
+
+const te = new TextEncoder();
+const CURVE_N = secp256k1.Point.CURVE().n;
+
+// Envelope versions:
+//  - CTv1: challenges only hash the prover messages (legacy, verify-only in practice)
+//  - CTv2: every challenge is drawn from a Transcript that has absorbed the
+//          full envelope header (see createEnvelopeTranscript())
+export const ENVELOPE_VERSION_1 = 1;
+export const ENVELOPE_VERSION_2 = 2;
+const ENVELOPE_MAGIC = {
+  [ENVELOPE_VERSION_1]: te.encode('CTv1'),
+  [ENVELOPE_VERSION_2]: te.encode('CTv2'),
+};
 
 // CompactSize length-prefix for small fields
 function vbytes(u8) {
@@ -8,7 +23,11 @@ function vbytes(u8) {
   return concat(varInt(u8.length), u8);
 }
 
-export function buildProofEnvelope({
+/**
+ * Encode the envelope header. Exposed separately so a prover can absorb the
+ * exact header bytes into its transcript before the core proof exists.
+ */
+export function buildProofEnvelopeHeader({
   protocolTag,                  // string, e.g. 'BCH-CT/Sigma64-v1'
   rangeBits,                    // 64
   ephemPub33,                   // Uint8Array(33)
@@ -16,14 +35,19 @@ export function buildProofEnvelope({
   assetId32 = null,             // Uint8Array(32) or null
   outIndex = 0,                 // number | bigint (fits uint64)
   extraCtx = new Uint8Array(0), // Uint8Array
-  coreProofBytes,               // Uint8Array (serialized ZK proof)
+  rangeMin = null,              // bigint | null (interval proofs only)
+  rangeMax = null,              // bigint | null (interval proofs only)
 }) {
-  const tag = new TextEncoder().encode(protocolTag);
+  const tag = te.encode(protocolTag);
   const asset = assetId32 ? assetId32 : new Uint8Array(0);
+  if ((rangeMin === null) !== (rangeMax === null)) {
+    throw new Error('buildProofEnvelope: rangeMin and rangeMax must be given together');
+  }
 
   // header: vbytes(tag) | uint64le(rangeBits) | vbytes(ephemPub33) | vbytes(H33)
   //       | vbytes(assetId32 or empty) | uint64le(outIndex) | vbytes(extraCtx)
-  const header = concat(
+  //       [ | uint64le(rangeMin) | uint64le(rangeMax) ]   (interval proofs)
+  return concat(
     vbytes(tag),
     uint64le(rangeBits),
     vbytes(ephemPub33),
@@ -31,21 +55,37 @@ export function buildProofEnvelope({
     vbytes(asset),
     uint64le(outIndex),
     vbytes(extraCtx),
+    ...(rangeMin === null ? [] : [uint64le(rangeMin), uint64le(rangeMax)]),
   );
+}
+
+/**
+ * Assemble a full envelope. `version` defaults to CTv1 so existing callers
+ * that hand in a legacy core proof keep producing what they always did; a
+ * CTv2 envelope is only valid if the core proof was made against
+ * createEnvelopeTranscript() of the same header (see zk.js).
+ */
+export function buildProofEnvelope({
+  version = ENVELOPE_VERSION_1,
+  coreProofBytes,               // Uint8Array (serialized ZK proof)
+  ...headerFields
+}) {
+  const magic = ENVELOPE_MAGIC[version];
+  if (!magic) throw new Error(`buildProofEnvelope: unsupported envelope version ${version}`);
+  const header = buildProofEnvelopeHeader(headerFields);
 
-  // envelope: "CTv1" | vbytes(header) | vbytes(coreProofBytes)
-  const magic = new TextEncoder().encode('CTv1');
+  // envelope: "CTv1" | "CTv2" | vbytes(header) | vbytes(coreProofBytes)
   return concat(magic, vbytes(header), vbytes(coreProofBytes));
 }
 
 export function parseProofEnvelope(envelope /* Uint8Array */) {
-  const magic = new TextEncoder().encode('CTv1');
-  if (envelope.length < magic.length) throw new Error('envelope too short');
-  for (let i = 0; i < magic.length; i++) {
-    if (envelope[i] !== magic[i]) throw new Error('bad envelope magic');
-  }
+  if (envelope.length < 4) throw new Error('envelope too short');
+  const version = Object.keys(ENVELOPE_MAGIC)
+    .map(Number)
+    .find((v) => ENVELOPE_MAGIC[v].every((b, i) => envelope[i] === b));
+  if (version === undefined) throw new Error('bad envelope magic');
 
-  let off = magic.length;
+  let off = ENVELOPE_MAGIC[version].length;
 
   // header
   const hdrLenInfo = decodeVarInt(envelope, off);
@@ -58,7 +98,298 @@ export function parseProofEnvelope(envelope /* Uint8Array */) {
   off += coreLenInfo.length;
   const core = envelope.slice(off, off + coreLenInfo.value);
 
-  return { header, core };
+  return { version, header, core };
+}
+
+// Read one CompactSize-prefixed field starting at `off`.
+function readVbytes(u8, off) {
+  const { value, length } = decodeVarInt(u8, off);
+  const start = off + length;
+  if (start + value > u8.length) throw new Error('envelope header truncated');
+  return { bytes: u8.slice(start, start + value), next: start + value };
+}
+
+function readU64le(u8, off) {
+  if (off + 8 > u8.length) throw new Error('envelope header truncated');
+  let v = 0n;
+  for (let i = 7; i >= 0; i--) v = (v << 8n) | BigInt(u8[off + i]);
+  return { value: v, next: off + 8 };
+}
+
+/**
+ * Decode the header produced by buildProofEnvelope() into its fields.
+ * assetId32 is null when the header carries an empty asset field;
+ * rangeMin / rangeMax (bigint) are null unless the envelope is an interval proof.
+ */
+export function parseProofEnvelopeHeader(header /* Uint8Array */) {
+  let off = 0;
+  let f;
+
+  f = readVbytes(header, off); off = f.next;
+  const protocolTag = new TextDecoder().decode(f.bytes);
+
+  f = readU64le(header, off); off = f.next;
+  const rangeBits = Number(f.value);
+
+  f = readVbytes(header, off); off = f.next;
+  const ephemPub33 = f.bytes;
+
+  f = readVbytes(header, off); off = f.next;
+  const H33 = f.bytes;
+
+  f = readVbytes(header, off); off = f.next;
+  const assetId32 = f.bytes.length ? f.bytes : null;
+
+  f = readU64le(header, off); off = f.next;
+  const outIndex = Number(f.value);
+
+  f = readVbytes(header, off); off = f.next;
+  const extraCtx = f.bytes;
+
+  let rangeMin = null;
+  let rangeMax = null;
+  if (off < header.length) {
+    f = readU64le(header, off); off = f.next;
+    rangeMin = f.value;
+    f = readU64le(header, off); off = f.next;
+    rangeMax = f.value;
+  }
+  if (off !== header.length) throw new Error('envelope header has trailing bytes');
+
+  return { protocolTag, rangeBits, ephemPub33, H33, assetId32, outIndex, extraCtx, rangeMin, rangeMax };
+}
+
+/* ========================================================================== */
+/* Balance (excess) envelope                                                  */
+/* ========================================================================== */
+//
+// "CTB1" | vbytes(header) | vbytes(body)
+// header: vbytes(tag) | vbytes(H33) | uint64le(fee) | vbytes(extraCtx)
+//       | varInt(nIn)  | C_in(33)  * nIn
+//       | varInt(nOut) | C_out(33) * nOut
+// body:   vbytes(rangeProof_j) * nOut | excessSig(64)
+//
+// The header is the full public statement: the excess signature and every
+// output range proof are bound to it (see createBalanceTranscript()).
+
+const BALANCE_MAGIC = te.encode('CTB1');
+
+export function buildBalanceEnvelopeHeader({
+  protocolTag,                  // string, e.g. 'BCH-CT/Balance-v1'
+  H33,                          // Uint8Array(33)
+  fee = 0n,                     // number | bigint (fits uint64)
+  extraCtx = new Uint8Array(0), // Uint8Array
+  inputCommitments33,           // Uint8Array(33)[]
+  outputCommitments33,          // Uint8Array(33)[]
+}) {
+  return concat(
+    vbytes(te.encode(protocolTag)),
+    vbytes(H33),
+    uint64le(fee),
+    vbytes(extraCtx),
+    varInt(inputCommitments33.length),
+    ...inputCommitments33,
+    varInt(outputCommitments33.length),
+    ...outputCommitments33,
+  );
+}
+
+export function buildBalanceEnvelope({
+  rangeProofs,                  // Uint8Array[] (one serialized proof per output)
+  excessSig,                    // Uint8Array(64)
+  ...headerFields
+}) {
+  if (rangeProofs.length !== headerFields.outputCommitments33.length) {
+    throw new Error('buildBalanceEnvelope: need one range proof per output commitment');
+  }
+  if (!(excessSig instanceof Uint8Array) || excessSig.length !== 64) {
+    throw new Error('buildBalanceEnvelope: excessSig must be Uint8Array(64)');
+  }
+  const header = buildBalanceEnvelopeHeader(headerFields);
+  const body = concat(...rangeProofs.map(vbytes), excessSig);
+  return concat(BALANCE_MAGIC, vbytes(header), vbytes(body));
+}
+
+/**
+ * Decode a balance envelope. Returns the raw header bytes (what the
+ * transcript absorbs) alongside the decoded fields.
+ */
+export function parseBalanceEnvelope(envelope /* Uint8Array */) {
+  if (envelope.length < BALANCE_MAGIC.length || !BALANCE_MAGIC.every((b, i) => envelope[i] === b)) {
+    throw new Error('bad balance envelope magic');
+  }
+  let f = readVbytes(envelope, BALANCE_MAGIC.length);
+  const header = f.bytes;
+  f = readVbytes(envelope, f.next);
+  const body = f.bytes;
+  if (f.next !== envelope.length) throw new Error('balance envelope has trailing bytes');
+
+  let off = 0;
+  f = readVbytes(header, off); off = f.next;
+  const protocolTag = new TextDecoder().decode(f.bytes);
+  f = readVbytes(header, off); off = f.next;
+  const H33 = f.bytes;
+  f = readU64le(header, off); off = f.next;
+  const fee = f.value;
+  f = readVbytes(header, off); off = f.next;
+  const extraCtx = f.bytes;
+
+  const readCommitments = () => {
+    const { value: count, length } = decodeVarInt(header, off);
+    off += length;
+    const out = [];
+    for (let i = 0; i < Number(count); i++) {
+      if (off + 33 > header.length) throw new Error('balance envelope header truncated');
+      out.push(header.slice(off, off + 33));
+      off += 33;
+    }
+    return out;
+  };
+  const inputCommitments33 = readCommitments();
+  const outputCommitments33 = readCommitments();
+  if (off !== header.length) throw new Error('balance envelope header has trailing bytes');
+
+  const rangeProofs = [];
+  let pos = 0;
+  for (let j = 0; j < outputCommitments33.length; j++) {
+    f = readVbytes(body, pos); pos = f.next;
+    rangeProofs.push(f.bytes);
+  }
+  if (body.length - pos !== 64) throw new Error('balance envelope: bad excess signature length');
+  const excessSig = body.slice(pos);
+
+  return {
+    header,
+    protocolTag,
+    H33,
+    fee,
+    extraCtx,
+    inputCommitments33,
+    outputCommitments33,
+    rangeProofs,
+    excessSig,
+  };
+}
+
+/* ========================================================================== */
+/* Fiat–Shamir transcript                                                     */
+/* ========================================================================== */
+
+// Operation codes keep absorb / squeeze / witness hashing domains disjoint.
+const OP_INIT = 0x00;
+const OP_APPEND = 0x01;
+const OP_CHALLENGE = 0x02;
+const OP_RATCHET = 0x03;
+const OP_WITNESS = 0x04;
+
+const label8 = (label) => vbytes(te.encode(label));
+
+/**
+ * Merlin-style Fiat–Shamir transcript over a SHA-256 duplex.
+ *
+ * Every operation is framed as state' = sha256(state || op || vbytes(label) || ...),
+ * so messages are length-delimited and labelled, and each challenge ratchets the
+ * state so later challenges depend on earlier ones. Prover and verifier must
+ * perform the same sequence of appends and challenges.
+ */
+export class Transcript {
+  /** @param {string} label protocol-level domain separator */
+  constructor(label) {
+    this.state = sha256(concat(te.encode('BCH-CT/Transcript-v1'), Uint8Array.of(OP_INIT), label8(label)));
+  }
+
+  /**
+   * @param {string} label
+   * @param {Uint8Array} message
+   * @returns {Transcript} this
+   */
+  appendMessage(label, message) {
+    if (!(message instanceof Uint8Array)) throw new Error('Transcript.appendMessage: message must be Uint8Array');
+    this.state = sha256(concat(this.state, Uint8Array.of(OP_APPEND), label8(label), vbytes(message)));
+    return this;
+  }
+
+  appendU64(label, x) {
+    return this.appendMessage(label, uint64le(x));
+  }
+
+  /** Absorb a curve point in compressed form. */
+  appendPoint(label, P) {
+    return this.appendMessage(label, P.toBytes(true));
+  }
+
+  appendScalar(label, s) {
+    return this.appendMessage(label, bigIntToBytes(s, 32));
+  }
+
+  /**
+   * Squeeze `len` challenge bytes and ratchet the state.
+   * @returns {Uint8Array}
+   */
+  challengeBytes(label, len = 32) {
+    const lbl = label8(label);
+    const blocks = [];
+    for (let ctr = 0; blocks.length * 32 < len; ctr++) {
+      blocks.push(sha256(concat(this.state, Uint8Array.of(OP_CHALLENGE), lbl, uint64le(len), uint64le(ctr))));
+    }
+    const out = concat(...blocks).slice(0, len);
+    this.state = sha256(concat(this.state, Uint8Array.of(OP_RATCHET), lbl, out));
+    return out;
+  }
+
+  /**
+   * Squeeze a non-zero scalar mod n (64 bytes reduced, so the bias is negligible).
+   * @returns {bigint}
+   */
+  challengeScalar(label) {
+    const e = bytesToBigInt(this.challengeBytes(label, 64)) % CURVE_N;
+    if (e === 0n) throw new Error('Transcript: zero challenge');
+    return e;
+  }
+
+  /**
+   * Prover-side only: derive secret nonce material bound to the current
+   * public transcript state and a witness/seed. Does not modify the state.
+   * @returns {Uint8Array} 32 bytes
+   */
+  witnessBytes(label, secret) {
+    return sha256(concat(this.state, Uint8Array.of(OP_WITNESS), label8(label), vbytes(secret)));
+  }
+
+  /** Exact copy of the current state (e.g. to verify twice). */
+  clone() {
+    const t = Object.create(Transcript.prototype);
+    t.state = this.state;
+    return t;
+  }
+
+  /** Independent copy that continues from the current state under `label`. */
+  fork(label) {
+    return this.clone().appendMessage('fork', te.encode(label));
+  }
+}
+
+/**
+ * Transcript for a CTv2 envelope: absorbs the magic and the full encoded
+ * header (protocolTag, rangeBits, ephemPub33, H33, assetId32, outIndex,
+ * extraCtx and any interval bounds) before any prover message.
+ * @param {Uint8Array} header output of buildProofEnvelopeHeader()
+ */
+export function createEnvelopeTranscript(header) {
+  return new Transcript('BCH-CT/amount-envelope')
+    .appendMessage('magic', ENVELOPE_MAGIC[ENVELOPE_VERSION_2])
+    .appendMessage('header', header);
+}
+
+/**
+ * Transcript for a CTB1 balance envelope: absorbs the magic and the header
+ * (tag, H33, fee, extraCtx and every input / output commitment).
+ * @param {Uint8Array} header output of buildBalanceEnvelopeHeader()
+ */
+export function createBalanceTranscript(header) {
+  return new Transcript('BCH-CT/balance-envelope')
+    .appendMessage('magic', BALANCE_MAGIC)
+    .appendMessage('header', header);
 }
 
 export function hash256(u8 /* Uint8Array */) {
@@ -98,6 +98,59 @@ export function splitTokenPrefix(rawScript) {
   return { prefix: null, locking: rawScript };
 }
 
+/* ========================================================================== */
+/* ScriptSig parsing                                                          */
+/* ========================================================================== */
+
+/** Compressed pubkey from a P2PKH scriptSig <sig> <pubkey> (e.g. an RPA sender). */
+export function extractPubKeyFromP2PKHScriptSig(rawScriptSig /* string | Uint8Array | number[] */) {
+  let scriptSig;
+
+  if (rawScriptSig instanceof Uint8Array) {
+    scriptSig = rawScriptSig;
+  } else if (typeof rawScriptSig === 'string') {
+    // hex string -> bytes
+    scriptSig = hexToBytes(rawScriptSig);
+  } else if (Array.isArray(rawScriptSig)) {
+    // in case parseTx gives a plain array of numbers
+    scriptSig = Uint8Array.from(rawScriptSig);
+  } else {
+    throw new Error('Unsupported scriptSig type for P2PKH pubkey extraction');
+  }
+
+  if (scriptSig.length < 2) {
+    throw new Error('scriptSig too short to contain sig and pubkey');
+  }
+
+  let i = 0;
+
+  // First push: signature
+  const sigLen = scriptSig[i];
+  i += 1;
+  if (i + sigLen > scriptSig.length) {
+    throw new Error('Invalid sig length in scriptSig');
+  }
+  i += sigLen;
+
+  if (i >= scriptSig.length) {
+    throw new Error('Missing pubkey push in scriptSig');
+  }
+
+  // Second push: pubkey
+  const pubLen = scriptSig[i];
+  i += 1;
+  if (i + pubLen > scriptSig.length) {
+    throw new Error('Invalid pubkey length in scriptSig');
+  }
+
+  const pubkey = scriptSig.slice(i, i + pubLen);
+  if (pubkey.length !== 33) {
+    throw new Error(`Unexpected pubkey length in scriptSig: ${pubkey.length}`);
+  }
+
+  return pubkey; // 33-byte compressed pubkey
+}
+
 /* ========================================================================== */
 /* Script builders                                                            */
 /* ========================================================================== */
@@ -106,6 +159,14 @@ export function getP2PKHScript(hash160) {
   return concat(hexToBytes('76a914'), hash160, hexToBytes('88ac'));
 }
 
+/** OP_RETURN followed by one minimal push per data chunk (null-data output). */
+export function getOpReturnScript(...chunks) {
+  return concat(
+    new Uint8Array([0x6a]), // OP_RETURN
+    ...chunks.flatMap((c) => [pushDataPrefix(c.length), c])
+  );
+}
+
 export function getP2SHScript(scriptHash20) {
   return concat(
     new Uint8Array([0xa9, 0x14]), // OP_HASH160 push(20)
@@ -445,31 +506,23 @@ export function getPreimage(
 
 /**
  * Sign a standard P2PKH input with BCH Schnorr (65B sig incl. hashtype + 33B pub).
+ * opts.extraEntropy: extra RFC6979 nonce input; a different value gives a
+ * different (equally valid) signature and therefore a different txid.
+ * opts.prevTokenPrefix: the spent output's 0xef... token prefix, if it holds
+ * tokens (covered by the CashTokens preimage).
  */
-export function signInput(tx, inputIndex, privBytes, scriptPubKey, value) {
+export function signInput(tx, inputIndex, privBytes, scriptPubKey, value, opts = {}) {
   if (!(privBytes instanceof Uint8Array)) throw new Error('privBytes must be Uint8Array');
   if (!(scriptPubKey instanceof Uint8Array)) throw new Error('scriptPubKey must be Uint8Array');
 
   const pubCompressed = secp256k1.getPublicKey(privBytes, true);
 
   // Preimage
-  const preimage = concat(
-    uint32le(tx.version),
-    sha256(sha256(getAllPrevOut(tx.inputs))),
-    sha256(sha256(getAllSequences(tx.inputs))),
-    getOutpoint(tx.inputs[inputIndex]),
-    varInt(scriptPubKey.length),
-    scriptPubKey,
-    uint64le(normalizeSats(value)),
-    uint32le(tx.inputs[inputIndex].sequence),
-    sha256(sha256(getAllOutputs(tx.outputs))),
-    uint32le(tx.locktime),
-    uint32le(0x41) // SIGHASH_ALL|FORKID
-  );
+  const preimage = getPreimage(tx, inputIndex, scriptPubKey, value, 0x41, opts.prevTokenPrefix ?? null);
   const sighash = sha256(sha256(preimage));
 
   // Sign
-  const sig64 = bchSchnorrSign(sighash, privBytes, pubCompressed);
+  const sig64 = bchSchnorrSign(sighash, privBytes, pubCompressed, opts.extraEntropy ?? null);
   const sig65 = concat(sig64, new Uint8Array([0x41]));
 
   // Verify
@@ -490,6 +543,43 @@ export function signInput(tx, inputIndex, privBytes, scriptPubKey, value) {
   return tx;
 }
 
+/**
+ * RPA prefix grinding: sign a P2PKH input over and over with a counter as
+ * extra nonce entropy until the txid starts with `prefixHex` (the receiver's
+ * rpaPrefixFromPaycode()). Every other input must already be signed, since
+ * their scriptSigs are part of the txid; sign this input last.
+ *
+ * A 4-bit prefix takes 16 attempts on average, 16 bits about 65536.
+ *
+ * @param {{ prefixHex: string, maxAttempts?: number }} grind
+ *   - prefixHex:   lowercase hex, 1-4 digits; null / '' signs normally
+ *   - maxAttempts: give up after this many signatures (default 2^20)
+ * @returns {{ tx: object, txid: string, attempts: number }}
+ */
+export function signInputWithRpaPrefix(tx, inputIndex, privBytes, scriptPubKey, value, grind) {
+  const { prefixHex = null, maxAttempts = 1 << 20 } = grind ?? {};
+  if (!prefixHex) {
+    signInput(tx, inputIndex, privBytes, scriptPubKey, value);
+    return { tx, txid: txidOf(tx), attempts: 1 };
+  }
+  if (!/^[0-9a-f]{1,4}$/.test(prefixHex)) {
+    throw new Error('signInputWithRpaPrefix: prefixHex must be 1-4 lowercase hex digits');
+  }
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    // attempt 0 reproduces the plain signInput() signature
+    const extraEntropy = attempt === 0 ? null : uint32le(attempt);
+    signInput(tx, inputIndex, privBytes, scriptPubKey, value, { extraEntropy });
+    const txid = txidOf(tx);
+    if (txid.startsWith(prefixHex)) return { tx, txid, attempts: attempt + 1 };
+  }
+  throw new Error(`signInputWithRpaPrefix: no txid with prefix ${prefixHex} after ${maxAttempts} attempts`);
+}
+
+function txidOf(tx) {
+  return bytesToHex(sha256(sha256(hexToBytes(buildRawTx(tx)))).reverse());
+}
+
 /**
  * Sign a P2SH input (non-covenant). If prevout had a CashTokens prefix,
  * include it in the preimage via the dedicated parameter (do NOT merge it into scriptCode).
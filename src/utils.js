@@ -206,8 +206,12 @@ export function hmacSha256(key, msg) {
   return hmac(sha256, key, msg);
 }
 
-// RFC6979 with 16-byte “Schnorr+SHA256␣␣” additional data
-export function rfc6979(d, h1) {
+// RFC6979 with 16-byte “Schnorr+SHA256␣␣” additional data.
+// extraEntropy (RFC 6979 §3.6 k'): optional bytes mixed into the HMAC_DRBG seed
+// to get a different, still deterministic nonce (e.g. RPA prefix grinding).
+// Omitted or empty -> the original nonce.
+export function rfc6979(d, h1, extraEntropy = null) {
+  const extra = extraEntropy ?? new Uint8Array(0);
   const additional = utf8ToBytes('Schnorr+SHA256  ');
   h1 = concat(h1, additional);
   const hlen = 32;
@@ -215,9 +219,9 @@ export function rfc6979(d, h1) {
   let K = new Uint8Array(hlen).fill(0x00);
   const x = bigIntToBytes(d, 32);
   h1 = bigIntToBytes(bytesToBigInt(h1) % n, 32);
-  K = hmacSha256(K, concat(V, new Uint8Array([0x00]), x, h1));
+  K = hmacSha256(K, concat(V, new Uint8Array([0x00]), x, h1, extra));
   V = hmacSha256(K, V);
-  K = hmacSha256(K, concat(V, new Uint8Array([0x01]), x, h1));
+  K = hmacSha256(K, concat(V, new Uint8Array([0x01]), x, h1, extra));
   V = hmacSha256(K, V);
   while (true) {
     let T = new Uint8Array(0);
@@ -245,14 +249,14 @@ function jacobi(y) {
   return pow(y % p, (p - 1n) / 2n, p);
 }
 
-/** BCH 2019 Schnorr sign: returns 64 bytes (r||s) */
-export function bchSchnorrSign(sighash, privBytes, pubBytes) {
+/** BCH 2019 Schnorr sign: returns 64 bytes (r||s). extraEntropy: see rfc6979. */
+export function bchSchnorrSign(sighash, privBytes, pubBytes, extraEntropy = null) {
   if (sighash.length !== 32 || pubBytes.length !== 33) throw new Error('Invalid inputs');
   const d = bytesToBigInt(privBytes) % n;
   if (d === 0n) throw new Error('Invalid priv');
 
   // RFC6979 nonce with domain separation
-  let k = rfc6979(d, sighash);
+  let k = rfc6979(d, sighash, extraEntropy);
 
   // Compute R = kG; flip k if Jacobi(y(R)) != 1
   let R = G.multiply(k);
@@ -338,9 +342,13 @@ export function pushDataPrefix(len) {
   }
 }
 
+// Legacy v1 (single-key) paycodes only. v2 paycodes carry separate scan and
+// spend keys; decode those with parsePaycode() in paycodes.js.
 export function extractPubKeyFromPaycode(paycode) {
   if (typeof paycode !== 'string' || !paycode.startsWith('PM')) {
-    throw new Error('Invalid paycode format (must start with "PM" for BCH paycodes)');
+    throw new Error(
+      'Invalid paycode format (must start with "PM" for v1 BCH paycodes; use parsePaycode() for v2)',
+    );
   }
   const { version: decodedVersion, payload } = base58checkDecode(paycode);
   if (decodedVersion !== 0x47) {
@@ -2,98 +2,420 @@
 import { secp256k1 } from '@noble/curves/secp256k1.js';
 import { _hash160, hexToBytes, bytesToHex, ensureEvenYPriv } from './utils.js';
 import { encodeCashAddr } from './cashaddr.js';
-import { promptPrivKey } from './prompts.js';
+import { promptMnemonic, promptPassword, promptNewPassword } from './prompts.js';
 import { NETWORK } from './config.js';
+import { paycodeFromBackup, selfTestPaycodeBackup } from './paycodes.js';
+import {
+  generateMnemonic,
+  validateMnemonic,
+  hdRootFromMnemonic,
+  encryptSeed,
+  mnemonicToSeedPayload,
+  mnemonicFromSeedPayload,
+  SEED_PAYLOAD_KIND,
+  deriveBaseKey,
+  deriveHdPaycodeKeys,
+  paycodeKeyPath,
+  HD_ACCOUNT_ALICE,
+  HD_ACCOUNT_BOB,
+  HD_CHAIN_CHANGE,
+} from './hd.js';
+import {
+  openKeystore,
+  sealKeystore,
+  resealKeystore,
+  changeKeystorePassphrase,
+} from './keystore.js';
 
 import fs from 'fs';
 import path from 'path';
+import net from 'net';
+import { spawn } from 'child_process';
 
 // Store wallets.local.json in the directory where you run `node dist/demo.js`
 // (typically the repo root). This avoids import.meta/ESM vs CJS issues.
-const WALLET_FILE = path.resolve(process.cwd(), 'wallets.local.json');
+export const WALLET_FILE = path.resolve(process.cwd(), 'wallets.local.json');
 
-function loadLocalWalletPrivs() {
+// Wallet file formats (`version`):
+//   1 (legacy, no field): { alicePriv, bobPriv, paycodes? }  plaintext keys;
+//                         still loaded with a warning, `wallet migrate` encrypts it
+//   2: { version: 2, keystore, paycodes }
+//      keystore (keystore.js) payload:
+//        { kind: 'hd-seed', entropy }              BIP39 seed (hd.js): Alice
+//                                                  account 0, Bob account 1
+//        { kind: 'raw-keys', alicePriv, bobPriv }  migrated plaintext keys
+// Paycodes stay in the clear: they are public, and the self-test compares them.
+//   Optional `identities` (public index), `labels` (paycode label registry),
+//   `nextAccount` and the payload's `identities` (imported keys) belong to
+//   identities.js.
+export const WALLET_FILE_VERSION = 2;
+export const RAW_KEYS_PAYLOAD_KIND = 'raw-keys';
+
+// `wallet unlock` hands the derived keystore key to a detached session agent
+// that keeps it in memory and serves it on an owner-only Unix socket next to
+// the wallet file, until it expires or `wallet lock` stops it. The key never
+// touches the disk, so a crash or reboot leaves nothing that opens the wallet;
+// a leftover socket with no agent behind it is deleted on the next read.
+// While unlocked, any process of the same user can ask the agent for the key.
+export const WALLET_SESSION_MINUTES = 15;
+const SESSION_WATCH_MS = 2000;
+const SESSION_REPLY_MS = 2000;
+
+const sessionFileOf = (walletFile) => `${walletFile}.session`;
+
+/**
+ * Read a wallet file. Only a missing file is `null`: an unreadable file or an
+ * unknown version throws, so callers never mistake it for "no wallet yet" and
+ * write a new seed over it.
+ */
+export function loadWalletFile(file) {
+  if (!fs.existsSync(file)) return null;
+  let parsed;
   try {
-    if (!fs.existsSync(WALLET_FILE)) return null;
-    const raw = fs.readFileSync(WALLET_FILE, 'utf8');
-    const parsed = JSON.parse(raw);
-    if (parsed && typeof parsed.alicePriv === 'string' && typeof parsed.bobPriv === 'string') {
-      return parsed;
-    }
-    return null;
-  } catch {
-    return null;
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Wallet file ${file} cannot be read (${e.message}); restore it or move it aside`);
   }
+  if (parsed?.version === WALLET_FILE_VERSION && parsed.keystore) return parsed;
+  if (parsed?.version === undefined && typeof parsed?.alicePriv === 'string' && typeof parsed.bobPriv === 'string') {
+    return { version: 1, ...parsed };
+  }
+  if (parsed?.version === WALLET_FILE_VERSION) throw new Error(`Wallet file ${file} has no keystore`);
+  throw new Error(
+    `Wallet file ${file} has unsupported version ${parsed?.version ?? '(none)'}; ` +
+    `this build reads versions 1 and ${WALLET_FILE_VERSION}`,
+  );
+}
+
+// Atomic write (tmp + rename), readable by the owner only
+function writeWalletFile(file, data) {
+  const tmp = `${file}.tmp-${process.pid}`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, file);
 }
 
-function saveLocalWalletPrivs(alicePriv, bobPriv) {
+function saveWalletFile(file, data) {
   try {
-    const data = {
-      alicePriv,
-      bobPriv,
-    };
-    fs.writeFileSync(WALLET_FILE, JSON.stringify(data, null, 2), { mode: 0o600 });
+    writeWalletFile(file, data);
     // Don’t log here to avoid noisy “saved” on every run.
   } catch (e) {
-    console.warn('Warning: could not save wallets.local.json:', e.message);
+    console.warn(`Warning: could not save ${path.basename(file)}:`, e.message);
   }
 }
 
-// src/wallets.js
+// Session agent: reads { salt, key, expires } on stdin, answers `get` with it
+// and `lock` by exiting; exits by itself at expiry. Removes its socket first,
+// so a new agent can take the path as soon as `lock` is answered.
+const SESSION_AGENT = `
+  const fs = require('fs');
+  const net = require('net');
+  const file = process.argv[1];
+  process.umask(0o077); // owner-only socket from the start
+  let input = '';
+  process.stdout.on('error', () => {});
+  process.stdin.setEncoding('utf8');
+  process.stdin.on('data', (d) => { input += d; });
+  process.stdin.on('end', () => {
+    const session = JSON.parse(input);
+    const expired = () => Date.parse(session.expires) <= Date.now();
+    const server = net.createServer((socket) => {
+      socket.setEncoding('utf8');
+      socket.once('data', (command) => {
+        if (command === 'get' && !expired()) {
+          socket.end(JSON.stringify(session));
+          return;
+        }
+        stop();
+        socket.end('{}', () => process.exit(0));
+      });
+    });
+    const stop = () => {
+      server.close();
+      fs.rmSync(file, { force: true });
+    };
+    server.on('error', (e) => {
+      process.stdout.write('error ' + e.message + '\\n');
+      process.exit(1);
+    });
+    server.listen(file, () => {
+      setInterval(() => {
+        if (expired()) {
+          stop();
+          process.exit(0);
+        }
+      }, ${SESSION_WATCH_MS});
+      process.stdout.write('ready\\n');
+    });
+  });
+`;
 
-export function createWallet(name, privKeyHex) {
-  if (!privKeyHex || typeof privKeyHex !== 'string') {
-    throw new Error(`createWallet(${name}) requires a hex private key string`);
-  }
+// One request to the session agent: its JSON reply, or null when no agent
+// answers. Only a socket nobody listens on (a crash or reboot) is removed; a
+// slow agent keeps its socket, so a later unlock cannot start a second one.
+function sessionRequest(walletFile, command) {
+  const file = sessionFileOf(walletFile);
+  if (!fs.existsSync(file)) return Promise.resolve(null);
+  return new Promise((resolve) => {
+    let reply = '';
+    const socket = net.connect(file);
+    socket.setEncoding('utf8');
+    socket.setTimeout(SESSION_REPLY_MS, () => socket.destroy(new Error('session agent timed out')));
+    socket.on('connect', () => socket.write(command));
+    socket.on('data', (d) => {
+      reply += d;
+    });
+    socket.on('end', () => {
+      try {
+        resolve(JSON.parse(reply));
+      } catch {
+        resolve(null);
+      }
+    });
+    socket.on('error', (e) => {
+      if (e.code === 'ECONNREFUSED' || e.code === 'ENOENT') fs.rmSync(file, { force: true });
+      resolve(null);
+    });
+  });
+}
 
-  let privBytes = hexToBytes(privKeyHex);
-  privBytes = ensureEvenYPriv(privBytes);
-  privKeyHex = bytesToHex(privBytes);
+async function readSession(walletFile, keystore) {
+  const session = await sessionRequest(walletFile, 'get');
+  if (!session?.key) return null;
+  if (session.salt === keystore.kdf.salt) return session;
+  await sessionRequest(walletFile, 'lock'); // belongs to an older keystore
+  return null;
+}
 
+// Start an agent holding `session`; resolves once it listens.
+async function startSessionAgent(walletFile, session) {
+  const child = spawn(process.execPath, ['-e', SESSION_AGENT, sessionFileOf(walletFile)], {
+    detached: true,
+    stdio: ['pipe', 'pipe', 'ignore'],
+  });
+  child.stdin.end(JSON.stringify(session));
+  const status = await new Promise((resolve) => {
+    let out = '';
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', (d) => {
+      out += d;
+      if (out.includes('\n')) resolve(out.trim());
+    });
+    child.on('error', (e) => resolve(e.message));
+    child.on('exit', (code) => resolve(out.trim() || `exit code ${code}`));
+  });
+  child.stdout.destroy();
+  child.unref();
+  if (status !== 'ready') throw new Error(`wallet unlock: session agent did not start (${status})`);
+}
+
+// ALICE_PRIV_KEY / BOB_PRIV_KEY put raw keys in the environment, where other
+// processes, shells and CI logs can see them: CI only, behind an explicit flag.
+function envOverrideKeys() {
+  const alice = process.env.ALICE_PRIV_KEY || null;
+  const bob = process.env.BOB_PRIV_KEY || null;
+  if (!alice && !bob) return { alice, bob };
+  if (!/^(1|true|yes)$/i.test(process.env.ALLOW_INSECURE_ENV_KEYS ?? '')) {
+    throw new Error(
+      'ALICE_PRIV_KEY / BOB_PRIV_KEY are set but ALLOW_INSECURE_ENV_KEYS is not. ' +
+      'Raw keys in the environment are for CI only; set ALLOW_INSECURE_ENV_KEYS=1 to use them, ' +
+      'or unset them to use the encrypted wallet file.',
+    );
+  }
+  console.warn('⚠️ Using raw private keys from the environment (ALLOW_INSECURE_ENV_KEYS). CI only.');
+  return { alice, bob };
+}
+
+function keyInfo(privBytes) {
   const pubBytes = secp256k1.getPublicKey(privBytes, true);
   try {
     secp256k1.Point.fromHex(bytesToHex(pubBytes));
   } catch (e) {
     throw new Error(`Invalid generated pubKey: ${e.message}`);
   }
-
-  const pub = bytesToHex(pubBytes);
   const hash160 = _hash160(pubBytes);
-
   const prefix = NETWORK === 'mainnet' ? 'bitcoincash' : 'bchtest';
   const address = encodeCashAddr(prefix, 'P2PKH', hash160);
+  return { priv: bytesToHex(privBytes), pub: bytesToHex(pubBytes), privBytes, pubBytes, hash160, address };
+}
+
+// src/wallets.js
+
+/**
+ * Build a wallet object.
+ *
+ * - `createWallet(name, privKeyHex)`: single raw key (legacy files, env
+ *   overrides). The paycode keys are split off it (paycodes.js derivePaycodeKeys).
+ * - `createWallet(name, { mnemonic | root, account, passphrase? })`: HD wallet.
+ *   Base receive / change keys and the paycode scan / spend keys all come from
+ *   the seed (hd.js), so the mnemonic alone restores the wallet, its paycode
+ *   and every RPA child key.
+ *
+ * @returns {{
+ *   priv: string, pub: string, privBytes: Uint8Array, pubBytes: Uint8Array,
+ *   hash160: Uint8Array, address: string,
+ *   hd?: { account: number, receivePath: string, changePath: string, paycodePath: string },
+ *   change?: ReturnType<typeof keyInfo>,
+ *   scanPrivBytes?: Uint8Array, spendPrivBytes?: Uint8Array,
+ * }}
+ */
+export function createWallet(name, source) {
+  if (typeof source === 'string' && source) {
+    return keyInfo(ensureEvenYPriv(hexToBytes(source)));
+  }
+  if (!source || typeof source !== 'object') {
+    throw new Error(`createWallet(${name}) requires a hex private key string or { mnemonic | root, account }`);
+  }
+
+  const { account, passphrase = '' } = source;
+  const root = source.root ?? hdRootFromMnemonic(source.mnemonic, passphrase);
+  const receive = deriveBaseKey(root, account);
+  const change = deriveBaseKey(root, account, HD_CHAIN_CHANGE, 0);
+  const { scanPrivBytes, spendPrivBytes } = deriveHdPaycodeKeys(root, account);
+
+  return {
+    ...keyInfo(receive.privBytes),
+    hd: {
+      account,
+      receivePath: receive.path,
+      changePath: change.path,
+      paycodePath: paycodeKeyPath(account),
+    },
+    change: keyInfo(change.privBytes),
+    scanPrivBytes,
+    spendPrivBytes,
+  };
+}
+
+// Paycode backup of a wallet: its scan/spend keys (HD) or its single key (legacy)
+function paycodeBackup(wallet) {
+  return wallet.hd ? { scanPrivBytes: wallet.scanPrivBytes, spendPrivBytes: wallet.spendPrivBytes } : wallet.privBytes;
+}
+
+async function resolvePassword(opts, purpose) {
+  return opts.password ?? process.env.WALLET_PASSWORD ?? (await promptPassword(purpose));
+}
+
+async function openCurrentKeystore(local, walletFile, opts) {
+  const session = opts.password === undefined ? await readSession(walletFile, local.keystore) : null;
+  if (session) return openKeystore(local.keystore, { key: hexToBytes(session.key) });
+  return openKeystore(local.keystore, { passphrase: await resolvePassword(opts, 'unlock') });
+}
 
-  return { priv: privKeyHex, pub, privBytes, pubBytes, hash160, address };
+async function createWalletSecrets(opts) {
+  let mnemonic = opts.mnemonic ?? (await promptMnemonic());
+  if (!mnemonic) {
+    mnemonic = generateMnemonic();
+    console.log('\nNew wallet seed. Write these words down; they restore both wallets:');
+    console.log(`  ${mnemonic}\n`);
+  } else if (!validateMnemonic(mnemonic)) {
+    throw new Error('getWallets: invalid BIP39 mnemonic');
+  }
+  const password = opts.password ?? process.env.WALLET_PASSWORD ?? (await promptNewPassword('encrypts the seed on disk'));
+  return { payload: mnemonicToSeedPayload(mnemonic), keystore: encryptSeed(mnemonic, password, opts.kdfParams) };
 }
 
-export async function getWallets() {
-  // 1) Load from local file if present
-  let alicePriv, bobPriv;
-  const local = loadLocalWalletPrivs();
-  if (local) {
-    alicePriv = local.alicePriv;
-    bobPriv   = local.bobPriv;
+/**
+ * Alice and Bob from a decrypted wallet payload (the demo's two built-in
+ * identities; identities.js adds more).
+ */
+export function walletsFromPayload(payload) {
+  if (payload.kind === SEED_PAYLOAD_KIND) {
+    const root = hdRootFromMnemonic(mnemonicFromSeedPayload(payload));
+    return {
+      alice: createWallet('Alice', { root, account: HD_ACCOUNT_ALICE }),
+      bob: createWallet('Bob', { root, account: HD_ACCOUNT_BOB }),
+    };
+  }
+  if (payload.kind === RAW_KEYS_PAYLOAD_KIND) {
+    return { alice: createWallet('Alice', payload.alicePriv), bob: createWallet('Bob', payload.bobPriv) };
   }
+  throw new Error(`getWallets: unknown wallet payload kind ${payload.kind}`);
+}
+
+/**
+ * Load (or create) the demo wallets.
+ *
+ * @param {{
+ *   walletFile?: string,   // default ./wallets.local.json
+ *   password?: string,     // else an unlocked session, WALLET_PASSWORD, prompt
+ *   mnemonic?: string,     // new wallet file only: restore from this seed
+ *   kdfParams?: object,    // new wallet file only: scrypt cost (keystore.js)
+ * }} [opts]
+ */
+export async function getWallets(opts = {}) {
+  const walletFile = opts.walletFile ?? WALLET_FILE;
+  const local = loadWalletFile(walletFile);
+  const envKeys = envOverrideKeys();
 
-  // 2) Allow advanced override via env vars (optional)
-  if (process.env.ALICE_PRIV_KEY) alicePriv = process.env.ALICE_PRIV_KEY;
-  if (process.env.BOB_PRIV_KEY)   bobPriv   = process.env.BOB_PRIV_KEY;
+  let alice;
+  let bob;
+  let save;
+  if (!local && envKeys.alice && envKeys.bob) {
+    // Both wallets come from the environment: no seed, nothing written to disk
+    alice = createWallet('Alice', envKeys.alice);
+    bob = createWallet('Bob', envKeys.bob);
+    save = null;
+  } else if (local?.version === 1) {
+    // Legacy plaintext keys: keep working until migrated
+    console.warn(
+      `⚠️ ${walletFile} holds plaintext private keys. ` +
+      'Encrypt it with `node dist/demo.js wallet migrate`.',
+    );
+    alice = createWallet('Alice', local.alicePriv);
+    bob = createWallet('Bob', local.bobPriv);
+    save = (paycodes) => ({ alicePriv: local.alicePriv, bobPriv: local.bobPriv, paycodes });
+  } else {
+    const opened = local ? await openCurrentKeystore(local, walletFile, opts) : await createWalletSecrets(opts);
+    ({ alice, bob } = walletsFromPayload(opened.payload));
+    const keystore = local?.keystore ?? opened.keystore;
+    // Other identities and their labels (identities.js) ride along untouched
+    const { identities, labels, nextAccount } = local ?? {};
+    save = (paycodes) => ({
+      version: WALLET_FILE_VERSION,
+      keystore,
+      paycodes,
+      ...(identities && { identities }),
+      ...(labels && { labels }),
+      ...(nextAccount !== undefined && { nextAccount }),
+    });
+  }
 
-  // 3) If still missing, prompt + generate + persist
-  if (!alicePriv) {
-    console.log('No Alice key found. Generating/entering one now…');
-    alicePriv = await promptPrivKey('Alice');
+  // CI override via env vars: raw keys replace the file's
+  const overridden = new Set();
+  if (envKeys.alice) {
+    alice = createWallet('Alice', envKeys.alice);
+    overridden.add('alice');
   }
-  if (!bobPriv) {
-    console.log('No Bob key found. Generating/entering one now…');
-    bobPriv = await promptPrivKey('Bob');
+  if (envKeys.bob) {
+    bob = createWallet('Bob', envKeys.bob);
+    overridden.add('bob');
   }
 
-  // Save (unless we *only* want persisted from file; up to you)
-  saveLocalWalletPrivs(alicePriv, bobPriv);
+  // Paycodes are derived from the wallet keys alone, so the copies stored next
+  // to the seed double as a backup self-test: if the seed in the file no longer
+  // regenerates its paycode, the file (or the derivation) has changed.
+  for (const [name, wallet] of [['alice', alice], ['bob', bob]]) {
+    const stored = local?.paycodes?.[name];
+    if (!stored || overridden.has(name)) continue;
+    const { ok, results } = selfTestPaycodeBackup(paycodeBackup(wallet), stored);
+    if (!ok) {
+      const r = results[0];
+      throw new Error(
+        `Paycode backup self-test failed for ${name} in ${walletFile}:\n` +
+        `  stored:      ${r.stored}\n` +
+        `  regenerated: ${r.regenerated ?? r.error}`,
+      );
+    }
+  }
+  alice.paycode = paycodeFromBackup(paycodeBackup(alice));
+  bob.paycode   = paycodeFromBackup(paycodeBackup(bob));
 
-  const alice = createWallet('Alice', alicePriv);
-  const bob   = createWallet('Bob', bobPriv);
+  // Env overrides are not written back; the file keeps its own wallets
+  const paycodes = {
+    alice: overridden.has('alice') ? local?.paycodes?.alice : alice.paycode,
+    bob: overridden.has('bob') ? local?.paycodes?.bob : bob.paycode,
+  };
+  if (save) saveWalletFile(walletFile, save(paycodes));
 
   console.log('--- Obtaining Alice Wallet ---');
   console.log('Alice Pub:', alice.pub);
@@ -103,8 +425,183 @@ export async function getWallets() {
   console.log('Bob Pub:', bob.pub);
   console.log('Bob Address:', bob.address);
 
-  console.log('\nNote: These wallets are persisted in wallets.local.json (DO NOT COMMIT THIS FILE).');
-  console.log('If you want to override them, set ALICE_PRIV_KEY and BOB_PRIV_KEY in your environment.\n');
+  console.log(`\nNote: These wallets are persisted in ${path.basename(walletFile)} (DO NOT COMMIT THIS FILE).`);
+  console.log('Unlock once with `node dist/demo.js wallet unlock` to skip the password prompt for a while.\n');
 
   return { alice, bob };
-}
\ No newline at end of file
+}
+
+/* ========================================================================== */
+/* Wallet file commands (unlock / lock / passwd / migrate / status)           */
+/* ========================================================================== */
+
+function requireCurrentWallet(walletFile, command) {
+  const local = loadWalletFile(walletFile);
+  if (!local) throw new Error(`wallet ${command}: no wallet file at ${walletFile}`);
+  if (local.version !== WALLET_FILE_VERSION) {
+    throw new Error(`wallet ${command}: ${walletFile} is a version ${local.version} file; run \`wallet migrate\` first`);
+  }
+  return local;
+}
+
+/**
+ * Decrypt the wallet file for a module that updates its secrets
+ * (identities.js). Password order as in getWallets().
+ * @returns {Promise<{ walletFile: string, local: object, payload: object, key: Uint8Array }>}
+ */
+export async function openWalletFile(opts = {}) {
+  const walletFile = opts.walletFile ?? WALLET_FILE;
+  const local = requireCurrentWallet(walletFile, 'open');
+  const { payload, key } = await openCurrentKeystore(local, walletFile, opts);
+  return { walletFile, local, payload, key };
+}
+
+/**
+ * Write back an openWalletFile() result: `payload` re-sealed under the same
+ * key (no password needed), `fields` replacing the public parts of the file.
+ * @returns {object} the new file contents
+ */
+export function updateWalletFile({ walletFile, local, key }, { payload, ...fields }) {
+  const next = { ...local, ...fields, version: WALLET_FILE_VERSION };
+  if (payload) next.keystore = resealKeystore(local.keystore, key, payload);
+  writeWalletFile(walletFile, next);
+  return next;
+}
+
+/**
+ * Check the password and hand the derived key to a session agent for
+ * `minutes`, so getWallets() opens the wallet without asking again until then
+ * (or until lockWallet()). Replaces any running session.
+ * @returns {Promise<{ expires: string }>}
+ */
+export async function unlockWallet(opts = {}) {
+  const walletFile = opts.walletFile ?? WALLET_FILE;
+  const { minutes = WALLET_SESSION_MINUTES } = opts;
+  const local = requireCurrentWallet(walletFile, 'unlock');
+  const { key } = openKeystore(local.keystore, { passphrase: await resolvePassword(opts, 'unlock') });
+  const expires = new Date(Date.now() + minutes * 60_000).toISOString();
+  await lockWallet({ walletFile });
+  await startSessionAgent(walletFile, { salt: local.keystore.kdf.salt, key: bytesToHex(key), expires });
+  return { expires };
+}
+
+/**
+ * Stop the session agent. Throws if an agent holds the socket but does not
+ * answer, so no second agent is started next to it.
+ * @returns {Promise<boolean>} whether the wallet was unlocked
+ */
+export async function lockWallet(opts = {}) {
+  const walletFile = opts.walletFile ?? WALLET_FILE;
+  const locked = !!(await sessionRequest(walletFile, 'lock')); // the agent removes its socket
+  if (!locked && fs.existsSync(sessionFileOf(walletFile))) {
+    throw new Error(`wallet lock: the session agent on ${sessionFileOf(walletFile)} does not answer; try again later`);
+  }
+  return locked;
+}
+
+/**
+ * Re-encrypt the wallet under a new password (new salt; locks the wallet).
+ * @param {{ walletFile?: string, oldPassword: string, newPassword: string, kdfParams?: object }} opts
+ */
+export async function changeWalletPassphrase(opts) {
+  const walletFile = opts.walletFile ?? WALLET_FILE;
+  const local = requireCurrentWallet(walletFile, 'passwd');
+  const keystore = changeKeystorePassphrase(local.keystore, opts.oldPassword, opts.newPassword, opts.kdfParams);
+  writeWalletFile(walletFile, { ...local, keystore });
+  await lockWallet({ walletFile });
+}
+
+/**
+ * Bring a wallet file to the current version: version 1 (plaintext keys)
+ * becomes a keystore { kind: 'raw-keys' } under `password`, in place.
+ * Other copies of the old file still hold the keys.
+ *
+ * @param {{ walletFile?: string, password: string, kdfParams?: object }} opts
+ * @returns {{ from: number, to: number }}
+ */
+export function migrateWalletFile(opts) {
+  const walletFile = opts.walletFile ?? WALLET_FILE;
+  const local = loadWalletFile(walletFile);
+  if (!local) throw new Error(`wallet migrate: no wallet file at ${walletFile}`);
+  const from = local.version;
+  if (from === WALLET_FILE_VERSION) return { from, to: from };
+
+  for (const name of ['alicePriv', 'bobPriv']) createWallet(name, local[name]); // reject malformed keys now
+  const keystore = sealKeystore(
+    { kind: RAW_KEYS_PAYLOAD_KIND, alicePriv: local.alicePriv, bobPriv: local.bobPriv },
+    opts.password,
+    opts.kdfParams,
+  );
+  writeWalletFile(walletFile, { version: WALLET_FILE_VERSION, keystore, paycodes: local.paycodes ?? {} });
+  return { from, to: WALLET_FILE_VERSION };
+}
+
+/** @returns {Promise<{ file: string, exists: boolean, version: number|null, encrypted: boolean, unlockedUntil: string|null }>} */
+export async function walletStatus(opts = {}) {
+  const walletFile = opts.walletFile ?? WALLET_FILE;
+  const local = loadWalletFile(walletFile);
+  const session = local?.version === WALLET_FILE_VERSION ? await readSession(walletFile, local.keystore) : null;
+  const unlockedUntil = session?.expires ?? null;
+  return {
+    file: walletFile,
+    exists: !!local,
+    version: local?.version ?? null,
+    encrypted: !!local && local.version > 1,
+    unlockedUntil,
+  };
+}
+
+/**
+ * `node dist/demo.js wallet <unlock [minutes] | lock | passwd | migrate | status>`
+ * Passwords come from prompts (or WALLET_PASSWORD / WALLET_NEW_PASSWORD).
+ */
+export async function walletCli(args) {
+  const [command, arg] = args;
+  const askNew = async () => {
+    const fromEnv = process.env.WALLET_NEW_PASSWORD;
+    if (fromEnv) return fromEnv;
+    return promptNewPassword('new password');
+  };
+
+  switch (command) {
+    case 'unlock': {
+      const minutes = arg === undefined ? WALLET_SESSION_MINUTES : Number(arg);
+      if (!(minutes > 0)) throw new Error('wallet unlock: minutes must be a positive number');
+      const { expires } = await unlockWallet({ minutes });
+      console.log(`🔓 Wallet unlocked until ${expires}. Run \`wallet lock\` to lock it sooner.`);
+      return;
+    }
+    case 'lock':
+      console.log((await lockWallet()) ? '🔒 Wallet locked.' : 'Wallet was not unlocked.');
+      return;
+    case 'passwd': {
+      const oldPassword = process.env.WALLET_PASSWORD ?? (await promptPassword('current password'));
+      await changeWalletPassphrase({ oldPassword, newPassword: await askNew() });
+      console.log('✅ Wallet password changed (wallet locked).');
+      return;
+    }
+    case 'migrate': {
+      const local = loadWalletFile(WALLET_FILE);
+      if (local?.version === WALLET_FILE_VERSION) {
+        console.log('Wallet file is already current.');
+        return;
+      }
+      const { from, to } = migrateWalletFile({ password: await askNew() });
+      console.log(`✅ Migrated ${WALLET_FILE} from version ${from} to ${to}.`);
+      console.log('   Delete any other copies of the old plaintext file.');
+      return;
+    }
+    case 'status': {
+      const st = await walletStatus();
+      console.log(
+        st.exists
+          ? `${st.file}: version ${st.version}, ${st.encrypted ? 'encrypted' : 'PLAINTEXT'}, ` +
+            `${st.unlockedUntil ? `unlocked until ${st.unlockedUntil}` : 'locked'}`
+          : `${st.file}: no wallet file`,
+      );
+      return;
+    }
+    default:
+      throw new Error('usage: wallet <unlock [minutes] | lock | passwd | migrate | status>');
+  }
+}
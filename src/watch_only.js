@@ -0,0 +1,232 @@
+// src/watch_only.js
+// -----------------------------------------------------------------------------
+// Watch-only paycode wallets: detect, but never spend.
+//
+// A watch-only wallet holds the paycode's scan private key and its spend
+// *public* key. That is enough for the receiver side of RPA (scanner.js):
+// the ECDH shared secret, the child pubkeys (ckdPubFromSecret), and the
+// session keys that open CTN1 notes. It is not enough for any oneTimePriv.
+//
+// What it found is exported as an unsigned spend template: the unsigned tx
+// plus, per input, the child key's additive tweak (derivation.js
+// ckdTweakFromSecret). The spend-key holder signs it offline with
+//   child priv = spend priv + tweak (mod n)
+// and never needs the scan key or the chain.
+//
+// Labeled payments (derivation.js rpaLabelTweak) need only the scan key too;
+// the wallet carries the label numbers to look for, and a match's tweak
+// already includes its label tweak.
+//
+// v1 paycodes use one key for scanning and spending, so they cannot be split
+// this way and are rejected.
+// -----------------------------------------------------------------------------
+
+import { secp256k1 } from '@noble/curves/secp256k1.js';
+import { _hash160, bytesToHex, hexToBytes, arraysEqual, concat, sha256, pushDataPrefix, bchSchnorrSign, bchSchnorrVerify } from './utils.js';
+import { getP2PKHScript, getPreimage, buildRawTx, estimateTxSize } from './tx.js';
+import { applyCkdTweak, assertRpaLabel } from './derivation.js';
+import { parsePaycode } from './paycodes.js';
+import { txidFromRaw, MATCH_KIND_P2PKH } from './scanner.js';
+import { DUST } from './config.js';
+
+export const WATCH_ONLY_FORMAT = 'bch-ct-watch-only';
+export const WATCH_ONLY_VERSION = 1;
+export const SPEND_TEMPLATE_FORMAT = 'bch-ct-spend-template';
+export const SPEND_TEMPLATE_VERSION = 1;
+
+const SIGHASH_ALL_FORKID = 0x41;
+
+// Matches straight from scanTransaction() hold bytes; loaded from a JSON scan
+// store they hold hex
+const asBytes = (v) => (v == null ? null : v instanceof Uint8Array ? v : hexToBytes(v));
+
+/**
+ * Watch-only wallet for a v2 paycode, from the paycode and its scan key.
+ * @param {{ paycode: string, scanPrivBytes: Uint8Array, labels?: number[] }} keys
+ * @param {{ network?: string|null }} [opts] - passed to parsePaycode
+ * @returns {{ watchOnly: true, paycode: string, scanPrivBytes: Uint8Array, spendPub33: Uint8Array, labels: number[] }}
+ */
+export function createWatchOnlyWallet({ paycode, scanPrivBytes, labels = [] }, opts = {}) {
+  const parsed = parsePaycode(paycode, opts);
+  if (parsed.version !== 2) {
+    throw new Error('createWatchOnlyWallet: v1 paycodes share one key for scan and spend; watch-only needs a v2 paycode');
+  }
+  if (!(scanPrivBytes instanceof Uint8Array) || scanPrivBytes.length !== 32) {
+    throw new Error('createWatchOnlyWallet: scanPrivBytes must be a 32-byte Uint8Array');
+  }
+  if (!arraysEqual(secp256k1.getPublicKey(scanPrivBytes, true), parsed.scanPub33)) {
+    throw new Error('createWatchOnlyWallet: scan key does not belong to this paycode');
+  }
+  labels.forEach((label) => assertRpaLabel('createWatchOnlyWallet', label));
+  return { watchOnly: true, paycode, scanPrivBytes, spendPub33: parsed.spendPub33, labels: [...labels] };
+}
+
+/**
+ * Watch-only export of a full wallet or identity (anything with `paycode` and
+ * `scanPrivBytes`). Holds no spend secret, but the scan key reveals every
+ * payment to the paycode: keep it private.
+ */
+export function exportWatchOnly(wallet) {
+  const { paycode, scanPrivBytes, labels } = createWatchOnlyWallet(wallet, { network: null });
+  return {
+    format: WATCH_ONLY_FORMAT,
+    version: WATCH_ONLY_VERSION,
+    paycode,
+    scanPriv: bytesToHex(scanPrivBytes),
+    ...(labels.length && { labels }),
+  };
+}
+
+export function watchOnlyFromExport(exported, opts = {}) {
+  if (exported?.format !== WATCH_ONLY_FORMAT || exported.version !== WATCH_ONLY_VERSION) {
+    throw new Error(`watchOnlyFromExport: not a version ${WATCH_ONLY_VERSION} watch-only export`);
+  }
+  return createWatchOnlyWallet(
+    { paycode: exported.paycode, scanPrivBytes: hexToBytes(exported.scanPriv), labels: exported.labels },
+    opts,
+  );
+}
+
+/* ========================================================================== */
+/* Unsigned spend templates                                                   */
+/* ========================================================================== */
+
+/**
+ * Unsigned transaction sweeping scanner matches to one destination.
+ *
+ *   - a token-carrying input keeps its token and value: one output each,
+ *     token prefix + destination
+ *   - plain inputs pay the fee; the rest goes to the destination
+ *
+ * Only P2PKH matches can be templated; covenant (note) matches are spent by
+ * the covenant's own builder (send_return.js buildBobReturnTx).
+ *
+ * @param {{
+ *   paycode: string,               // the paycode the matches were paid to
+ *   matches: object[],             // scanner matches (bytes or JSON form)
+ *   destinationScript: Uint8Array, // P2PKH / P2SH locking script, no token prefix
+ *   feeRate?: number,              // sat/byte over estimateTxSize (default 1)
+ * }} params
+ * @returns {object} JSON-ready template, see signSpendTemplate()
+ */
+export function buildSpendTemplate(params) {
+  const { paycode, matches, destinationScript, feeRate = 1 } = params;
+  if (!Array.isArray(matches) || matches.length === 0) throw new Error('buildSpendTemplate: no matches to spend');
+  if (!(destinationScript instanceof Uint8Array)) throw new Error('buildSpendTemplate: destinationScript must be a Uint8Array');
+  const { spendPub33 } = parsePaycode(paycode, { network: null });
+
+  const inputs = matches.map((m) => {
+    if (m.kind !== MATCH_KIND_P2PKH) {
+      throw new Error(`buildSpendTemplate: ${m.txid}:${m.vout} is a ${m.kind} match; only P2PKH outputs can be templated`);
+    }
+    if (!m.tweak) throw new Error(`buildSpendTemplate: ${m.txid}:${m.vout} has no tweak (found by an older scanner); rescan it`);
+    const value = BigInt(m.value);
+    if (value > BigInt(Number.MAX_SAFE_INTEGER)) throw new Error('buildSpendTemplate: value exceeds the safe integer range');
+    const tokenPrefix = asBytes(m.tokenPrefix);
+    return {
+      txid: m.txid,
+      vout: m.vout,
+      value: Number(value),
+      tokenPrefix: tokenPrefix && tokenPrefix.length ? tokenPrefix : null,
+      index: m.index,
+      childPub33: asBytes(m.childPub33),
+      childHash160: asBytes(m.childHash160),
+      tweak: asBytes(m.tweak),
+    };
+  });
+  for (const i of inputs) {
+    // The tweak must explain the matched key, or the signer would sign for nothing
+    const child = secp256k1.Point.fromBytes(spendPub33).add(secp256k1.Point.BASE.multiply(BigInt(`0x${bytesToHex(i.tweak)}`)));
+    if (!arraysEqual(child.toBytes(true), i.childPub33) || !arraysEqual(_hash160(i.childPub33), i.childHash160)) {
+      throw new Error(`buildSpendTemplate: ${i.txid}:${i.vout} was not paid to this paycode`);
+    }
+  }
+
+  const tokenInputs = inputs.filter((i) => i.tokenPrefix);
+  const plainInputs = inputs.filter((i) => !i.tokenPrefix);
+  const outputs = tokenInputs.map((i) => ({ value: i.value, scriptPubKey: concat(i.tokenPrefix, destinationScript) }));
+  const fee = Math.ceil(estimateTxSize(inputs.length, outputs.length + 1) * feeRate);
+  const rest = plainInputs.reduce((a, i) => a + i.value, 0) - fee;
+  if (rest < DUST) {
+    throw new Error(`buildSpendTemplate: plain inputs (${rest + fee} sats) do not cover the fee ${fee} plus a ${DUST}-sat output`);
+  }
+  outputs.push({ value: rest, scriptPubKey: destinationScript });
+
+  const tx = {
+    version: 2,
+    inputs: inputs.map(({ txid, vout }) => ({ txid, vout, sequence: 0xffffffff, scriptSig: new Uint8Array() })),
+    outputs,
+    locktime: 0,
+  };
+  return {
+    format: SPEND_TEMPLATE_FORMAT,
+    version: SPEND_TEMPLATE_VERSION,
+    paycode,
+    fee,
+    unsignedHex: buildRawTx(tx),
+    tx: {
+      version: tx.version,
+      locktime: tx.locktime,
+      inputs: tx.inputs.map(({ txid, vout, sequence }) => ({ txid, vout, sequence })),
+      outputs: outputs.map((o) => ({ value: o.value, scriptPubKey: bytesToHex(o.scriptPubKey) })),
+    },
+    inputs: inputs.map((i) => ({
+      value: i.value,
+      tokenPrefix: i.tokenPrefix && bytesToHex(i.tokenPrefix),
+      index: i.index,
+      childPub33: bytesToHex(i.childPub33),
+      childHash160: bytesToHex(i.childHash160),
+      tweak: bytesToHex(i.tweak),
+    })),
+  };
+}
+
+/**
+ * Sign a buildSpendTemplate() template with the paycode's spend key: each
+ * input's child key is spend priv + tweak, checked against the template's
+ * child pubkey hash before signing (token-aware sighash, tx.js getPreimage).
+ * Nothing is broadcast.
+ *
+ * @param {object} template
+ * @param {Uint8Array} spendPrivBytes
+ * @returns {{ tx: object, hex: string, txid: string }}
+ */
+export function signSpendTemplate(template, spendPrivBytes) {
+  if (template?.format !== SPEND_TEMPLATE_FORMAT || template.version !== SPEND_TEMPLATE_VERSION) {
+    throw new Error(`signSpendTemplate: not a version ${SPEND_TEMPLATE_VERSION} spend template`);
+  }
+  const { spendPub33 } = parsePaycode(template.paycode, { network: null });
+  if (!arraysEqual(secp256k1.getPublicKey(spendPrivBytes, true), spendPub33)) {
+    throw new Error('signSpendTemplate: spend key does not belong to the template paycode');
+  }
+
+  const tx = {
+    version: template.tx.version,
+    locktime: template.tx.locktime,
+    inputs: template.tx.inputs.map((i) => ({ ...i, scriptSig: new Uint8Array() })),
+    outputs: template.tx.outputs.map((o) => ({ value: o.value, scriptPubKey: hexToBytes(o.scriptPubKey) })),
+  };
+  // What the holder reviewed (unsignedHex) must be what gets signed
+  if (buildRawTx(tx) !== template.unsignedHex) {
+    throw new Error('signSpendTemplate: template tx does not match its unsignedHex');
+  }
+  if (template.inputs.length !== tx.inputs.length) throw new Error('signSpendTemplate: input metadata count mismatch');
+
+  template.inputs.forEach((meta, i) => {
+    const childPriv = applyCkdTweak(spendPrivBytes, hexToBytes(meta.tweak));
+    const childPub33 = secp256k1.getPublicKey(childPriv, true);
+    const childHash160 = _hash160(childPub33);
+    if (bytesToHex(childHash160) !== meta.childHash160) {
+      throw new Error(`signSpendTemplate: input ${i} does not derive to its template key`);
+    }
+    const tokenPrefix = meta.tokenPrefix ? hexToBytes(meta.tokenPrefix) : null;
+    const preimage = getPreimage(tx, i, getP2PKHScript(childHash160), meta.value, SIGHASH_ALL_FORKID, tokenPrefix);
+    const sighash = sha256(sha256(preimage));
+    const sig65 = concat(bchSchnorrSign(sighash, childPriv, childPub33), Uint8Array.of(SIGHASH_ALL_FORKID));
+    if (!bchSchnorrVerify(sig65, sighash, childPub33)) throw new Error(`signSpendTemplate: signature check failed on input ${i}`);
+    tx.inputs[i].scriptSig = concat(pushDataPrefix(sig65.length), sig65, pushDataPrefix(childPub33.length), childPub33);
+  });
+
+  const hex = buildRawTx(tx);
+  return { tx, hex, txid: txidFromRaw(hex) };
+}
@@ -1,9 +1,17 @@
 // src/zk.js
 // -----------------------------------------------------------------------------
 // Zero-knowledge primitives for a 64-bit Sigma range proof over secp256k1.
-// - Deterministic prover using seeded randomness (reproducible transcripts)
+// - Deterministic prover using seeded randomness (reproducible transcripts),
+//   with optional hedged / recoverable nonce modes (see nonces.js)
 // - Compatible with noble-curves v2 API style
 // - Preserves the classic "OR-of-two-statements per bit" Sigma construction
+// - Amount envelopes can alternatively carry a Bulletproofs range proof
+//   (see bulletproofs.js) or a Borromean ring-signature range proof (see
+//   borromean.js); verification dispatches on the header protocolTag
+// - CTv2 envelopes draw every challenge from a Transcript (transcript.js)
+//   that has absorbed the full header; CTv1 (legacy hashing) still verifies
+// - Provers take a `generatorVersion` (pedersen.js, default legacy); envelopes
+//   record its H as H33 and verifiers dispatch on it
 //
 // Conventions:
 // - Points are compressed (33 bytes) in serialization
@@ -13,10 +21,64 @@
 
 // Dependencies
 import { secp256k1 } from '@noble/curves/secp256k1.js';
+import { pippenger } from '@noble/curves/abstract/curve.js';
 import { sha256 } from '@noble/hashes/sha2.js';
-import { bytesToBigInt, bigIntToBytes, concat, uint64le } from './utils.js';
-import { getH as getPedersenH, toCompressed } from './pedersen.js';
-import { buildProofEnvelope, parseProofEnvelope } from './transcript.js';
+import { randomBytes } from 'crypto';
+import {
+  bytesToBigInt,
+  bigIntToBytes,
+  concat,
+  uint64le,
+  hexToBytes,
+  bchSchnorrSign,
+  bchSchnorrVerify,
+} from './utils.js';
+import {
+  getH as getPedersenH,
+  getAssetH,
+  pedersenCommit64,
+  pedersenCommit64Legacy,
+  toCompressed,
+  generatorVersionOf,
+  GENERATOR_VERSION_LEGACY,
+  GENERATOR_VERSION_SSWU,
+} from './pedersen.js';
+import {
+  buildProofEnvelope,
+  buildProofEnvelopeHeader,
+  parseProofEnvelope,
+  parseProofEnvelopeHeader,
+  createEnvelopeTranscript,
+  buildBalanceEnvelope,
+  buildBalanceEnvelopeHeader,
+  parseBalanceEnvelope,
+  createBalanceTranscript,
+  Transcript,
+  ENVELOPE_VERSION_1,
+  ENVELOPE_VERSION_2,
+} from './transcript.js';
+import {
+  generateBulletproofRangeProof,
+  serializeBulletproof,
+  deserializeBulletproof,
+  verifyBulletproofRangeProof,
+  BP_ALLOWED_BITS,
+} from './bulletproofs.js';
+import {
+  generateBorromeanRangeProof,
+  serializeBorromeanProof,
+  deserializeBorromeanProof,
+  verifyBorromeanRangeProof,
+} from './borromean.js';
+import {
+  resolveNonceSeed,
+  NONCE_MODE_DETERMINISTIC,
+  NONCE_MODE_HEDGED,
+  NONCE_MODE_RECOVERABLE,
+} from './nonces.js';
+
+export { NONCE_MODE_DETERMINISTIC, NONCE_MODE_HEDGED, NONCE_MODE_RECOVERABLE };
+export { GENERATOR_VERSION_LEGACY, GENERATOR_VERSION_SSWU };
 
 /* ========================================================================== */
 /* Curve constants & generators                                               */
@@ -27,8 +89,10 @@ const G = Point.BASE;
 const CURVE = Point.CURVE();
 const n = CURVE.n;
 
-// Re-use the same H as pedersenCommit64 / NFT commitments.
+// Re-use the same H as pedersenCommit64 / NFT commitments (canonical C = v*H + r*G).
 // This makes the ZK proof, envelope header, and CT math all talk about the same generator.
+// H is the legacy generator, the default; `generatorVersion` options (pedersen.js)
+// select another version's H, and envelopes record it in the header H33.
 const H = getPedersenH();
 
 /* ========================================================================== */
@@ -36,32 +100,161 @@ const H = getPedersenH();
 /* ========================================================================== */
 
 // Centralize bit-width to ensure code, logs, and serialization stay in sync.
+// BITS is the default; callers may prove any width in [MIN_RANGE_BITS, MAX_RANGE_BITS].
 export const BITS = 64;
+export const MIN_RANGE_BITS = 1;
+export const MAX_RANGE_BITS = 64;
+
+// Serialized Sigma proof: C(33) + bits * (C_i(33) + A0,A1(66) + e0,z0,e1,z1(128))
+const SIGMA_BIT_BYTES = 33 + 66 + 128;
+
+// Range-proof backends selectable per envelope, and the protocolTag each one
+// writes into the envelope header. verifyAmountProofEnvelope() dispatches on the tag.
+export const RANGE_BACKEND_SIGMA64 = 'sigma64';
+export const RANGE_BACKEND_BULLETPROOF = 'bulletproof';
+export const RANGE_BACKEND_BORROMEAN = 'borromean';
+
+export const PROTOCOL_TAG_SIGMA64 = 'BCH-CT/Sigma64-v1';
+export const PROTOCOL_TAG_BULLETPROOF = 'BCH-CT/BP64-v1';
+export const PROTOCOL_TAG_BORROMEAN = 'BCH-CT/Borromean64-v1';
+
+export const PROTOCOL_TAG_BALANCE = 'BCH-CT/Balance-v1';
+
+const BACKEND_TAGS = {
+  [RANGE_BACKEND_SIGMA64]: PROTOCOL_TAG_SIGMA64,
+  [RANGE_BACKEND_BULLETPROOF]: PROTOCOL_TAG_BULLETPROOF,
+  [RANGE_BACKEND_BORROMEAN]: PROTOCOL_TAG_BORROMEAN,
+};
+
+/* ========================================================================== */
+/* Helpers                                                                    */
+/* ========================================================================== */
+
+// noble-curves v2 refuses multiply(0n); a zero value or shift is legitimate here.
+function mulSafe(P, k) {
+  const kk = ((k % n) + n) % n;
+  return kk === 0n ? Point.ZERO : P.multiply(kk);
+}
+
+// Blinding given as bigint (reduced mod n) or 32 bytes (Fn.fromBytes).
+function normScalar(x) {
+  return typeof x === 'bigint' ? ((x % n) + n) % n : Point.Fn.fromBytes(x);
+}
+
+function assertRangeBits(bits, who) {
+  if (!Number.isInteger(bits) || bits < MIN_RANGE_BITS || bits > MAX_RANGE_BITS) {
+    throw new Error(`${who}: bits must be an integer in [${MIN_RANGE_BITS}, ${MAX_RANGE_BITS}]`);
+  }
+}
+
+/**
+ * Smallest bit width k such that an interval [min, max] fits in [0, 2^k),
+ * i.e. max - min < 2^k. Both shifted range proofs use this width.
+ * @param {number|bigint} min
+ * @param {number|bigint} max
+ * @returns {number}
+ */
+export function intervalRangeBits(min, max) {
+  const lo = BigInt(min);
+  const hi = BigInt(max);
+  if (lo < 0n || hi >= (1n << 64n) || lo > hi) {
+    throw new Error('intervalRangeBits: need 0 <= min <= max < 2^64');
+  }
+  const span = hi - lo;
+  let k = MIN_RANGE_BITS;
+  while ((1n << BigInt(k)) <= span) k++;
+  return k;
+}
 
 /* ========================================================================== */
 /* Pedersen commitment                                                        */
 /* ========================================================================== */
 
 /**
- * Pedersen commitment C = v*H + r*G
+ * Pedersen commitment C = v*H + r*G — the canonical scheme, identical to
+ * pedersenCommit64(v, r) without an asset id.
  * @param {number|bigint} v - committed value (interpreted as bigint)
  * @param {bigint|Uint8Array} r - blinding (scalar or bytes -> scalar mod n)
+ * @param {secp256k1.Point} [generator=H] - value generator, e.g. a blinded
+ *   asset tag from surjection.js (C = v*tag + r*G)
  * @returns {secp256k1.Point} - commitment point
  */
-export function pedersenCommit(v, r) {
+export function pedersenCommit(v, r, generator = H) {
   const vBig = BigInt(v);
   const rBig = typeof r === 'bigint'
     ? (r % n + n) % n
     : Point.Fn.fromBytes(r); // v2-safe reduction
-  return H.multiply(vBig).add(G.multiply(rBig));
+  return mulSafe(generator, vBig).add(mulSafe(G, rBig));
 }
 
 /* ========================================================================== */
-/* Sigma range proof (64-bit)                                                 */
+/* Sigma nonce derivation                                                     */
 /* ========================================================================== */
+
 /**
- * Generate a 64-bit Sigma range proof that v is in [0, 2^64).
+ * Resolve the seed every Sigma nonce and bit blinding is derived from
+ * (nonces.js). With a transcript the result is additionally re-keyed with its
+ * state, so hedged nonces also depend on the statement being proven.
+ */
+function sigmaNonceSeed(seedBytes, { nonceMode, zkSeed, blinding, transcript }) {
+  const base = resolveNonceSeed('generateSigmaRangeProof', seedBytes, {
+    nonceMode,
+    zkSeed,
+    blindings: blinding !== undefined && blinding !== null ? [bigIntToBytes(normScalar(blinding), 32)] : [],
+  });
+  // Bind nonces to the transcript so one seed never answers two different challenges.
+  return transcript ? transcript.witnessBytes('sigma/seed', base) : base;
+}
+
+/* ========================================================================== */
+/* Sigma Fiat–Shamir                                                          */
+/* ========================================================================== */
+
+const SIGMA_DOMAIN = new TextEncoder().encode('BCH-CT/Sigma-v1');
+
+// Transcript mode: absorb the statement (C and every C_i, plus the value
+// generator when it is not the default H) before any bit's A0/A1.
+function sigmaAbsorbStatement(transcript, C, commitments, generator) {
+  transcript.appendMessage('sigma/dom-sep', SIGMA_DOMAIN);
+  if (!generator.equals(H)) transcript.appendPoint('sigma/generator', generator);
+  transcript.appendU64('sigma/bits', commitments.length);
+  transcript.appendPoint('sigma/C', C);
+  for (const C_i of commitments) transcript.appendPoint('sigma/C_i', C_i);
+}
+
+// Per-bit challenge: legacy e = H(A0 || A1 || C_i), or the next transcript challenge.
+function sigmaChallenge(transcript, A0, A1, C_i) {
+  if (!transcript) {
+    return Point.Fn.fromBytes(sha256(concat(A0.toBytes(true), A1.toBytes(true), C_i.toBytes(true))));
+  }
+  transcript.appendPoint('sigma/A0', A0);
+  transcript.appendPoint('sigma/A1', A1);
+  return transcript.challengeScalar('sigma/e');
+}
+
+// Recompute every per-bit challenge of a proof, in prover order.
+function sigmaChallenges(proof, transcript, generator) {
+  if (transcript) sigmaAbsorbStatement(transcript, proof.C, proof.commitments, generator);
+  return proof.proofs.map((p, i) => sigmaChallenge(transcript, p.A0, p.A1, proof.commitments[i]));
+}
+
+/* ========================================================================== */
+/* Sigma range proof (k-bit, default 64)                                      */
+/* ========================================================================== */
+/**
+ * Generate a k-bit Sigma range proof that v is in [0, 2^k) (k = opts.bits, default 64).
  * Deterministic via `seedBytes`: all prover randomness is derived from seed.
+ * If `opts.blinding` is given, the last bit's blinding is solved for so that
+ * the aggregate commitment is exactly C = v*H + blinding*G.
+ * If `opts.transcript` is given, challenges are drawn from it (after absorbing
+ * C and every C_i) and the seed is re-keyed with the transcript state; the
+ * verifier must be handed a transcript in the same state.
+ * If `opts.generator` is given (e.g. a blinded asset tag), it replaces H:
+ * C = v*generator + r*G, and the verifier must use the same generator.
+ * Otherwise `opts.generatorVersion` (default legacy) selects H.
+ * `opts.nonceMode` selects how nonces are derived from the seed (default
+ * deterministic); 'recoverable' also needs `opts.zkSeed`. Verification is
+ * the same for every mode.
  *
  * Protocol sketch per bit i:
  *  - Commit C_i = r_i*G            if bit=0
@@ -69,47 +262,83 @@ export function pedersenCommit(v, r) {
  *  - Prove in Sigma that either C_i == r_i*G (b=0) OR (C_i - H) == r_i*G (b=1)
  *  - Fiat–Shamir to combine e0,e1: e = H(A0 || A1 || C_i), with e0+e1 = e
  *
- * @param {number|bigint} v - integer value, 0 <= v < 2^64
+ * @param {number|bigint} v - integer value, 0 <= v < 2^bits
  * @param {Uint8Array} seedBytes - seed for deterministic randomness
+ * @param {{
+ *   bits?: number,
+ *   blinding?: bigint|Uint8Array,
+ *   transcript?: import('./transcript.js').Transcript,
+ *   generator?: secp256k1.Point,
+ *   generatorVersion?: string,
+ *   nonceMode?: 'deterministic'|'hedged'|'recoverable',
+ *   zkSeed?: Uint8Array,
+ * }} [opts]
  * @returns {{
+ *   bits: number,
  *   C: secp256k1.Point,
  *   commitments: secp256k1.Point[],
  *   proofs: {A0: secp256k1.Point, A1: secp256k1.Point, e0: bigint, z0: bigint, e1: bigint, z1: bigint}[],
- *   C_bytes: Uint8Array
+ *   C_bytes: Uint8Array,
+ *   blinding: bigint
  * }}
  */
-export function generateSigmaRangeProof(v, seedBytes) {
+export function generateSigmaRangeProof(v, seedBytes, opts = {}) {
+  const {
+    bits = BITS,
+    blinding,
+    transcript = null,
+    generatorVersion = GENERATOR_VERSION_LEGACY,
+    generator = getPedersenH(generatorVersion),
+    nonceMode = NONCE_MODE_DETERMINISTIC,
+    zkSeed,
+  } = opts;
+  assertRangeBits(bits, 'generateSigmaRangeProof');
   const vBig = BigInt(v);
-  if (vBig < 0n || vBig >= (1n << 64n)) throw new Error('v out of 64-bit range');
+  if (vBig < 0n || vBig >= (1n << BigInt(bits))) throw new Error(`v out of ${bits}-bit range`);
+  const seed = sigmaNonceSeed(seedBytes, { nonceMode, zkSeed, blinding, transcript });
 
   const commitments = []; // C_i per bit
   const proofs = [];      // per-bit OR-proof tuples
+  const rs = [];          // per-bit blindings
   let r = 0n;             // aggregated blinding for C
 
+  // Per-bit blindings (v2-safe scalar derivation, no manual % n)
+  for (let i = 0; i < bits; i++) {
+    rs.push(Point.Fn.fromBytes(sha256(concat(seed, uint64le(i), uint64le(0)))));
+  }
+  if (blinding !== undefined && blinding !== null) {
+    // Solve r_last so that sum_i 2^i * r_i == target (mod n)
+    const target = typeof blinding === 'bigint' ? ((blinding % n) + n) % n : Point.Fn.fromBytes(blinding);
+    let partial = 0n;
+    for (let i = 0; i < bits - 1; i++) partial = (partial + (1n << BigInt(i)) * rs[i]) % n;
+    const last = bits - 1;
+    rs[last] = (((target - partial) % n + n) % n) * Point.Fn.inv(1n << BigInt(last)) % n;
+  }
+
   // Commit to each bit
-  for (let i = 0; i < BITS; i++) {
+  for (let i = 0; i < bits; i++) {
     const bit = Number((vBig >> BigInt(i)) & 1n);
-    // v2-safe scalar derivation (no manual % n)
-    const ri = Point.Fn.fromBytes(sha256(concat(seedBytes, uint64le(i), uint64le(0))));
-    const C_i = bit ? H.add(G.multiply(ri)) : G.multiply(ri);
+    const ri = rs[i];
+    const C_i = bit ? generator.add(mulSafe(G, ri)) : mulSafe(G, ri);
     commitments.push(C_i);
     r = (r + (1n << BigInt(i)) * ri) % n;
   }
 
   // Aggregate commitment C = v*H + r*G
-  const C = H.multiply(vBig).add(G.multiply(r));
+  const C = mulSafe(generator, vBig).add(mulSafe(G, r));
+  if (transcript) sigmaAbsorbStatement(transcript, C, commitments, generator);
 
   // Per-bit Sigma OR-proofs
-  for (let i = 0; i < BITS; i++) {
+  for (let i = 0; i < bits; i++) {
     const bit = Number((vBig >> BigInt(i)) & 1n);
-    const ri = Point.Fn.fromBytes(sha256(concat(seedBytes, uint64le(i), uint64le(0))));
+    const ri = rs[i];
     const C_i = commitments[i];
 
     // Two statements:
     // D0: C_i == r_i*G         (true if bit=0)
     // D1: C_i - H == r_i*G     (true if bit=1)
     const D0 = C_i;
-    const D1 = C_i.subtract(H);
+    const D1 = C_i.subtract(generator);
 
     const real = bit;         // which statement is true (0 or 1)
     const sim = 1 - bit;      // the simulated side
@@ -117,12 +346,12 @@ export function generateSigmaRangeProof(v, seedBytes) {
     const D_sim  = real ? D0 : D1;
 
     // Real-side randomness
-    const k_real = Point.Fn.fromBytes(sha256(concat(seedBytes, uint64le(i), uint64le(1))));
+    const k_real = Point.Fn.fromBytes(sha256(concat(seed, uint64le(i), uint64le(1))));
     const A_real = G.multiply(k_real);
 
     // Simulated side (Fiat–Shamir later enforces e0+e1)
-    const e_sim = Point.Fn.fromBytes(sha256(concat(seedBytes, uint64le(i), uint64le(2))));
-    const z_sim = Point.Fn.fromBytes(sha256(concat(seedBytes, uint64le(i), uint64le(3))));
+    const e_sim = Point.Fn.fromBytes(sha256(concat(seed, uint64le(i), uint64le(2))));
+    const z_sim = Point.Fn.fromBytes(sha256(concat(seed, uint64le(i), uint64le(3))));
     const A_sim = G.multiply(z_sim).subtract(D_sim.multiply(e_sim));
 
     // Order transcripts consistently as (A0, A1)
@@ -130,9 +359,7 @@ export function generateSigmaRangeProof(v, seedBytes) {
     const A1 = real === 0 ? A_sim  : A_real;
 
     // Fiat–Shamir challenge for the bit (v2-safe reduction)
-    const e = Point.Fn.fromBytes(
-      sha256(concat(A0.toBytes(true), A1.toBytes(true), C_i.toBytes(true)))
-    );
+    const e = sigmaChallenge(transcript, A0, A1, C_i);
 
     // Split challenge: e_real = e - e_sim mod n
     const e_real = (e - e_sim + n) % n;
@@ -149,12 +376,12 @@ export function generateSigmaRangeProof(v, seedBytes) {
 
   // Internal aggregate check (developer guard)
   let aggC = Point.ZERO;
-  for (let i = 0; i < BITS; i++) {
+  for (let i = 0; i < bits; i++) {
     aggC = aggC.add(commitments[i].multiply(1n << BigInt(i)));
   }
   if (!aggC.equals(C)) throw new Error('Aggregate mismatch between per-bit commitments and C');
 
-  return { C, commitments, proofs, C_bytes: C.toBytes(true) };
+  return { bits, C, commitments, proofs, C_bytes: C.toBytes(true), blinding: r };
 }
 
 /* ========================================================================== */
@@ -162,14 +389,16 @@ export function generateSigmaRangeProof(v, seedBytes) {
 /* ========================================================================== */
 /**
  * Serialize proof as:
- *   C(33) || C_i(33)*BITS || [ A0(33) || A1(33) || e0(32) || z0(32) || e1(32) || z1(32) ] * BITS
+ *   C(33) || C_i(33)*bits || [ A0(33) || A1(33) || e0(32) || z0(32) || e1(32) || z1(32) ] * bits
+ * The bit width is implied by the length (see deserializeProof()).
  * @param {*} proof
  * @returns {Uint8Array}
  */
 export function serializeProof(proof) {
+  const bits = proof.commitments.length;
   const parts = [proof.C_bytes];
-  for (let i = 0; i < BITS; i++) parts.push(proof.commitments[i].toBytes(true));
-  for (let i = 0; i < BITS; i++) {
+  for (let i = 0; i < bits; i++) parts.push(proof.commitments[i].toBytes(true));
+  for (let i = 0; i < bits; i++) {
     const p = proof.proofs[i];
     parts.push(p.A0.toBytes(true), p.A1.toBytes(true));
     parts.push(bigIntToBytes(p.e0, 32), bigIntToBytes(p.z0, 32));
@@ -179,9 +408,10 @@ export function serializeProof(proof) {
 }
 
 /**
- * Inverse of serializeProof().
+ * Inverse of serializeProof(). The bit width is inferred from the length.
  * @param {Uint8Array} bytes
  * @returns {{
+ *   bits: number,
  *   C: secp256k1.Point,
  *   commitments: secp256k1.Point[],
  *   proofs: {A0: secp256k1.Point, A1: secp256k1.Point, e0: bigint, z0: bigint, e1: bigint, z1: bigint}[],
@@ -189,6 +419,10 @@ export function serializeProof(proof) {
  * }}
  */
 export function deserializeProof(bytes) {
+  const bits = (bytes.length - 33) / SIGMA_BIT_BYTES;
+  if (!Number.isInteger(bits) || bits < MIN_RANGE_BITS || bits > MAX_RANGE_BITS) {
+    throw new Error(`deserializeProof: bad proof length ${bytes.length}`);
+  }
   let pos = 0;
 
   const C_bytes = bytes.slice(pos, pos + 33);
@@ -196,13 +430,13 @@ export function deserializeProof(bytes) {
   const C = Point.fromBytes(C_bytes);
 
   const commitments = [];
-  for (let i = 0; i < BITS; i++) {
+  for (let i = 0; i < bits; i++) {
     commitments.push(Point.fromBytes(bytes.slice(pos, pos + 33)));
     pos += 33;
   }
 
   const proofs = [];
-  for (let i = 0; i < BITS; i++) {
+  for (let i = 0; i < bits; i++) {
     const A0 = Point.fromBytes(bytes.slice(pos, pos + 33)); pos += 33;
     const A1 = Point.fromBytes(bytes.slice(pos, pos + 33)); pos += 33;
     const e0 = bytesToBigInt(bytes.slice(pos, pos + 32));   pos += 32;
@@ -212,17 +446,18 @@ export function deserializeProof(bytes) {
     proofs.push({ A0, A1, e0, z0, e1, z1 });
   }
 
-  return { C, commitments, proofs, C_bytes };
+  return { bits, C, commitments, proofs, C_bytes };
 }
 
 /* ========================================================================== */
 /* Verifier                                                                   */
 /* ========================================================================== */
 /**
- * Verify a 64-bit Sigma range proof.
+ * Verify a k-bit Sigma range proof (k = number of per-bit commitments).
  * Checks:
  *  - Aggregation: sum_i 2^i * C_i equals C
  *  - Fiat–Shamir consistency: e0 + e1 == H(A0 || A1 || C_i)
+ *    (or the transcript challenge, when `opts.transcript` is given)
  *  - OR-proof equations: z*G == A + e*D for both branches
  *
  * @param {{
@@ -230,30 +465,37 @@ export function deserializeProof(bytes) {
  *   commitments: secp256k1.Point[],
  *   proofs: {A0: secp256k1.Point, A1: secp256k1.Point, e0: bigint, z0: bigint, e1: bigint, z1: bigint}[]
  * }} proof
+ * @param {{
+ *   transcript?: import('./transcript.js').Transcript,
+ *   generator?: secp256k1.Point,
+ *   generatorVersion?: string,
+ * }} [opts]
  * @returns {boolean}
  */
-export function verifySigmaRangeProof(proof) {
+export function verifySigmaRangeProof(proof, opts = {}) {
+  const { transcript = null, generatorVersion = GENERATOR_VERSION_LEGACY, generator = getPedersenH(generatorVersion) } = opts;
+  const bits = proof.commitments.length;
+  if (bits < MIN_RANGE_BITS || bits > MAX_RANGE_BITS || proof.proofs.length !== bits) return false;
+  const challenges = sigmaChallenges(proof, transcript, generator);
+
   // Check aggregate commitment
   let computedC = Point.ZERO;
-  for (let i = 0; i < BITS; i++) {
+  for (let i = 0; i < bits; i++) {
     computedC = computedC.add(proof.commitments[i].multiply(1n << BigInt(i)));
   }
   if (!computedC.equals(proof.C)) return false;
 
   // Per-bit OR-proof checks
-  for (let i = 0; i < BITS; i++) {
+  for (let i = 0; i < bits; i++) {
     const p = proof.proofs[i];
     const C_i = proof.commitments[i];
 
-    // Fiat–Shamir: e = H(A0 || A1 || C_i) reduced via Fn.fromBytes()
-    const e_computed = Point.Fn.fromBytes(
-      sha256(concat(p.A0.toBytes(true), p.A1.toBytes(true), C_i.toBytes(true)))
-    );
-    if ((p.e0 + p.e1) % n !== e_computed) return false;
+    // Fiat–Shamir: e0 + e1 must equal the recomputed challenge
+    if ((p.e0 + p.e1) % n !== challenges[i]) return false;
 
     // D0 and D1 statements
     const D0 = C_i;
-    const D1 = C_i.subtract(H);
+    const D1 = C_i.subtract(generator);
 
     // Check z0*G == A0 + e0*D0
     const left0 = G.multiply(p.z0 % n);
@@ -269,6 +511,468 @@ export function verifySigmaRangeProof(proof) {
   return true;
 }
 
+/**
+ * Batch-verify many Sigma range proofs (bit widths may differ per proof).
+ *
+ * Every equation checked by verifySigmaRangeProof() is linear in the curve
+ * points, so each one is scaled by an independent random 128-bit weight and
+ * all of them are summed into a single multi-scalar multiplication:
+ *
+ *   w_agg * (sum_i 2^i * C_i - C)             == 0
+ *   u_i   * (z0*G - A0 - e0*C_i)              == 0
+ *   u'_i  * (z1*G - A1 - e1*(C_i - H))        == 0
+ *
+ * The Fiat–Shamir checks (e0 + e1 == H(A0 || A1 || C_i)) are scalar-only and
+ * are done per proof up front. If the combined check fails, each remaining
+ * proof is re-verified individually so the caller learns which ones are bad.
+ *
+ * @param {Array<ReturnType<typeof deserializeProof>>} proofs
+ * @param {{
+ *   transcripts?: Array<import('./transcript.js').Transcript|null>,
+ *   generators?: Array<secp256k1.Point|null>,
+ *   generatorVersion?: string,
+ * }} [opts] per-proof transcripts / value generators (index-aligned with `proofs`;
+ *   missing entries mean legacy hashing / the H of `generatorVersion`, default legacy)
+ * @returns {{ ok: boolean, failed: number[] }} failed = indices into `proofs`
+ */
+export function verifySigmaRangeProofBatch(proofs, opts = {}) {
+  if (!Array.isArray(proofs)) {
+    throw new Error('verifySigmaRangeProofBatch: proofs must be an array');
+  }
+  const { transcripts = [], generators = [], generatorVersion = GENERATOR_VERSION_LEGACY } = opts;
+  const defaultGenerator = getPedersenH(generatorVersion);
+
+  const failed = [];
+  const pending = [];
+  const points = [G, H];
+  const scalars = [0n, 0n];
+  const weight = () => bytesToBigInt(randomBytes(16));
+
+  for (let j = 0; j < proofs.length; j++) {
+    const proof = proofs[j];
+    const bits = proof && Array.isArray(proof.commitments) ? proof.commitments.length : 0;
+    if (
+      !(proof?.C instanceof Point) ||
+      bits < MIN_RANGE_BITS || bits > MAX_RANGE_BITS ||
+      !Array.isArray(proof.proofs) || proof.proofs.length !== bits
+    ) {
+      failed.push(j);
+      continue;
+    }
+
+    // Scalar-only Fiat–Shamir checks (on a copy: the fallback may need the transcript again)
+    const generator = generators[j] ?? defaultGenerator;
+    const challenges = sigmaChallenges(proof, transcripts[j] ? transcripts[j].clone() : null, generator);
+    let fsOk = true;
+    for (let i = 0; i < bits && fsOk; i++) {
+      const p = proof.proofs[i];
+      fsOk = (p.e0 + p.e1) % n === challenges[i];
+    }
+    if (!fsOk) {
+      failed.push(j);
+      continue;
+    }
+
+    pending.push(j);
+
+    const wAgg = weight();
+    points.push(proof.C);
+    scalars.push(n - wAgg);
+
+    // Value generator coefficient: shared slot for H, own slot otherwise
+    let genSlot = 1;
+    if (!generator.equals(H)) {
+      genSlot = points.length;
+      points.push(generator);
+      scalars.push(0n);
+    }
+
+    for (let i = 0; i < bits; i++) {
+      const p = proof.proofs[i];
+      const u0 = weight();
+      const u1 = weight();
+      const e0 = p.e0 % n;
+      const e1 = p.e1 % n;
+
+      scalars[0] = (scalars[0] + u0 * (p.z0 % n) + u1 * (p.z1 % n)) % n; // G
+      scalars[genSlot] = (scalars[genSlot] + u1 * e1) % n;               // H / generator
+
+      points.push(p.A0, p.A1, proof.commitments[i]);
+      scalars.push(
+        n - u0,
+        n - u1,
+        (((wAgg << BigInt(i)) - u0 * e0 - u1 * e1) % n + n) % n,
+      );
+    }
+  }
+
+  if (pending.length > 0 && !pippenger(Point, points, scalars).equals(Point.ZERO)) {
+    // Something in the batch is bad: fall back to per-proof verification.
+    for (const j of pending) {
+      const verifyOpts = { transcript: transcripts[j] ?? null, generator: generators[j] ?? defaultGenerator };
+      if (!verifySigmaRangeProof(proofs[j], verifyOpts)) failed.push(j);
+    }
+    failed.sort((a, b) => a - b);
+  }
+
+  return { ok: failed.length === 0, failed };
+}
+
+/* ========================================================================== */
+/* Commitment-convention equality (legacy <-> canonical)                      */
+/* ========================================================================== */
+//
+// Legacy  L = v*G + r*H   (pedersenCommit64Legacy)
+// Canonical C = v*H + s*G (pedersenCommit64, range proofs)
+//
+// Sigma proof of knowledge of (v, r, s) opening both to the same v:
+//   A1 = kv*G + kr*H,  A2 = kv*H + ks*G,  e = transcript challenge
+//   zv = kv + e*v,     zr = kr + e*r,     zs = ks + e*s
+// Verifier:  zv*G + zr*H == A1 + e*L   and   zv*H + zs*G == A2 + e*C
+//
+// Serialization: A1(33) || A2(33) || zv(32) || zr(32) || zs(32)  = 162 bytes
+
+const EQUALITY_PROOF_BYTES = 33 + 33 + 32 * 3;
+
+function equalityTranscript(Hgen, L, C, context) {
+  return new Transcript('BCH-CT/commitment-equality')
+    .appendPoint('H', Hgen)
+    .appendMessage('context', context)
+    .appendPoint('legacy', L)
+    .appendPoint('canonical', C);
+}
+
+function randomScalar() {
+  let k = 0n;
+  while (k === 0n) k = bytesToBigInt(randomBytes(32)) % n;
+  return k;
+}
+
+/**
+ * Prove that a legacy commitment and a canonical commitment open to the same value.
+ *
+ * @param {{
+ *   value: number|bigint,
+ *   legacyBlinding: bigint,          // r in L = v*G + r*H
+ *   blinding: bigint,                // s in C = v*H + s*G
+ *   assetId?: Uint8Array|null,       // selects H = getAssetH(assetId, generatorVersion)
+ *   context?: Uint8Array,            // optional binding, e.g. the outpoint of L
+ *   generatorVersion?: string,       // default legacy
+ * }} params
+ * @returns {{ legacyCommitment: secp256k1.Point, commitment: secp256k1.Point,
+ *             proof: { A1: secp256k1.Point, A2: secp256k1.Point, zv: bigint, zr: bigint, zs: bigint } }}
+ */
+export function proveCommitmentEquality({
+  value,
+  legacyBlinding,
+  blinding,
+  assetId = null,
+  context = new Uint8Array(0),
+  generatorVersion = GENERATOR_VERSION_LEGACY,
+}) {
+  const v = BigInt(value);
+  const r = ((BigInt(legacyBlinding) % n) + n) % n;
+  const s = ((BigInt(blinding) % n) + n) % n;
+  const Hgen = getAssetH(assetId, generatorVersion);
+
+  const L = pedersenCommit64Legacy(v, r, assetId, generatorVersion);
+  const C = pedersenCommit64(v, s, assetId, generatorVersion);
+
+  const t = equalityTranscript(Hgen, L, C, context);
+
+  // Hedged nonces: bound to the statement, the witness and fresh randomness.
+  const witness = concat(bigIntToBytes(v, 32), bigIntToBytes(r, 32), bigIntToBytes(s, 32), randomBytes(32));
+  const nonce = (label) => bytesToBigInt(t.witnessBytes(label, witness)) % n;
+  const kv = nonce('eq/kv');
+  const kr = nonce('eq/kr');
+  const ks = nonce('eq/ks');
+
+  const A1 = mulSafe(G, kv).add(mulSafe(Hgen, kr));
+  const A2 = mulSafe(Hgen, kv).add(mulSafe(G, ks));
+  t.appendPoint('A1', A1).appendPoint('A2', A2);
+  const e = t.challengeScalar('e');
+
+  return {
+    legacyCommitment: L,
+    commitment: C,
+    proof: {
+      A1,
+      A2,
+      zv: (kv + e * v) % n,
+      zr: (kr + e * r) % n,
+      zs: (ks + e * s) % n,
+    },
+  };
+}
+
+/**
+ * Verify a proof from proveCommitmentEquality().
+ * @param {secp256k1.Point} legacyCommitment - L = v*G + r*H
+ * @param {secp256k1.Point} commitment - C = v*H + s*G
+ * @param {{ A1, A2, zv: bigint, zr: bigint, zs: bigint }} proof
+ * @param {{ assetId?: Uint8Array|null, context?: Uint8Array, generatorVersion?: string }} [opts]
+ *   - must match the prover's
+ * @returns {boolean}
+ */
+export function verifyCommitmentEquality(legacyCommitment, commitment, proof, opts = {}) {
+  const { assetId = null, context = new Uint8Array(0), generatorVersion = GENERATOR_VERSION_LEGACY } = opts;
+  const { A1, A2, zv, zr, zs } = proof;
+  for (const z of [zv, zr, zs]) {
+    if (typeof z !== 'bigint' || z < 0n || z >= n) return false;
+  }
+  const Hgen = getAssetH(assetId, generatorVersion);
+
+  const t = equalityTranscript(Hgen, legacyCommitment, commitment, context);
+  t.appendPoint('A1', A1).appendPoint('A2', A2);
+  const e = t.challengeScalar('e');
+
+  const lhs1 = mulSafe(G, zv).add(mulSafe(Hgen, zr));
+  const rhs1 = A1.add(legacyCommitment.multiply(e));
+  if (!lhs1.equals(rhs1)) return false;
+
+  const lhs2 = mulSafe(Hgen, zv).add(mulSafe(G, zs));
+  const rhs2 = A2.add(commitment.multiply(e));
+  return lhs2.equals(rhs2);
+}
+
+export function serializeCommitmentEqualityProof(proof) {
+  return concat(
+    proof.A1.toBytes(true),
+    proof.A2.toBytes(true),
+    bigIntToBytes(proof.zv, 32),
+    bigIntToBytes(proof.zr, 32),
+    bigIntToBytes(proof.zs, 32),
+  );
+}
+
+export function deserializeCommitmentEqualityProof(bytes) {
+  if (!(bytes instanceof Uint8Array) || bytes.length !== EQUALITY_PROOF_BYTES) {
+    throw new Error(`deserializeCommitmentEqualityProof: expected ${EQUALITY_PROOF_BYTES} bytes`);
+  }
+  return {
+    A1: Point.fromBytes(bytes.slice(0, 33)),
+    A2: Point.fromBytes(bytes.slice(33, 66)),
+    zv: bytesToBigInt(bytes.slice(66, 98)),
+    zr: bytesToBigInt(bytes.slice(98, 130)),
+    zs: bytesToBigInt(bytes.slice(130, 162)),
+  };
+}
+
+/**
+ * Migration helper: move a legacy commitment (v*G + r*H) to the canonical
+ * scheme. Returns the canonical commitment, its blinding and a serialized
+ * equality proof linking it to the legacy one. Pass `blinding` (e.g. the
+ * `blinding` returned by generateSigmaRangeProof) to link an existing range
+ * proof's commitment; otherwise a fresh random blinding is chosen.
+ *
+ * @param {{ value: number|bigint, legacyBlinding: bigint, blinding?: bigint|null,
+ *           assetId?: Uint8Array|null, context?: Uint8Array, generatorVersion?: string }} params
+ * @returns {{ legacyCommitment33: Uint8Array, commitment: secp256k1.Point,
+ *             commitment33: Uint8Array, blinding: bigint, equalityProof: Uint8Array }}
+ */
+export function migrateLegacyCommitment({
+  value,
+  legacyBlinding,
+  blinding = null,
+  assetId = null,
+  context = new Uint8Array(0),
+  generatorVersion = GENERATOR_VERSION_LEGACY,
+}) {
+  const s = blinding === null ? randomScalar() : ((BigInt(blinding) % n) + n) % n;
+  const { legacyCommitment, commitment, proof } = proveCommitmentEquality({
+    value,
+    legacyBlinding,
+    blinding: s,
+    assetId,
+    context,
+    generatorVersion,
+  });
+  return {
+    legacyCommitment33: legacyCommitment.toBytes(true),
+    commitment,
+    commitment33: commitment.toBytes(true),
+    blinding: s,
+    equalityProof: serializeCommitmentEqualityProof(proof),
+  };
+}
+
+/* ========================================================================== */
+/* Proof of knowledge of a commitment opening                                 */
+/* ========================================================================== */
+//
+// For C = v*H + r*G, bound to a transaction context (outpoint + output index):
+//
+//  Opening (v and r stay secret):
+//    A = kv*H + kr*G, e = transcript challenge, zv = kv + e*v, zr = kr + e*r
+//    verify: zv*H + zr*G == A + e*C
+//    bytes:  0x01 || A(33) || zv(32) || zr(32)                     =  98 bytes
+//
+//  Revealed value (v public, r secret): Schnorr proof for C - v*H = r*G
+//    A = k*G, z = k + e*r
+//    verify: z*G == A + e*(C - v*H)
+//    bytes:  0x02 || v(u64le) || A(33) || z(32)                    =  74 bytes
+
+export const OPENING_PROOF_HIDDEN = 0x01;
+export const OPENING_PROOF_REVEALED = 0x02;
+
+function txidBytes(txid) {
+  const b = typeof txid === 'string' ? hexToBytes(txid) : txid;
+  if (!(b instanceof Uint8Array) || b.length !== 32) {
+    throw new Error('opening proof: txid must be 32 bytes (hex string or Uint8Array)');
+  }
+  return b;
+}
+
+function openingTranscript(kind, C, Hgen, { txid, vout, outIndex = 0, extraCtx = new Uint8Array(0) }) {
+  return new Transcript('BCH-CT/opening-proof')
+    .appendMessage('kind', Uint8Array.of(kind))
+    .appendPoint('H', Hgen)
+    .appendMessage('txid', txidBytes(txid))
+    .appendU64('vout', vout)
+    .appendU64('outIndex', outIndex)
+    .appendMessage('extraCtx', extraCtx)
+    .appendPoint('C', C);
+}
+
+/**
+ * Prove knowledge of the opening (v, r) of C = v*H + r*G.
+ *
+ * @param {{
+ *   value: number|bigint,
+ *   blinding: bigint|Uint8Array,
+ *   revealValue?: boolean,   // also prove C opens to this public v
+ *   txid: string|Uint8Array, // outpoint holding (or spending) the commitment
+ *   vout: number,
+ *   outIndex?: number,       // output the proof is made for (e.g. in a PSBT)
+ *   extraCtx?: Uint8Array,
+ *   generatorVersion?: string, // H of C (default legacy)
+ * }} params
+ * @returns {{ kind: number, C: secp256k1.Point, A: secp256k1.Point,
+ *             value?: bigint, zv?: bigint, zr?: bigint, z?: bigint }}
+ */
+export function generateOpeningProof({
+  value,
+  blinding,
+  revealValue = false,
+  generatorVersion = GENERATOR_VERSION_LEGACY,
+  ...ctx
+}) {
+  const v = BigInt(value);
+  if (v < 0n || v >= (1n << 64n)) throw new Error('generateOpeningProof: value must be in [0, 2^64)');
+  const r = normScalar(blinding);
+  const Hgen = getPedersenH(generatorVersion);
+  const C = pedersenCommit(v, r, Hgen);
+  const kind = revealValue ? OPENING_PROOF_REVEALED : OPENING_PROOF_HIDDEN;
+
+  const t = openingTranscript(kind, C, Hgen, ctx);
+  if (revealValue) t.appendU64('value', v);
+
+  // Hedged nonces: bound to the statement, the witness and fresh randomness.
+  const witness = concat(bigIntToBytes(v, 32), bigIntToBytes(r, 32), randomBytes(32));
+  const nonce = (label) => bytesToBigInt(t.witnessBytes(label, witness)) % n;
+
+  if (revealValue) {
+    const k = nonce('open/k');
+    const A = mulSafe(G, k);
+    t.appendPoint('A', A);
+    const e = t.challengeScalar('e');
+    return { kind, C, value: v, A, z: (k + e * r) % n };
+  }
+
+  const kv = nonce('open/kv');
+  const kr = nonce('open/kr');
+  const A = mulSafe(Hgen, kv).add(mulSafe(G, kr));
+  t.appendPoint('A', A);
+  const e = t.challengeScalar('e');
+  return { kind, C, A, zv: (kv + e * v) % n, zr: (kr + e * r) % n };
+}
+
+export function serializeOpeningProof(proof) {
+  if (proof.kind === OPENING_PROOF_REVEALED) {
+    return concat(Uint8Array.of(proof.kind), uint64le(proof.value), proof.A.toBytes(true), bigIntToBytes(proof.z, 32));
+  }
+  if (proof.kind === OPENING_PROOF_HIDDEN) {
+    return concat(
+      Uint8Array.of(proof.kind),
+      proof.A.toBytes(true),
+      bigIntToBytes(proof.zv, 32),
+      bigIntToBytes(proof.zr, 32),
+    );
+  }
+  throw new Error(`serializeOpeningProof: unknown proof kind ${proof.kind}`);
+}
+
+/**
+ * Inverse of serializeOpeningProof(). The commitment C is not part of the
+ * bytes; verifiers take it from the chain / PSBT they are checking.
+ */
+export function deserializeOpeningProof(bytes) {
+  if (!(bytes instanceof Uint8Array) || bytes.length === 0) {
+    throw new Error('deserializeOpeningProof: bytes must be a non-empty Uint8Array');
+  }
+  const kind = bytes[0];
+  if (kind === OPENING_PROOF_REVEALED) {
+    if (bytes.length !== 74) throw new Error('deserializeOpeningProof: expected 74 bytes');
+    let value = 0n;
+    for (let i = 8; i >= 1; i--) value = (value << 8n) | BigInt(bytes[i]);
+    return {
+      kind,
+      value,
+      A: Point.fromBytes(bytes.slice(9, 42)),
+      z: bytesToBigInt(bytes.slice(42, 74)),
+    };
+  }
+  if (kind === OPENING_PROOF_HIDDEN) {
+    if (bytes.length !== 98) throw new Error('deserializeOpeningProof: expected 98 bytes');
+    return {
+      kind,
+      A: Point.fromBytes(bytes.slice(1, 34)),
+      zv: bytesToBigInt(bytes.slice(34, 66)),
+      zr: bytesToBigInt(bytes.slice(66, 98)),
+    };
+  }
+  throw new Error(`deserializeOpeningProof: unknown proof kind ${kind}`);
+}
+
+/**
+ * Verify an opening proof for commitment C under the given transaction context.
+ * For a revealed-value proof, pass `expectedValue` to also pin the value.
+ *
+ * @param {secp256k1.Point|Uint8Array} commitment - C (Point or 33 bytes)
+ * @param {*} proof - from generateOpeningProof() / deserializeOpeningProof()
+ * @param {{ txid: string|Uint8Array, vout: number, outIndex?: number,
+ *           extraCtx?: Uint8Array, expectedValue?: number|bigint, generatorVersion?: string }} ctx
+ * @returns {boolean}
+ */
+export function verifyOpeningProof(commitment, proof, { expectedValue, generatorVersion = GENERATOR_VERSION_LEGACY, ...ctx }) {
+  const C = commitment instanceof Uint8Array ? Point.fromBytes(commitment) : commitment;
+  const Hgen = getPedersenH(generatorVersion);
+  const t = openingTranscript(proof.kind, C, Hgen, ctx);
+
+  if (proof.kind === OPENING_PROOF_REVEALED) {
+    if (typeof proof.z !== 'bigint' || proof.z < 0n || proof.z >= n) return false;
+    if (expectedValue !== undefined && BigInt(expectedValue) !== proof.value) return false;
+    t.appendU64('value', proof.value);
+    t.appendPoint('A', proof.A);
+    const e = t.challengeScalar('e');
+    const D = C.subtract(mulSafe(Hgen, proof.value));
+    return mulSafe(G, proof.z).equals(proof.A.add(mulSafe(D, e)));
+  }
+
+  if (proof.kind === OPENING_PROOF_HIDDEN) {
+    if (expectedValue !== undefined) return false; // nothing revealed to compare against
+    for (const z of [proof.zv, proof.zr]) {
+      if (typeof z !== 'bigint' || z < 0n || z >= n) return false;
+    }
+    t.appendPoint('A', proof.A);
+    const e = t.challengeScalar('e');
+    const lhs = mulSafe(Hgen, proof.zv).add(mulSafe(G, proof.zr));
+    return lhs.equals(proof.A.add(C.multiply(e)));
+  }
+
+  return false;
+}
+
 /* ========================================================================== */
 /* Proof hash helper (double-SHA256)                                          */
 /* ========================================================================== */
@@ -287,22 +991,174 @@ export function computeProofHash(bytes) {
   return sha256(sha256(bytes));
 }
 
+/* ========================================================================== */
+/* Interval proofs: v in [min, max] as two shifted range proofs               */
+/* ========================================================================== */
+//
+// With C = v*H + r*G and k = rangeBits such that max - min < 2^k:
+//   C_lo = C - min*H  opens to (v - min,  r)   -> prove v - min in [0, 2^k)
+//   C_hi = max*H - C  opens to (max - v, -r)   -> prove max - v in [0, 2^k)
+// (H being the envelope's generator, see the header H33.)
+// Together these give min <= v <= max. The envelope core carries C itself
+// followed by the shifted proof(s); the verifier recomputes C_lo / C_hi from C
+// and the header bounds, so a proof for different bounds cannot be replayed.
+//
+// Core layout:
+//   Sigma64:   C(33) || sigmaProof(C_lo) || sigmaProof(C_hi)   (equal lengths)
+//   Borromean: C(33) || borromeanProof(C_lo) || borromeanProof(C_hi)
+//   BP:        C(33) || bulletproof(m = 2, V = [C_lo, C_hi])
+// In CTv2 the two Sigma / Borromean proofs use transcript forks 'interval/lo'
+// and 'interval/hi'; the Bulletproof uses the envelope transcript directly.
+
+const te = new TextEncoder();
+
+// Separate seeds per shifted proof so the two Sigma provers never share nonces.
+function intervalSeed(zkSeed, label) {
+  return sha256(concat(zkSeed, te.encode(`BCH-CT/interval/${label}`)));
+}
+
+function shiftedCommitments(C, min, max, Hgen) {
+  return {
+    lo: C.subtract(mulSafe(Hgen, min)),
+    hi: mulSafe(Hgen, max).subtract(C),
+  };
+}
+
+function bpBitsFor(k) {
+  const bits = BP_ALLOWED_BITS.find((b) => b >= k);
+  if (bits === undefined) throw new Error(`bulletproof backend cannot prove ${k}-bit ranges`);
+  return bits;
+}
+
+function buildIntervalCore(backend, vBig, min, max, bits, seedBytes, transcript, nonce, generatorVersion) {
+  const Hgen = getPedersenH(generatorVersion);
+  // Resolve the nonce mode once; the shifted proofs then run deterministically
+  // from the resolved seed, so the shared blinding is keyed too.
+  const zkSeed = resolveNonceSeed('buildAmountProofEnvelope', seedBytes, nonce);
+  if (backend === RANGE_BACKEND_BULLETPROOF) {
+    const gammaSeed = transcript
+      ? transcript.witnessBytes('interval/gamma', zkSeed)
+      : intervalSeed(zkSeed, 'gamma');
+    const gamma = Point.Fn.fromBytes(gammaSeed);
+    const proof = generateBulletproofRangeProof([vBig - min, max - vBig], zkSeed, {
+      bits,
+      blindings: [gamma, n - gamma],
+      transcript,
+      generatorVersion,
+    });
+    const C = proof.commitments[0].add(mulSafe(Hgen, min));
+    return { C, blinding: gamma, core: concat(C.toBytes(true), serializeBulletproof(proof)) };
+  }
+
+  const [prove, serialize] = backend === RANGE_BACKEND_BORROMEAN
+    ? [generateBorromeanRangeProof, serializeBorromeanProof]
+    : [generateSigmaRangeProof, serializeProof];
+  const lo = prove(vBig - min, intervalSeed(zkSeed, 'lo'), {
+    bits,
+    transcript: transcript?.fork('interval/lo') ?? null,
+    generatorVersion,
+  });
+  const hi = prove(max - vBig, intervalSeed(zkSeed, 'hi'), {
+    bits,
+    blinding: n - lo.blinding,
+    transcript: transcript?.fork('interval/hi') ?? null,
+    generatorVersion,
+  });
+  const C = lo.C.add(mulSafe(Hgen, min));
+  return { C, blinding: lo.blinding, core: concat(C.toBytes(true), serialize(lo), serialize(hi)) };
+}
+
+// Decode untrusted proof bytes: a malformed point or field fails the proof
+// (null) instead of throwing out of a boolean verifier.
+function tryDecode(decode) {
+  try {
+    return decode();
+  } catch {
+    return null;
+  }
+}
+
+function verifyIntervalCore(protocolTag, core, fields, transcript, generatorVersion) {
+  const { rangeBits: bits, rangeMin: min, rangeMax: max } = fields;
+  if (min > max || max - min >= (1n << BigInt(bits))) return false;
+  if (core.length < 33) return false;
+
+  const C = tryDecode(() => Point.fromBytes(core.slice(0, 33)));
+  if (!C) return false;
+  const rest = core.slice(33);
+  const expected = shiftedCommitments(C, min, max, getPedersenH(generatorVersion));
+
+  switch (protocolTag) {
+    case PROTOCOL_TAG_SIGMA64: {
+      if (rest.length % 2 !== 0) return false;
+      const lo = tryDecode(() => deserializeProof(rest.slice(0, rest.length / 2)));
+      const hi = tryDecode(() => deserializeProof(rest.slice(rest.length / 2)));
+      if (!lo || !hi || lo.bits !== bits || hi.bits !== bits) return false;
+      if (!lo.C.equals(expected.lo) || !hi.C.equals(expected.hi)) return false;
+      const transcripts = transcript
+        ? [transcript.fork('interval/lo'), transcript.fork('interval/hi')]
+        : [];
+      return verifySigmaRangeProofBatch([lo, hi], { transcripts, generatorVersion }).ok;
+    }
+    case PROTOCOL_TAG_BORROMEAN: {
+      if (rest.length % 2 !== 0) return false;
+      const lo = tryDecode(() => deserializeBorromeanProof(rest.slice(0, rest.length / 2)));
+      const hi = tryDecode(() => deserializeBorromeanProof(rest.slice(rest.length / 2)));
+      if (!lo || !hi || lo.bits !== bits || hi.bits !== bits) return false;
+      if (!lo.C.equals(expected.lo) || !hi.C.equals(expected.hi)) return false;
+      return verifyBorromeanRangeProof(lo, { transcript: transcript?.fork('interval/lo') ?? null, generatorVersion }) &&
+        verifyBorromeanRangeProof(hi, { transcript: transcript?.fork('interval/hi') ?? null, generatorVersion });
+    }
+    case PROTOCOL_TAG_BULLETPROOF: {
+      const proof = tryDecode(() => deserializeBulletproof(rest));
+      if (!proof || proof.commitments.length !== 2 || proof.bits !== bits) return false;
+      if (!proof.commitments[0].equals(expected.lo) || !proof.commitments[1].equals(expected.hi)) {
+        return false;
+      }
+      return verifyBulletproofRangeProof(proof, { transcript, generatorVersion });
+    }
+    default:
+      throw new Error(`verifyAmountProofEnvelope: unsupported protocolTag '${protocolTag}'`);
+  }
+}
+
 /**
- * Build a CTv1 amount range-proof envelope for a 64-bit value.
+ * Build a CTv2 (default) or legacy CTv1 amount range-proof envelope.
  *
  * Inputs:
  *  - value: sats, 0 <= value < 2^64
- *  - zkSeed: 32-byte seed from the RPA session (deterministic randomness)
+ *  - zkSeed: 32-byte per-payment seed; the flows use
+ *      sha256(ephemPub33 || uint64le(value)), which anyone can rebuild
+ *  - nonceMode: how nonces and the commitment blinding come from zkSeed
+ *      (nonces.js). Default NONCE_MODE_DETERMINISTIC. The flows pass
+ *      NONCE_MODE_RECOVERABLE, keyed with sessionZkSeed, so only sender and
+ *      receiver can rebuild the commitment or proofHash.
+ *  - sessionZkSeed: the RPA session's zkSeed (deriveRpaLockIntent().session,
+ *      or the receiver's recovered note session); required when recoverable
  *  - ephemPub33: 33-byte compressed ephemeral pubkey (per-payment)
  *  - assetId32: optional 32-byte asset id (CashToken category), or null
  *  - outIndex: output index the proof is bound to
  *  - extraCtx: optional extra context bytes (e.g. transcript tag)
+ *  - backend: RANGE_BACKEND_SIGMA64 (default), RANGE_BACKEND_BORROMEAN or
+ *      RANGE_BACKEND_BULLETPROOF
+ *  - rangeBits: optional width k, proving value in [0, 2^k) (default 64).
+ *      The Bulletproof backend only supports k in BP_ALLOWED_BITS.
+ *  - rangeMin / rangeMax: optional interval; proves rangeMin <= value <= rangeMax.
+ *      rangeBits then defaults to the smallest width covering the interval
+ *      (rounded up to a supported width for the Bulletproof backend).
+ *  - envelopeVersion: ENVELOPE_VERSION_2 (default) binds every header field
+ *      into the proof's challenges; ENVELOPE_VERSION_1 reproduces legacy
+ *      envelopes whose core proof can be lifted into another header.
+ *  - generatorVersion: GENERATOR_VERSION_LEGACY (default) or
+ *      GENERATOR_VERSION_SSWU; selects H, recorded in the header as H33.
  *
  * Returns:
- *  - envelope: Uint8Array (CTv1 header + core proof)
+ *  - envelope: Uint8Array (CTv2 or CTv1 magic + header + core proof)
  *  - proofHash: Uint8Array(32) (double-SHA256 of envelope)
  *  - commitmentC: secp256k1.Point (aggregate commitment)
  *  - commitmentC33: Uint8Array(33) compressed commitment
+ *  - blinding: bigint, the opening's r (C = value*H + blinding*G)
+ *  - rangeBits: the width written to the header
  */
 export function buildAmountProofEnvelope({
   value,
@@ -311,6 +1167,14 @@ export function buildAmountProofEnvelope({
   assetId32 = null,
   outIndex = 0,
   extraCtx = new Uint8Array(0),
+  backend = RANGE_BACKEND_SIGMA64,
+  rangeBits = null,
+  rangeMin = null,
+  rangeMax = null,
+  envelopeVersion = ENVELOPE_VERSION_2,
+  nonceMode = NONCE_MODE_DETERMINISTIC,
+  sessionZkSeed = null,
+  generatorVersion = GENERATOR_VERSION_LEGACY,
 }) {
   const vBig = BigInt(value);
   if (vBig < 0n || vBig >= (1n << 64n)) {
@@ -319,28 +1183,102 @@ export function buildAmountProofEnvelope({
   if (!(zkSeed instanceof Uint8Array) || zkSeed.length !== 32) {
     throw new Error('buildAmountProofEnvelope: zkSeed must be Uint8Array(32)');
   }
+  if (nonceMode === NONCE_MODE_RECOVERABLE && !(sessionZkSeed instanceof Uint8Array && sessionZkSeed.length === 32)) {
+    throw new Error('buildAmountProofEnvelope: recoverable nonce mode needs sessionZkSeed Uint8Array(32)');
+  }
   if (!(ephemPub33 instanceof Uint8Array) || ephemPub33.length !== 33) {
     throw new Error('buildAmountProofEnvelope: ephemPub33 must be Uint8Array(33)');
   }
+  const protocolTag = BACKEND_TAGS[backend];
+  if (!protocolTag) {
+    throw new Error(`buildAmountProofEnvelope: unknown range-proof backend '${backend}'`);
+  }
+  if ((rangeMin === null) !== (rangeMax === null)) {
+    throw new Error('buildAmountProofEnvelope: rangeMin and rangeMax must be given together');
+  }
+  if (envelopeVersion !== ENVELOPE_VERSION_1 && envelopeVersion !== ENVELOPE_VERSION_2) {
+    throw new Error(`buildAmountProofEnvelope: unsupported envelope version ${envelopeVersion}`);
+  }
+  const isInterval = rangeMin !== null;
+  const isBp = backend === RANGE_BACKEND_BULLETPROOF;
 
-  // 1) Generate the per-bit Sigma range proof deterministically from zkSeed.
-  const proof = generateSigmaRangeProof(vBig, zkSeed);
-  const coreProofBytes = serializeProof(proof);
-
-  // Optional: core hash is useful for binding & debugging
-  const coreHashBytes = computeProofHash(coreProofBytes);
-
-  // 2) Use the shared Pedersen H from pedersen.js in the envelope header.
-  const H33 = toCompressed(H);
+  // Resolve the bit width (and bounds) the header will commit to.
+  let bits;
+  let min = null;
+  let max = null;
+  if (isInterval) {
+    min = BigInt(rangeMin);
+    max = BigInt(rangeMax);
+    const needed = intervalRangeBits(min, max);
+    bits = rangeBits ?? (isBp ? bpBitsFor(needed) : needed);
+    assertRangeBits(bits, 'buildAmountProofEnvelope');
+    if (bits < needed) {
+      throw new Error(`buildAmountProofEnvelope: rangeBits ${bits} too small for [${min}, ${max}]`);
+    }
+    if (vBig < min || vBig > max) {
+      throw new Error(`buildAmountProofEnvelope: value outside [${min}, ${max}]`);
+    }
+  } else {
+    bits = rangeBits ?? BITS;
+    assertRangeBits(bits, 'buildAmountProofEnvelope');
+    if (vBig >= (1n << BigInt(bits))) {
+      throw new Error(`buildAmountProofEnvelope: value must be in [0, 2^${bits})`);
+    }
+  }
+  if (isBp && !BP_ALLOWED_BITS.includes(bits)) {
+    throw new Error(`buildAmountProofEnvelope: bulletproof backend supports rangeBits ${BP_ALLOWED_BITS.join(', ')}`);
+  }
 
-  const envelope = buildProofEnvelope({
-    protocolTag: 'BCH-CT/Sigma64-v1',
-    rangeBits: BITS,
+  // 1) Fix the header first (uses the shared Pedersen H of generatorVersion
+  //    from pedersen.js); in CTv2 it seeds the transcript every challenge is drawn from.
+  const headerFields = {
+    protocolTag,
+    rangeBits: bits,
     ephemPub33,
-    H33,
+    H33: toCompressed(getPedersenH(generatorVersion)),
     assetId32,
     outIndex,
     extraCtx,
+    rangeMin: min,
+    rangeMax: max,
+  };
+  const transcript = envelopeVersion === ENVELOPE_VERSION_2
+    ? createEnvelopeTranscript(buildProofEnvelopeHeader(headerFields))
+    : null;
+
+  // 2) Generate the range proof from zkSeed under the nonce mode.
+  const nonce = { nonceMode, zkSeed: sessionZkSeed };
+  let coreProofBytes;
+  let commitmentC;
+  let blinding;
+  if (isInterval) {
+    const interval = buildIntervalCore(backend, vBig, min, max, bits, zkSeed, transcript, nonce, generatorVersion);
+    coreProofBytes = interval.core;
+    commitmentC = interval.C;
+    blinding = interval.blinding;
+  } else if (isBp) {
+    const proof = generateBulletproofRangeProof([vBig], zkSeed, { bits, transcript, generatorVersion, ...nonce });
+    coreProofBytes = serializeBulletproof(proof);
+    commitmentC = proof.commitments[0];
+    blinding = proof.blindings[0];
+  } else if (backend === RANGE_BACKEND_BORROMEAN) {
+    const proof = generateBorromeanRangeProof(vBig, zkSeed, { bits, transcript, generatorVersion, ...nonce });
+    coreProofBytes = serializeBorromeanProof(proof);
+    commitmentC = proof.C;
+    blinding = proof.blinding;
+  } else {
+    const proof = generateSigmaRangeProof(vBig, zkSeed, { bits, transcript, generatorVersion, ...nonce });
+    coreProofBytes = serializeProof(proof);
+    commitmentC = proof.C;
+    blinding = proof.blinding;
+  }
+
+  // Optional: core hash is useful for binding & debugging
+  const coreHashBytes = computeProofHash(coreProofBytes);
+
+  const envelope = buildProofEnvelope({
+    version: envelopeVersion,
+    ...headerFields,
     coreProofBytes,
   });
 
@@ -349,25 +1287,276 @@ export function buildAmountProofEnvelope({
   return {
     envelope,
     proofHash,          // hash256(envelope)
-    coreProofBytes,     // raw serialized Sigma proof
+    coreProofBytes,     // raw serialized range proof
     coreHashBytes,      // hash256(coreProofBytes)
-    commitmentC: proof.C,
-    commitmentC33: proof.C_bytes,
+    commitmentC,
+    commitmentC33: commitmentC.toBytes(true),
+    blinding,           // r in C = v*H + r*G (e.g. for generateOpeningProof)
+    rangeBits: bits,
   };
 }
 
 /**
- * Verify a CTv1 amount envelope.
- * Currently this just checks the internal Sigma range proof.
+ * Verify a CTv1 or CTv2 amount envelope.
+ * Dispatches on the header protocolTag to the matching range-proof backend,
+ * and on the header H33 to the generator version the proof was made against
+ * (an H33 of no known version fails). Pass `opts.generatorVersion` to only
+ * accept envelopes of that version.
+ * For CTv2 the challenges are replayed from a transcript over the header,
+ * so any edit to ephemPub33, assetId32, outIndex, extraCtx, etc. fails.
+ * The proof must cover exactly the header's rangeBits, and, when the header
+ * carries rangeMin / rangeMax, the interval those bounds describe.
+ * Malformed bytes (framing, header, points, scalars) make it return false.
  * Callers can additionally check that `commitmentC` or `commitmentC33`
  * matches whatever on-chain or metadata commitment they expect.
+ * @param {Uint8Array} envelope
+ * @param {{ generatorVersion?: string }} [opts]
+ * @returns {boolean}
  */
-export function verifyAmountProofEnvelope(envelope) {
+export function verifyAmountProofEnvelope(envelope, opts = {}) {
   if (!(envelope instanceof Uint8Array)) {
     throw new Error('verifyAmountProofEnvelope: envelope must be Uint8Array');
   }
 
-  const { core } = parseProofEnvelope(envelope);
-  const proof = deserializeProof(core);
-  return verifySigmaRangeProof(proof);
-}
\ No newline at end of file
+  const parsed = tryDecode(() => {
+    const { version, header, core } = parseProofEnvelope(envelope);
+    return { version, header, core, fields: parseProofEnvelopeHeader(header) };
+  });
+  if (!parsed) return false;
+  const { version, header, core, fields } = parsed;
+  const transcript = version === ENVELOPE_VERSION_2 ? createEnvelopeTranscript(header) : null;
+
+  const generatorVersion = generatorVersionOf(fields.H33);
+  if (!generatorVersion) return false;
+  if (opts.generatorVersion !== undefined && opts.generatorVersion !== generatorVersion) return false;
+  if (!Number.isInteger(fields.rangeBits) ||
+      fields.rangeBits < MIN_RANGE_BITS || fields.rangeBits > MAX_RANGE_BITS) {
+    return false;
+  }
+
+  if (fields.rangeMin !== null) {
+    return verifyIntervalCore(fields.protocolTag, core, fields, transcript, generatorVersion);
+  }
+
+  switch (fields.protocolTag) {
+    case PROTOCOL_TAG_SIGMA64: {
+      const proof = tryDecode(() => deserializeProof(core));
+      if (!proof || proof.bits !== fields.rangeBits) return false;
+      return verifySigmaRangeProof(proof, { transcript, generatorVersion });
+    }
+    case PROTOCOL_TAG_BORROMEAN: {
+      const proof = tryDecode(() => deserializeBorromeanProof(core));
+      if (!proof || proof.bits !== fields.rangeBits) return false;
+      return verifyBorromeanRangeProof(proof, { transcript, generatorVersion });
+    }
+    case PROTOCOL_TAG_BULLETPROOF: {
+      const proof = tryDecode(() => deserializeBulletproof(core));
+      if (!proof || proof.commitments.length !== 1 || proof.bits !== fields.rangeBits) return false;
+      return verifyBulletproofRangeProof(proof, { transcript, generatorVersion });
+    }
+    default:
+      throw new Error(`verifyAmountProofEnvelope: unsupported protocolTag '${fields.protocolTag}'`);
+  }
+}
+
+/**
+ * Header fields and amount commitment of a CTv1 / CTv2 envelope, e.g. to
+ * compare the commitment with an NFT's or the bounds with what was asked
+ * for. Parses only: run verifyAmountProofEnvelope() for the proof itself.
+ * @param {Uint8Array} envelope
+ * @returns {{ protocolTag: string, rangeBits: number, assetId32: Uint8Array|null,
+ *   outIndex: number, rangeMin: bigint|null, rangeMax: bigint|null, commitmentC33: Uint8Array,
+ *   generatorVersion: string|null }} generatorVersion: of the header H33 (null if unknown)
+ */
+export function readAmountProofEnvelope(envelope) {
+  if (!(envelope instanceof Uint8Array)) {
+    throw new Error('readAmountProofEnvelope: envelope must be Uint8Array');
+  }
+  const { header, core } = parseProofEnvelope(envelope);
+  const fields = parseProofEnvelopeHeader(header);
+
+  // Interval cores lead with the commitment; the others carry it in the proof
+  let commitmentC33;
+  if (fields.rangeMin !== null) {
+    commitmentC33 = core.slice(0, 33);
+  } else if (fields.protocolTag === PROTOCOL_TAG_SIGMA64) {
+    commitmentC33 = deserializeProof(core).C.toBytes(true);
+  } else if (fields.protocolTag === PROTOCOL_TAG_BORROMEAN) {
+    commitmentC33 = deserializeBorromeanProof(core).C_bytes;
+  } else if (fields.protocolTag === PROTOCOL_TAG_BULLETPROOF) {
+    commitmentC33 = deserializeBulletproof(core).commitments[0].toBytes(true);
+  } else {
+    throw new Error(`readAmountProofEnvelope: unsupported protocolTag '${fields.protocolTag}'`);
+  }
+  return { ...fields, commitmentC33, generatorVersion: generatorVersionOf(fields.H33) };
+}
+
+/* ========================================================================== */
+/* Balance (excess) proofs: many inputs -> many outputs + public fee          */
+/* ========================================================================== */
+//
+// With C = v*H + r*G for every input and output:
+//   E = sum C_in - sum C_out - fee*H = (sum r_in - sum r_out)*G
+// iff sum v_in == sum v_out + fee. A BCH Schnorr signature under E (as a
+// pubkey) shows E has no H component, i.e. the transfer balances. Every
+// output also carries a Sigma range proof so no output can be negative.
+
+// Message signed by the excess key: squeezed from the balance transcript.
+function balanceExcessMessage(transcript) {
+  return transcript.fork('balance/excess').challengeBytes('msg', 32);
+}
+
+/**
+ * Build a CTB1 balance envelope.
+ *
+ * Inputs:
+ *  - inputs:  [{ value, blinding }] openings of the input commitments
+ *             (as made by pedersenCommit / generateSigmaRangeProof)
+ *  - outputs: [{ value, blinding? }]; a missing blinding is derived from zkSeed
+ *  - fee: public fee, sum(inputs) must equal sum(outputs) + fee
+ *  - zkSeed: 32-byte seed for output blindings and range-proof randomness
+ *  - rangeBits: width of each output range proof (default 64)
+ *  - extraCtx: optional context bytes bound into every proof
+ *  - generatorVersion: H of every commitment (default GENERATOR_VERSION_LEGACY),
+ *      recorded in the header as H33
+ *
+ * Returns:
+ *  - envelope: Uint8Array
+ *  - proofHash: hash256(envelope)
+ *  - inputCommitments / outputCommitments: secp256k1.Point[]
+ *  - outputBlindings: bigint[] (the receivers need these to spend)
+ *  - excess33: Uint8Array(33) compressed excess point
+ */
+export function buildBalanceProofEnvelope({
+  inputs,
+  outputs,
+  fee = 0n,
+  zkSeed,
+  rangeBits = BITS,
+  extraCtx = new Uint8Array(0),
+  generatorVersion = GENERATOR_VERSION_LEGACY,
+}) {
+  if (!Array.isArray(inputs) || inputs.length === 0) {
+    throw new Error('buildBalanceProofEnvelope: need at least one input');
+  }
+  if (!Array.isArray(outputs) || outputs.length === 0) {
+    throw new Error('buildBalanceProofEnvelope: need at least one output');
+  }
+  if (!(zkSeed instanceof Uint8Array) || zkSeed.length !== 32) {
+    throw new Error('buildBalanceProofEnvelope: zkSeed must be Uint8Array(32)');
+  }
+  assertRangeBits(rangeBits, 'buildBalanceProofEnvelope');
+  const feeBig = BigInt(fee);
+  if (feeBig < 0n || feeBig >= (1n << 64n)) {
+    throw new Error('buildBalanceProofEnvelope: fee must be in [0, 2^64)');
+  }
+
+  const inValues = inputs.map((i) => BigInt(i.value));
+  const outValues = outputs.map((o) => BigInt(o.value));
+  const sumIn = inValues.reduce((a, b) => a + b, 0n);
+  const sumOut = outValues.reduce((a, b) => a + b, 0n);
+  if (sumIn !== sumOut + feeBig) {
+    throw new Error(`buildBalanceProofEnvelope: inputs (${sumIn}) != outputs (${sumOut}) + fee (${feeBig})`);
+  }
+
+  const inBlindings = inputs.map((i) => normScalar(i.blinding));
+  const outBlindings = outputs.map((o, j) =>
+    o.blinding !== undefined && o.blinding !== null
+      ? normScalar(o.blinding)
+      : Point.Fn.fromBytes(sha256(concat(zkSeed, te.encode('BCH-CT/balance/blinding'), uint64le(j)))),
+  );
+
+  const Hgen = getPedersenH(generatorVersion);
+  const inputCommitments = inValues.map((v, i) => pedersenCommit(v, inBlindings[i], Hgen));
+  const outputCommitments = outValues.map((v, j) => pedersenCommit(v, outBlindings[j], Hgen));
+
+  // Excess key x = sum r_in - sum r_out; E = x*G
+  let x = 0n;
+  for (const r of inBlindings) x = (x + r) % n;
+  for (const r of outBlindings) x = (x - r + n) % n;
+  if (x === 0n) {
+    throw new Error('buildBalanceProofEnvelope: zero excess, choose different output blindings');
+  }
+  const excess33 = G.multiply(x).toBytes(true);
+
+  const headerFields = {
+    protocolTag: PROTOCOL_TAG_BALANCE,
+    H33: toCompressed(Hgen),
+    fee: feeBig,
+    extraCtx,
+    inputCommitments33: inputCommitments.map((C) => C.toBytes(true)),
+    outputCommitments33: outputCommitments.map((C) => C.toBytes(true)),
+  };
+  const transcript = createBalanceTranscript(buildBalanceEnvelopeHeader(headerFields));
+
+  // Output range proofs, each bound to the statement via its own transcript fork
+  const rangeProofs = outValues.map((v, j) => {
+    const seed = sha256(concat(zkSeed, te.encode('BCH-CT/balance/out'), uint64le(j)));
+    const proof = generateSigmaRangeProof(v, seed, {
+      bits: rangeBits,
+      blinding: outBlindings[j],
+      transcript: transcript.fork(`balance/out/${j}`),
+      generatorVersion,
+    });
+    return serializeProof(proof);
+  });
+
+  const excessSig = bchSchnorrSign(balanceExcessMessage(transcript), bigIntToBytes(x, 32), excess33);
+
+  const envelope = buildBalanceEnvelope({ ...headerFields, rangeProofs, excessSig });
+
+  return {
+    envelope,
+    proofHash: computeProofHash(envelope),
+    inputCommitments,
+    outputCommitments,
+    outputBlindings: outBlindings,
+    excess33,
+  };
+}
+
+/**
+ * Verify a CTB1 balance envelope:
+ *  - every output commitment has a valid range proof bound to this envelope
+ *  - the excess E = sum C_in - sum C_out - fee*H carries a valid Schnorr signature
+ * H is the generator version of the header H33, as in verifyAmountProofEnvelope()
+ * (`opts.generatorVersion` pins it).
+ * Callers must still check that the input commitments are the ones actually
+ * being spent (parseBalanceEnvelope() exposes them).
+ * @param {Uint8Array} envelope
+ * @param {{ generatorVersion?: string }} [opts]
+ * @returns {boolean}
+ */
+export function verifyBalanceProofEnvelope(envelope, opts = {}) {
+  if (!(envelope instanceof Uint8Array)) {
+    throw new Error('verifyBalanceProofEnvelope: envelope must be Uint8Array');
+  }
+  const parsed = parseBalanceEnvelope(envelope);
+  if (parsed.protocolTag !== PROTOCOL_TAG_BALANCE) {
+    throw new Error(`verifyBalanceProofEnvelope: unsupported protocolTag '${parsed.protocolTag}'`);
+  }
+  const generatorVersion = generatorVersionOf(parsed.H33);
+  if (!generatorVersion) return false;
+  if (opts.generatorVersion !== undefined && opts.generatorVersion !== generatorVersion) return false;
+  if (parsed.inputCommitments33.length === 0 || parsed.outputCommitments33.length === 0) return false;
+
+  const inputs = parsed.inputCommitments33.map((b) => Point.fromBytes(b));
+  const outputs = parsed.outputCommitments33.map((b) => Point.fromBytes(b));
+  const transcript = createBalanceTranscript(parsed.header);
+
+  // Range proofs must cover exactly the header's output commitments
+  const proofs = parsed.rangeProofs.map((b) => deserializeProof(b));
+  for (let j = 0; j < proofs.length; j++) {
+    if (!proofs[j].C.equals(outputs[j])) return false;
+  }
+  const transcripts = proofs.map((_, j) => transcript.fork(`balance/out/${j}`));
+  if (!verifySigmaRangeProofBatch(proofs, { transcripts, generatorVersion }).ok) return false;
+
+  let E = Point.ZERO;
+  for (const C of inputs) E = E.add(C);
+  for (const C of outputs) E = E.subtract(C);
+  E = E.subtract(mulSafe(getPedersenH(generatorVersion), parsed.fee));
+  if (E.equals(Point.ZERO)) return false;
+
+  return bchSchnorrVerify(parsed.excessSig, balanceExcessMessage(transcript), E.toBytes(true));
+}